@@ -13,6 +13,9 @@ if (cluster.isMaster) {
         cluster.fork();
     }
 
+    // gather the metrics of all workers
+    require('./app/lib/metrics').setupMaster();
+
     cluster.on('exit', (worker) => {
         console.log(
             `Worker ${worker.process.pid} sadly passed away. It will be reincarnated.`
@@ -139,8 +139,8 @@ function getNewOrExistingSurvey(req, res, next) {
     return surveyModel
         .getId(survey)
         .then((id) =>
-            // will return existing && active surveys
-            id ? surveyModel.get(id) : null
+            // will return existing && active surveys, also when they are not open or full
+            id ? surveyModel.get(id, true) : null
         )
         .catch((error) => {
             if (error.status === 404) {
@@ -268,8 +268,8 @@ function cacheInstance(req, res, next) {
     return surveyModel
         .getId(survey)
         .then((id) =>
-            // will return existing && active surveys
-            id ? surveyModel.get(id) : null
+            // will return existing && active surveys, also when they are not open or full
+            id ? surveyModel.get(id, true) : null
         )
         .catch((error) => {
             if (error.status === 404) {
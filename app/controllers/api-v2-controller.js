@@ -6,14 +6,30 @@ const auth = require('basic-auth');
 const express = require('express');
 const surveyModel = require('../models/survey-model');
 const instanceModel = require('../models/instance-model');
+const submissionModel = require('../models/submission-model');
+const queueModel = require('../models/submission-queue-model');
 const cacheModel = require('../models/cache-model');
 const account = require('../models/account-model');
+const webhookModel = require('../models/webhook-model');
+const apiKeyModel = require('../models/api-key-model');
+const statsModel = require('../models/stats-model');
+const JSZip = require('jszip');
 const pdf = require('../lib/pdf');
 const utils = require('../lib/utils');
+const { ResponseError } = require('../lib/custom-error');
 const keys = require('../lib/router-utils').idEncryptionKeys;
 
 const router = express.Router();
 const quotaErrorMessage = 'Forbidden. No quota left';
+// survey list sort parameter values and the survey properties they sort by
+const LIST_SORT = {
+    launch_date: 'launchDate',
+    last_accessed: 'lastAccessed',
+    submissions: 'submissions',
+};
+const MAX_LIST_LIMIT = 1000;
+// default number of days of survey statistics
+const STATS_DAYS = 30;
 // var debug = require( 'debug' )( 'api-controller-v2' );
 
 module.exports = (app) => {
@@ -34,6 +50,7 @@ router
     .all('/*/iframe', _setIframe)
     .all('/survey/all', _setIframe)
     .all('/surveys/list', _setIframe)
+    .all('/surveys/bulk', _setIframe)
     .all('*/pdf', _setPage)
     .all('/survey/preview*', (req, res, next) => {
         req.webformType = 'preview';
@@ -47,6 +64,10 @@ router
         req.webformType = 'all';
         next();
     })
+    .all('/surveys/bulk', (req, res, next) => {
+        req.webformType = 'all';
+        next();
+    })
     .all('/instance*', (req, res, next) => {
         req.webformType = 'edit';
         next();
@@ -83,6 +104,8 @@ router
     })
     .all('*', _setReturnQueryParam)
     .all('*', _setGoToHash)
+    .post('/survey*', _setSurveyLimits)
+    .post('/survey*', _setImagePolicy)
     .get('/survey', getExistingSurvey)
     .get('/survey/offline', getExistingSurvey)
     .get('/survey/iframe', getExistingSurvey)
@@ -90,7 +113,10 @@ router
     .post('/survey/offline', getNewOrExistingSurvey)
     .post('/survey/iframe', getNewOrExistingSurvey)
     .delete('/survey', deactivateSurvey)
+    .post('/survey/activate', activateSurvey)
     .delete('/survey/cache', emptySurveyCache)
+    .get('/survey/submissions', getSubmissions)
+    .get('/survey/stats', getStats)
     .get('/survey/single', getExistingSurvey)
     .get('/survey/single/iframe', getExistingSurvey)
     .get('/survey/single/once', getExistingSurvey)
@@ -115,11 +141,23 @@ router
     .post('/surveys/number', getNumber)
     .get('/surveys/list', getList)
     .post('/surveys/list', getList)
+    .post('/surveys/bulk', registerSurveys)
+    .get('/webhooks', getWebhooks)
+    .post('/webhooks', addWebhook)
+    .delete('/webhooks', removeWebhook)
+    .get('/webhooks/failed', getFailedWebhooks)
+    .delete('/webhooks/failed', emptyFailedWebhooks)
+    .get('/submissions/queue', getQueuedSubmissions)
+    .get('/keys', getApiKeys)
+    .post('/keys', createApiKey)
+    .delete('/keys', revokeApiKey)
+    .post('/keys/rotate', rotateApiKey)
     .post('/instance', cacheInstance)
     .post('/instance/iframe', cacheInstance)
     .post('/instance/view', cacheInstance)
     .post('/instance/view/iframe', cacheInstance)
     .post('/instance/view/pdf', cacheInstance)
+    .post('/instances/view/pdf', exportInstancesPdf)
     .delete('/instance', removeInstance)
     .all('*', (req, res, next) => {
         const error = new Error('Not allowed.');
@@ -153,7 +191,17 @@ function authCheck(req, res, next) {
     account
         .get(server)
         .then((account) => {
-            if (!key || key !== account.key) {
+            // The master key of the account has all scopes.
+            if (key && key === account.key) {
+                return { account, master: true };
+            }
+
+            return apiKeyModel
+                .verify(account, key)
+                .then((apiKey) => ({ account, apiKey }));
+        })
+        .then(({ account, apiKey, master }) => {
+            if (!master && !apiKey) {
                 const error = new Error('Not Allowed. Invalid API key.');
                 error.status = 401;
                 res.status(error.status).set(
@@ -161,14 +209,71 @@ function authCheck(req, res, next) {
                     'Basic realm="Enter valid API key as user name"'
                 );
                 next(error);
+            } else if (apiKey && !_hasRequiredScopes(apiKey, req)) {
+                const error = new Error(
+                    'Forbidden. The API key does not have the required scope.'
+                );
+                error.status = 403;
+                next(error);
             } else {
                 req.account = account;
+                req.apiKey = apiKey || null;
                 next();
             }
         })
         .catch(next);
 }
 
+/**
+ * Determines the scopes an API key needs for a request. Managing API keys and webhooks requires the master key.
+ * Requests for PDFs that create or update surveys or instances also need the scope to do so.
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @return { Array<string> | null } scopes, or `null` if only the master key is allowed
+ */
+function _getRequiredScopes(req) {
+    const path = req.path.toLowerCase();
+
+    if (/^\/(keys|webhooks)(\/|$)/.test(path)) {
+        return null;
+    }
+    if (/\/pdf\/?$/.test(path)) {
+        return req.method === 'GET'
+            ? ['pdf']
+            : [
+                  'pdf',
+                  path.startsWith('/instance')
+                      ? 'instance:write'
+                      : 'survey:write',
+              ];
+    }
+    if (/^\/survey\/cache\/?$/.test(path)) {
+        return ['cache:flush'];
+    }
+    if (path.startsWith('/instance')) {
+        return ['instance:write'];
+    }
+    if (req.method === 'GET' || /^\/surveys\/(number|list)\/?$/.test(path)) {
+        return ['survey:read'];
+    }
+
+    return ['survey:write'];
+}
+
+/**
+ * @param {{ scopes: Array<string> }} apiKey - named API key
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @return { boolean } whether the key has all the scopes the request needs
+ */
+function _hasRequiredScopes(apiKey, req) {
+    const scopes = _getRequiredScopes(req);
+
+    return (
+        scopes !== null &&
+        scopes.every((scope) => apiKey.scopes.includes(scope))
+    );
+}
+
 /**
  * @param {module:api-controller~ExpressRequest} req - HTTP request
  * @param {module:api-controller~ExpressResponse} res - HTTP response
@@ -209,17 +314,150 @@ function getNewOrExistingSurvey(req, res, next) {
         openRosaServer: req.body.server_url || req.query.server_url,
         openRosaId: req.body.form_id || req.query.form_id,
         theme: req.body.theme || req.query.theme,
+        ...req.surveyLimits,
+        ...req.imagePolicy,
     };
 
     if (req.account.quota < req.account.quotaUsed) {
         return _render(403, quotaErrorMessage, res);
     }
 
+    return _setNewOrExistingSurvey(survey, req.account)
+        .then(({ status, id }) => {
+            if (id) {
+                if (req.webformType === 'pdf') {
+                    _renderPdf(status, id, req, res);
+                } else {
+                    _render(status, _generateWebformUrls(id, req), res);
+                }
+            } else {
+                _render(404, 'Survey not found.', res);
+            }
+        })
+        .catch((error) => {
+            if (error.status === 403) {
+                _render(403, error.message, res);
+            } else {
+                next(error);
+            }
+        });
+}
+
+/**
+ * Registers a list of surveys in one request. Each item in the `surveys` body
+ * parameter is handled like a separate `POST /survey` request, but the API key
+ * and quota are only checked once for the whole batch.
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function registerSurveys(req, res, next) {
+    const { surveys } = req.body;
+
+    if (!Array.isArray(surveys) || surveys.length === 0) {
+        return _render(400, 'Surveys parameter is not valid.', res);
+    }
+
+    if (req.account.quota < req.account.quotaUsed) {
+        return _render(403, quotaErrorMessage, res);
+    }
+
+    // The quota used is obtained once and then updated locally for each newly created survey.
+    const batchAccount = { ...req.account };
+
+    // Sequentially, to avoid 409 conflicts for duplicate items in the same batch.
+    return surveys
+        .reduce(
+            (promise, item) =>
+                promise.then((results) =>
+                    _registerBulkItem(item, batchAccount, req).then(
+                        (result) => [...results, result]
+                    )
+                ),
+            Promise.resolve([])
+        )
+        .then((results) => {
+            _render(
+                200,
+                {
+                    code: 200,
+                    surveys: results,
+                },
+                res
+            );
+        })
+        .catch(next);
+}
+
+/**
+ * @param {{form_id: string, server_url?: string, theme?: string}} item - A single item of a bulk request
+ * @param {module:account-model~AccountObj} requestAccount - account object with `quotaUsed` property
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @return {Promise<object>} a Promise that resolves with either the webform URLs or an error message for this item
+ */
+function _registerBulkItem(item, requestAccount, req) {
+    const requestServer = req.body.server_url || req.query.server_url;
+    const survey = {
+        openRosaServer: (item && item.server_url) || requestServer,
+        openRosaId: item && item.form_id,
+        theme: (item && item.theme) || req.body.theme || req.query.theme,
+    };
+    const result = {
+        form_id: survey.openRosaId,
+        server_url: survey.openRosaServer,
+    };
+
+    // An item may specify another server URL as long as it belongs to the same account.
+    const accountCheck =
+        survey.openRosaServer === requestServer
+            ? Promise.resolve()
+            : account.get(survey.openRosaServer).then((itemAccount) => {
+                  if (itemAccount.key !== requestAccount.key) {
+                      throw new ResponseError(
+                          401,
+                          'Not Allowed. Invalid API key.'
+                      );
+                  }
+              });
+
+    return accountCheck
+        .then(() => _setNewOrExistingSurvey(survey, requestAccount))
+        .then(({ status, id }) => {
+            if (status === 201) {
+                requestAccount.quotaUsed++;
+            }
+
+            return Object.assign(result, _generateWebformUrls(id, req), {
+                code: status,
+            });
+        })
+        .catch((error) => {
+            // Server errors fail the whole request, client errors only fail the item.
+            if (!error.status || error.status >= 500) {
+                throw error;
+            }
+
+            return Object.assign(result, {
+                code: error.status,
+                message: error.message,
+            });
+        });
+}
+
+/**
+ * Creates a new survey or updates an existing one.
+ *
+ * @param {module:survey-model~SurveyObject} survey - survey object
+ * @param {module:account-model~AccountObj} accountObj - account object with `quotaUsed` property
+ * @return {Promise<{status: number, id: string}>} a Promise that resolves with the HTTP status (`200` for existing, `201` for new surveys) and the Enketo ID
+ */
+function _setNewOrExistingSurvey(survey, accountObj) {
     return surveyModel
         .getId(survey) // will return id only for existing && active surveys
         .then((id) =>
-            // will return existing && active surveys
-            id ? surveyModel.get(id) : null
+            // will return existing && active surveys, also when they are not open or full
+            id ? surveyModel.get(id, true) : null
         )
         .catch((error) => {
             if (error.status === 404) {
@@ -228,25 +466,14 @@ function getNewOrExistingSurvey(req, res, next) {
             throw error;
         })
         .then((storedSurvey) => {
-            if (!storedSurvey && req.account.quota <= req.account.quotaUsed) {
-                return _render(403, quotaErrorMessage, res);
+            if (!storedSurvey && accountObj.quota <= accountObj.quotaUsed) {
+                throw new ResponseError(403, quotaErrorMessage);
             }
             const status = storedSurvey ? 200 : 201;
 
             // even if id was found still call .set() method to update any properties
-            return surveyModel.set(survey).then((id) => {
-                if (id) {
-                    if (req.webformType === 'pdf') {
-                        _renderPdf(status, id, req, res);
-                    } else {
-                        _render(status, _generateWebformUrls(id, req), res);
-                    }
-                } else {
-                    _render(404, 'Survey not found.', res);
-                }
-            });
-        })
-        .catch(next);
+            return surveyModel.set(survey).then((id) => ({ status, id }));
+        });
 }
 
 /**
@@ -288,6 +515,161 @@ function emptySurveyCache(req, res, next) {
         .catch(next);
 }
 
+/**
+ * Obtains the submission ledger of a survey, optionally limited to a period.
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function getSubmissions(req, res, next) {
+    const since = _getDateParam(req, 'since');
+    const until = _getDateParam(req, 'until');
+
+    return surveyModel
+        .getId({
+            openRosaServer: req.query.server_url,
+            openRosaId: req.query.form_id,
+        })
+        .then((id) => {
+            if (!id) {
+                return _render(404, 'Survey not found.', res);
+            }
+
+            return Promise.all([
+                // the ledger of a deactivated survey remains available
+                surveyModel.get(id, true).catch((error) => {
+                    if (error.status === 404) {
+                        return {};
+                    }
+                    throw error;
+                }),
+                submissionModel.getLedgerEntries(id, since, until),
+            ]).then(([survey, entries]) => {
+                _render(
+                    200,
+                    {
+                        code: 200,
+                        form_id: req.query.form_id,
+                        server_url: req.query.server_url,
+                        ..._formatCapacity(survey),
+                        submissions: entries.map((entry) => ({
+                            instance_id: entry.instanceId,
+                            deprecated_id: entry.deprecatedId,
+                            status: entry.status,
+                            size: entry.size,
+                            timestamp: entry.timestamp,
+                        })),
+                    },
+                    res
+                );
+            });
+        })
+        .catch(next);
+}
+
+/**
+ * Responds with the usage statistics of a survey: totals and daily counts of webform loads, submissions
+ * and edits in a period (the last 30 days by default), and the lifetime number of submissions.
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function getStats(req, res, next) {
+    const until = _getDateParam(req, 'until') || new Date();
+    const since =
+        _getDateParam(req, 'since') ||
+        new Date(until.getTime() - (STATS_DAYS - 1) * 24 * 60 * 60 * 1000);
+
+    return surveyModel
+        .getId({
+            openRosaServer: req.query.server_url,
+            openRosaId: req.query.form_id,
+        })
+        .then((id) => {
+            if (!id) {
+                return _render(404, 'Survey not found.', res);
+            }
+
+            return Promise.all([
+                // the statistics of a deactivated survey remain available
+                surveyModel.get(id, true).catch((error) => {
+                    if (error.status === 404) {
+                        return {};
+                    }
+                    throw error;
+                }),
+                statsModel.get(id, since, until),
+            ]).then(([survey, stats]) => {
+                _render(
+                    200,
+                    {
+                        code: 200,
+                        form_id: req.query.form_id,
+                        server_url: req.query.server_url,
+                        launch_date: survey.launchDate || null,
+                        last_accessed: survey.lastAccessed || null,
+                        submission_count: Number(survey.submissions) || 0,
+                        since: stats.days[0].date,
+                        until: stats.days[stats.days.length - 1].date,
+                        opens: stats.opens,
+                        submissions: stats.submissions,
+                        edits: stats.edits,
+                        days: stats.days,
+                    },
+                    res
+                );
+            });
+        })
+        .catch(next);
+}
+
+/**
+ * Reactivates a deactivated survey. This counts towards the quota.
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function activateSurvey(req, res, next) {
+    const survey = {
+        openRosaServer: req.body.server_url,
+        openRosaId: req.body.form_id,
+    };
+
+    return surveyModel
+        .getId(survey)
+        .then((id) => {
+            if (!id) {
+                return _render(404, 'Survey not found.', res);
+            }
+
+            return surveyModel
+                .get(id, true)
+                .then(() => true)
+                .catch((error) => {
+                    if (error.status === 404) {
+                        return false;
+                    }
+                    throw error;
+                })
+                .then((active) => {
+                    if (active) {
+                        return _render(204, null, res);
+                    }
+                    if (req.account.quota <= req.account.quotaUsed) {
+                        return _render(403, quotaErrorMessage, res);
+                    }
+
+                    return surveyModel
+                        .update({ ...survey, active: true })
+                        .then(() => _render(204, null, res));
+                });
+        })
+        .catch(next);
+}
+
 /**
  * @param {module:api-controller~ExpressRequest} req - HTTP request
  * @param {module:api-controller~ExpressResponse} res - HTTP response
@@ -295,7 +677,10 @@ function emptySurveyCache(req, res, next) {
  */
 function getNumber(req, res, next) {
     return surveyModel
-        .getNumber(req.body.server_url || req.query.server_url)
+        .getNumber(
+            req.body.server_url || req.query.server_url,
+            _getStatusParam(req)
+        )
         .then((number) => {
             if (number) {
                 _render(
@@ -307,7 +692,7 @@ function getNumber(req, res, next) {
                     res
                 );
             } else {
-                // this cannot be reached I think
+                // e.g. when there are no inactive surveys
                 _render(404, 'No surveys found.', res);
             }
         })
@@ -321,22 +706,291 @@ function getNumber(req, res, next) {
  */
 function getList(req, res, next) {
     let obj;
+    const options = _getListOptions(req);
 
     return surveyModel
-        .getList(req.body.server_url || req.query.server_url)
-        .then((list) => {
-            list = list.map((survey) => {
+        .getPage(req.body.server_url || req.query.server_url, options)
+        .then(({ surveys, next: cursor }) => {
+            const list = surveys.map((survey) => {
                 obj = _generateWebformUrls(survey.enketoId, req);
                 obj.form_id = survey.openRosaId;
                 obj.server_url = survey.openRosaServer;
+                obj.active = survey.active;
+                obj.deactivated_at = survey.deactivatedAt;
 
-                return obj;
+                return Object.assign(obj, _formatCapacity(survey));
             });
             _render(
                 200,
                 {
                     code: 200,
                     forms: list,
+                    next: cursor ? _generateNextPageUrl(req, cursor) : null,
+                },
+                res
+            );
+        })
+        .catch(next);
+}
+
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @return {module:survey-model~SurveyListOptions} sort, filter and pagination options of a survey list request
+ */
+function _getListOptions(req) {
+    const param = (name) => req.body[name] || req.query[name];
+    const invalid = (name) => {
+        const error = new Error(`The ${name} parameter is not valid.`);
+        error.status = 400;
+
+        return error;
+    };
+    const limit = param('limit');
+    const sort = param('sort') || 'launch_date';
+    const order = param('order') || 'asc';
+
+    if (limit && !/^[1-9]\d*$/.test(limit)) {
+        throw invalid('limit');
+    }
+    if (!LIST_SORT[sort]) {
+        throw invalid('sort');
+    }
+    if (!['asc', 'desc'].includes(order)) {
+        throw invalid('order');
+    }
+
+    return {
+        status: _getStatusParam(req),
+        sort: LIST_SORT[sort],
+        order,
+        formIdPrefix: param('form_id_prefix') || '',
+        theme: param('theme'),
+        accessedBefore: _getDateParam(req, 'accessed_before'),
+        accessedAfter: _getDateParam(req, 'accessed_after'),
+        limit: limit ? Math.min(Number(limit), MAX_LIST_LIMIT) : undefined,
+        cursor: param('cursor'),
+    };
+}
+
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param { string } cursor - cursor of the next page
+ * @return { string } URL of the next page of a survey list, with the same parameters as the request
+ */
+function _generateNextPageUrl(req, cursor) {
+    const params = new URLSearchParams();
+    const protocol = req.headers['x-forwarded-proto'] || req.protocol;
+
+    [
+        'server_url',
+        'status',
+        'limit',
+        'sort',
+        'order',
+        'form_id_prefix',
+        'theme',
+        'accessed_before',
+        'accessed_after',
+    ].forEach((name) => {
+        const value = req.body[name] || req.query[name];
+
+        if (value) {
+            params.set(name, value);
+        }
+    });
+    params.set('cursor', cursor);
+
+    return `${protocol}://${req.headers.host}${req.baseUrl}${
+        req.path
+    }?${params.toString()}`;
+}
+
+/**
+ * @param {module:survey-model~SurveyObject} survey - survey object
+ * @return {{submission_count: number, max_submissions: number|null, remaining_submissions: number|null}} API representation of the number of submissions a survey can still receive
+ */
+function _formatCapacity(survey) {
+    const count = Number(survey.submissions) || 0;
+    const max = survey.maxSubmissions ? Number(survey.maxSubmissions) : null;
+
+    return {
+        submission_count: count,
+        max_submissions: max,
+        remaining_submissions: max === null ? null : Math.max(max - count, 0),
+    };
+}
+
+/**
+ * @param { module:api-key-model~ApiKey } apiKey - API key
+ * @return { object } API representation of the API key
+ */
+function _formatApiKey(apiKey) {
+    return {
+        id: apiKey.id,
+        name: apiKey.name,
+        scopes: apiKey.scopes,
+        expires: apiKey.expires,
+        created: apiKey.created,
+        last_used: apiKey.lastUsed,
+    };
+}
+
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function getApiKeys(req, res, next) {
+    return apiKeyModel
+        .list(req.account)
+        .then((apiKeys) => {
+            _render(
+                200,
+                {
+                    code: 200,
+                    keys: apiKeys.map(_formatApiKey),
+                },
+                res
+            );
+        })
+        .catch(next);
+}
+
+/**
+ * Creates a named API key. The key itself is only included in this response.
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function createApiKey(req, res, next) {
+    return apiKeyModel
+        .create(req.account, {
+            name: req.body.name,
+            scopes: req.body.scopes,
+            expires: req.body.expires,
+        })
+        .then(({ apiKey, key }) => {
+            _render(201, { ..._formatApiKey(apiKey), key }, res);
+        })
+        .catch(next);
+}
+
+/**
+ * Replaces the key of a named API key, e.g. when it may have leaked. The new key is only included in this response.
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function rotateApiKey(req, res, next) {
+    return apiKeyModel
+        .rotate(req.account, req.body.id)
+        .then((result) => {
+            if (result) {
+                _render(
+                    200,
+                    { ..._formatApiKey(result.apiKey), key: result.key },
+                    res
+                );
+            } else {
+                _render(404, 'API key not found.', res);
+            }
+        })
+        .catch(next);
+}
+
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function revokeApiKey(req, res, next) {
+    return apiKeyModel
+        .revoke(req.account, req.body.id || req.query.id)
+        .then((id) => {
+            if (id) {
+                _render(204, null, res);
+            } else {
+                _render(404, 'API key not found.', res);
+            }
+        })
+        .catch(next);
+}
+
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function getWebhooks(req, res, next) {
+    return webhookModel
+        .list(req.account)
+        .then((subscriptions) => {
+            _render(
+                200,
+                {
+                    code: 200,
+                    webhooks: subscriptions.map(({ id, url, created }) => ({
+                        id,
+                        url,
+                        created,
+                    })),
+                },
+                res
+            );
+        })
+        .catch(next);
+}
+
+/**
+ * Adds a webhook subscription. The secret to verify event signatures is only included in this response.
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function addWebhook(req, res, next) {
+    return webhookModel
+        .add(req.account, req.body.url)
+        .then((subscription) => {
+            _render(201, { ...subscription }, res);
+        })
+        .catch(next);
+}
+
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function removeWebhook(req, res, next) {
+    return webhookModel
+        .remove(req.account, req.body.id || req.query.id)
+        .then((id) => {
+            if (id) {
+                _render(204, null, res);
+            } else {
+                _render(404, 'Webhook not found.', res);
+            }
+        })
+        .catch(next);
+}
+
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function getFailedWebhooks(req, res, next) {
+    return webhookModel
+        .getDeadLetters(req.account)
+        .then((failed) => {
+            _render(
+                200,
+                {
+                    code: 200,
+                    failed,
                 },
                 res
             );
@@ -344,6 +998,65 @@ function getList(req, res, next) {
         .catch(next);
 }
 
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function emptyFailedWebhooks(req, res, next) {
+    return webhookModel
+        .flushDeadLetters(req.account)
+        .then(() => {
+            _render(204, null, res);
+        })
+        .catch(next);
+}
+
+/**
+ * Obtains the submissions of the account that are waiting in the server-side submission queue,
+ * or that could not be delivered, optionally limited to a single survey.
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function getQueuedSubmissions(req, res, next) {
+    const idPromise = req.query.form_id
+        ? surveyModel.getId({
+              openRosaServer: req.query.server_url,
+              openRosaId: req.query.form_id,
+          })
+        : Promise.resolve(undefined);
+
+    return idPromise
+        .then((id) => {
+            if (id === null) {
+                return _render(404, 'Survey not found.', res);
+            }
+
+            return queueModel.list(req.account, id).then((jobs) => {
+                _render(
+                    200,
+                    {
+                        code: 200,
+                        submissions: jobs.map((job) => ({
+                            enketo_id: job.enketoId,
+                            instance_id: job.instanceId,
+                            deprecated_id: job.deprecatedId,
+                            status: job.status,
+                            attempts: job.attempts,
+                            queued: job.queued,
+                            next_attempt: job.nextAttempt,
+                            last_error: job.lastError,
+                        })),
+                    },
+                    res
+                );
+            });
+        })
+        .catch(next);
+}
+
 /**
  * @param {module:api-controller~ExpressRequest} req - HTTP request
  * @param {module:api-controller~ExpressResponse} res - HTTP response
@@ -368,8 +1081,8 @@ function cacheInstance(req, res, next) {
     return surveyModel
         .getId(survey)
         .then((id) =>
-            // will return existing && active surveys
-            id ? surveyModel.get(id) : null
+            // will return existing && active surveys, also when they are not open or full
+            id ? surveyModel.get(id, true) : null
         )
         .catch((error) => {
             if (error.status === 404) {
@@ -410,6 +1123,173 @@ function cacheInstance(req, res, next) {
         .catch(next);
 }
 
+/**
+ * Renders a PDF of each of the provided records of a single survey and responds with a ZIP file, not with a merged
+ * PDF. The ZIP file contains a PDF file for each record that was rendered, and a `report.json` file with the result
+ * for each record, including the name of its PDF file. Records that failed do not fail the whole request.
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function exportInstancesPdf(req, res, next) {
+    const { instances } = req.body;
+
+    if (!Array.isArray(instances) || instances.length === 0) {
+        return _render(400, 'Instances parameter is not valid.', res);
+    }
+
+    const maxBatchSize = req.app.get('headless')['max batch size'];
+
+    if (instances.length > maxBatchSize) {
+        return _render(
+            400,
+            `Too many instances. A request can include at most ${maxBatchSize} instances.`,
+            res
+        );
+    }
+
+    if (req.account.quota < req.account.quotaUsed) {
+        return _render(403, quotaErrorMessage, res);
+    }
+
+    const survey = {
+        openRosaServer: req.body.server_url,
+        openRosaId: req.body.form_id,
+    };
+    const zip = new JSZip();
+
+    return _setNewOrExistingSurvey(survey, req.account)
+        .then(({ id }) =>
+            // Sequentially, to leave browsers in the PDF pool for other requests.
+            instances.reduce(
+                (promise, item) =>
+                    promise.then((report) =>
+                        _exportInstancePdf(id, survey, item, req).then(
+                            (result) => {
+                                if (result.pdf) {
+                                    result.file = _getUniqueFileName(
+                                        zip,
+                                        result.file
+                                    );
+                                    zip.file(result.file, result.pdf);
+                                    delete result.pdf;
+                                }
+
+                                return [...report, result];
+                            }
+                        )
+                    ),
+                Promise.resolve([])
+            )
+        )
+        .then((report) => {
+            const failed = report.filter((result) => result.code !== 200);
+
+            if (failed.length === report.length) {
+                return _render(
+                    failed[0].code,
+                    {
+                        message: 'PDF generation failed for all instances.',
+                        instances: report,
+                    },
+                    res
+                );
+            }
+
+            zip.file('report.json', JSON.stringify(report, null, 4));
+
+            return zip
+                .generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' })
+                .then((zipBuffer) => {
+                    res.set('Content-Type', 'application/zip')
+                        .set(
+                            'Content-disposition',
+                            `attachment;filename=${req.body.form_id}.zip`
+                        )
+                        .status(200)
+                        .end(zipBuffer);
+                });
+        })
+        .catch((error) => {
+            if (error.status === 403) {
+                _render(403, error.message, res);
+            } else {
+                next(error);
+            }
+        });
+}
+
+/**
+ * @param { string } id - Enketo ID of survey
+ * @param {module:survey-model~SurveyObject} survey - survey object
+ * @param {{instance: string, instance_id: string, instance_attachments?: object}} item - A single record of a batch request
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @return {Promise<object>} a Promise that resolves with either the PDF or an error message for this record
+ */
+function _exportInstancePdf(id, survey, item, req) {
+    const instanceId = item && item.instance_id;
+    const result = {
+        instance_id: instanceId,
+    };
+
+    return instanceModel
+        .set(
+            {
+                ...survey,
+                instance: item && item.instance,
+                instanceId,
+                instanceAttachments: item && item.instance_attachments,
+            },
+            false
+        )
+        .then(() =>
+            pdf.get(_generatePdfUrl(id, instanceId, req), {
+                ...req.page,
+                formId: req.body.form_id,
+                instanceId,
+            })
+        )
+        .then((pdfBuffer) =>
+            Object.assign(result, {
+                code: 200,
+                file: _getPdfFileName(req.body.form_id, instanceId),
+                pdf: pdfBuffer,
+            })
+        )
+        .catch((error) =>
+            Object.assign(result, {
+                code: error.status || 500,
+                message: error.message,
+            })
+        );
+}
+
+/**
+ * @param { string } formId - form ID
+ * @param { string } instanceId - instance ID
+ * @return { string } name of the PDF file of a record, without characters that have a meaning in paths, e.g. `/`
+ */
+function _getPdfFileName(formId, instanceId) {
+    return `${formId}-${instanceId}.pdf`.replace(/[^\w.-]/g, '_');
+}
+
+/**
+ * @param { JSZip } zip - ZIP file
+ * @param { string } fileName - name of a PDF file
+ * @return { string } the name, with a number added if the ZIP file already contains a file with that name
+ */
+function _getUniqueFileName(zip, fileName) {
+    const base = fileName.replace(/\.pdf$/, '');
+    let unique = fileName;
+
+    for (let i = 2; zip.file(unique); i++) {
+        unique = `${base}-${i}.pdf`;
+    }
+
+    return unique;
+}
+
 /**
  * @param {module:api-controller~ExpressRequest} req - HTTP request
  * @param {module:api-controller~ExpressResponse} res - HTTP response
@@ -454,6 +1334,112 @@ function _setQuotaUsed(req, res, next) {
     }
 }
 
+/**
+ * Sets the open and close dates and the maximum number of submissions of a survey. A missing parameter
+ * leaves the stored value unchanged and an empty parameter removes it.
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function _setSurveyLimits(req, res, next) {
+    const getParam = (param) =>
+        typeof req.body[param] !== 'undefined'
+            ? req.body[param]
+            : req.query[param];
+    const invalid = (param) => {
+        const error = new Error(`The ${param} parameter is not valid.`);
+        error.status = 400;
+
+        return error;
+    };
+
+    req.surveyLimits = {};
+    [
+        ['open_at', 'openAt'],
+        ['close_at', 'closeAt'],
+    ].forEach(([param, prop]) => {
+        const value = getParam(param);
+
+        if (typeof value === 'undefined') {
+            return;
+        }
+        if (
+            value !== '' &&
+            (typeof value !== 'string' || Number.isNaN(Date.parse(value)))
+        ) {
+            throw invalid(param);
+        }
+        req.surveyLimits[prop] = value ? new Date(value).toISOString() : '';
+    });
+    if (
+        req.surveyLimits.openAt &&
+        req.surveyLimits.closeAt &&
+        req.surveyLimits.openAt >= req.surveyLimits.closeAt
+    ) {
+        const error = new Error(
+            'The close_at parameter must be after open_at.'
+        );
+        error.status = 400;
+        throw error;
+    }
+
+    const maxSubmissions = getParam('max_submissions');
+
+    if (typeof maxSubmissions !== 'undefined') {
+        if (
+            maxSubmissions !== '' &&
+            !/^[1-9]\d*$/.test(String(maxSubmissions))
+        ) {
+            throw invalid('max_submissions');
+        }
+        req.surveyLimits.maxSubmissions =
+            maxSubmissions === '' ? '' : Number(maxSubmissions);
+    }
+    next();
+}
+
+/**
+ * Sets the image policy of a survey, which overrides the configured image policy for images attached
+ * to its records. A missing parameter leaves the stored value unchanged and an empty parameter removes it.
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function _setImagePolicy(req, res, next) {
+    req.imagePolicy = {};
+    [
+        [
+            'image_max_dimension',
+            'imageMaxDimension',
+            (value) => /^\d+$/.test(value),
+        ],
+        ['image_quality', 'imageQuality', (value) => value > 0 && value <= 1],
+        [
+            'image_keep_gps',
+            'imageKeepGps',
+            (value) => /^(true|false)$/.test(value),
+        ],
+    ].forEach(([param, prop, isValid]) => {
+        const value =
+            typeof req.body[param] !== 'undefined'
+                ? req.body[param]
+                : req.query[param];
+
+        if (typeof value === 'undefined') {
+            return;
+        }
+        if (value !== '' && !isValid(String(value))) {
+            const error = new Error(`The ${param} parameter is not valid.`);
+            error.status = 400;
+            throw error;
+        }
+        req.imagePolicy[prop] = String(value);
+    });
+    next();
+}
+
 /**
  * @param {module:api-controller~ExpressRequest} req - HTTP request
  * @param {module:api-controller~ExpressResponse} res - HTTP response
@@ -486,6 +1472,43 @@ function _setPage(req, res, next) {
         error.status = 400;
         throw error;
     }
+    [
+        ['margin_top', 'marginTop'],
+        ['margin_right', 'marginRight'],
+        ['margin_bottom', 'marginBottom'],
+        ['margin_left', 'marginLeft'],
+    ].forEach(([param, prop]) => {
+        req.page[prop] = req.body[param] || req.query[param];
+        if (req.page[prop] && !/^\d+(\.\d+)?(in|cm|mm)$/.test(req.page[prop])) {
+            const error = new Error(`The ${param} parameter is not valid.`);
+            error.status = 400;
+            throw error;
+        }
+    });
+    [
+        ['header_template', 'headerTemplate'],
+        ['footer_template', 'footerTemplate'],
+    ].forEach(([param, prop]) => {
+        req.page[prop] = req.body[param] || req.query[param];
+        if (
+            req.page[prop] &&
+            (typeof req.page[prop] !== 'string' || req.page[prop].length > 2000)
+        ) {
+            const error = new Error(`The ${param} parameter is not valid.`);
+            error.status = 400;
+            throw error;
+        }
+    });
+    req.page.watermark = req.body.watermark || req.query.watermark;
+    if (
+        req.page.watermark &&
+        (typeof req.page.watermark !== 'string' ||
+            req.page.watermark.length > 50)
+    ) {
+        const error = new Error('Watermark parameter is not valid.');
+        error.status = 400;
+        throw error;
+    }
     /*
     TODO: scale has not been enabled yet, as it is not supported by Enketo Core's Grid print JS processing function.
     req.page.scale = req.body.scale || req.query.scale;
@@ -570,6 +1593,45 @@ function _setReturnQueryParam(req, res, next) {
     next();
 }
 
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param { string } name - name of the date parameter
+ * @return { Date | undefined } the parsed date, if the parameter was provided
+ */
+function _getDateParam(req, name) {
+    const value = req.body[name] || req.query[name];
+
+    if (!value) {
+        return undefined;
+    }
+
+    const date = new Date(value);
+
+    if (Number.isNaN(date.getTime())) {
+        const error = new Error(`The ${name} parameter is not valid.`);
+        error.status = 400;
+        throw error;
+    }
+
+    return date;
+}
+
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @return { module:survey-model~SurveyStatus } the status of surveys to include, `active` by default
+ */
+function _getStatusParam(req) {
+    const value = req.body.status || req.query.status || 'active';
+
+    if (!['active', 'inactive', 'all'].includes(value)) {
+        const error = new Error('The status parameter is not valid.');
+        error.status = 400;
+        throw error;
+    }
+
+    return value;
+}
+
 /**
  * @param {Array<string>} [params] - List of parameters.
  */
@@ -592,10 +1654,7 @@ function _generateWebformUrls(id, req) {
     const OFFLINEPATH = 'x/';
     const hash = req.goTo;
     const iframePart = req.iframe ? IFRAMEPATH : '';
-    const protocol = req.headers['x-forwarded-proto'] || req.protocol;
-    const baseUrl = `${protocol}://${req.headers.host}${req.app.get(
-        'base path'
-    )}/`;
+    const baseUrl = _getBaseUrl(req);
     const idPartOnce = `${utils.insecureAes192Encrypt(id, keys.singleOnce)}`;
     const idPartView = `${utils.insecureAes192Encrypt(id, keys.view)}`;
     let queryParts;
@@ -656,14 +1715,7 @@ function _generateWebformUrls(id, req) {
             ] = `${baseUrl}view/${iframePart}${idPartView}${queryString}${hash}`;
             break;
         case 'pdf':
-            queryParts = req.body.instance_id
-                ? [`instance_id=${req.body.instance_id}`]
-                : [];
-            queryParts.push('print=true');
-            queryString = _generateQueryString(queryParts);
-            obj.pdf_url = `${baseUrl}${
-                req.body.instance_id ? `view/${idPartView}` : id
-            }${queryString}`;
+            obj.pdf_url = _generatePdfUrl(id, req.body.instance_id, req);
             break;
         case 'all':
             // non-iframe views
@@ -725,6 +1777,33 @@ function _render(status, body, res) {
     }
 }
 
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @return { string } base URL of the webforms, ending with a slash
+ */
+function _getBaseUrl(req) {
+    const protocol = req.headers['x-forwarded-proto'] || req.protocol;
+
+    return `${protocol}://${req.headers.host}${req.app.get('base path')}/`;
+}
+
+/**
+ * @param { string } id - Enketo ID of survey
+ * @param { string } [instanceId] - instance ID of a cached record to print
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @return { string } URL of the webform to print
+ */
+function _generatePdfUrl(id, instanceId, req) {
+    const queryParts = instanceId ? [`instance_id=${instanceId}`] : [];
+    const idPartView = `${utils.insecureAes192Encrypt(id, keys.view)}`;
+
+    queryParts.push('print=true');
+
+    return `${_getBaseUrl(req)}${
+        instanceId ? `view/${idPartView}` : id
+    }${_generateQueryString(queryParts)}`;
+}
+
 /**
  * @param { number } status - HTTP status code
  * @param { string } id - Enketo ID of survey
@@ -735,7 +1814,11 @@ function _renderPdf(status, id, req, res) {
     const url = _generateWebformUrls(id, req).pdf_url;
 
     return pdf
-        .get(url, req.page)
+        .get(url, {
+            ...req.page,
+            formId: req.body.form_id || req.query.form_id,
+            instanceId: req.body.instance_id,
+        })
         .then((pdfBuffer) => {
             const filename = `${req.body.form_id || req.query.form_id}${
                 req.body.instance_id ? `-${req.body.instance_id}` : ''
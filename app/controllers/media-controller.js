@@ -15,6 +15,12 @@ const {
 } = require('request-filtering-agent');
 const { ResponseError } = require('../lib/custom-error');
 const mediaLib = require('../lib/media');
+const metrics = require('../lib/metrics');
+
+const proxiedBytes = metrics.counter(
+    'enketo_media_proxy_bytes_total',
+    'Bytes of media files passed on from OpenRosa servers.'
+);
 
 module.exports = (app) => {
     app.use(`${app.get('base path')}/media`, router);
@@ -105,6 +111,7 @@ async function getMedia(req, res, next) {
 function _pipeMedia(options, req, res, next) {
     request
         .get(options)
+        .on('data', (chunk) => proxiedBytes.inc({}, chunk.length))
         .on('error', (error) => _handleMediaRequestError(error, next))
         .pipe(res)
         .on('error', (error) => _handleMediaRequestError(error, next));
@@ -0,0 +1,67 @@
+/**
+ * @module metrics-controller
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const metrics = require('../lib/metrics');
+
+const router = express.Router();
+// var debug = require( 'debug' )( 'metrics-controller' );
+
+module.exports = (app) => {
+    app.use(`${app.get('base path')}/metrics`, router);
+};
+
+router.get('/', getMetrics);
+
+/**
+ * Responds with the metrics of all processes in the Prometheus text format.
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function getMetrics(req, res, next) {
+    const { enabled, token } = req.app.get('metrics');
+
+    // Without a token, anyone who can reach Enketo could obtain the metrics.
+    if (!enabled || !token) {
+        // not found
+        next();
+
+        return;
+    }
+
+    if (!_isValidToken(req.get('Authorization'), token)) {
+        const error = new Error('Unauthorized. Metrics token is not valid.');
+        error.status = 401;
+        res.set('WWW-Authenticate', 'Bearer');
+        next(error);
+
+        return;
+    }
+
+    metrics
+        .collect()
+        .then((text) => {
+            res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+            res.send(text);
+        })
+        .catch(next);
+}
+
+/**
+ * @param { string } [authorization] - Authorization header of the request
+ * @param { string } token - configured token
+ * @return { boolean } whether the header contains the token
+ */
+function _isValidToken(authorization, token) {
+    const hash = (str) => crypto.createHash('sha256').update(str).digest();
+
+    // compare hashes of equal length in constant time
+    return crypto.timingSafeEqual(
+        hash(authorization || ''),
+        hash(`Bearer ${token}`)
+    );
+}
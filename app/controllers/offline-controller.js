@@ -37,7 +37,7 @@ function getScriptContent() {
     const partialOfflineAppWorkerScript = fs.readFileSync(
         path.resolve(
             config.root,
-            'public/js/src/module/offline-app-worker-partial.js'
+            'public/js/build/offline-app-worker-partial.js'
         ),
         'utf8'
     );
@@ -69,10 +69,20 @@ function getScriptContent() {
         }, [])
         .concat([
             `${config['base path']}${config['offline path']}/images/icon_180x180.png`,
+            // The launcher page, so that it also opens offline if it has not been visited before
+            `${config['base path']}${config['offline path']}/forms`,
+            `${config['base path']}${config['offline path']}/js/build/enketo-offline-launcher.js`,
         ]);
 
     return `
 const version = '${version}';
+const basePath = '${config['base path']}';
+const offlinePath = '${config['offline path']}';
+const uploadChunkSize = ${
+        config['chunked uploads'].enabled
+            ? config['chunked uploads']['chunk size']
+            : 0
+    };
 const resources = [
     '${resources.join("',\n    '")}'
 ];
@@ -32,6 +32,20 @@ router
             offlinePath: config['offline path'],
         });
     })
+    .get(`${config['offline path']}/forms`, (req, res, next) => {
+        if (!req.app.get('offline enabled')) {
+            const error = new Error(
+                'Offline functionality has not been enabled for this application.'
+            );
+            error.status = 405;
+            next(error);
+        } else {
+            res.render('pages/forms', {
+                title: 'Forms',
+                offlinePath: config['offline path'],
+            });
+        }
+    })
     .get('/thanks', (req, res) => {
         res.render('surveys/thanks', {
             title: 'Thanks',
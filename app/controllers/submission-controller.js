@@ -2,23 +2,66 @@
  * @module submissions-controller
  */
 
+const { PassThrough } = require('stream');
 const request = require('request');
 const express = require('express');
 const errors = require('../lib/custom-error');
 const mediaLib = require('../lib/media');
 const communicator = require('../lib/communicator');
+const webhooks = require('../lib/webhooks');
+const submissionQueue = require('../lib/submission-queue');
+const account = require('../models/account-model');
 const surveyModel = require('../models/survey-model');
 const userModel = require('../models/user-model');
 const instanceModel = require('../models/instance-model');
 const submissionModel = require('../models/submission-model');
+const statsModel = require('../models/stats-model');
+const queueModel = require('../models/submission-queue-model');
+const uploadModel = require('../models/upload-model');
 const utils = require('../lib/utils');
+const metrics = require('../lib/metrics');
+
+const submissions = metrics.counter(
+    'enketo_submissions_total',
+    'Submissions passed on to OpenRosa servers, by response status.',
+    ['status']
+);
+const queuedSubmissions = metrics.counter(
+    'enketo_submissions_queued_total',
+    'Submissions queued because the OpenRosa server was unavailable.'
+);
 
 const router = express.Router();
 const routerUtils = require('../lib/router-utils');
 // var debug = require( 'debug' )( 'submission-controller' );
 
+// Request headers of a submission that are replayed when a queued submission is forwarded.
+const QUEUED_HEADERS = [
+    'content-type',
+    'cookie',
+    'user-agent',
+    'x-openrosa-instance-id',
+    'x-openrosa-deprecated-id',
+];
+
+// Version of the tus resumable upload protocol that the upload routes follow.
+const TUS_VERSION = '1.0.0';
+
+// Request errors that indicate the OpenRosa server is (temporarily) unavailable.
+const UNAVAILABLE_ERROR_CODES = [
+    'ETIMEDOUT',
+    'ESOCKETTIMEDOUT',
+    'ECONNRESET',
+    'ECONNREFUSED',
+];
+
 module.exports = (app) => {
     app.use(`${app.get('base path')}/submission`, router);
+
+    if (app.get('submission queue').enabled) {
+        submissionQueue.start(_logSubmission);
+    }
+    webhooks.start();
 };
 
 router.param('enketo_id', routerUtils.enketoId);
@@ -35,6 +78,26 @@ router
     .get('/max-size/:enketo_id?', maxSize)
     .get('/:encrypted_enketo_id_view', getInstance)
     .get('/:enketo_id', getInstance)
+    .all('/uploads/*', (req, res, next) => {
+        res.set('Tus-Resumable', TUS_VERSION);
+
+        if (!req.app.get('chunked uploads').enabled) {
+            const error = new Error('Chunked uploads are not enabled');
+            error.status = 404;
+            next(error);
+
+            return;
+        }
+        next();
+    })
+    .post('/uploads/:encrypted_enketo_id_single', createUpload)
+    .post('/uploads/:enketo_id', createUpload)
+    .head('/uploads/:encrypted_enketo_id_single/:upload_id', getUpload)
+    .head('/uploads/:enketo_id/:upload_id', getUpload)
+    .patch('/uploads/:encrypted_enketo_id_single/:upload_id', appendUpload)
+    .patch('/uploads/:enketo_id/:upload_id', appendUpload)
+    .delete('/uploads/:encrypted_enketo_id_single/:upload_id', removeUpload)
+    .delete('/uploads/:enketo_id/:upload_id', removeUpload)
     .post('/:encrypted_enketo_id_single', submit)
     .post('/:enketo_id', submit)
     .all('/*', (req, res, next) => {
@@ -73,7 +136,25 @@ async function submit(req, res, next) {
         const instanceId = req.headers['x-openrosa-instance-id'];
         const deprecatedId = req.headers['x-openrosa-deprecated-id'];
         const id = req.enketoId;
-        const survey = await surveyModel.get(id);
+        const uploadIds = _getUploadIds(req);
+        let size = Number(req.headers['content-length']) || null;
+        const survey = await surveyModel.get(id, true);
+        // Edits of existing records are always accepted. Offline-capable forms may submit
+        // records that were created before the survey closed. The later batches of a record are
+        // accepted once its first batch was accepted, also if the survey closed or filled up since.
+        if (!deprecatedId) {
+            const limitError =
+                surveyModel.getScheduleError(survey, _getCreationTime(req)) ||
+                surveyModel.getCapacityError(survey);
+
+            if (
+                limitError &&
+                !(await submissionModel.isRecorded(id, instanceId))
+            ) {
+                throw limitError;
+            }
+        }
+
         const submissionUrl =
             communicator.getSubmissionUrl(survey.openRosaServer) + query;
         const credentials = userModel.getCredentials(req);
@@ -91,6 +172,79 @@ async function submit(req, res, next) {
             timeout: req.app.get('timeout') + 500,
         };
 
+        /** @type {import('stream').Readable} */
+        let source = req;
+
+        // Offline-capable forms keep records in the browser's own queue, until they are submitted.
+        // Submissions with chunked uploads are not queued either, as their attachments remain
+        // available for another attempt until the uploads expire.
+        if (
+            req.app.get('submission queue').enabled &&
+            !req.headers['x-enketo-offline'] &&
+            uploadIds.length === 0
+        ) {
+            const body = await _readBody(
+                req,
+                req.app.get('submission queue')['max size']
+            );
+
+            if (Buffer.isBuffer(body)) {
+                await _submitOrQueue(req, res, {
+                    survey,
+                    submissionUrl,
+                    baseHeaders,
+                    query,
+                    credentials,
+                    size,
+                    body,
+                });
+
+                return;
+            }
+
+            // Submissions that are too large to be queued are passed on without queueing them.
+            if (body !== req) {
+                const { 'user-agent': userAgent, ...forwardedHeaders } = _pick(
+                    req.headers,
+                    QUEUED_HEADERS
+                );
+
+                // The request headers are only copied when the request itself is piped.
+                options.headers = communicator.getUpdatedRequestHeaders(
+                    { ...forwardedHeaders, ...baseHeaders },
+                    req
+                );
+                source = body;
+            }
+        } else if (uploadIds.length > 0) {
+            const uploads = await _getSubmissionUploads(
+                req,
+                uploadIds,
+                instanceId
+            );
+            const submission = _addUploads(
+                await _readBody(req),
+                req.headers['content-type'],
+                uploads
+            );
+            const { 'user-agent': userAgent, ...forwardedHeaders } = _pick(
+                req.headers,
+                QUEUED_HEADERS
+            );
+
+            // The request headers are only copied when the request itself is piped.
+            options.headers = communicator.getUpdatedRequestHeaders(
+                {
+                    ...forwardedHeaders,
+                    ...baseHeaders,
+                    'content-length': submission.length,
+                },
+                req
+            );
+            source = submission.body;
+            size = submission.length;
+        }
+
         /**
          * TODO: When we've replaced request with a non-deprecated library,
          * and as we continue to move toward async/await, we should also:
@@ -99,10 +253,25 @@ async function submit(req, res, next) {
          * - Introduce a more idiomatic request async handler interface, e.g. wrapping
          *   handlers to automatically try + res.send or catch + next(error)
          */
-        req.pipe(request(options))
+        source
+            .pipe(request(options))
             .on('response', (orResponse) => {
+                _recordSubmission(id, {
+                    instanceId,
+                    deprecatedId,
+                    status: orResponse.statusCode,
+                    size,
+                });
+
+                if (
+                    orResponse.statusCode === 201 ||
+                    orResponse.statusCode === 202
+                ) {
+                    _removeUploads(uploadIds);
+                }
+
                 if (orResponse.statusCode === 201) {
-                    _logSubmission(id, instanceId, deprecatedId);
+                    _logSubmission(survey, instanceId, deprecatedId);
                 } else if (orResponse.statusCode === 401) {
                     // replace the www-authenticate header to avoid browser built-in authentication dialog
                     orResponse.headers[
@@ -122,6 +291,13 @@ async function submit(req, res, next) {
                     }
                 }
 
+                _recordSubmission(id, {
+                    instanceId,
+                    deprecatedId,
+                    status: error.status || 500,
+                    size,
+                });
+
                 next(error);
             })
             .pipe(res);
@@ -130,6 +306,440 @@ async function submit(req, res, next) {
     }
 }
 
+/**
+ * Forwards a buffered submission to the OpenRosa server. If that server is down (i.e. it responds
+ * with a 5xx status or does not respond at all), the submission is queued to be replayed later
+ * and the client receives a 202 response.
+ *
+ * @param {express.Request} req - HTTP request
+ * @param {express.Response} res - HTTP response
+ * @param {{survey: object, submissionUrl: string, baseHeaders: object, query: string, credentials: object, size: number, body: Buffer}} details - submission details
+ * @return { Promise } a Promise that resolves when the response was sent
+ */
+async function _submitOrQueue(req, res, details) {
+    const {
+        survey,
+        submissionUrl,
+        baseHeaders,
+        query,
+        credentials,
+        size,
+        body,
+    } = details;
+    const id = req.enketoId;
+    const instanceId = req.headers['x-openrosa-instance-id'];
+    const deprecatedId = req.headers['x-openrosa-deprecated-id'];
+    const headers = _pick(req.headers, QUEUED_HEADERS);
+    const { 'user-agent': userAgent, ...forwardedHeaders } = headers;
+    const options = {
+        method: 'POST',
+        url: submissionUrl,
+        headers: communicator.getUpdatedRequestHeaders(
+            { ...forwardedHeaders, ...baseHeaders },
+            req
+        ),
+        body,
+        encoding: null,
+        timeout: req.app.get('timeout') + 500,
+    };
+
+    let orResponse;
+
+    try {
+        orResponse = await new Promise((resolve, reject) => {
+            request(options, (error, response) =>
+                error ? reject(error) : resolve(response)
+            );
+        });
+    } catch (error) {
+        if (!UNAVAILABLE_ERROR_CODES.includes(error.code)) {
+            throw error;
+        }
+    }
+
+    _recordSubmission(id, {
+        instanceId,
+        deprecatedId,
+        status: orResponse ? orResponse.statusCode : 504,
+        size,
+    });
+
+    if (orResponse && orResponse.statusCode < 500) {
+        if (orResponse.statusCode === 201) {
+            _logSubmission(survey, instanceId, deprecatedId);
+        }
+
+        const contentType = orResponse.headers['content-type'];
+        const authenticate = orResponse.headers['www-authenticate'];
+
+        if (contentType) {
+            res.set('Content-Type', contentType);
+        }
+        if (authenticate) {
+            // replace the www-authenticate header to avoid browser built-in authentication dialog
+            res.set('WWW-Authenticate', `enketo${authenticate}`);
+        }
+        res.status(orResponse.statusCode).send(orResponse.body);
+
+        return;
+    }
+
+    const surveyAccount = await account.get(survey);
+
+    await queueModel.add(
+        surveyAccount,
+        { enketoId: id, instanceId, deprecatedId, query, headers, credentials },
+        body
+    );
+    queuedSubmissions.inc();
+
+    res.status(202).json({
+        message:
+            'Submission queued. It will be delivered when the server is available again.',
+    });
+}
+
+/**
+ * Buffers the request body, so it can be queued if necessary. Bodies that are larger than the
+ * maximum size are not buffered. Instead, a stream of the whole body is returned.
+ *
+ * @param {express.Request} req - HTTP request
+ * @param { number } [maxSize] - maximum size of the body in bytes
+ * @return { Promise<Buffer | import('stream').Readable> } a Promise that resolves with the request
+ * body, or with a stream of it if it is too large
+ */
+function _readBody(req, maxSize = Infinity) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let received = 0;
+
+        if (Number(req.headers['content-length']) > maxSize) {
+            resolve(req);
+
+            return;
+        }
+
+        const onData = (chunk) => {
+            received += chunk.length;
+            chunks.push(chunk);
+
+            if (received > maxSize) {
+                const body = new PassThrough();
+
+                req.off('data', onData);
+                req.pause();
+                chunks.splice(0).forEach((data) => body.write(data));
+                req.on('error', (error) => body.destroy(error)).pipe(body);
+                resolve(body);
+            }
+        };
+
+        req.on('data', onData)
+            .on('end', () => resolve(Buffer.concat(chunks)))
+            .on('error', reject);
+    });
+}
+
+/**
+ * Creates a chunked upload for an attachment of a record.
+ *
+ * @param {express.Request} req - HTTP request
+ * @param {express.Response} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+async function createUpload(req, res, next) {
+    try {
+        await surveyModel.get(req.enketoId, true);
+
+        const metadata = _parseUploadMetadata(req.headers['upload-metadata']);
+        const upload = await uploadModel.create({
+            enketoId: req.enketoId,
+            instanceId: metadata.instanceId,
+            name: metadata.filename,
+            type: metadata.filetype,
+            length: Number(req.headers['upload-length']),
+        });
+
+        res.status(201)
+            .set('Location', `${req.baseUrl}${req.path}/${upload.id}`)
+            .set('Upload-Offset', String(upload.offset))
+            .end();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Responds with the number of bytes received of a chunked upload.
+ *
+ * @param {express.Request} req - HTTP request
+ * @param {express.Response} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+async function getUpload(req, res, next) {
+    try {
+        const upload = await _getUpload(req);
+
+        res.status(200)
+            .set('Cache-Control', 'no-store')
+            .set('Upload-Offset', String(upload.offset))
+            .set('Upload-Length', String(upload.length))
+            .end();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Appends a chunk to a chunked upload.
+ *
+ * @param {express.Request} req - HTTP request
+ * @param {express.Response} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+async function appendUpload(req, res, next) {
+    try {
+        if (req.headers['content-type'] !== 'application/offset+octet-stream') {
+            throw new errors.ResponseError(
+                415,
+                'Content type must be application/offset+octet-stream.'
+            );
+        }
+
+        const offset = Number(req.headers['upload-offset']);
+
+        if (!Number.isInteger(offset) || offset < 0) {
+            throw new errors.ResponseError(400, 'Invalid upload offset.');
+        }
+
+        const { id } = await _getUpload(req);
+        const upload = await uploadModel.append(id, offset, req);
+
+        res.status(204).set('Upload-Offset', String(upload.offset)).end();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Removes a chunked upload.
+ *
+ * @param {express.Request} req - HTTP request
+ * @param {express.Response} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+async function removeUpload(req, res, next) {
+    try {
+        const { id } = await _getUpload(req);
+
+        await uploadModel.remove(id);
+
+        res.status(204).end();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * @param {express.Request} req - HTTP request
+ * @return { Promise<import('../models/upload-model').Upload> } a Promise that resolves with the upload, if it belongs to the requested form
+ */
+async function _getUpload(req) {
+    const upload = await uploadModel.get(req.params.upload_id);
+
+    if (upload.enketoId !== req.enketoId) {
+        throw new errors.ResponseError(404, 'Upload not found.');
+    }
+
+    return upload;
+}
+
+/**
+ * Parses the Upload-Metadata header, which consists of comma-separated pairs of keys and base64-encoded values.
+ *
+ * @param { string } [header] - Upload-Metadata header value
+ * @return { Record<string, string> } metadata
+ */
+function _parseUploadMetadata(header = '') {
+    return header
+        .split(',')
+        .map((pair) => pair.trim().split(' '))
+        .filter(([key]) => key)
+        .reduce((metadata, [key, value = '']) => {
+            metadata[key] = Buffer.from(value, 'base64').toString('utf8');
+
+            return metadata;
+        }, {});
+}
+
+/**
+ * @param {express.Request} req - HTTP request
+ * @return { Array<string> } IDs of the chunked uploads that belong to a submission
+ */
+function _getUploadIds(req) {
+    return (req.headers['x-enketo-upload-ids'] || '')
+        .split(',')
+        .map((id) => id.trim())
+        .filter((id) => id);
+}
+
+/**
+ * @param {express.Request} req - HTTP request
+ * @param { Array<string> } uploadIds - upload IDs
+ * @param { string } instanceId - instance ID of the submitted record
+ * @return { Promise<Array<import('../models/upload-model').Upload>> } a Promise that resolves with the completed uploads of the record
+ */
+async function _getSubmissionUploads(req, uploadIds, instanceId) {
+    if (!req.app.get('chunked uploads').enabled) {
+        throw new errors.ResponseError(400, 'Chunked uploads are not enabled.');
+    }
+
+    const uploads = await Promise.all(uploadIds.map(uploadModel.get));
+
+    uploads.forEach((upload) => {
+        if (
+            upload.enketoId !== req.enketoId ||
+            upload.instanceId !== instanceId
+        ) {
+            throw new errors.ResponseError(
+                400,
+                `Upload ${upload.id} does not belong to this record.`
+            );
+        }
+        if (upload.offset !== upload.length) {
+            throw new errors.ResponseError(
+                400,
+                `Upload ${upload.id} is not complete.`
+            );
+        }
+    });
+
+    return uploads;
+}
+
+/**
+ * Adds uploaded attachments to a multipart submission body, as if they were submitted with it.
+ *
+ * @param { Buffer } body - multipart request body
+ * @param { string } contentType - multipart content type, including the boundary
+ * @param { Array<import('../models/upload-model').Upload> } uploads - completed uploads
+ * @return {{ body: PassThrough, length: number }} the combined body and its length in bytes
+ */
+function _addUploads(body, contentType, uploads) {
+    const [, quoted, unquoted] =
+        contentType.match(/boundary=(?:"([^"]+)"|([^;\s]+))/i) || [];
+    const boundary = quoted || unquoted;
+    const end = boundary ? body.lastIndexOf(`--${boundary}--`) : -1;
+
+    if (end === -1) {
+        throw new errors.ResponseError(400, 'Invalid multipart body.');
+    }
+
+    const head = body.slice(0, end);
+    const closing = Buffer.from(`--${boundary}--\r\n`);
+    const parts = uploads.map((upload) => {
+        const name = upload.name.replace(/"/g, '%22').replace(/[\r\n]/g, '');
+
+        return {
+            upload,
+            header: Buffer.from(
+                `--${boundary}\r\n` +
+                    `Content-Disposition: form-data; name="${name}"; filename="${name}"\r\n` +
+                    `Content-Type: ${upload.type}\r\n\r\n`
+            ),
+        };
+    });
+    const length = parts.reduce(
+        (total, { upload, header }) =>
+            total + header.length + upload.length + 2,
+        head.length + closing.length
+    );
+
+    const combined = new PassThrough();
+
+    combined.write(head);
+    parts
+        .reduce(
+            (prevPromise, { upload, header }) =>
+                prevPromise
+                    .then(() => {
+                        combined.write(header);
+
+                        return _pipeWithoutEnd(
+                            uploadModel.getStream(upload.id),
+                            combined
+                        );
+                    })
+                    .then(() => {
+                        combined.write('\r\n');
+                    }),
+            Promise.resolve()
+        )
+        .then(() => combined.end(closing))
+        .catch((error) => combined.destroy(error));
+
+    return { body: combined, length };
+}
+
+/**
+ * @param { import('stream').Readable } source - stream to read
+ * @param { import('stream').Writable } destination - stream to write to, which is kept open
+ * @return { Promise } a Promise that resolves when the source has been read
+ */
+function _pipeWithoutEnd(source, destination) {
+    return new Promise((resolve, reject) => {
+        source
+            .on('end', resolve)
+            .on('error', reject)
+            .pipe(destination, { end: false });
+    });
+}
+
+/**
+ * Obtains the time at which a record of an offline-capable form was created in the browser. This
+ * time is provided by the client, so it only lets records that were queued while offline be
+ * submitted after the survey closed. It does not prevent a client from submitting new records.
+ *
+ * @param {express.Request} req - HTTP request
+ * @return { number } creation time in milliseconds since the epoch, or the current time
+ */
+function _getCreationTime(req) {
+    const now = Date.now();
+    const created = Date.parse(req.headers['x-enketo-record-created']);
+
+    if (!req.headers['x-enketo-offline'] || Number.isNaN(created)) {
+        return now;
+    }
+
+    return Math.min(created, now);
+}
+
+/**
+ * @param { Array<string> } uploadIds - IDs of uploads that were submitted
+ */
+function _removeUploads(uploadIds) {
+    uploadIds.forEach((id) => {
+        uploadModel.remove(id).catch((error) => {
+            console.error(error);
+        });
+    });
+}
+
+/**
+ * @param { object } obj - object to pick properties from
+ * @param { Array<string> } keys - properties to pick
+ * @return { object } object with the defined properties of `keys`
+ */
+function _pick(obj, keys) {
+    return keys.reduce((picked, key) => {
+        if (obj[key] != null) {
+            picked[key] = obj[key];
+        }
+
+        return picked;
+    }, {});
+}
+
 /**
  * Get max submission size.
  *
@@ -152,7 +762,7 @@ function maxSize(req, res, next) {
             .catch(next);
     } else {
         surveyModel
-            .get(req.enketoId)
+            .get(req.enketoId, true)
             .then((survey) => {
                 survey.credentials = userModel.getCredentials(req);
 
@@ -175,7 +785,8 @@ function maxSize(req, res, next) {
  */
 async function getInstance(req, res, next) {
     try {
-        const survey = await surveyModel.get(req.enketoId);
+        // Records can still be edited when the survey is not open or full.
+        const survey = await surveyModel.get(req.enketoId, true);
 
         const instance = await instanceModel.get({
             instanceId: req.query.instanceId,
@@ -204,22 +815,45 @@ async function getInstance(req, res, next) {
 }
 
 /**
- * @param { string } id - Enketo ID of survey
+ * @param {module:survey-model~SurveyObject} survey - survey object
  * @param { string } instanceId - instance ID of record
  * @param { string } deprecatedId - deprecated (previous) ID of record
  */
-function _logSubmission(id, instanceId, deprecatedId) {
+function _logSubmission(survey, instanceId, deprecatedId) {
+    const id = survey.enketoId;
+
     submissionModel
         .isNew(id, instanceId)
         .then((notRecorded) => {
             if (notRecorded) {
                 // increment number of submissions
                 surveyModel.incrementSubmissions(id);
+                statsModel.increment(
+                    id,
+                    deprecatedId ? 'edits' : 'submissions'
+                );
                 // store/log instanceId
                 submissionModel.add(id, instanceId, deprecatedId);
+                // no need to wait for webhook deliveries
+                webhooks
+                    .notifySubmission(survey, instanceId, deprecatedId)
+                    .catch((error) => {
+                        console.error(error);
+                    });
             }
         })
         .catch((error) => {
             console.error(error);
         });
 }
+
+/**
+ * @param { string } id - Enketo ID of survey
+ * @param {module:submission-model~LedgerEntry} entry - submission attempt details
+ */
+function _recordSubmission(id, entry) {
+    submissions.inc({ status: entry.status });
+    submissionModel.addLedgerEntry(id, entry).catch((error) => {
+        console.error(error);
+    });
+}
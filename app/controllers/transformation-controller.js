@@ -7,6 +7,7 @@ const communicator = require('../lib/communicator');
 const { ResponseError, TranslatedError } = require('../lib/custom-error');
 const surveyModel = require('../models/survey-model');
 const cacheModel = require('../models/cache-model');
+const statsModel = require('../models/stats-model');
 const account = require('../models/account-model');
 const user = require('../models/user-model');
 const config = require('../models/config-model').server;
@@ -76,9 +77,16 @@ async function getSurveyParts(req, res, next) {
         _respond(res, {
             ...survey,
             media,
+            mediaHashes: mediaLib.getMediaHashes(manifest),
         });
+
+        // Only loads of webforms for new records are counted.
+        if (!_isExistingRecordRequest(req)) {
+            statsModel.increment(enketoId, 'opens');
+        }
     } catch (error) {
-        if (error.status === 403) {
+        // Surveys that are not open or full fail before the form ID is known, with their own message.
+        if (error.status === 403 && formId != null) {
             const notFoundError = new TranslatedError(
                 'error.notfoundinformlist',
                 { formId }
@@ -230,6 +238,7 @@ function _respond(res, survey) {
     res.send({
         form: survey.form,
         media: survey.media,
+        mediaHashes: survey.mediaHashes,
         // previously this was JSON.stringified, not sure why
         model: survey.model,
         theme: survey.theme,
@@ -240,6 +249,7 @@ function _respond(res, survey) {
         // on the client.
         hash: _getCombinedHash(survey),
         languageMap: survey.languageMap,
+        imagePolicy: surveyModel.getImagePolicy(survey),
     });
 }
 
@@ -254,14 +264,22 @@ function _getCombinedHash(survey) {
             ? utils.md5(survey.account.branding.source)
             : '';
 
-    return [
+    const imagePolicy = surveyModel.getImagePolicy(survey);
+    const hashes = [
         String(survey.formHash),
         String(survey.mediaHash),
         String(survey.xslHash),
         String(survey.theme),
         String(brandingHash),
         String(FORCE_UPDATE),
-    ].join('-');
+    ];
+
+    // only added when present, to avoid refreshing all cached forms
+    if (imagePolicy) {
+        hashes.push(utils.md5(JSON.stringify(imagePolicy)));
+    }
+
+    return hashes.join('-');
 }
 
 /**
@@ -279,6 +297,14 @@ function _setCookieAndCredentials(survey, req) {
     return Promise.resolve(survey);
 }
 
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @return { boolean } whether the form is requested to view or edit an existing record
+ */
+function _isExistingRecordRequest(req) {
+    return !!req.params.encrypted_enketo_id_view || !!req.body.instance_id;
+}
+
 /**
  * @param {module:api-controller~ExpressRequest} req - HTTP request
  * @return { Promise<module:survey-model~SurveyObject> } a Promise resolving with survey object
@@ -290,8 +316,9 @@ function _getSurveyParams(req) {
     const customParam = customParamName ? req.query[customParamName] : null;
 
     if (req.enketoId) {
+        // Records can still be viewed and edited when the survey is not open or full.
         return surveyModel
-            .get(req.enketoId)
+            .get(req.enketoId, _isExistingRecordRequest(req))
             .then(account.check)
             .then(_checkQuota)
             .then((survey) => {
@@ -0,0 +1,309 @@
+/**
+ * @module browser-pool
+ */
+
+const debug = require('debug')('enketo:browser-pool');
+
+/**
+ * @typedef BrowserPoolOptions
+ * @property { () => Promise<object> } launch - launches a (Puppeteer) browser
+ * @property { number } [size] - maximum number of browsers
+ * @property { number } [maxQueue] - maximum number of waiting requests before new requests are refused
+ * @property { number } [queueTimeout] - milliseconds a request may wait for a browser before it is refused
+ * @property { number } [maxUses] - number of uses after which a browser is replaced, to limit memory leaks
+ * @property { number } [healthCheckInterval] - milliseconds between health checks, 0 to disable
+ */
+
+/**
+ * A browser with a single page that is reused for every render.
+ *
+ * @typedef BrowserSlot
+ * @property { object } browser
+ * @property { object } page
+ * @property { number } uses
+ * @property { boolean } busy
+ */
+
+/**
+ * @typedef BrowserPoolMetrics
+ * @property { number } size - maximum number of browsers
+ * @property { number } browsers - number of running browsers
+ * @property { number } busy - number of browsers in use
+ * @property { number } queued - number of waiting requests
+ * @property { number } rejected - number of requests refused because the queue was full or waiting took too long
+ * @property { number } launched - number of browsers launched
+ * @property { number } replaced - number of browsers replaced because they crashed, failed a health check or were used up
+ */
+
+/**
+ * Creates a pool of browsers. Each browser renders one page at a time. Requests that arrive when all browsers are
+ * busy are queued. When the queue is full, or when a request waited too long, it is refused with a 503 error.
+ *
+ * @static
+ * @param { BrowserPoolOptions } options - pool options
+ * @return {{acquire: Function, release: Function, checkHealth: Function, getMetrics: Function, close: Function}} pool
+ */
+function createPool({
+    launch,
+    size = 2,
+    maxQueue = 20,
+    queueTimeout = 60000,
+    maxUses = 100,
+    healthCheckInterval = 30000,
+}) {
+    /** @type { Array<BrowserSlot> } */
+    const slots = [];
+    /** @type { Array<{resolve: Function, reject: Function, timer: object}> } */
+    const queue = [];
+    const counters = {
+        rejected: 0,
+        launched: 0,
+        replaced: 0,
+    };
+    // number of browsers being launched
+    let launching = 0;
+    let closed = false;
+    let healthTimer;
+
+    if (healthCheckInterval) {
+        healthTimer = setInterval(() => {
+            checkHealth().catch((error) => {
+                console.error(error);
+            });
+        }, healthCheckInterval);
+        healthTimer.unref();
+    }
+
+    /**
+     * @return { Promise<BrowserSlot> } a Promise that resolves with a new (busy) slot
+     */
+    async function _launchSlot() {
+        launching += 1;
+
+        try {
+            const browser = await launch();
+            const page = await browser.newPage().catch(async (error) => {
+                await browser.close().catch(() => {
+                    // it may have crashed already
+                });
+                throw error;
+            });
+            const slot = { browser, page, uses: 0, busy: true };
+
+            browser.on('disconnected', () => {
+                // no-op if the pool closed it itself
+                _replace(slot);
+            });
+            slots.push(slot);
+            counters.launched += 1;
+            debug(`launched browser ${slots.length} of ${size}`);
+
+            return slot;
+        } finally {
+            launching -= 1;
+        }
+    }
+
+    /**
+     * @param { BrowserSlot } slot - slot to remove
+     * @return { boolean } whether the slot was part of the pool
+     */
+    function _remove(slot) {
+        const index = slots.indexOf(slot);
+
+        if (index === -1) {
+            return false;
+        }
+
+        slots.splice(index, 1);
+        slot.browser.close().catch(() => {
+            // it may have crashed already
+        });
+
+        return true;
+    }
+
+    /**
+     * @param { BrowserSlot } slot - slot to replace
+     */
+    function _replace(slot) {
+        if (_remove(slot)) {
+            counters.replaced += 1;
+            _next();
+        }
+    }
+
+    /**
+     * Hands over a free or new browser to the first waiting request.
+     */
+    function _next() {
+        if (!queue.length || closed) {
+            return;
+        }
+
+        const slot = slots.find((item) => !item.busy);
+
+        if (slot) {
+            const waiting = queue.shift();
+            clearTimeout(waiting.timer);
+            slot.busy = true;
+            waiting.resolve(slot);
+        } else if (slots.length + launching < size) {
+            const waiting = queue.shift();
+            clearTimeout(waiting.timer);
+            _launchSlot().then(waiting.resolve, (error) => {
+                waiting.reject(error);
+                _next();
+            });
+        }
+    }
+
+    /**
+     * @return { Error } error with 503 status
+     */
+    function _unavailableError() {
+        const error = new Error(
+            'PDF service is too busy. Please try again later.'
+        );
+        error.status = 503;
+
+        return error;
+    }
+
+    /**
+     * Obtains a browser with a page to render. It should be released after use.
+     *
+     * @return { Promise<BrowserSlot> } a Promise that resolves with a browser slot
+     */
+    function acquire() {
+        if (closed) {
+            return Promise.reject(_unavailableError());
+        }
+        if (queue.length >= maxQueue) {
+            counters.rejected += 1;
+
+            return Promise.reject(_unavailableError());
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiting = { resolve, reject };
+
+            waiting.timer = setTimeout(() => {
+                queue.splice(queue.indexOf(waiting), 1);
+                counters.rejected += 1;
+                reject(_unavailableError());
+            }, queueTimeout);
+            queue.push(waiting);
+            _next();
+        });
+    }
+
+    /**
+     * Returns a browser to the pool. A browser whose page failed gets a fresh page.
+     *
+     * @param { BrowserSlot } slot - slot obtained with `acquire()`
+     * @param { boolean } [failed] - whether rendering failed
+     * @return { Promise } a Promise that resolves when the browser is available again
+     */
+    async function release(slot, failed = false) {
+        slot.uses += 1;
+
+        if (closed || !slots.includes(slot)) {
+            _next();
+
+            return;
+        }
+
+        if (slot.uses >= maxUses) {
+            debug('replacing used up browser');
+            _replace(slot);
+
+            return;
+        }
+
+        if (failed) {
+            try {
+                await slot.page.close();
+                slot.page = await slot.browser.newPage();
+            } catch (error) {
+                _replace(slot);
+
+                return;
+            }
+        }
+
+        slot.busy = false;
+        _next();
+    }
+
+    /**
+     * Replaces idle browsers that crashed or no longer respond.
+     *
+     * @return { Promise } a Promise that resolves when all idle browsers were checked
+     */
+    function checkHealth() {
+        return Promise.all(
+            slots
+                .filter((slot) => !slot.busy)
+                .map((slot) => {
+                    if (!slot.browser.isConnected()) {
+                        return _replace(slot);
+                    }
+
+                    return Promise.race([
+                        slot.browser.version(),
+                        new Promise((resolve, reject) => {
+                            setTimeout(
+                                () => reject(new Error('timeout')),
+                                5000
+                            ).unref();
+                        }),
+                    ]).catch(() => {
+                        debug('replacing unresponsive browser');
+                        _replace(slot);
+                    });
+                })
+        );
+    }
+
+    /**
+     * @return { BrowserPoolMetrics } current state of the pool
+     */
+    function getMetrics() {
+        return {
+            size,
+            browsers: slots.length,
+            busy: slots.filter((slot) => slot.busy).length,
+            queued: queue.length,
+            ...counters,
+        };
+    }
+
+    /**
+     * Closes all browsers and refuses waiting and new requests.
+     *
+     * @return { Promise } a Promise that resolves when all browsers were closed
+     */
+    function close() {
+        closed = true;
+        clearInterval(healthTimer);
+        queue.splice(0).forEach((waiting) => {
+            clearTimeout(waiting.timer);
+            waiting.reject(_unavailableError());
+        });
+
+        return Promise.all(
+            slots.splice(0).map((slot) => slot.browser.close().catch(() => {}))
+        );
+    }
+
+    return {
+        acquire,
+        release,
+        checkHealth,
+        getMetrics,
+        close,
+    };
+}
+
+module.exports = { createPool };
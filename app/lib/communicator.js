@@ -8,12 +8,19 @@ const TError = require('./custom-error').TranslatedError;
 const config = require('../models/config-model').server;
 const debug = require('debug')('enketo:openrosa-communicator');
 const Xml2Js = require('xml2js');
+const metrics = require('./metrics');
 
 const parser = new Xml2Js.Parser();
 const { getCurrentRequest } = require('./context');
 
 const TIMEOUT = config.timeout;
 
+const requestDuration = metrics.histogram(
+    'enketo_openrosa_request_duration_seconds',
+    'Duration of requests to OpenRosa servers, by method and status.',
+    ['method', 'status']
+);
+
 /**
  * Gets form info
  *
@@ -340,7 +347,14 @@ function _request(options) {
 
         debug(`sending ${method} request to url: ${options.url}`);
 
+        const start = Date.now();
+
         request[method](options, (error, response, body) => {
+            requestDuration.observe(
+                { method, status: response ? response.statusCode : 'error' },
+                (Date.now() - start) / 1000
+            );
+
             if (error) {
                 debug(`Error occurred when requesting ${options.url}`, error);
                 reject(error);
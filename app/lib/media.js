@@ -163,6 +163,21 @@ const getMediaMap = async (resourceId, media, options) => {
     return result;
 };
 
+/**
+ * Maps the hash of each manifest item to the same (escaped) file name as the
+ * keys of {@link getMediaMap}, so clients can determine which media files
+ * have changed when a form is updated.
+ *
+ * @param {ManifestItem[]} [manifest]
+ * @return {Record<string, string>}
+ */
+const getMediaHashes = (manifest = []) =>
+    Object.fromEntries(
+        manifest
+            .filter(({ hash }) => hash != null && hash !== '')
+            .map(({ filename, hash }) => [escapeFileName(filename), hash])
+    );
+
 /**
  * @typedef {import('../models/survey-model').SurveyObject} Survey
  */
@@ -186,7 +201,11 @@ const getMediaMap = async (resourceId, media, options) => {
  */
 const getSurveyInfo = async (enketoId, options) => {
     const { auth: credentials, cookie } = options;
-    const { openRosaServer, openRosaId } = await surveyModel.get(enketoId);
+    // Media of closed or full surveys are still needed to view and edit records.
+    const { openRosaServer, openRosaId } = await surveyModel.get(
+        enketoId,
+        true
+    );
 
     return communicator.getXFormInfo({
         openRosaServer,
@@ -312,6 +331,7 @@ const getHostURL = async (options) => {
 
 module.exports = {
     getMediaMap,
+    getMediaHashes,
     getHostURLOptions,
     getHostURL,
 };
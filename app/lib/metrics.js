@@ -0,0 +1,389 @@
+/**
+ * @module metrics
+ *
+ * @description Counters, gauges and histograms in the Prometheus text format. Every worker process keeps its own
+ * values. When metrics are collected in a worker, the master process gathers the values of all workers.
+ */
+
+const cluster = require('cluster');
+// var debug = require( 'debug' )( 'enketo:metrics' );
+
+const MESSAGE = {
+    // worker -> master: collect the metrics of all workers
+    REQUEST: 'enketo:metrics:request',
+    // master -> workers: send your metrics
+    COLLECT: 'enketo:metrics:collect',
+    // worker -> master: metrics of one worker
+    SNAPSHOT: 'enketo:metrics:snapshot',
+    // master -> worker: metrics of all workers
+    RESPONSE: 'enketo:metrics:response',
+};
+// milliseconds the master waits for the metrics of all workers
+const COLLECT_TIMEOUT = 2000;
+
+/**
+ * Default histogram buckets, in seconds.
+ *
+ * @default
+ */
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * @typedef MetricSnapshot
+ * @property { 'counter' | 'gauge' | 'histogram' } type
+ * @property { string } help
+ * @property { Array<string> } labelNames
+ * @property { Array<number> } [buckets] - upper bounds of histogram buckets
+ * @property { object } values - counter and gauge values or histogram values ({counts, sum, count}), by JSON array of label values
+ */
+
+/** @type { Object<string, MetricSnapshot> } */
+const registry = {};
+/** @type { Map<string, Function> } */
+const pending = new Map();
+/** @type { Array<Function> } */
+const gaugeUpdates = [];
+let requestCount = 0;
+
+if (cluster.isWorker) {
+    process.on('message', (message) => {
+        if (!message) {
+            return;
+        }
+        if (message.type === MESSAGE.COLLECT) {
+            _updateGauges();
+            process.send({
+                type: MESSAGE.SNAPSHOT,
+                id: message.id,
+                snapshot: registry,
+            });
+        } else if (
+            message.type === MESSAGE.RESPONSE &&
+            pending.has(message.id)
+        ) {
+            pending.get(message.id)(message.snapshots);
+        }
+    });
+}
+
+/**
+ * Creates a counter.
+ *
+ * @static
+ * @param { string } name - metric name
+ * @param { string } help - description
+ * @param { Array<string> } [labelNames] - label names
+ * @return {{inc: (labels?: object, value?: number) => void}} counter
+ */
+function counter(name, help, labelNames = []) {
+    const metric = _register(name, { type: 'counter', help, labelNames });
+
+    return {
+        inc(labels = {}, value = 1) {
+            const key = _getKey(metric, labels);
+
+            metric.values[key] = (metric.values[key] || 0) + value;
+        },
+    };
+}
+
+/**
+ * Creates a gauge, whose values are set when the metrics are collected. The values of all worker processes
+ * are added up.
+ *
+ * @static
+ * @param { string } name - metric name
+ * @param { string } help - description
+ * @param { Array<string> } labelNames - label names
+ * @param {(set: (labels: object, value: number) => void) => void} update - sets the current values
+ */
+function gauge(name, help, labelNames, update) {
+    const metric = _register(name, { type: 'gauge', help, labelNames });
+
+    gaugeUpdates.push(() => {
+        metric.values = {};
+        update((labels, value) => {
+            metric.values[_getKey(metric, labels)] = value;
+        });
+    });
+}
+
+/**
+ * Creates a histogram.
+ *
+ * @static
+ * @param { string } name - metric name
+ * @param { string } help - description
+ * @param { Array<string> } [labelNames] - label names
+ * @param { Array<number> } [buckets] - upper bounds of the buckets, in ascending order
+ * @return {{observe: (labels: object, value: number) => void}} histogram
+ */
+function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const metric = _register(name, {
+        type: 'histogram',
+        help,
+        labelNames,
+        buckets,
+    });
+
+    return {
+        observe(labels, value) {
+            const key = _getKey(metric, labels);
+            const values = metric.values[key] || {
+                // the last bucket is +Inf
+                counts: new Array(buckets.length + 1).fill(0),
+                sum: 0,
+                count: 0,
+            };
+            const index = buckets.findIndex((bound) => value <= bound);
+
+            values.counts[index === -1 ? buckets.length : index] += 1;
+            values.sum += value;
+            values.count += 1;
+            metric.values[key] = values;
+        },
+    };
+}
+
+/**
+ * Obtains the metrics of all worker processes, or of the current process if it is not a cluster worker
+ * or if the master does not respond.
+ *
+ * @static
+ * @return { Promise<string> } a Promise that resolves with the metrics in the Prometheus text format
+ */
+function collect() {
+    _updateGauges();
+
+    if (!cluster.isWorker) {
+        return Promise.resolve(format(registry));
+    }
+
+    return new Promise((resolve) => {
+        requestCount += 1;
+
+        const id = `${process.pid}:${requestCount}`;
+        const timer = setTimeout(() => {
+            pending.delete(id);
+            resolve(format(registry));
+        }, COLLECT_TIMEOUT + 1000);
+
+        pending.set(id, (snapshots) => {
+            clearTimeout(timer);
+            pending.delete(id);
+            resolve(format(merge(snapshots)));
+        });
+        process.send({ type: MESSAGE.REQUEST, id });
+    });
+}
+
+/**
+ * Lets the master process gather the metrics of all workers when one of the workers asks for them.
+ *
+ * @static
+ */
+function setupMaster() {
+    cluster.on('message', (requester, message) => {
+        if (!message || message.type !== MESSAGE.REQUEST) {
+            return;
+        }
+
+        const workers = Object.values(cluster.workers);
+        const snapshots = [];
+        let timer;
+
+        const onSnapshot = (worker, reply) => {
+            if (
+                reply &&
+                reply.type === MESSAGE.SNAPSHOT &&
+                reply.id === message.id
+            ) {
+                snapshots.push(reply.snapshot);
+                if (snapshots.length === workers.length) {
+                    finish();
+                }
+            }
+        };
+
+        function finish() {
+            clearTimeout(timer);
+            cluster.removeListener('message', onSnapshot);
+            if (requester.isConnected()) {
+                requester.send({
+                    type: MESSAGE.RESPONSE,
+                    id: message.id,
+                    snapshots,
+                });
+            }
+        }
+
+        cluster.on('message', onSnapshot);
+        timer = setTimeout(finish, COLLECT_TIMEOUT);
+        workers.forEach((worker) => {
+            worker.send({ type: MESSAGE.COLLECT, id: message.id });
+        });
+    });
+}
+
+/**
+ * Adds up the metrics of several processes.
+ *
+ * @static
+ * @param { Array<Object<string, MetricSnapshot>> } snapshots - metrics of each process
+ * @return { Object<string, MetricSnapshot> } combined metrics
+ */
+function merge(snapshots) {
+    return snapshots.reduce((merged, snapshot) => {
+        Object.entries(snapshot).forEach(([name, metric]) => {
+            if (!merged[name]) {
+                merged[name] = { ...metric, values: {} };
+            }
+
+            const { values } = merged[name];
+
+            Object.entries(metric.values).forEach(([key, value]) => {
+                if (metric.type === 'histogram') {
+                    const total = values[key] || {
+                        counts: value.counts.map(() => 0),
+                        sum: 0,
+                        count: 0,
+                    };
+
+                    values[key] = {
+                        counts: total.counts.map(
+                            (count, index) => count + value.counts[index]
+                        ),
+                        sum: total.sum + value.sum,
+                        count: total.count + value.count,
+                    };
+                } else {
+                    values[key] = (values[key] || 0) + value;
+                }
+            });
+        });
+
+        return merged;
+    }, {});
+}
+
+/**
+ * @param { Object<string, MetricSnapshot> } metrics - metrics to format
+ * @return { string } metrics in the Prometheus text format
+ */
+function format(metrics) {
+    return Object.entries(metrics)
+        .map(([name, metric]) => {
+            const lines = [
+                `# HELP ${name} ${metric.help}`,
+                `# TYPE ${name} ${metric.type}`,
+            ];
+
+            Object.entries(metric.values).forEach(([key, value]) => {
+                const labels = _getLabels(metric, key);
+
+                if (metric.type === 'histogram') {
+                    let cumulative = 0;
+
+                    value.counts.forEach((count, index) => {
+                        const bound = metric.buckets[index];
+
+                        cumulative += count;
+                        lines.push(
+                            `${name}_bucket${_formatLabels([
+                                ...labels,
+                                ['le', bound === undefined ? '+Inf' : bound],
+                            ])} ${cumulative}`
+                        );
+                    });
+                    lines.push(
+                        `${name}_sum${_formatLabels(labels)} ${value.sum}`,
+                        `${name}_count${_formatLabels(labels)} ${value.count}`
+                    );
+                } else {
+                    lines.push(`${name}${_formatLabels(labels)} ${value}`);
+                }
+            });
+
+            return `${lines.join('\n')}\n`;
+        })
+        .join('');
+}
+
+/**
+ * @param { string } name - metric name
+ * @param { object } props - metric properties
+ * @return { MetricSnapshot } registered metric
+ */
+function _register(name, props) {
+    if (registry[name]) {
+        throw new Error(`Metric ${name} already exists.`);
+    }
+
+    registry[name] = { ...props, values: {} };
+
+    return registry[name];
+}
+
+function _updateGauges() {
+    gaugeUpdates.forEach((update) => {
+        try {
+            update();
+        } catch (error) {
+            console.error('Failed to update gauge', error);
+        }
+    });
+}
+
+/**
+ * @param { MetricSnapshot } metric - metric
+ * @param { object } labels - label values by name
+ * @return { string } key of the values of the labels
+ */
+function _getKey(metric, labels) {
+    return JSON.stringify(
+        metric.labelNames.map((name) =>
+            labels[name] == null ? '' : String(labels[name])
+        )
+    );
+}
+
+/**
+ * @param { MetricSnapshot } metric - metric
+ * @param { string } key - key of the values of the labels
+ * @return { Array<Array<string>> } label names and values
+ */
+function _getLabels(metric, key) {
+    const values = JSON.parse(key);
+
+    return metric.labelNames.map((name, index) => [name, values[index]]);
+}
+
+/**
+ * @param { Array<Array<string>> } labels - label names and values
+ * @return { string } formatted labels
+ */
+function _formatLabels(labels) {
+    if (!labels.length) {
+        return '';
+    }
+
+    const formatted = labels.map(
+        ([name, value]) =>
+            `${name}="${String(value)
+                .replace(/\\/g, '\\\\')
+                .replace(/\n/g, '\\n')
+                .replace(/"/g, '\\"')}"`
+    );
+
+    return `{${formatted.join(',')}}`;
+}
+
+module.exports = {
+    DEFAULT_BUCKETS,
+    counter,
+    gauge,
+    histogram,
+    collect,
+    setupMaster,
+    merge,
+};
@@ -6,13 +6,55 @@ const config = require('../models/config-model').server;
 const { timeout } = config.headless;
 const puppeteer = require('puppeteer');
 const { URL } = require('url');
+const browserPool = require('./browser-pool');
+const metrics = require('./metrics');
+
+let pool;
+const renderDuration = metrics.histogram(
+    'enketo_pdf_render_duration_seconds',
+    'Duration of successful PDF renders.',
+    [],
+    [0.5, 1, 2.5, 5, 10, 20, 30, 60]
+);
+
+// The pool is not created just to report that it is empty.
+metrics.gauge(
+    'enketo_pdf_browsers',
+    'Number of browsers for rendering PDFs, by state.',
+    ['state'],
+    (set) => {
+        const { browsers, busy } = pool
+            ? pool.getMetrics()
+            : { browsers: 0, busy: 0 };
+
+        set({ state: 'busy' }, busy);
+        set({ state: 'idle' }, browsers - busy);
+    }
+);
+metrics.gauge(
+    'enketo_pdf_queue_depth',
+    'Number of PDF requests waiting for a browser.',
+    [],
+    (set) => {
+        set({}, pool ? pool.getMetrics().queued : 0);
+    }
+);
 
 /**
  * @typedef PdfGetOptions
  * @property { string } [format]
  * @property { string } [margin]
+ * @property { string } [marginTop] - overrides `margin` for the top of the page
+ * @property { string } [marginRight] - overrides `margin` for the right of the page
+ * @property { string } [marginBottom] - overrides `margin` for the bottom of the page
+ * @property { string } [marginLeft] - overrides `margin` for the left of the page
  * @property { string } [landscape]
  * @property { string } [scale]
+ * @property { string } [headerTemplate] - HTML printed at the top of every page, see {@link module:pdf~TEMPLATE_PLACEHOLDERS|placeholders}
+ * @property { string } [footerTemplate] - HTML printed at the bottom of every page, see {@link module:pdf~TEMPLATE_PLACEHOLDERS|placeholders}
+ * @property { string } [watermark] - text printed diagonally across every page
+ * @property { string } [formId] - value of the `{{form_id}}` placeholder
+ * @property { string } [instanceId] - value of the `{{instance_id}}` placeholder
  */
 
 /**
@@ -27,6 +69,19 @@ const DEFAULTS = {
     SCALE: 1,
 };
 
+/**
+ * Placeholders that can be used in header and footer templates. Page numbers are filled in by the browser.
+ *
+ * @default
+ */
+const TEMPLATE_PLACEHOLDERS = {
+    '{{page}}': () => '<span class="pageNumber"></span>',
+    '{{pages}}': () => '<span class="totalPages"></span>',
+    '{{print_date}}': () => new Date().toISOString().split('T')[0],
+    '{{form_id}}': (options) => _escapeHtml(options.formId || ''),
+    '{{instance_id}}': (options) => _escapeHtml(options.instanceId || ''),
+};
+
 /**
  * Asynchronously gets pdf from url using Puppeteer.
  *
@@ -45,14 +100,25 @@ async function get(url, options = {}) {
     options.landscape = options.landscape || DEFAULTS.LANDSCAPE;
     options.scale = options.scale || DEFAULTS.SCALE;
 
+    const margin = {
+        top: options.marginTop || options.margin,
+        right: options.marginRight || options.margin,
+        bottom: options.marginBottom || options.margin,
+        left: options.marginLeft || options.margin,
+    };
+    const displayHeaderFooter = !!(
+        options.headerTemplate || options.footerTemplate
+    );
+
     const urlObj = new URL(url);
     urlObj.searchParams.append('format', options.format);
     urlObj.searchParams.append('margin', options.margin);
     urlObj.searchParams.append('landscape', options.landscape);
     urlObj.searchParams.append('scale', options.scale);
 
-    const browser = await puppeteer.launch({ headless: true });
-    const page = await browser.newPage();
+    const slot = await _getPool().acquire();
+    const { page } = slot;
+    const start = Date.now();
 
     let pdf;
 
@@ -92,29 +158,126 @@ async function get(url, options = {}) {
             document.querySelectorAll('canvas').forEach(canvasToImage);
         });
 
+        if (options.watermark) {
+            await page.evaluate((text) => {
+                /* eslint-env browser */
+                const watermark = document.createElement('div');
+
+                watermark.textContent = text;
+                // a fixed element is printed on every page
+                Object.assign(watermark.style, {
+                    position: 'fixed',
+                    top: '50%',
+                    left: '50%',
+                    transform: 'translate(-50%, -50%) rotate(-45deg)',
+                    fontSize: '96px',
+                    fontWeight: 'bold',
+                    color: 'rgba(0, 0, 0, 0.12)',
+                    whiteSpace: 'nowrap',
+                    pointerEvents: 'none',
+                    zIndex: '10000',
+                });
+                document.body.appendChild(watermark);
+            }, options.watermark);
+        }
+
         pdf = await page.pdf({
             landscape: options.landscape,
             format: options.format,
-            margin: {
-                top: options.margin,
-                left: options.margin,
-                right: options.margin,
-                bottom: options.margin,
-            },
+            margin,
             scale: options.scale,
+            displayHeaderFooter,
+            // an empty template is needed to hide the browser's default header or footer
+            headerTemplate: _getTemplate(
+                options.headerTemplate,
+                margin,
+                options
+            ),
+            footerTemplate: _getTemplate(
+                options.footerTemplate,
+                margin,
+                options
+            ),
             printBackground: true,
             timeout,
         });
     } catch (e) {
         e.status = e.status || 400;
-        await page.close();
+        await _getPool().release(slot, true);
         throw e;
     }
 
-    await page.close();
-    await browser.close();
+    await _getPool().release(slot);
+    _recordRenderTime(Date.now() - start);
 
     return pdf;
 }
 
+/**
+ * @param { string } [template] - header or footer template
+ * @param {{left: string, right: string}} margin - page margins
+ * @param { PdfGetOptions } options - PDF options
+ * @return { string } HTML to print
+ */
+function _getTemplate(template, margin, options) {
+    if (!template) {
+        return '<span></span>';
+    }
+
+    const html = Object.entries(TEMPLATE_PLACEHOLDERS).reduce(
+        (result, [placeholder, getValue]) =>
+            result.split(placeholder).join(getValue(options)),
+        template
+    );
+
+    // The template does not inherit any styles, and its default font size is tiny.
+    return `<div style="font-size: 10px; width: 100%; box-sizing: border-box; padding: 0 ${margin.right} 0 ${margin.left};">${html}</div>`;
+}
+
+/**
+ * @param { string } str - text
+ * @return { string } text that is safe to include in HTML
+ */
+function _escapeHtml(str) {
+    return str
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * The pool is created when it is first needed, so processes that never render a PDF, never launch a browser.
+ *
+ * @return { object } browser pool
+ */
+function _getPool() {
+    if (!pool) {
+        const {
+            'pool size': size,
+            'max queue': maxQueue,
+            'max renders per browser': maxUses,
+            'health check interval': healthCheckInterval,
+        } = config.headless;
+
+        pool = browserPool.createPool({
+            launch: () => puppeteer.launch({ headless: true }),
+            size,
+            maxQueue,
+            queueTimeout: timeout,
+            maxUses,
+            healthCheckInterval,
+        });
+    }
+
+    return pool;
+}
+
+/**
+ * @param { number } ms - milliseconds it took to render a PDF
+ */
+function _recordRenderTime(ms) {
+    renderDuration.observe({}, ms / 1000);
+}
+
 module.exports = { get };
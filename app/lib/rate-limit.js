@@ -0,0 +1,128 @@
+/**
+ * @module rate-limit
+ */
+
+const crypto = require('crypto');
+const auth = require('basic-auth');
+const { cacheClient } = require('./db');
+const config = require('../models/config-model').server;
+// var debug = require( 'debug' )( 'enketo:rate-limit' );
+
+const keyPrefix = 'rl:';
+
+/**
+ * Creates middleware that limits the number of requests per client to a group of routes in a fixed time window.
+ * Clients are identified by their IP address. API keys that have their own limits are counted
+ * separately as well, but they do not lift the limit of the IP address. Counters are stored in
+ * Redis, so the limits apply to all processes together.
+ *
+ * @static
+ * @param { 'api' | 'transform' | 'submission' | 'media' } group - route group
+ * @return { Function } Express middleware
+ */
+function rateLimit(group) {
+    return (req, res, next) => {
+        const settings = config['rate limit'];
+
+        if (!settings.enabled) {
+            next();
+
+            return;
+        }
+
+        const buckets = _getBuckets(req, group, settings);
+
+        if (buckets.length === 0) {
+            next();
+
+            return;
+        }
+
+        const { window } = settings;
+        const now = Date.now() / 1000;
+        const windowStart = Math.floor(now / window) * window;
+        const reset = Math.ceil(windowStart + window - now);
+        const multi = cacheClient.multi();
+
+        buckets.forEach(({ id }) => {
+            const key = `${keyPrefix}${group}:${id}:${windowStart}`;
+
+            multi.incr(key).expire(key, window);
+        });
+
+        multi.exec((error, replies) => {
+            if (error) {
+                // Better to serve requests than to fail them all when Redis has a problem.
+                console.error(error);
+                next();
+
+                return;
+            }
+
+            // the headers describe the bucket with the fewest remaining requests
+            const { limit, remaining } = buckets
+                .map((bucket, index) => ({
+                    limit: bucket.limit,
+                    remaining: bucket.limit - replies[index * 2],
+                }))
+                .reduce((a, b) => (b.remaining < a.remaining ? b : a));
+
+            res.set({
+                'RateLimit-Limit': limit,
+                'RateLimit-Remaining': Math.max(remaining, 0),
+                'RateLimit-Reset': reset,
+            });
+
+            if (remaining < 0) {
+                const error = new Error(
+                    'Too Many Requests. Please try again later.'
+                );
+                error.status = 429;
+                res.set({
+                    'Retry-After': reset,
+                    'Content-Type': 'application/json',
+                });
+                next(error);
+            } else {
+                next();
+            }
+        });
+    };
+}
+
+/**
+ * Obtains the counters that apply to a request. The IP address is always counted. The API key
+ * is not authenticated yet, so it is only counted separately if it has its own limits. Otherwise
+ * a client could avoid the limit by sending a different key with every request.
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param { string } group - route group
+ * @param { object } settings - rate limit configuration
+ * @return {Array<{id: string, limit: number}>} identifiers of the counters and their limits
+ */
+function _getBuckets(req, group, settings) {
+    const creds = group === 'api' ? auth(req) : null;
+    const apiKey = creds && creds.name;
+    const keyLimits = apiKey && settings['api key limits'][apiKey];
+    const ipLimits = settings['ip limits'][req.ip];
+    const buckets = [
+        {
+            id: `ip:${req.ip}`,
+            limit:
+                ipLimits && typeof ipLimits[group] !== 'undefined'
+                    ? ipLimits[group]
+                    : settings.limits[group],
+        },
+    ];
+
+    if (keyLimits && typeof keyLimits[group] !== 'undefined') {
+        // the key itself is not stored
+        const hash = crypto.createHash('sha256').update(apiKey).digest('hex');
+
+        buckets.push({ id: `key:${hash}`, limit: keyLimits[group] });
+    }
+
+    return buckets.filter(({ limit }) => limit > 0);
+}
+
+module.exports = { rateLimit };
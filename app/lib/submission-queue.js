@@ -0,0 +1,184 @@
+/**
+ * @module submission-queue
+ */
+
+const request = require('request');
+const communicator = require('./communicator');
+const surveyModel = require('../models/survey-model');
+const submissionModel = require('../models/submission-model');
+const queueModel = require('../models/submission-queue-model');
+const config = require('../models/config-model').server;
+const debug = require('debug')('enketo:submission-queue');
+
+/**
+ * @typedef {import('../models/submission-queue-model').QueuedSubmission} QueuedSubmission
+ */
+
+/**
+ * @callback DeliveredCallback
+ * @param {module:survey-model~SurveyObject} survey - survey object
+ * @param { string } instanceId - instance ID of record
+ * @param { string | null } deprecatedId - deprecated (previous) ID of record
+ */
+
+let timer;
+
+/**
+ * Starts replaying queued submissions periodically in this process. Each process
+ * may run this, as a job can only be claimed by one of them.
+ *
+ * @static
+ * @param { DeliveredCallback } onDelivered - called after a queued submission was delivered
+ */
+function start(onDelivered) {
+    if (timer) {
+        return;
+    }
+
+    timer = setInterval(() => {
+        processDue(onDelivered).catch((error) => {
+            console.error(error);
+        });
+    }, config['submission queue']['poll interval']);
+    timer.unref();
+}
+
+/**
+ * Stops replaying queued submissions in this process.
+ *
+ * @static
+ */
+function stop() {
+    clearInterval(timer);
+    timer = null;
+}
+
+/**
+ * Replays all submissions that are due for another attempt.
+ *
+ * @static
+ * @param { DeliveredCallback } onDelivered - called after a queued submission was delivered
+ * @return { Promise<Array<QueuedSubmission|null>> } a Promise that resolves with the processed jobs (`null` if delivered)
+ */
+async function processDue(onDelivered) {
+    // a claimed job becomes due again if this process dies while replaying it
+    const ids = await queueModel.claimDue(config.timeout * 2);
+
+    return ids.reduce(
+        (prevPromise, id) =>
+            prevPromise.then(async (results) => {
+                results.push(await _replay(id, onDelivered));
+
+                return results;
+            }),
+        Promise.resolve([])
+    );
+}
+
+/**
+ * @param { string } id - job ID
+ * @param { DeliveredCallback } onDelivered - called after the submission was delivered
+ * @return { Promise<QueuedSubmission|null> } a Promise that resolves with the updated job, or `null` if it was delivered
+ */
+async function _replay(id, onDelivered) {
+    const item = await queueModel.get(id);
+
+    if (!item) {
+        return null;
+    }
+
+    const { job, body } = item;
+    let survey;
+
+    try {
+        // submissions queued before the survey closed or filled up are still delivered
+        survey = await surveyModel.get(job.enketoId, true);
+    } catch (error) {
+        // e.g. the survey was deactivated in the meantime
+        return queueModel.fail(job, error.message, true);
+    }
+
+    let status;
+
+    try {
+        status = await _post(survey, job, body);
+    } catch (error) {
+        debug(`replay of ${job.instanceId} failed`, error.message);
+
+        return queueModel.fail(job, error.message);
+    }
+
+    submissionModel
+        .addLedgerEntry(job.enketoId, {
+            instanceId: job.instanceId,
+            deprecatedId: job.deprecatedId,
+            status,
+            size: body.length,
+        })
+        .catch((error) => {
+            console.error(error);
+        });
+
+    if (status === 201) {
+        debug(`replayed ${job.instanceId} successfully`);
+        await queueModel.remove(job);
+        onDelivered(survey, job.instanceId, job.deprecatedId);
+
+        return null;
+    }
+
+    const message = `OpenRosa server responded with status ${status}`;
+
+    // only server errors are worth retrying
+    return queueModel.fail(job, message, status < 500);
+}
+
+/**
+ * @param {module:survey-model~SurveyObject} survey - survey object
+ * @param { QueuedSubmission } job - queued submission
+ * @param { Buffer } body - raw request body
+ * @return { Promise<number> } a Promise that resolves with the status code of the OpenRosa server's response
+ */
+async function _post(survey, job, body) {
+    const submissionUrl =
+        communicator.getSubmissionUrl(survey.openRosaServer) + job.query;
+    const { credentials, cookie } = queueModel.getSecrets(job);
+    const authHeader = await communicator.getAuthHeader(
+        submissionUrl,
+        credentials
+    );
+    const { 'user-agent': userAgent, ...headers } = job.headers;
+
+    if (authHeader) {
+        headers.Authorization = authHeader;
+    }
+    if (cookie) {
+        headers.cookie = cookie;
+    }
+
+    const options = {
+        method: 'POST',
+        url: submissionUrl,
+        headers: communicator.getUpdatedRequestHeaders(headers, {
+            headers: { 'user-agent': userAgent },
+        }),
+        body,
+        timeout: config.timeout,
+    };
+
+    return new Promise((resolve, reject) => {
+        request(options, (error, response) => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve(response.statusCode);
+            }
+        });
+    });
+}
+
+module.exports = {
+    start,
+    stop,
+    processDue,
+};
@@ -0,0 +1,271 @@
+/**
+ * @module webhooks
+ */
+
+const crypto = require('crypto');
+const request = require('request');
+const {
+    RequestFilteringHttpAgent,
+    RequestFilteringHttpsAgent,
+} = require('request-filtering-agent');
+const account = require('../models/account-model');
+const webhookModel = require('../models/webhook-model');
+const config = require('../models/config-model').server;
+const utils = require('./utils');
+const debug = require('debug')('enketo:webhooks');
+
+/**
+ * @typedef {import('../models/webhook-model').WebhookSubscription} WebhookSubscription
+ */
+
+/**
+ * @typedef SubmissionEvent
+ * @property { 'submission' } event
+ * @property { string } enketoId
+ * @property { string } instanceId
+ * @property { string | null } deprecatedId
+ * @property { string } timestamp
+ */
+
+let timer;
+
+/**
+ * Sends a submission event to every webhook subscribed by the account the survey belongs to.
+ * Failed deliveries are stored and retried with exponential backoff (see `start`), and end up in
+ * the account's dead-letter list once the maximum number of attempts is reached.
+ *
+ * @static
+ * @param {module:survey-model~SurveyObject} survey - survey object
+ * @param { string } instanceId - instance ID of record
+ * @param { string } [deprecatedId] - deprecated (previous) ID of record
+ * @return { Promise<void> } a Promise that resolves once the first attempts have been made
+ */
+async function notifySubmission(survey, instanceId, deprecatedId) {
+    const surveyAccount = await account.get(survey);
+    const subscriptions = await webhookModel.list(surveyAccount);
+    const event = {
+        event: 'submission',
+        enketoId: survey.enketoId,
+        instanceId,
+        deprecatedId: deprecatedId || null,
+        timestamp: new Date().toISOString(),
+    };
+
+    await Promise.all(
+        subscriptions.map((subscription) =>
+            _deliver(surveyAccount, subscription, event)
+        )
+    );
+}
+
+/**
+ * Starts retrying failed deliveries periodically in this process. Each process may run this,
+ * as a retry can only be claimed by one of them.
+ *
+ * @static
+ */
+function start() {
+    if (timer) {
+        return;
+    }
+
+    timer = setInterval(() => {
+        processDue().catch((error) => {
+            console.error(error);
+        });
+    }, config.webhooks['poll interval']);
+    timer.unref();
+}
+
+/**
+ * Stops retrying failed deliveries in this process.
+ *
+ * @static
+ */
+function stop() {
+    clearInterval(timer);
+    timer = null;
+}
+
+/**
+ * Retries all failed deliveries that are due for another attempt.
+ *
+ * @static
+ * @return { Promise } a Promise that resolves when the attempts have been made
+ */
+async function processDue() {
+    // a claimed retry becomes due again if this process dies while attempting it
+    const ids = await webhookModel.claimDueRetries(config.webhooks.timeout * 2);
+
+    return ids.reduce(
+        (prevPromise, id) => prevPromise.then(() => _retry(id)),
+        Promise.resolve()
+    );
+}
+
+/**
+ * Creates the value of the signature header that is sent with each event. Receivers can verify it by
+ * calculating the HMAC-SHA256 of the raw request body with the secret of their subscription.
+ *
+ * @static
+ * @param { string } body - serialized event
+ * @param { string } secret - subscription secret
+ * @return { string } signature
+ */
+function sign(body, secret) {
+    const hmac = crypto.createHmac('sha256', secret);
+    hmac.update(body);
+
+    return `sha256=${hmac.digest('hex')}`;
+}
+
+/**
+ * @param { string } id - retry ID
+ * @return { Promise<void> } a Promise that resolves after the attempt
+ */
+async function _retry(id) {
+    const retry = await webhookModel.getRetry(id);
+
+    if (!retry) {
+        await webhookModel.removeRetry(id);
+
+        return;
+    }
+
+    const surveyAccount = { linkedServer: retry.linkedServer };
+    const subscriptions = await webhookModel.list(surveyAccount);
+    const subscription = subscriptions.find(
+        ({ id: subscriptionId }) => subscriptionId === retry.subscriptionId
+    );
+
+    // the account unsubscribed in the meantime
+    if (!subscription) {
+        await webhookModel.removeRetry(id);
+
+        return;
+    }
+
+    await _deliver(
+        surveyAccount,
+        subscription,
+        retry.event,
+        retry.attempts + 1,
+        id
+    );
+}
+
+/**
+ * @param {module:account-model~AccountObj} surveyAccount - account object
+ * @param { WebhookSubscription } subscription - webhook subscription
+ * @param { SubmissionEvent } event - event to send
+ * @param { number } [attempt] - attempt number
+ * @param { string } [retryId] - ID of the stored retry, if this is not the first attempt
+ * @return { Promise<void> } a Promise that resolves after this attempt
+ */
+async function _deliver(
+    surveyAccount,
+    subscription,
+    event,
+    attempt = 1,
+    retryId = null
+) {
+    const { 'max attempts': maxAttempts, 'retry interval': retryInterval } =
+        config.webhooks;
+
+    try {
+        await _post(subscription, event);
+        debug(`delivered ${event.event} event to ${subscription.url}`);
+    } catch (error) {
+        debug(
+            `attempt ${attempt} to deliver event to ${subscription.url} failed`,
+            error.message
+        );
+
+        if (attempt < maxAttempts) {
+            await webhookModel
+                .scheduleRetry(
+                    {
+                        id: retryId || utils.randomString(16),
+                        linkedServer: surveyAccount.linkedServer,
+                        subscriptionId: subscription.id,
+                        event,
+                        attempts: attempt,
+                    },
+                    Date.now() + retryInterval * 2 ** (attempt - 1)
+                )
+                .catch((error) => {
+                    console.error(error);
+                });
+
+            return;
+        }
+
+        await webhookModel
+            .addDeadLetter(surveyAccount, {
+                subscriptionId: subscription.id,
+                url: subscription.url,
+                event,
+                attempts: attempt,
+                error: error.message,
+                failed: new Date().toISOString(),
+            })
+            .catch((error) => {
+                console.error(error);
+            });
+    }
+
+    if (retryId) {
+        await webhookModel.removeRetry(retryId);
+    }
+}
+
+/**
+ * @param { WebhookSubscription } subscription - webhook subscription
+ * @param { SubmissionEvent } event - event to send
+ * @return { Promise<void> } a Promise that rejects if the receiver did not respond with a 2xx status
+ */
+function _post(subscription, event) {
+    const body = JSON.stringify(event);
+    const options = {
+        url: subscription.url,
+        body,
+        headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': `Enketo/${config.version}`,
+            'X-Enketo-Event': event.event,
+            'X-Enketo-Signature': sign(body, subscription.secret),
+        },
+        timeout: config.webhooks.timeout,
+        // filtering agent to stop requests to private IP addresses
+        agent: subscription.url.startsWith('https')
+            ? new RequestFilteringHttpsAgent(config['ip filtering'])
+            : new RequestFilteringHttpAgent(config['ip filtering']),
+    };
+
+    return new Promise((resolve, reject) => {
+        request.post(options, (error, response) => {
+            if (error) {
+                reject(error);
+            } else if (
+                response.statusCode < 200 ||
+                response.statusCode >= 300
+            ) {
+                const error = new Error(
+                    `Webhook responded with status ${response.statusCode}`
+                );
+                error.status = response.statusCode;
+                reject(error);
+            } else {
+                resolve();
+            }
+        });
+    });
+}
+
+module.exports = {
+    notifySubmission,
+    sign,
+    start,
+    stop,
+    processDue,
+};
@@ -0,0 +1,247 @@
+/**
+ * @module api-key-model
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { mainClient } = require('../lib/db');
+const utils = require('../lib/utils');
+// var debug = require( 'debug' )( 'enketo:api-key-model' );
+
+const keyPrefix = 'ak:';
+// minimum time in milliseconds between two updates of the last-used timestamp of a key
+const LAST_USED_RESOLUTION = 60 * 1000;
+
+/**
+ * Scopes that can be granted to an API key. The account's master key has all scopes.
+ *
+ * @default
+ */
+const SCOPES = [
+    'survey:read',
+    'survey:write',
+    'instance:write',
+    'pdf',
+    'cache:flush',
+];
+
+const hset = promisify(mainClient.hset).bind(mainClient);
+const hget = promisify(mainClient.hget).bind(mainClient);
+const hgetall = promisify(mainClient.hgetall).bind(mainClient);
+const hdel = promisify(mainClient.hdel).bind(mainClient);
+
+/**
+ * @typedef {import('./account-model').AccountObj} AccountObj
+ */
+
+/**
+ * @typedef ApiKey
+ * @property { string } id
+ * @property { string } name
+ * @property { Array<string> } scopes
+ * @property { string | null } expires
+ * @property { string } created
+ * @property { string | null } lastUsed
+ */
+
+/**
+ * Creates a named API key for an account. The key itself is only returned here, as only its hash is stored.
+ *
+ * @static
+ * @param { AccountObj } account - account object
+ * @param {{name: string, scopes: Array<string>, expires?: string}} props - key properties
+ * @return { Promise<{apiKey: ApiKey, key: string}> } a Promise that resolves with the stored key properties and the key
+ */
+async function create(account, { name, scopes, expires }) {
+    _validate({ name, scopes, expires });
+
+    const apiKey = {
+        id: utils.randomString(8),
+        name,
+        scopes: [...new Set(scopes)],
+        expires: expires ? new Date(expires).toISOString() : null,
+        created: new Date().toISOString(),
+        lastUsed: null,
+    };
+    const key = utils.randomString(32);
+
+    await hset(_getKey(account), _hash(key), JSON.stringify(apiKey));
+
+    return { apiKey, key };
+}
+
+/**
+ * Replaces the key of an existing API key. The old key stops working immediately.
+ *
+ * @static
+ * @param { AccountObj } account - account object
+ * @param { string } id - API key ID
+ * @return { Promise<{apiKey: ApiKey, key: string}|null> } a Promise that resolves with the key properties and the new key, or `null` if it was not found
+ */
+async function rotate(account, id) {
+    const found = await _find(account, id);
+
+    if (!found) {
+        return null;
+    }
+
+    const key = utils.randomString(32);
+
+    await new Promise((resolve, reject) => {
+        mainClient
+            .multi()
+            .hdel(_getKey(account), found.hash)
+            .hset(_getKey(account), _hash(key), JSON.stringify(found.apiKey))
+            .exec((error) => (error ? reject(error) : resolve()));
+    });
+
+    return { apiKey: found.apiKey, key };
+}
+
+/**
+ * Obtains all API keys of an account, without the keys themselves.
+ *
+ * @static
+ * @param { AccountObj } account - account object
+ * @return { Promise<Array<ApiKey>> } a Promise that resolves with a list of API keys
+ */
+async function list(account) {
+    const obj = await hgetall(_getKey(account));
+
+    return Object.values(obj || {})
+        .map((json) => JSON.parse(json))
+        .sort((a, b) => new Date(a.created) - new Date(b.created));
+}
+
+/**
+ * Revokes an API key.
+ *
+ * @static
+ * @param { AccountObj } account - account object
+ * @param { string } id - API key ID
+ * @return { Promise<string|null> } a Promise that resolves with the revoked ID, or `null` if it was not found
+ */
+async function revoke(account, id) {
+    const found = await _find(account, id);
+
+    if (!found) {
+        return null;
+    }
+
+    await hdel(_getKey(account), found.hash);
+
+    return id;
+}
+
+/**
+ * Obtains the API key that matches a key, if it has not expired, and records its use.
+ *
+ * @static
+ * @param { AccountObj } account - account object
+ * @param { string } key - key provided by the client
+ * @return { Promise<ApiKey|null> } a Promise that resolves with the API key, or `null` if it does not exist or has expired
+ */
+async function verify(account, key) {
+    if (!key) {
+        return null;
+    }
+
+    const hash = _hash(key);
+    const json = await hget(_getKey(account), hash);
+
+    if (!json) {
+        return null;
+    }
+
+    const apiKey = JSON.parse(json);
+    const now = Date.now();
+
+    if (apiKey.expires && new Date(apiKey.expires).getTime() <= now) {
+        return null;
+    }
+
+    if (
+        !apiKey.lastUsed ||
+        now - new Date(apiKey.lastUsed).getTime() > LAST_USED_RESOLUTION
+    ) {
+        apiKey.lastUsed = new Date(now).toISOString();
+        // no need to wait
+        hset(_getKey(account), hash, JSON.stringify(apiKey)).catch((error) => {
+            console.error(error);
+        });
+    }
+
+    return apiKey;
+}
+
+/**
+ * @param { AccountObj } account - account object
+ * @param { string } id - API key ID
+ * @return { Promise<{hash: string, apiKey: ApiKey}|null> } a Promise that resolves with the stored API key and the hash of its key
+ */
+async function _find(account, id) {
+    if (!id) {
+        const error = new Error('Bad Request. API key ID missing.');
+        error.status = 400;
+        throw error;
+    }
+
+    const obj = (await hgetall(_getKey(account))) || {};
+    const hash = Object.keys(obj).find(
+        (field) => JSON.parse(obj[field]).id === id
+    );
+
+    return hash ? { hash, apiKey: JSON.parse(obj[hash]) } : null;
+}
+
+/**
+ * @param {{name: string, scopes: Array<string>, expires?: string}} props - key properties
+ */
+function _validate({ name, scopes, expires }) {
+    let message;
+
+    if (!name || typeof name !== 'string' || name.length > 100) {
+        message = 'Bad Request. API key name is not valid.';
+    } else if (
+        !Array.isArray(scopes) ||
+        scopes.length === 0 ||
+        scopes.some((scope) => !SCOPES.includes(scope))
+    ) {
+        message = `Bad Request. API key scopes are not valid. Valid scopes are: ${SCOPES.join(
+            ', '
+        )}.`;
+    } else if (expires && !(new Date(expires).getTime() > Date.now())) {
+        message = 'Bad Request. API key expiry is not a valid future date.';
+    }
+
+    if (message) {
+        const error = new Error(message);
+        error.status = 400;
+        throw error;
+    }
+}
+
+/**
+ * @param { string } key - API key
+ * @return { string } hash of the key
+ */
+function _hash(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * @param { AccountObj } account - account object
+ * @return { string } database key
+ */
+function _getKey(account) {
+    return `${keyPrefix}${account.linkedServer}`;
+}
+
+module.exports = {
+    SCOPES,
+    create,
+    rotate,
+    list,
+    revoke,
+    verify,
+};
@@ -6,6 +6,7 @@ const transformer = require('enketo-transformer');
 const { promisify } = require('util');
 const { cacheClient } = require('../lib/db');
 const utils = require('../lib/utils');
+const metrics = require('../lib/metrics');
 
 const prefix = 'ca:';
 const expiry = 30 * 24 * 60 * 60;
@@ -15,6 +16,12 @@ const clientGet = promisify(cacheClient.get).bind(cacheClient);
 const clientSet = promisify(cacheClient.set).bind(cacheClient);
 const expire = promisify(cacheClient.expire).bind(cacheClient);
 
+const cacheChecks = metrics.counter(
+    'enketo_transformation_cache_checks_total',
+    'Checks of the transformation cache, by result (hit or miss).',
+    ['result']
+);
+
 /**
  * Gets an item from the cache.
  *
@@ -137,6 +144,7 @@ function isCacheUpToDate(survey) {
                     reject(error);
                 } else if (!cacheObj) {
                     debug('cache is missing');
+                    cacheChecks.inc({ result: 'miss' });
                     resolve(null);
                 } else {
                     // Adding the hashes to the referenced survey object can be efficient, since this object
@@ -152,9 +160,11 @@ function isCacheUpToDate(survey) {
                         cacheObj.mediaUrlHash
                     ) {
                         debug('cache is obsolete');
+                        cacheChecks.inc({ result: 'miss' });
                         resolve(false);
                     } else {
                         debug('cache is up to date');
+                        cacheChecks.inc({ result: 'hit' });
                         resolve(true);
                     }
                 }
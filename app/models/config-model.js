@@ -368,6 +368,20 @@ module.exports = {
         validatePage: config['validate page'],
         swipePage: config['swipe page'],
         textMaxChars: config['text field character limit'],
+        uploadChunkSize: config['chunked uploads'].enabled
+            ? config['chunked uploads']['chunk size']
+            : 0,
+        imagePolicy: {
+            enabled: config['image policy'].enabled,
+            maxDimension: config['image policy']['max dimension'],
+            quality: config['image policy'].quality,
+            keepGps: config['image policy']['keep gps'],
+        },
+        recordEncryption: {
+            enabled: config['record encryption'].enabled,
+            method: config['record encryption'].method,
+            lockAfter: config['record encryption']['lock after'],
+        },
         csrfCookieName: config['csrf cookie name'],
         excludeNonRelevant: config['exclude non-relevant'],
         experimentalOptimizations: config['experimental optimizations'],
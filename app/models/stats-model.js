@@ -0,0 +1,203 @@
+/**
+ * @module stats-model
+ *
+ * @description Daily usage counters of surveys. The counters of a survey are stored in a single hash
+ * with fields like `opens:2021-03-01` (UTC dates).
+ */
+
+const { mainClient } = require('../lib/db');
+// var debug = require( 'debug' )( 'stats-model' );
+
+const keyPrefix = 'st:';
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Counted events: loads of webforms for new records, new records, and edited records.
+ *
+ * @default
+ */
+const EVENTS = ['opens', 'submissions', 'edits'];
+
+/**
+ * Maximum number of days of a time series.
+ *
+ * @default
+ */
+const MAX_DAYS = 366;
+
+/**
+ * @typedef DailyStats
+ * @property { string } date - UTC date, e.g. `2021-03-01`
+ * @property { number } opens
+ * @property { number } submissions
+ * @property { number } edits
+ */
+
+/**
+ * @typedef SurveyStats
+ * @property { number } opens - total for the period
+ * @property { number } submissions - total for the period
+ * @property { number } edits - total for the period
+ * @property { Array<DailyStats> } days - counts of each day of the period, in chronological order
+ */
+
+/**
+ * Increments today's counter of an event. Failures are only logged, as they should never affect
+ * the request that is being counted. Counters older than {@link module:stats-model~MAX_DAYS|MAX_DAYS}
+ * days are removed, and so are the counters of surveys that have not been used for that long.
+ *
+ * @static
+ * @param { string } id - Enketo ID of survey
+ * @param { 'opens' | 'submissions' | 'edits' } event - event to count
+ */
+function increment(id, event) {
+    if (!id || !EVENTS.includes(event)) {
+        return;
+    }
+
+    const key = `${keyPrefix}${id.trim()}`;
+
+    mainClient
+        .multi()
+        .hincrby(key, `${event}:${_getDate(new Date())}`, 1)
+        .expire(key, ((MAX_DAYS + 1) * DAY) / 1000)
+        .exec((error, replies) => {
+            if (error) {
+                console.error(`Error incrementing ${event} of ${id}`, error);
+            } else if (replies[0] === 1) {
+                // the first count of the day
+                _removeOldCounters(key);
+            }
+        });
+}
+
+/**
+ * @param { string } key - key of the counters of a survey
+ */
+function _removeOldCounters(key) {
+    const oldest = _getDate(new Date(Date.now() - (MAX_DAYS - 1) * DAY));
+
+    mainClient.hkeys(key, (error, fields) => {
+        if (error) {
+            console.error(`Error obtaining counters of ${key}`, error);
+
+            return;
+        }
+
+        // fields are like `opens:2021-03-01`
+        const old = fields.filter((field) => field.split(':')[1] < oldest);
+
+        if (old.length > 0) {
+            mainClient.hdel(key, old, (hdelError) => {
+                if (hdelError) {
+                    console.error(
+                        `Error removing counters of ${key}`,
+                        hdelError
+                    );
+                }
+            });
+        }
+    });
+}
+
+/**
+ * Obtains the daily counters of a survey for a period of at most {@link module:stats-model~MAX_DAYS|MAX_DAYS} days.
+ *
+ * @static
+ * @param { string } id - Enketo ID of survey
+ * @param { Date } since - first day of the period
+ * @param { Date } until - last day of the period
+ * @return { Promise<SurveyStats> } a Promise that resolves with the totals and daily counts of the period
+ */
+function get(id, since, until) {
+    if (!id) {
+        const error = new Error('Bad request. Enketo ID not provided.');
+        error.status = 400;
+
+        return Promise.reject(error);
+    }
+
+    const dates = _getDates(since, until);
+
+    if (dates.length === 0 || dates.length > MAX_DAYS) {
+        const error = new Error(
+            `The period must be between 1 and ${MAX_DAYS} days.`
+        );
+        error.status = 400;
+
+        return Promise.reject(error);
+    }
+
+    const fields = dates.flatMap((date) =>
+        EVENTS.map((event) => `${event}:${date}`)
+    );
+
+    return new Promise((resolve, reject) => {
+        mainClient.hmget(
+            `${keyPrefix}${id.trim()}`,
+            fields,
+            (error, values) => {
+                if (error) {
+                    reject(error);
+
+                    return;
+                }
+
+                const stats = { opens: 0, submissions: 0, edits: 0, days: [] };
+
+                dates.forEach((date, dateIndex) => {
+                    const day = { date };
+
+                    EVENTS.forEach((event, eventIndex) => {
+                        const count =
+                            Number(
+                                values[dateIndex * EVENTS.length + eventIndex]
+                            ) || 0;
+
+                        day[event] = count;
+                        stats[event] += count;
+                    });
+                    stats.days.push(day);
+                });
+
+                resolve(stats);
+            }
+        );
+    });
+}
+
+/**
+ * @param { Date } date - date
+ * @return { string } UTC date, e.g. `2021-03-01`
+ */
+function _getDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * @param { Date } since - first day
+ * @param { Date } until - last day
+ * @return { Array<string> } UTC dates from the first to the last day, but no more than MAX_DAYS + 1
+ */
+function _getDates(since, until) {
+    const first = Date.parse(_getDate(since));
+    const last = Date.parse(_getDate(until));
+    const dates = [];
+
+    for (
+        let time = first;
+        time <= last && dates.length <= MAX_DAYS;
+        time += DAY
+    ) {
+        dates.push(_getDate(new Date(time)));
+    }
+
+    return dates;
+}
+
+module.exports = {
+    EVENTS,
+    MAX_DAYS,
+    increment,
+    get,
+};
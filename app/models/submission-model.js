@@ -3,11 +3,24 @@
  */
 
 const path = require('path');
+const { promisify } = require('util');
 const { mainClient } = require('../lib/db');
 const config = require('./config-model').server;
 // var debug = require( 'debug' )( 'submission-model' );
 let logger;
 
+const ledgerPrefix = 'sl:';
+const zrangebyscore = promisify(mainClient.zrangebyscore).bind(mainClient);
+
+/**
+ * @typedef LedgerEntry
+ * @property { string } instanceId
+ * @property { string | null } deprecatedId
+ * @property { number } status - HTTP status code of the response (or error) of the OpenRosa server
+ * @property { number | null } size - request body size in bytes as reported by the client
+ * @property { string } timestamp
+ */
+
 /**
  * Use a cron job and logrotate service, e.g.:
  * /usr/sbin/logrotate /home/enketo/logrotate.conf -s /home/enketo/enketo-express/logs/logrotate
@@ -88,6 +101,26 @@ function isNew(id, instanceId) {
         });
 }
 
+/**
+ * Whether instanceID was submitted successfully before, without recording it. Later batches of a
+ * record that was divided into multiple batches are accepted even if the survey closed or was
+ * filled by its first batch.
+ *
+ * @static
+ * @param { string } id - Enketo ID of survey
+ * @param { string } instanceId - instance ID of record
+ * @return { Promise<boolean> } a Promise that resolves with a boolean
+ */
+function isRecorded(id, instanceId) {
+    if (!id || !instanceId) {
+        return Promise.resolve(false);
+    }
+
+    return _getLatestSubmissionIds(`su:${id.trim()}`).then((latest) =>
+        _alreadyRecorded(instanceId, latest)
+    );
+}
+
 /**
  * @static
  * @param { string } id - Enketo ID of survey
@@ -104,6 +137,76 @@ function add(id, instanceId, deprecatedId) {
     }
 }
 
+/**
+ * Records a submission attempt in the submission ledger of a survey, if the ledger is enabled.
+ * Unlike the capped list used by {@link module:submission-model~isNew|isNew}, this records every
+ * attempt (including each batch of a record), so it can be used for reconciliation with the
+ * OpenRosa server. Entries older than the configured retention period are removed.
+ *
+ * @static
+ * @param { string } id - Enketo ID of survey
+ * @param { LedgerEntry } entry - submission attempt details
+ * @return { Promise<void> } a Promise that resolves when the entry was stored
+ */
+function addLedgerEntry(id, entry) {
+    const ledger = config['submission ledger'];
+
+    if (!ledger.enabled) {
+        return Promise.resolve();
+    }
+
+    const key = `${ledgerPrefix}${id.trim()}`;
+    const now = Date.now();
+    const retention = ledger['retention days'] * 24 * 60 * 60;
+    const member = JSON.stringify({
+        instanceId: entry.instanceId,
+        deprecatedId: entry.deprecatedId || null,
+        status: entry.status,
+        size: entry.size,
+        timestamp: new Date(now).toISOString(),
+    });
+
+    return new Promise((resolve, reject) => {
+        mainClient
+            .multi()
+            .zadd(key, now, member)
+            .zremrangebyscore(key, '-inf', now - retention * 1000)
+            .expire(key, retention)
+            .exec((error) => {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve();
+                }
+            });
+    });
+}
+
+/**
+ * Obtains the submission ledger entries of a survey, in chronological order.
+ *
+ * @static
+ * @param { string } id - Enketo ID of survey
+ * @param { Date } [since] - earliest timestamp (inclusive)
+ * @param { Date } [until] - latest timestamp (inclusive)
+ * @return { Promise<Array<LedgerEntry>> } a Promise that resolves with a list of ledger entries
+ */
+async function getLedgerEntries(id, since, until) {
+    if (!id) {
+        const error = new Error('Bad request. Enketo ID not provided.');
+        error.status = 400;
+        throw error;
+    }
+
+    const members = await zrangebyscore(
+        `${ledgerPrefix}${id.trim()}`,
+        since ? since.getTime() : '-inf',
+        until ? until.getTime() : '+inf'
+    );
+
+    return members.map((member) => JSON.parse(member));
+}
+
 /**
  * @param { string } instanceId - instance ID of record
  * @param {Array<string>} [list] - List of IDs
@@ -155,5 +258,8 @@ function _formatter(options, severity, date, elems) {
 
 module.exports = {
     isNew,
+    isRecorded,
     add,
+    addLedgerEntry,
+    getLedgerEntries,
 };
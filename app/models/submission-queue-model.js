@@ -0,0 +1,286 @@
+/**
+ * @module submission-queue-model
+ */
+
+const { promisify } = require('util');
+const { mainClient } = require('../lib/db');
+const utils = require('../lib/utils');
+const config = require('./config-model').server;
+// var debug = require( 'debug' )( 'enketo:submission-queue-model' );
+
+const jobPrefix = 'sq:';
+const accountPrefix = 'sa:';
+const dueKey = 'sq:due';
+// failed jobs are kept for inspection for 30 days
+const FAILED_JOB_EXPIRY = 30 * 24 * 60 * 60;
+
+const hgetall = promisify(mainClient.hgetall).bind(mainClient);
+const hget = promisify(mainClient.hget).bind(mainClient);
+const zrangebyscore = promisify(mainClient.zrangebyscore).bind(mainClient);
+const zrem = promisify(mainClient.zrem).bind(mainClient);
+const zadd = promisify(mainClient.zadd).bind(mainClient);
+const smembers = promisify(mainClient.smembers).bind(mainClient);
+const srem = promisify(mainClient.srem).bind(mainClient);
+
+/**
+ * @typedef {import('./account-model').AccountObj} AccountObj
+ */
+
+/**
+ * @typedef QueuedSubmission
+ * @property { string } id
+ * @property { string } enketoId
+ * @property { string } linkedServer - linked server of the account the survey belongs to
+ * @property { string } instanceId
+ * @property { string | null } deprecatedId
+ * @property { string } query - query string to append to the submission URL
+ * @property { object } headers - request headers of the original submission to replay
+ * @property { string } secrets - encrypted credentials and cookie of the submitter
+ * @property { 'queued' | 'failed' } status
+ * @property { number } attempts - number of replay attempts so far
+ * @property { string } queued
+ * @property { string | null } nextAttempt
+ * @property { string | null } lastError
+ */
+
+/**
+ * Stores a submission that could not be delivered to the OpenRosa server, and schedules
+ * its first replay attempt.
+ *
+ * @static
+ * @param { AccountObj } account - account object
+ * @param {{enketoId: string, instanceId: string, deprecatedId?: string, query?: string, headers?: object, credentials?: object}} submission - submission details
+ * @param { Buffer } body - raw (multipart) request body
+ * @return { Promise<QueuedSubmission> } a Promise that resolves with the queued submission
+ */
+async function add(account, submission, body) {
+    if (!submission.enketoId || !submission.instanceId || !body) {
+        const error = new Error(
+            'Cannot queue submission. Enketo ID, instance ID or body missing.'
+        );
+        error.status = 400;
+        throw error;
+    }
+
+    const { cookie, ...headers } = submission.headers || {};
+    const now = Date.now();
+    const nextAttempt = now + config['submission queue']['retry interval'];
+    const job = {
+        id: utils.randomString(16),
+        enketoId: submission.enketoId,
+        linkedServer: account.linkedServer,
+        instanceId: submission.instanceId,
+        deprecatedId: submission.deprecatedId || null,
+        query: submission.query || '',
+        headers,
+        // secrets are encrypted because they are stored for a while
+        secrets: utils.insecureAes192Encrypt(
+            JSON.stringify({ credentials: submission.credentials, cookie }),
+            config['encryption key']
+        ),
+        status: 'queued',
+        attempts: 0,
+        queued: new Date(now).toISOString(),
+        nextAttempt: new Date(nextAttempt).toISOString(),
+        lastError: null,
+    };
+
+    await new Promise((resolve, reject) => {
+        mainClient
+            .multi()
+            .hmset(_getJobKey(job.id), {
+                job: JSON.stringify(job),
+                body: body.toString('base64'),
+            })
+            .sadd(_getAccountKey(account.linkedServer), job.id)
+            .zadd(dueKey, nextAttempt, job.id)
+            .exec((error) => (error ? reject(error) : resolve()));
+    });
+
+    return job;
+}
+
+/**
+ * Claims jobs that are due for a replay attempt. A claimed job is rescheduled after `lease`
+ * milliseconds, so it will be retried if the process that claimed it died before updating it.
+ * Only one process will be able to claim a particular job.
+ *
+ * @static
+ * @param { number } lease - milliseconds after which a claimed job becomes due again
+ * @param { number } [limit] - maximum number of jobs to claim
+ * @return { Promise<Array<string>> } a Promise that resolves with a list of claimed job IDs
+ */
+async function claimDue(lease, limit = 10) {
+    const now = Date.now();
+    const ids = await zrangebyscore(dueKey, '-inf', now, 'LIMIT', 0, limit);
+
+    return (ids || []).reduce(
+        (prevPromise, id) =>
+            prevPromise.then(async (claimed) => {
+                // zrem only succeeds for the first process that gets here
+                if (await zrem(dueKey, id)) {
+                    await zadd(dueKey, now + lease, id);
+                    claimed.push(id);
+                }
+
+                return claimed;
+            }),
+        Promise.resolve([])
+    );
+}
+
+/**
+ * Obtains a queued submission, including its body.
+ *
+ * @static
+ * @param { string } id - job ID
+ * @return { Promise<{job: QueuedSubmission, body: Buffer}|null> } a Promise that resolves with the job and its body, or `null` if it doesn't exist
+ */
+async function get(id) {
+    const obj = await hgetall(_getJobKey(id));
+
+    if (!obj || !obj.job) {
+        return null;
+    }
+
+    return {
+        job: JSON.parse(obj.job),
+        body: Buffer.from(obj.body, 'base64'),
+    };
+}
+
+/**
+ * Decrypts the credentials and cookie stored with a queued submission.
+ *
+ * @static
+ * @param { QueuedSubmission } job - queued submission
+ * @return {{credentials: object|null, cookie: string|null}} secrets
+ */
+function getSecrets(job) {
+    const { credentials, cookie } = JSON.parse(
+        utils.insecureAes192Decrypt(job.secrets, config['encryption key'])
+    );
+
+    return { credentials: credentials || null, cookie: cookie || null };
+}
+
+/**
+ * Removes a queued submission, e.g. after it was delivered.
+ *
+ * @static
+ * @param { QueuedSubmission } job - queued submission
+ * @return { Promise } a Promise that resolves when the job was removed
+ */
+function remove(job) {
+    return new Promise((resolve, reject) => {
+        mainClient
+            .multi()
+            .del(_getJobKey(job.id))
+            .srem(_getAccountKey(job.linkedServer), job.id)
+            .zrem(dueKey, job.id)
+            .exec((error) => (error ? reject(error) : resolve()));
+    });
+}
+
+/**
+ * Records a failed replay attempt. The job is rescheduled with exponential backoff, unless
+ * the failure is permanent or the maximum number of attempts was reached. In that case the job
+ * is marked as failed and kept for inspection for a while.
+ *
+ * @static
+ * @param { QueuedSubmission } job - queued submission
+ * @param { string } message - error message
+ * @param { boolean } [permanent] - whether retrying is pointless
+ * @return { Promise<QueuedSubmission> } a Promise that resolves with the updated job
+ */
+async function fail(job, message, permanent = false) {
+    const { 'max attempts': maxAttempts, 'retry interval': retryInterval } =
+        config['submission queue'];
+    const attempts = job.attempts + 1;
+    const failed = permanent || attempts >= maxAttempts;
+    const nextAttempt = failed
+        ? null
+        : Date.now() + retryInterval * 2 ** attempts;
+    const updated = {
+        ...job,
+        attempts,
+        status: failed ? 'failed' : 'queued',
+        nextAttempt: nextAttempt ? new Date(nextAttempt).toISOString() : null,
+        lastError: message,
+    };
+    const key = _getJobKey(job.id);
+    const multi = mainClient.multi().hset(key, 'job', JSON.stringify(updated));
+
+    if (failed) {
+        // the body is no longer needed
+        multi
+            .hdel(key, 'body')
+            .zrem(dueKey, job.id)
+            .expire(key, FAILED_JOB_EXPIRY);
+    } else {
+        multi.zadd(dueKey, nextAttempt, job.id);
+    }
+
+    await new Promise((resolve, reject) => {
+        multi.exec((error) => (error ? reject(error) : resolve()));
+    });
+
+    return updated;
+}
+
+/**
+ * Obtains the queued and failed submissions of an account, oldest first.
+ *
+ * @static
+ * @param { AccountObj } account - account object
+ * @param { string } [enketoId] - only include submissions for this survey
+ * @return { Promise<Array<QueuedSubmission>> } a Promise that resolves with a list of jobs
+ */
+async function list(account, enketoId) {
+    const accountKey = _getAccountKey(account.linkedServer);
+    const ids = (await smembers(accountKey)) || [];
+    const jobs = await Promise.all(
+        ids.map(async (id) => {
+            const json = await hget(_getJobKey(id), 'job');
+
+            if (!json) {
+                // expired failed job
+                await srem(accountKey, id);
+
+                return null;
+            }
+
+            return JSON.parse(json);
+        })
+    );
+
+    return jobs
+        .filter((job) => job && (!enketoId || job.enketoId === enketoId))
+        .sort((a, b) => new Date(a.queued) - new Date(b.queued));
+}
+
+/**
+ * @param { string } id - job ID
+ * @return { string } database key
+ */
+function _getJobKey(id) {
+    return `${jobPrefix}${id}`;
+}
+
+/**
+ * @param { string } linkedServer - linked server of account
+ * @return { string } database key
+ */
+function _getAccountKey(linkedServer) {
+    return `${accountPrefix}${linkedServer}`;
+}
+
+module.exports = {
+    add,
+    claimDue,
+    get,
+    getSecrets,
+    remove,
+    fail,
+    list,
+};
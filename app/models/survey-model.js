@@ -8,6 +8,18 @@ const TError = require('../lib/custom-error').TranslatedError;
 const config = require('./config-model').server;
 
 const pending = {};
+// sortable values of survey properties, as numbers
+const SORT_VALUES = {
+    launchDate: (survey) => new Date(survey.launchDate).getTime() || 0,
+    lastAccessed: (survey) => new Date(survey.lastAccessed).getTime() || 0,
+    submissions: (survey) => Number(survey.submissions) || 0,
+};
+// survey properties that override the configured image policy
+const IMAGE_POLICY_PROPERTIES = [
+    'imageMaxDimension',
+    'imageQuality',
+    'imageKeepGps',
+];
 const debug = require('debug')('enketo:survey-model');
 
 /**
@@ -66,6 +78,14 @@ const debug = require('debug')('enketo:survey-model');
  * @property { SurveyInfo } [info]
  * @property { AccountObj } [account]
  * @property { boolean | 'true' | 'false' } [active]
+ * @property { string } [deactivatedAt] - ISO date on which the survey was deactivated, or empty
+ * @property { string } [openAt] - ISO date before which the survey is closed, or empty
+ * @property { string } [closeAt] - ISO date after which the survey is closed, or empty
+ * @property { number | string } [submissions] - number of submissions
+ * @property { number | string } [maxSubmissions] - number of submissions after which the survey is full, or empty
+ * @property { number | string } [imageMaxDimension] - maximum width and height in pixels of attached images, or empty
+ * @property { number | string } [imageQuality] - quality between 0 and 1 of attached JPEG and WebP images, or empty
+ * @property { boolean | 'true' | 'false' | '' } [imageKeepGps] - whether to keep the location in the metadata of attached JPEG images, or empty
  * @property { string } [cookie]
  * @property { SurveyCredentials } [credentials]
  * @property { string } [customParam]
@@ -78,9 +98,12 @@ const debug = require('debug')('enketo:survey-model');
  * @property { EnketoRecord } [lastSavedRecord]
  * @property { Record<string, unknown> } [languageMap]
  * @property { ManifestItem[] } [manifest]
+ * @property { Record<string, string> } [media]
+ * @property { Record<string, string> } [mediaHashes] - hashes of manifest items, by the same file names as `media`
  * @property { string } [model]
  * @property { EnketoTransformerPreprocess } [preprocess]
  * @property { string } [returnUrl]
+ * @property { number } [updated] - time at which the survey was last stored in the browser
  * @property { string } [xslHash]
  * @description
  *   `SurveyObject` is Enketo's internal representation of an XForm, with some
@@ -92,6 +115,10 @@ const debug = require('debug')('enketo:survey-model');
  *   to the interaction between a `SurveyObject` and those resources.
  */
 
+/**
+ * @typedef {'active' | 'inactive' | 'all'} SurveyStatus
+ */
+
 /**
  * Returns the information stored in the database for an enketo id.
  *
@@ -99,9 +126,10 @@ const debug = require('debug')('enketo:survey-model');
  * @name get
  * @function
  * @param { string } id - Survey ID
+ * @param { boolean } [ignoreAvailability] - whether to also return surveys that are not open or that are full
  * @return {Promise<SurveyObject>} Promise that resolves with a survey object
  */
-function getSurvey(id) {
+function getSurvey(id, ignoreAvailability = false) {
     return new Promise((resolve, reject) => {
         if (!id) {
             const error = new Error(new Error('Bad request. Form ID required'));
@@ -112,13 +140,7 @@ function getSurvey(id) {
             mainClient.hgetall(`id:${id}`, (error, obj) => {
                 if (error) {
                     reject(error);
-                } else if (
-                    !obj ||
-                    obj.active === 'false' ||
-                    obj.active === false
-                ) {
-                    // currently false is stored as 'false' but in the future node_redis might convert back to false
-                    // https://github.com/mranney/node_redis/issues/449
+                } else if (!obj || !_isActive(obj)) {
                     error = !obj
                         ? new TError('error.surveyidnotfound')
                         : new TError('error.surveyidnotactive');
@@ -131,6 +153,14 @@ function getSurvey(id) {
                     error.status = 406;
                     reject(error);
                 } else {
+                    error = ignoreAvailability
+                        ? null
+                        : getScheduleError(obj) || getCapacityError(obj);
+                    if (error) {
+                        reject(error);
+
+                        return;
+                    }
                     // debug( 'object retrieved from database for id "' + id + '"', obj );
                     obj.enketoId = id;
                     // no need to wait for result of updating lastAccessed
@@ -146,6 +176,84 @@ function getSurvey(id) {
     });
 }
 
+/**
+ * Checks whether a survey is within its open and close dates.
+ *
+ * @static
+ * @name getScheduleError
+ * @function
+ * @param {SurveyObject} survey - survey object
+ * @param { number } [now] - time to check, in milliseconds since the epoch
+ * @return { TError | null } translated error with status 403 if the survey is not open, or `null`
+ */
+function getScheduleError(survey, now = Date.now()) {
+    let error = null;
+
+    if (survey.openAt && new Date(survey.openAt).getTime() > now) {
+        error = new TError('error.surveynotopen', { openAt: survey.openAt });
+    } else if (survey.closeAt && new Date(survey.closeAt).getTime() <= now) {
+        error = new TError('error.surveyclosed', { closeAt: survey.closeAt });
+    }
+
+    if (error) {
+        error.status = 403;
+    }
+
+    return error;
+}
+
+/**
+ * Checks whether a survey has room for more submissions.
+ *
+ * @static
+ * @name getCapacityError
+ * @function
+ * @param {SurveyObject} survey - survey object
+ * @return { TError | null } translated error with status 403 if the survey is full, or `null`
+ */
+function getCapacityError(survey) {
+    if (
+        survey.maxSubmissions &&
+        Number(survey.submissions) >= Number(survey.maxSubmissions)
+    ) {
+        const error = new TError('error.surveyfull');
+        error.status = 403;
+
+        return error;
+    }
+
+    return null;
+}
+
+/**
+ * Obtains the image policy of a survey, which overrides the configured image policy for the
+ * images that are attached to its records.
+ *
+ * @static
+ * @name getImagePolicy
+ * @function
+ * @param {SurveyObject} survey - survey object
+ * @return {{ maxDimension?: number, quality?: number, keepGps?: boolean } | null} the image policy, or `null` if the survey has none
+ */
+function getImagePolicy(survey) {
+    const policy = {};
+
+    if (
+        survey.imageMaxDimension !== undefined &&
+        survey.imageMaxDimension !== ''
+    ) {
+        policy.maxDimension = Number(survey.imageMaxDimension);
+    }
+    if (survey.imageQuality !== undefined && survey.imageQuality !== '') {
+        policy.quality = Number(survey.imageQuality);
+    }
+    if (survey.imageKeepGps !== undefined && survey.imageKeepGps !== '') {
+        policy.keepGps = String(survey.imageKeepGps) === 'true';
+    }
+
+    return Object.keys(policy).length > 0 ? policy : null;
+}
+
 /**
  * Function for updating or creating a survey
  *
@@ -245,7 +353,25 @@ function _updateProperties(id, survey) {
         }
         if (typeof survey.active !== 'undefined') {
             update.active = survey.active;
+            update.deactivatedAt = _isActive(survey)
+                ? ''
+                : new Date().toISOString();
+        }
+        // an empty string removes the date, undefined leaves it unchanged
+        if (typeof survey.openAt !== 'undefined') {
+            update.openAt = survey.openAt;
         }
+        if (typeof survey.closeAt !== 'undefined') {
+            update.closeAt = survey.closeAt;
+        }
+        if (typeof survey.maxSubmissions !== 'undefined') {
+            update.maxSubmissions = survey.maxSubmissions;
+        }
+        IMAGE_POLICY_PROPERTIES.forEach((prop) => {
+            if (typeof survey[prop] !== 'undefined') {
+                update[prop] = survey[prop];
+            }
+        });
         // always update the theme, which will delete it if the theme parameter is missing
         // avoid storing undefined as string 'undefined'
         update.theme = survey.theme || '';
@@ -282,6 +408,12 @@ function _addSurvey(openRosaKey, survey) {
                         active: true,
                         // avoid storing string 'undefined'
                         theme: survey.theme || '',
+                        openAt: survey.openAt || '',
+                        closeAt: survey.closeAt || '',
+                        maxSubmissions: survey.maxSubmissions || '',
+                        imageMaxDimension: survey.imageMaxDimension ?? '',
+                        imageQuality: survey.imageQuality || '',
+                        imageKeepGps: survey.imageKeepGps ?? '',
                     })
                     .set(openRosaKey, id)
                     .exec((error) => {
@@ -324,35 +456,13 @@ function incrSubmissions(id) {
  * @name getNumber
  * @function
  * @param { string } server - Server URL
+ * @param { SurveyStatus } [status] - which surveys to count
  * @return {Promise<Error|string|number>} Promise that resolves with number of surveys
  */
-function getNumberOfSurveys(server) {
-    return new Promise((resolve, reject) => {
-        let error;
-        const cleanServerUrl = server === '' ? '' : utils.cleanUrl(server);
-        if (!cleanServerUrl && cleanServerUrl !== '') {
-            error = new Error('Survey information not complete or invalid');
-            error.status = 400;
-            reject(error);
-        } else {
-            // TODO: "Don't use KEYS in your regular application code"
-            // (https://redis.io/commands/keys)
-            mainClient.keys(`or:${cleanServerUrl}[/,]*`, (err, keys) => {
-                if (error) {
-                    reject(error);
-                } else if (keys) {
-                    _getActiveSurveys(keys)
-                        .then((surveys) => {
-                            resolve(surveys.length);
-                        })
-                        .catch(reject);
-                } else {
-                    debug('no replies when obtaining list of surveys');
-                    reject('no surveys');
-                }
-            });
-        }
-    });
+function getNumberOfSurveys(server, status = 'active') {
+    return _getSurveysOfServer(server, status).then(
+        (surveys) => surveys.length
+    );
 }
 
 /**
@@ -360,9 +470,108 @@ function getNumberOfSurveys(server) {
  * @name getList
  * @function
  * @param { string } server - Server URL
+ * @param { SurveyStatus } [status] - which surveys to list
+ * @return {Promise<Error|Array<SurveyObject>>} Promise that resolves with a list of SurveyObjects
+ */
+function getListOfSurveys(server, status = 'active') {
+    return _getSurveysOfServer(server, status).then((surveys) =>
+        surveys.sort(_ascendingLaunchDate).map(_getListItem)
+    );
+}
+
+/**
+ * @typedef SurveyListOptions
+ * @property { SurveyStatus } [status] - which surveys to list, `active` by default
+ * @property { 'launchDate' | 'lastAccessed' | 'submissions' } [sort] - property to sort by, `launchDate` by default
+ * @property { 'asc' | 'desc' } [order] - sort order, `asc` by default
+ * @property { string } [formIdPrefix] - only list surveys whose form ID starts with this prefix
+ * @property { string } [theme] - only list surveys with this theme
+ * @property { Date } [accessedBefore] - only list surveys that were last accessed before this date (or never)
+ * @property { Date } [accessedAfter] - only list surveys that were last accessed after this date
+ * @property { number } [limit] - maximum number of surveys to list
+ * @property { string } [cursor] - cursor returned with the previous page
+ */
+
+/**
+ * Obtains a sorted and filtered page of the surveys of a server.
+ *
+ * @static
+ * @name getPage
+ * @function
+ * @param { string } server - Server URL
+ * @param { SurveyListOptions } [options] - list options
+ * @return {Promise<{surveys: Array<SurveyObject>, next: string | null}>} Promise that resolves with a list of SurveyObjects and the cursor of the next page, if any
+ */
+function getPageOfSurveys(server, options = {}) {
+    const {
+        status = 'active',
+        sort = 'launchDate',
+        order = 'asc',
+        formIdPrefix = '',
+        theme,
+        accessedBefore,
+        accessedAfter,
+        limit,
+        cursor,
+    } = options;
+    const getSortValue = SORT_VALUES[sort];
+
+    if (!getSortValue || !['asc', 'desc'].includes(order)) {
+        const error = new Error('Sort parameters are not valid.');
+        error.status = 400;
+
+        return Promise.reject(error);
+    }
+
+    let after;
+
+    try {
+        after = cursor ? _decodeCursor(cursor, sort, order) : null;
+    } catch (error) {
+        return Promise.reject(error);
+    }
+
+    const direction = order === 'desc' ? -1 : 1;
+    // compares [sort value, Enketo ID] positions, the ID guarantees a stable order
+    const compare = (a, b) =>
+        direction * (a[0] - b[0] || (a[1] < b[1] ? -1 : Number(a[1] > b[1])));
+
+    return _getSurveysOfServer(server, status, formIdPrefix).then((surveys) => {
+        const positioned = surveys
+            .filter((survey) => {
+                const accessed = SORT_VALUES.lastAccessed(survey);
+
+                return (
+                    (!theme || survey.theme === theme) &&
+                    (!accessedBefore || accessed < accessedBefore.getTime()) &&
+                    (!accessedAfter || accessed > accessedAfter.getTime())
+                );
+            })
+            .map((survey) => ({
+                survey,
+                position: [getSortValue(survey), survey.enketoId],
+            }))
+            .sort((a, b) => compare(a.position, b.position))
+            .filter(({ position }) => !after || compare(position, after) > 0);
+        const page = limit ? positioned.slice(0, limit) : positioned;
+
+        return {
+            surveys: page.map(({ survey }) => _getListItem(survey)),
+            next:
+                page.length < positioned.length
+                    ? _encodeCursor(sort, order, page[page.length - 1].position)
+                    : null,
+        };
+    });
+}
+
+/**
+ * @param { string } server - Server URL
+ * @param { SurveyStatus } status - which surveys to include
+ * @param { string } [formIdPrefix] - only include surveys whose form ID starts with this prefix
  * @return {Promise<Error|Array<SurveyObject>>} Promise that resolves with a list of SurveyObjects
  */
-function getListOfSurveys(server) {
+function _getSurveysOfServer(server, status, formIdPrefix = '') {
     return new Promise((resolve, reject) => {
         let error;
         const cleanServerUrl = server === '' ? '' : utils.cleanUrl(server);
@@ -374,20 +583,16 @@ function getListOfSurveys(server) {
             // TODO: "Don't use KEYS in your regular application code"
             // (https://redis.io/commands/keys)
             mainClient.keys(`or:${cleanServerUrl}[/,]*`, (err, keys) => {
-                if (error) {
-                    reject(error);
+                if (err) {
+                    reject(err);
                 } else if (keys) {
-                    _getActiveSurveys(keys)
-                        .then((surveys) => {
-                            surveys.sort(_ascendingLaunchDate);
-                            const list = surveys.map((survey) => ({
-                                openRosaServer: survey.openRosaServer,
-                                openRosaId: survey.openRosaId,
-                                enketoId: survey.enketoId,
-                            }));
-
-                            resolve(list);
-                        })
+                    // The form ID follows the server URL in the key, so surveys can be filtered without loading them.
+                    const matchingKeys = keys.filter((key) =>
+                        key.slice(key.indexOf(',') + 1).startsWith(formIdPrefix)
+                    );
+
+                    _getSurveys(matchingKeys, status)
+                        .then(resolve)
                         .catch(reject);
                 } else {
                     debug('no replies when obtaining list of surveys');
@@ -398,6 +603,68 @@ function getListOfSurveys(server) {
     });
 }
 
+/**
+ * @param {module:survey-model~SurveyObject} survey - survey object
+ * @return {module:survey-model~SurveyObject} survey object with the properties that are included in lists
+ */
+function _getListItem(survey) {
+    return {
+        openRosaServer: survey.openRosaServer,
+        openRosaId: survey.openRosaId,
+        enketoId: survey.enketoId,
+        active: _isActive(survey),
+        deactivatedAt: survey.deactivatedAt || null,
+        submissions: Number(survey.submissions) || 0,
+        maxSubmissions: survey.maxSubmissions
+            ? Number(survey.maxSubmissions)
+            : null,
+    };
+}
+
+/**
+ * @param { string } sort - sort property
+ * @param { string } order - sort order
+ * @param { Array<number|string> } position - sort value and Enketo ID of the last survey of a page
+ * @return { string } cursor
+ */
+function _encodeCursor(sort, order, position) {
+    return Buffer.from(JSON.stringify([sort, order, ...position])).toString(
+        'base64'
+    );
+}
+
+/**
+ * @param { string } cursor - cursor
+ * @param { string } sort - sort property of the request
+ * @param { string } order - sort order of the request
+ * @return { Array<number|string> } sort value and Enketo ID of the last survey of the previous page
+ */
+function _decodeCursor(cursor, sort, order) {
+    let decoded;
+
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64').toString());
+    } catch (e) {
+        decoded = null;
+    }
+
+    // a cursor is only valid for the sort options it was created with
+    if (
+        !Array.isArray(decoded) ||
+        decoded.length !== 4 ||
+        decoded[0] !== sort ||
+        decoded[1] !== order ||
+        typeof decoded[2] !== 'number' ||
+        typeof decoded[3] !== 'string'
+    ) {
+        const error = new Error('The cursor parameter is not valid.');
+        error.status = 400;
+        throw error;
+    }
+
+    return decoded.slice(2);
+}
+
 /**
  * @param { string } openRosaKey - database key of survey
  * @return {Promise<Error|null|string>} Promise that resolves with survey ID
@@ -444,22 +711,52 @@ function getEnketoIdFromSurveyObject(survey) {
 }
 
 /**
- * @param { Array<string> } openRosaIds - A list of `openRosaId`s
- * @return { Promise<SurveyObject> } a Promise that resolves with a list of survey objects
+ * @param { Array<string> } openRosaKeys - A list of database keys of surveys
+ * @param { SurveyStatus } status - which surveys to include
+ * @return { Promise<Array<SurveyObject>> } a Promise that resolves with a list of survey objects
  */
-function _getActiveSurveys(openRosaIds) {
-    const tasks = openRosaIds.map((openRosaId) => _getEnketoId(openRosaId));
+function _getSurveys(openRosaKeys, status) {
+    // two round trips, however many surveys there are
+    return new Promise((resolve, reject) => {
+        mainClient
+            .multi(openRosaKeys.map((key) => ['get', key]))
+            .exec((error, ids) => {
+                if (error) {
+                    reject(error);
 
-    return Promise.all(tasks)
-        .then((ids) =>
-            ids.map(
-                (
-                    id // getSurvey rejects with 404 status if survey is not active
-                ) => getSurvey(id).catch(_404Empty)
+                    return;
+                }
+
+                const existingIds = ids.filter(Boolean);
+
+                mainClient
+                    .multi(existingIds.map((id) => ['hgetall', `id:${id}`]))
+                    .exec((error, objs) => {
+                        if (error) {
+                            reject(error);
+                        } else {
+                            resolve(
+                                objs.map((obj, index) =>
+                                    obj
+                                        ? {
+                                              ...obj,
+                                              enketoId: existingIds[index],
+                                          }
+                                        : {}
+                                )
+                            );
+                        }
+                    });
+            });
+    }).then((surveys) =>
+        surveys
+            .filter(_nonEmpty)
+            .filter(
+                (survey) =>
+                    status === 'all' ||
+                    _isActive(survey) === (status === 'active')
             )
-        )
-        .then((tasks) => Promise.all(tasks))
-        .then((surveys) => surveys.filter(_nonEmpty));
+    );
 }
 
 /**
@@ -518,23 +815,26 @@ function _nonEmpty(survey) {
 }
 
 /**
- * @param {Error} error - error object
- * @return { object } Empty object for `404` errors; throws normally for other
+ * @param {module:survey-model~SurveyObject} survey - survey object
+ * @return { boolean } Whether survey is active
  */
-function _404Empty(error) {
-    if (error && error.status && error.status === 404) {
-        return {};
-    }
-    throw error;
+function _isActive(survey) {
+    // currently false is stored as 'false' but in the future node_redis might convert back to false
+    // https://github.com/mranney/node_redis/issues/449
+    return survey.active !== 'false' && survey.active !== false;
 }
 
 module.exports = {
     get: getSurvey,
+    getScheduleError,
+    getCapacityError,
+    getImagePolicy,
     set: setSurvey,
     update: updateSurvey,
     getId: getEnketoIdFromSurveyObject,
     getNumber: getNumberOfSurveys,
     getList: getListOfSurveys,
+    getPage: getPageOfSurveys,
     incrementSubmissions: incrSubmissions,
     createNewEnketoId: _createNewEnketoId,
 };
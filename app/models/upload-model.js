@@ -0,0 +1,322 @@
+/**
+ * Stores attachments that are uploaded in chunks, until the record they belong to is submitted.
+ *
+ * @module upload-model
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const { pipeline: pipelineCallback, Transform } = require('stream');
+const { ResponseError } = require('../lib/custom-error');
+const utils = require('../lib/utils');
+const config = require('./config-model').server;
+// var debug = require( 'debug' )( 'enketo:upload-model' );
+
+const pipeline = promisify(pipelineCallback);
+
+const ID_LENGTH = 32;
+const ID_REGEX = new RegExp(`^[A-Za-z0-9]{${ID_LENGTH}}$`);
+// A lock that was not touched for this long was left behind by a process that stopped.
+const STALE_LOCK_AGE = 60 * 1000;
+const LOCK_REFRESH_INTERVAL = 10 * 1000;
+
+/**
+ * @typedef Upload
+ * @property { string } id
+ * @property { string } enketoId
+ * @property { string } instanceId
+ * @property { string } name - file name of the attachment
+ * @property { string } type - MIME type of the attachment
+ * @property { number } length - total size of the attachment in bytes
+ * @property { number } offset - number of bytes received so far
+ * @property { number } created - time at which the upload was created
+ */
+
+/**
+ * @return { string } directory in which uploads are stored
+ */
+function getDirectory() {
+    return (
+        config['chunked uploads'].directory ||
+        path.join(os.tmpdir(), 'enketo-uploads')
+    );
+}
+
+/**
+ * @param { string } id - upload ID
+ * @return {{ meta: string, data: string, lock: string }} paths of the upload's metadata, data and lock files
+ */
+function _getPaths(id) {
+    const directory = getDirectory();
+
+    return {
+        meta: path.join(directory, `${id}.json`),
+        data: path.join(directory, id),
+        lock: path.join(directory, `${id}.lock`),
+    };
+}
+
+/**
+ * Creates an empty upload.
+ *
+ * @static
+ * @param {{enketoId: string, instanceId: string, name: string, type?: string, length: number}} details - upload details
+ * @return { Promise<Upload> } a Promise that resolves with the new upload
+ */
+async function create({ enketoId, instanceId, name, type, length }) {
+    if (!enketoId || !instanceId || !name) {
+        throw new ResponseError(
+            400,
+            'Cannot create upload. Instance ID or file name missing.'
+        );
+    }
+    if (!Number.isInteger(length) || length < 0) {
+        throw new ResponseError(400, 'Invalid upload length.');
+    }
+    if (length > config['chunked uploads']['max size']) {
+        throw new ResponseError(413, 'Upload is too large.');
+    }
+
+    const upload = {
+        id: utils.randomString(ID_LENGTH),
+        enketoId,
+        instanceId,
+        name,
+        type: type || 'application/octet-stream',
+        length,
+        created: Date.now(),
+    };
+    const paths = _getPaths(upload.id);
+
+    await fs.promises.mkdir(getDirectory(), { recursive: true });
+    await fs.promises.writeFile(paths.data, '');
+    await fs.promises.writeFile(paths.meta, JSON.stringify(upload));
+
+    // no need to wait for obsolete uploads to be removed
+    removeExpired().catch((error) => {
+        console.error(error);
+    });
+
+    return { ...upload, offset: 0 };
+}
+
+/**
+ * Obtains an upload and the number of bytes received so far.
+ *
+ * @static
+ * @param { string } id - upload ID
+ * @return { Promise<Upload> } a Promise that resolves with the upload
+ */
+async function get(id) {
+    const error = new ResponseError(404, 'Upload not found.');
+
+    if (!ID_REGEX.test(id)) {
+        throw error;
+    }
+
+    const paths = _getPaths(id);
+
+    try {
+        const upload = JSON.parse(
+            await fs.promises.readFile(paths.meta, 'utf8')
+        );
+        const { size } = await fs.promises.stat(paths.data);
+
+        if (_isExpired(upload)) {
+            throw error;
+        }
+
+        return { ...upload, offset: size };
+    } catch (e) {
+        throw error;
+    }
+}
+
+/**
+ * Appends a chunk to an upload.
+ *
+ * @static
+ * @param { string } id - upload ID
+ * @param { number } offset - offset at which the chunk starts
+ * @param { import('stream').Readable } chunk - chunk stream
+ * @return { Promise<Upload> } a Promise that resolves with the updated upload
+ */
+async function append(id, offset, chunk) {
+    // throws if the upload does not exist
+    await get(id);
+
+    const paths = _getPaths(id);
+    const lock = await _lock(paths.lock);
+
+    try {
+        const upload = await get(id);
+
+        if (offset !== upload.offset) {
+            throw new ResponseError(409, 'Upload offset does not match.');
+        }
+
+        let received = 0;
+        let refreshed = Date.now();
+        const limiter = new Transform({
+            transform(data, encoding, callback) {
+                received += data.length;
+
+                if (upload.offset + received > upload.length) {
+                    callback(
+                        new ResponseError(413, 'Chunk exceeds upload length.')
+                    );
+
+                    return;
+                }
+
+                // keep the lock from becoming stale while a slow chunk is received
+                if (Date.now() - refreshed > LOCK_REFRESH_INTERVAL) {
+                    refreshed = Date.now();
+                    lock.utimes(new Date(), new Date()).catch((error) => {
+                        console.error(error);
+                    });
+                }
+
+                callback(null, data);
+            },
+        });
+
+        await pipeline(
+            chunk,
+            limiter,
+            fs.createWriteStream(paths.data, { flags: 'a' })
+        );
+
+        return await get(id);
+    } finally {
+        await lock.close();
+        await fs.promises.unlink(paths.lock).catch((error) => {
+            console.error(error);
+        });
+    }
+}
+
+/**
+ * Only one request at a time can append to an upload, also across processes. Otherwise two
+ * requests with the same offset could both pass the offset check and both append their chunk.
+ * A lock that a stopped process left behind is replaced once it is stale.
+ *
+ * @param { string } lockPath - path of the lock file
+ * @param { boolean } [retry] - whether to replace a stale lock
+ * @return { Promise<import('fs').promises.FileHandle> } a Promise that resolves with the lock
+ */
+async function _lock(lockPath, retry = true) {
+    try {
+        return await fs.promises.open(lockPath, 'wx');
+    } catch (error) {
+        if (error.code !== 'EEXIST') {
+            throw error;
+        }
+    }
+
+    const stats = await fs.promises.stat(lockPath).catch(() => null);
+
+    if (retry && (!stats || Date.now() - stats.mtimeMs > STALE_LOCK_AGE)) {
+        await fs.promises.unlink(lockPath).catch((error) => {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        });
+
+        return _lock(lockPath, false);
+    }
+
+    throw new ResponseError(423, 'Upload is locked by another request.');
+}
+
+/**
+ * @static
+ * @param { string } id - upload ID
+ * @return { import('stream').Readable } stream of the uploaded data
+ */
+function getStream(id) {
+    return fs.createReadStream(_getPaths(id).data);
+}
+
+/**
+ * @static
+ * @param { string } id - upload ID
+ * @return { Promise } a Promise that resolves when the upload was removed
+ */
+async function remove(id) {
+    if (!ID_REGEX.test(id)) {
+        return;
+    }
+
+    const paths = _getPaths(id);
+
+    await Promise.all(
+        [paths.meta, paths.data, paths.lock].map((file) =>
+            fs.promises.unlink(file).catch((error) => {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            })
+        )
+    );
+}
+
+/**
+ * Removes uploads that were not submitted before they expired.
+ *
+ * @static
+ * @return { Promise } a Promise that resolves when the expired uploads were removed
+ */
+async function removeExpired() {
+    let files;
+
+    try {
+        files = await fs.promises.readdir(getDirectory());
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return;
+        }
+        throw error;
+    }
+
+    const ids = files
+        .filter((file) => file.endsWith('.json'))
+        .map((file) => file.replace(/\.json$/, ''))
+        .filter((id) => ID_REGEX.test(id));
+
+    // sequentially, to limit the number of open files
+    await ids.reduce(
+        (prevPromise, id) =>
+            prevPromise
+                .then(() => fs.promises.readFile(_getPaths(id).meta, 'utf8'))
+                .then((meta) =>
+                    _isExpired(JSON.parse(meta)) ? remove(id) : undefined
+                )
+                .catch(() => {
+                    // the upload was probably removed by another process
+                }),
+        Promise.resolve()
+    );
+}
+
+/**
+ * @param { Upload } upload - upload
+ * @return { boolean } whether the upload has expired
+ */
+function _isExpired(upload) {
+    return (
+        Date.now() - upload.created > config['chunked uploads'].expiry * 1000
+    );
+}
+
+module.exports = {
+    create,
+    get,
+    append,
+    getStream,
+    remove,
+    removeExpired,
+    getDirectory,
+};
@@ -0,0 +1,299 @@
+/**
+ * @module webhook-model
+ */
+
+const { promisify } = require('util');
+const { mainClient } = require('../lib/db');
+const utils = require('../lib/utils');
+const config = require('./config-model').server;
+// var debug = require( 'debug' )( 'enketo:webhook-model' );
+
+const subscriptionPrefix = 'wh:';
+const deadLetterPrefix = 'wf:';
+const retryPrefix = 'wr:';
+const retryDueKey = 'wr:due';
+
+const hset = promisify(mainClient.hset).bind(mainClient);
+const hgetall = promisify(mainClient.hgetall).bind(mainClient);
+const hdel = promisify(mainClient.hdel).bind(mainClient);
+const lpush = promisify(mainClient.lpush).bind(mainClient);
+const ltrim = promisify(mainClient.ltrim).bind(mainClient);
+const lrange = promisify(mainClient.lrange).bind(mainClient);
+const del = promisify(mainClient.del).bind(mainClient);
+const get = promisify(mainClient.get).bind(mainClient);
+const zrangebyscore = promisify(mainClient.zrangebyscore).bind(mainClient);
+const zrem = promisify(mainClient.zrem).bind(mainClient);
+const zadd = promisify(mainClient.zadd).bind(mainClient);
+
+/**
+ * @typedef {import('./account-model').AccountObj} AccountObj
+ */
+
+/**
+ * @typedef WebhookSubscription
+ * @property { string } id
+ * @property { string } url
+ * @property { string } secret - used to sign the events sent to `url`
+ * @property { string } created
+ */
+
+/**
+ * @typedef WebhookDeadLetter
+ * @property { string } subscriptionId
+ * @property { string } url
+ * @property { object } event
+ * @property { number } attempts
+ * @property { string } error
+ * @property { string } failed
+ */
+
+/**
+ * @typedef WebhookRetry
+ * @property { string } id
+ * @property { string } linkedServer - linked server of the account that subscribed
+ * @property { string } subscriptionId
+ * @property { object } event
+ * @property { number } attempts - number of delivery attempts so far
+ */
+
+/**
+ * Adds a webhook subscription for an account.
+ *
+ * @static
+ * @param { AccountObj } account - account object
+ * @param { string } url - URL to send events to
+ * @return { Promise<WebhookSubscription> } a Promise that resolves with the new subscription
+ */
+async function add(account, url) {
+    if (!_isValidWebhookUrl(url)) {
+        const error = new Error('Bad Request. Webhook URL is not valid.');
+        error.status = 400;
+        throw error;
+    }
+
+    const subscription = {
+        id: utils.randomString(8),
+        url,
+        secret: utils.randomString(32),
+        created: new Date().toISOString(),
+    };
+
+    await hset(
+        _getSubscriptionKey(account),
+        subscription.id,
+        JSON.stringify(subscription)
+    );
+
+    return subscription;
+}
+
+/**
+ * Obtains all webhook subscriptions of an account.
+ *
+ * @static
+ * @param { AccountObj } account - account object
+ * @return { Promise<Array<WebhookSubscription>> } a Promise that resolves with a list of subscriptions
+ */
+async function list(account) {
+    const obj = await hgetall(_getSubscriptionKey(account));
+
+    return Object.values(obj || {})
+        .map((json) => JSON.parse(json))
+        .sort((a, b) => new Date(a.created) - new Date(b.created));
+}
+
+/**
+ * Removes a webhook subscription of an account.
+ *
+ * @static
+ * @param { AccountObj } account - account object
+ * @param { string } id - subscription ID
+ * @return { Promise<string|null> } a Promise that resolves with the removed ID, or `null` if it was not found
+ */
+async function remove(account, id) {
+    if (!id) {
+        const error = new Error('Bad Request. Webhook ID missing.');
+        error.status = 400;
+        throw error;
+    }
+
+    const removed = await hdel(_getSubscriptionKey(account), id);
+
+    return removed ? id : null;
+}
+
+/**
+ * Stores a webhook event that could not be delivered. Only the most recent items
+ * are kept, as configured in `webhooks.dead letter list size`.
+ *
+ * @static
+ * @param { AccountObj } account - account object
+ * @param { WebhookDeadLetter } deadLetter - failed delivery
+ * @return { Promise } a Promise that resolves when the failure was stored
+ */
+async function addDeadLetter(account, deadLetter) {
+    const key = _getDeadLetterKey(account);
+
+    await lpush(key, JSON.stringify(deadLetter));
+    await ltrim(key, 0, config.webhooks['dead letter list size'] - 1);
+}
+
+/**
+ * Obtains the failed webhook deliveries of an account, most recent first.
+ *
+ * @static
+ * @param { AccountObj } account - account object
+ * @return { Promise<Array<WebhookDeadLetter>> } a Promise that resolves with a list of failed deliveries
+ */
+async function getDeadLetters(account) {
+    const items = await lrange(_getDeadLetterKey(account), 0, -1);
+
+    return (items || []).map((json) => JSON.parse(json));
+}
+
+/**
+ * Removes all failed webhook deliveries of an account.
+ *
+ * @static
+ * @param { AccountObj } account - account object
+ * @return { Promise } a Promise that resolves when the list was removed
+ */
+async function flushDeadLetters(account) {
+    await del(_getDeadLetterKey(account));
+}
+
+/**
+ * Stores a webhook event that could not be delivered yet, and schedules its next delivery attempt.
+ * Storing a retry with the same ID again replaces it.
+ *
+ * @static
+ * @param { WebhookRetry } retry - pending delivery
+ * @param { number } due - time of the next attempt in milliseconds since the epoch
+ * @return { Promise } a Promise that resolves when the retry was stored
+ */
+function scheduleRetry(retry, due) {
+    return new Promise((resolve, reject) => {
+        mainClient
+            .multi()
+            .set(_getRetryKey(retry.id), JSON.stringify(retry))
+            .zadd(retryDueKey, due, retry.id)
+            .exec((error) => (error ? reject(error) : resolve()));
+    });
+}
+
+/**
+ * Claims retries that are due for another delivery attempt. A claimed retry becomes due again after
+ * `lease` milliseconds, so it will be attempted again if the process that claimed it died before
+ * updating it. Only one process will be able to claim a particular retry.
+ *
+ * @static
+ * @param { number } lease - milliseconds after which a claimed retry becomes due again
+ * @param { number } [limit] - maximum number of retries to claim
+ * @return { Promise<Array<string>> } a Promise that resolves with a list of claimed retry IDs
+ */
+async function claimDueRetries(lease, limit = 10) {
+    const now = Date.now();
+    const ids = await zrangebyscore(
+        retryDueKey,
+        '-inf',
+        now,
+        'LIMIT',
+        0,
+        limit
+    );
+
+    return (ids || []).reduce(
+        (prevPromise, id) =>
+            prevPromise.then(async (claimed) => {
+                // zrem only succeeds for the first process that gets here
+                if (await zrem(retryDueKey, id)) {
+                    await zadd(retryDueKey, now + lease, id);
+                    claimed.push(id);
+                }
+
+                return claimed;
+            }),
+        Promise.resolve([])
+    );
+}
+
+/**
+ * Obtains a pending delivery.
+ *
+ * @static
+ * @param { string } id - retry ID
+ * @return { Promise<WebhookRetry|null> } a Promise that resolves with the retry, or `null` if it doesn't exist
+ */
+async function getRetry(id) {
+    const json = await get(_getRetryKey(id));
+
+    return json ? JSON.parse(json) : null;
+}
+
+/**
+ * Removes a pending delivery, once it succeeded or failed permanently.
+ *
+ * @static
+ * @param { string } id - retry ID
+ * @return { Promise } a Promise that resolves when the retry was removed
+ */
+function removeRetry(id) {
+    return new Promise((resolve, reject) => {
+        mainClient
+            .multi()
+            .del(_getRetryKey(id))
+            .zrem(retryDueKey, id)
+            .exec((error) => (error ? reject(error) : resolve()));
+    });
+}
+
+/**
+ * @param { AccountObj } account - account object
+ * @return { string } database key
+ */
+function _getSubscriptionKey(account) {
+    return `${subscriptionPrefix}${account.linkedServer}`;
+}
+
+/**
+ * @param { AccountObj } account - account object
+ * @return { string } database key
+ */
+function _getDeadLetterKey(account) {
+    return `${deadLetterPrefix}${account.linkedServer}`;
+}
+
+/**
+ * @param { string } id - retry ID
+ * @return { string } database key
+ */
+function _getRetryKey(id) {
+    return `${retryPrefix}${id}`;
+}
+
+/**
+ * Unlike `utils.isValidUrl`, this allows query strings (e.g. to pass a token to the receiver).
+ *
+ * @param { string } url - URL to be validated
+ * @return { boolean } Whether the URL is a valid http(s) URL
+ */
+function _isValidWebhookUrl(url) {
+    try {
+        return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch (e) {
+        return false;
+    }
+}
+
+module.exports = {
+    add,
+    list,
+    remove,
+    addDeadLetter,
+    getDeadLetters,
+    flushDeadLetters,
+    scheduleRetry,
+    claimDueRetries,
+    getRetry,
+    removeRetry,
+};
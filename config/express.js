@@ -11,9 +11,16 @@ const I18nextBackend = require('i18next-fs-backend');
 const i18nextMiddleware = require('i18next-http-middleware');
 const compression = require('compression');
 const errorHandler = require('../app/controllers/error-handler');
+const { rateLimit } = require('../app/lib/rate-limit');
+const metrics = require('../app/lib/metrics');
 
 const controllersPath = path.join(__dirname, '../app/controllers');
 const app = express();
+const apiRequests = metrics.counter(
+    'enketo_api_requests_total',
+    'API requests, by route, method and response status.',
+    ['route', 'method', 'status']
+);
 const debug = require('debug')('enketo:express');
 const config = require('../app/models/config-model');
 
@@ -166,6 +173,35 @@ if (Object.keys(securityHeaders).length > 0) {
     });
 }
 
+// API request metrics and rate limiting, per route group
+app.use(
+    [
+        `${app.get('base path')}/api`,
+        `${app.get('base path')}/api_v1`,
+        `${app.get('base path')}/api_v2`,
+    ],
+    (req, res, next) => {
+        res.on('finish', () => {
+            // Only paths of routes without wildcards or parameters are used, to avoid a label value for every possible path.
+            const route =
+                req.route && /^[a-z0-9/_-]*$/i.test(req.route.path)
+                    ? req.originalUrl.split('?')[0].toLowerCase()
+                    : 'other';
+
+            apiRequests.inc({
+                route,
+                method: req.method,
+                status: res.statusCode,
+            });
+        });
+        next();
+    },
+    rateLimit('api')
+);
+app.use(`${app.get('base path')}/transform`, rateLimit('transform'));
+app.use(`${app.get('base path')}/submission`, rateLimit('submission'));
+app.use(`${app.get('base path')}/media`, rateLimit('media'));
+
 // load controllers (including their routers)
 fs.readdirSync(controllersPath).forEach((file) => {
     if (file.indexOf('-controller.js') >= 0) {
@@ -0,0 +1,15 @@
+import gui from './module/gui';
+import store from './module/store';
+import { init as initTranslator, t } from './module/translator';
+import applicationCache from './module/application-cache';
+import launcher from './module/launcher';
+
+applicationCache
+    .init()
+    .then(initTranslator)
+    .then(() => store.init())
+    .then(launcher.init)
+    .catch((error) => {
+        console.error(error);
+        gui.alert(error.message || t('error.unknown'));
+    });
@@ -32,6 +32,7 @@ initTranslator(survey)
     })
     .then(connection.getMaximumSubmissionSize)
     .then(_updateMaxSizeSetting)
+    .then(_updateImagePolicySetting)
     .then(_init)
     .catch(_showErrorOrAuthenticate);
 
@@ -44,6 +45,19 @@ function _updateMaxSizeSetting(survey) {
     return survey;
 }
 
+function _updateImagePolicySetting(survey) {
+    if (survey.imagePolicy) {
+        // the form's image policy overrides the default policy
+        settings.imagePolicy = {
+            ...settings.imagePolicy,
+            ...survey.imagePolicy,
+            enabled: true,
+        };
+    }
+
+    return survey;
+}
+
 function _showErrorOrAuthenticate(error) {
     loader.classList.add('fail');
 
@@ -14,6 +14,7 @@ import utils from './module/utils';
 import events from './module/event';
 import formCache from './module/form-cache';
 import applicationCache from './module/application-cache';
+import storagePanel from './module/storage-panel';
 
 const loader = document.querySelector('.main-loader');
 const formheader = document.querySelector('.main > .paper > .form-header');
@@ -34,10 +35,12 @@ if (settings.offline) {
         .init(survey)
         .then(initTranslator)
         .then(formCache.init)
+        .then(_initStoragePanel)
         .then(_addBranding)
         .then(_swapTheme)
         .then(formCache.updateMaxSubmissionSize)
         .then(_updateMaxSizeSetting)
+        .then(_updateImagePolicySetting)
         .then(_init)
         .then((formParts) => {
             formParts.languages.forEach(loadTranslation);
@@ -70,6 +73,7 @@ if (settings.offline) {
             return connection.getMaximumSubmissionSize(survey);
         })
         .then(_updateMaxSizeSetting)
+        .then(_updateImagePolicySetting)
         .then(_init)
         .catch(_showErrorOrAuthenticate);
 }
@@ -83,6 +87,19 @@ function _updateMaxSizeSetting(survey) {
     return survey;
 }
 
+function _updateImagePolicySetting(survey) {
+    if (survey.imagePolicy) {
+        // the form's image policy overrides the default policy
+        settings.imagePolicy = {
+            ...settings.imagePolicy,
+            ...survey.imagePolicy,
+            enabled: true,
+        };
+    }
+
+    return survey;
+}
+
 function _showErrorOrAuthenticate(error) {
     error = typeof error === 'string' ? new Error(error) : error;
     loader.classList.add('fail');
@@ -139,6 +156,18 @@ function _setFormCacheEventHandlers(survey) {
     return survey;
 }
 
+/**
+ * Initializes the storage panel without waiting for the usage of all stored forms.
+ *
+ * @param { object } survey - [description]
+ * @return { object } the same survey
+ */
+function _initStoragePanel(survey) {
+    storagePanel.init();
+
+    return survey;
+}
+
 /**
  * Advanced/emergency handlers that should always be activated even if form loading fails.
  */
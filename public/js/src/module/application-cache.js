@@ -4,6 +4,14 @@
 
 import events from './event';
 import settings from './settings';
+import store from './store';
+import { t } from './translator';
+
+// Tag of the service worker tasks that upload queued records, see offline-app-worker-partial.js
+const BACKGROUND_UPLOAD_TAG = 'enketo-upload-queue';
+const NOTIFICATION_MESSAGES_PROPERTY = 'backgroundUploadMessages';
+// Browsers may choose a longer interval
+const PERIODIC_UPLOAD_INTERVAL = 12 * 60 * 60 * 1000;
 
 function init(survey) {
     if ('serviceWorker' in navigator) {
@@ -72,8 +80,133 @@ function _reportOfflineLaunchCapable(capable = true) {
     document.dispatchEvent(events.OfflineLaunchCapable({ capable }));
 }
 
+/**
+ * Lets the service worker upload queued records once the connection is back, also if the web
+ * page has been closed by then. The user is notified when the records have been uploaded.
+ *
+ * @return {Promise<boolean>} a Promise that resolves with whether background uploads are
+ * supported, once the service worker is ready
+ */
+function registerBackgroundUpload() {
+    if (!('serviceWorker' in navigator) || !('SyncManager' in window)) {
+        return Promise.resolve(false);
+    }
+
+    return navigator.serviceWorker.ready
+        .then((registration) =>
+            _storeNotificationMessages()
+                .then(() => registration.sync.register(BACKGROUND_UPLOAD_TAG))
+                .then(() => _registerPeriodicUpload(registration))
+        )
+        .then(() => true)
+        .catch((error) => {
+            console.error('Failed to register background upload', error);
+
+            return false;
+        });
+}
+
+/**
+ * @typedef ServiceWorkerUploadResult
+ * @property {string[]} submitted - names of the uploaded records
+ * @property {number} failed - number of records that could not be uploaded
+ * @property {boolean} retry - whether uploading the failed records can be retried later
+ */
+
+/**
+ * Lets the service worker upload the queued records of a form, for pages that do not load the form.
+ *
+ * @param {string} enketoId
+ * @return {Promise<ServiceWorkerUploadResult>}
+ */
+function uploadQueue(enketoId) {
+    if (
+        !('serviceWorker' in navigator) ||
+        !navigator.serviceWorker.controller
+    ) {
+        return Promise.reject(new Error('Service worker not available'));
+    }
+
+    return new Promise((resolve, reject) => {
+        const channel = new MessageChannel();
+
+        channel.port1.onmessage = (event) => {
+            if (event.data.error) {
+                reject(new Error(event.data.error));
+            } else {
+                resolve(event.data);
+            }
+        };
+        navigator.serviceWorker.controller.postMessage(
+            { type: 'uploadQueue', enketoId },
+            [channel.port2]
+        );
+    });
+}
+
+/**
+ * The service worker cannot translate, so it uses the messages stored here. It fills in the
+ * record names itself.
+ *
+ * @return {Promise<void>}
+ */
+function _storeNotificationMessages() {
+    const recordNames = '__recordNames__';
+
+    return store.property.update({
+        name: NOTIFICATION_MESSAGES_PROPERTY,
+        heading: t('alert.queuesubmissionsuccess.heading'),
+        msg: t('alert.queuesubmissionsuccess.msg', { count: 1, recordNames }),
+        msgPlural: t('alert.queuesubmissionsuccess.msg', {
+            count: 2,
+            recordNames,
+        }),
+    });
+}
+
+/**
+ * Asks the user whether background uploads may show a notification. Browsers only ask, or
+ * only allow asking, in response to a user action such as a click, so this has to be called
+ * from an event handler of that action.
+ *
+ * @return {Promise<void>}
+ */
+function requestNotificationPermission() {
+    if ('Notification' in window && Notification.permission === 'default') {
+        return Notification.requestPermission().then(() => {});
+    }
+
+    return Promise.resolve();
+}
+
+/**
+ * Periodic uploads are a fallback for browsers that give up on a background upload after a few
+ * attempts. Browsers only allow them for installed web apps.
+ *
+ * @param {ServiceWorkerRegistration} registration
+ * @return {Promise<void>}
+ */
+function _registerPeriodicUpload(registration) {
+    if (!('periodicSync' in registration)) {
+        return Promise.resolve();
+    }
+
+    return navigator.permissions
+        .query({ name: 'periodic-background-sync' })
+        .then(({ state }) =>
+            state === 'granted'
+                ? registration.periodicSync.register(BACKGROUND_UPLOAD_TAG, {
+                      minInterval: PERIODIC_UPLOAD_INTERVAL,
+                  })
+                : undefined
+        );
+}
+
 export default {
     init,
+    registerBackgroundUpload,
+    requestNotificationPermission,
+    uploadQueue,
     get serviceWorkerScriptUrl() {
         if (
             'serviceWorker' in navigator &&
@@ -4,6 +4,7 @@
 
 import encryptor from './encryptor';
 import settings from './settings';
+import store from './store';
 import { t } from './translator';
 import utils from './utils';
 import {
@@ -12,8 +13,14 @@ import {
     populateLastSavedInstances,
     setLastSavedRecord,
 } from './last-saved';
-import { geoJSONExternalInstance } from './geojson';
-import { replaceMediaSources } from './media';
+import externalData from './external-data';
+import { jsonExternalInstance } from './json';
+import { getUnchangedMediaURLs, replaceMediaSources } from './media';
+import {
+    getSubmissionHeaders,
+    prepareBatches,
+    uploadInChunks,
+} from './record-upload';
 
 /**
  * @typedef {import('../../../../app/models/record-model').EnketoRecord} EnketoRecord
@@ -28,11 +35,7 @@ import { replaceMediaSources } from './media';
  */
 
 /**
- * @typedef BatchPrepped
- * @property { string } instanceId
- * @property { string } deprecatedId
- * @property { FormData } formData
- * @property { string[] } failedFiles
+ * @typedef {import('./record-upload').BatchPrepped} BatchPrepped
  */
 
 /**
@@ -41,10 +44,7 @@ import { replaceMediaSources } from './media';
  */
 
 /**
- * @typedef UploadBatchResult
- * @property { number } status
- * @property { Array<string | undefined> } failedFiles
- * @property { string } [message]
+ * @typedef {import('./record-upload').UploadBatchResult} UploadBatchResult
  */
 
 const parser = new DOMParser();
@@ -138,23 +138,37 @@ function _uploadBatch(recordBatch) {
     const submissionUrl = settings.enketoId
         ? `${settings.basePath}/submission/${settings.enketoId}${_getQuery()}`
         : null;
-    const controller = new AbortController();
-
-    setTimeout(() => {
-        controller.abort();
-    }, settings.timeout);
+    const { instanceId, chunkedFile } = recordBatch;
+    const upload = chunkedFile
+        ? uploadInChunks(instanceId, chunkedFile, {
+              url: `${settings.basePath}/submission/uploads/${settings.enketoId}`,
+              chunkSize: settings.uploadChunkSize,
+              fetch: _fetchWithTimeout,
+              getUpload: (id, name) =>
+                  store.available
+                      ? store.upload.get(id, name)
+                      : Promise.resolve(undefined),
+              storeUpload: (progress) =>
+                  store.available
+                      ? store.upload.update(progress)
+                      : Promise.resolve(progress),
+          })
+        : Promise.resolve(null);
+
+    return upload
+        .then((uploadId) => {
+            const headers = getSubmissionHeaders(recordBatch, {
+                offline: settings.offline,
+                uploadId,
+            });
 
-    return fetch(submissionUrl, {
-        method: 'POST',
-        cache: 'no-cache',
-        headers: {
-            'X-OpenRosa-Version': '1.0',
-            'X-OpenRosa-Deprecated-Id': recordBatch.deprecatedId,
-            'X-OpenRosa-Instance-Id': recordBatch.instanceId,
-        },
-        signal: controller.signal,
-        body: recordBatch.formData,
-    })
+            return _fetchWithTimeout(submissionUrl, {
+                method: 'POST',
+                cache: 'no-cache',
+                headers,
+                body: recordBatch.formData,
+            });
+        })
         .then((response) => {
             /** @type { UploadBatchResult } */
             const result = {
@@ -185,9 +199,14 @@ function _uploadBatch(recordBatch) {
             }
             if (response.status !== 201 && response.status !== 202) {
                 throw result;
-            } else {
-                return result;
             }
+            if (chunkedFile && store.available) {
+                return store.upload
+                    .remove(instanceId, chunkedFile.name)
+                    .then(() => result);
+            }
+
+            return result;
         })
         .catch((error) => {
             if (
@@ -200,6 +219,21 @@ function _uploadBatch(recordBatch) {
         });
 }
 
+/**
+ * @param { string } url
+ * @param { RequestInit } init
+ * @return { Promise<Response> }
+ */
+function _fetchWithTimeout(url, init) {
+    const controller = new AbortController();
+
+    setTimeout(() => {
+        controller.abort();
+    }, settings.timeout);
+
+    return fetch(url, { ...init, signal: controller.signal });
+}
+
 /**
  * Builds up a record array including media files, divided into batches
  *
@@ -209,155 +243,26 @@ function _uploadBatch(recordBatch) {
 function _prepareFormDataArray(record) {
     const recordDoc = parser.parseFromString(record.xml, 'text/xml');
 
-    /** @type {Array<Omit<HTMLInputElement, 'type'>>} */
-    const fileElements = Array.prototype.slice
+    /** @type {string[]} */
+    const fileNames = Array.prototype.slice
         .call(recordDoc.querySelectorAll('[type="file"]'))
         .map((el) => {
             el.removeAttribute('type');
 
-            return el;
+            return el.textContent;
         });
     const xmlData = xmlSerializer.serializeToString(recordDoc.documentElement);
-    const xmlSubmissionBlob = new Blob([xmlData], {
-        type: 'text/xml',
-    });
-    const availableFiles = record.files || [];
-    const sizes = [];
-
-    /** @type {string[]} */
-    const failedFiles = [];
-
-    const submissionFiles = [];
-    let batches = [[]];
-
-    /** @type {BatchPrepped[]} */
-    const batchesPrepped = [];
-
-    const { maxSize } = settings;
-
-    fileElements.forEach((el) => {
-        let file;
-        const { nodeName } = el;
-        const fileName = el.textContent;
-
-        // check if file is actually available
-        availableFiles.some((f) => {
-            if (f.name === fileName) {
-                file = f;
-
-                return true;
-            }
-
-            return false;
-        });
-
-        // add the file if it is available
-        if (file) {
-            submissionFiles.push({
-                nodeName,
-                file,
-            });
-            sizes.push(file.size);
-        } else {
-            failedFiles.push(fileName);
-            console.error(`Error occured when trying to retrieve ${fileName}`);
-        }
-    });
-
-    if (submissionFiles.length > 0) {
-        batches = _divideIntoBatches(sizes, maxSize);
-    }
-
-    console.log(
-        `splitting record into ${batches.length} batches to reduce submission size `,
-        batches
-    );
-
-    batches.forEach((batch) => {
-        const fd = new FormData();
-
-        fd.append(
-            'xml_submission_file',
-            xmlSubmissionBlob,
-            'xml_submission_file'
-        );
-        const csrfToken = (
-            document.cookie
-                .split('; ')
-                .find((c) => c.startsWith(settings.csrfCookieName)) || ''
-        ).split('=')[1];
-        if (csrfToken) fd.append(settings.csrfCookieName, csrfToken);
-
-        // batch with XML data
-        const batchPrepped = {
-            instanceId: record.instanceId,
-            deprecatedId: record.deprecatedId,
-            formData: fd,
-            failedFiles,
-        };
-
-        // add any media files to the batch
-        batch.forEach((fileIndex) => {
-            // Not clear what name is appropriate. Since file.name is unique and works, this is used.
-            batchPrepped.formData.append(
-                submissionFiles[fileIndex].file.name,
-                submissionFiles[fileIndex].file,
-                submissionFiles[fileIndex].file.name
-            );
-        });
-
-        // push the batch to the array
-        batchesPrepped.push(batchPrepped);
+    const csrfToken = (
+        document.cookie
+            .split('; ')
+            .find((c) => c.startsWith(settings.csrfCookieName)) || ''
+    ).split('=')[1];
+
+    return prepareBatches(record, xmlData, fileNames, {
+        maxSize: settings.maxSize,
+        uploadChunkSize: settings.uploadChunkSize,
+        fields: csrfToken ? { [settings.csrfCookieName]: csrfToken } : {},
     });
-
-    return batchesPrepped;
-}
-
-/**
- * splits an array of file sizes into batches (for submission) based on a limit
- *
- * @param  {Array.<number>} fileSizes -   array of file sizes
- * @param  {number}     limit -   limit in byte size of one chunk (can be exceeded for a single item)
- * @return {Array.<Array.<number>>} array of arrays with index, each secondary array of indices represents a batch
- */
-
-function _divideIntoBatches(fileSizes, limit) {
-    let i;
-    let j;
-    let batch;
-    let batchSize;
-    const sizes = [];
-    const batches = [];
-
-    for (i = 0; i < fileSizes.length; i++) {
-        sizes.push({
-            index: i,
-            size: fileSizes[i],
-        });
-    }
-
-    while (sizes.length > 0) {
-        batch = [sizes[0].index];
-        batchSize = sizes[0].size;
-        if (sizes[0].size < limit) {
-            for (i = 1; i < sizes.length; i++) {
-                if (batchSize + sizes[i].size < limit) {
-                    batch.push(sizes[i].index);
-                    batchSize += sizes[i].size;
-                }
-            }
-        }
-        batches.push(batch);
-        for (i = 0; i < sizes.length; i++) {
-            for (j = 0; j < batch.length; j++) {
-                if (sizes[i].index === batch[j]) {
-                    sizes.splice(i, 1);
-                }
-            }
-        }
-    }
-
-    return batches;
 }
 
 /**
@@ -398,6 +303,7 @@ const getTransformURL = (basePath, enketoId) => {
 /**
  * @typedef GetExternalDataOptions
  * @property {boolean} [isPreview]
+ * @property {Survey | null} [previousSurvey] - stored version of the survey, whose external data is reused for unchanged files
  */
 
 /**
@@ -409,6 +315,13 @@ const getTransformURL = (basePath, enketoId) => {
 const getExternalData = async (survey, model, options = {}) => {
     replaceMediaSources(model, survey.media);
 
+    const unchangedURLs = getUnchangedMediaURLs(options.previousSurvey, survey);
+    const previousXML = new Map(
+        (options.previousSurvey?.externalData ?? [])
+            .filter((instance) => instance?.xml != null)
+            .map(({ src, xml }) => [src, xml])
+    );
+
     /** @type {Array<Promise<SurveyExternalData>>} */
     const tasks = [];
     const externalInstances = [
@@ -427,6 +340,17 @@ const getExternalData = async (survey, model, options = {}) => {
             return;
         }
 
+        if (unchangedURLs.has(src) && previousXML.has(src)) {
+            tasks.push(
+                Promise.resolve({
+                    ...instance,
+                    xml: previousXML.get(src),
+                })
+            );
+
+            return;
+        }
+
         const task = async () => {
             try {
                 const xml = await getDataFile(src, survey.languageMap);
@@ -512,9 +436,10 @@ const transformPreviewXForm = async (xformURL) => {
  * Obtains HTML Form, XML Model and External Instances
  *
  * @param { GetFormPartsProps } props - form properties object
+ * @param { Survey | null } [previousSurvey] - stored version of the form, whose unchanged external data files are not downloaded again
  * @return { Promise<Survey> } a Promise that resolves with a form parts object
  */
-async function getFormParts(props) {
+async function getFormParts(props, previousSurvey) {
     /** @type {import('enketo-transformer').TransformedSurvey} */
     let transformed;
 
@@ -531,8 +456,10 @@ async function getFormParts(props) {
                 props.enketoId
             );
 
+            // Existing records can be loaded when the survey is not open or full.
             transformed = await _postData(transformURL, {
                 xformUrl: props.xformUrl,
+                instance_id: props.instanceId,
             });
         }
     } catch (error) {
@@ -565,6 +492,7 @@ async function getFormParts(props) {
 
     const externalData = await getExternalData(survey, model, {
         isPreview: props.isPreview,
+        previousSurvey,
     });
 
     Object.assign(survey, { externalData });
@@ -676,6 +604,7 @@ function getMediaFile(url) {
  * @return {Promise<XMLDocument>} a Promise that resolves with an XML Document
  */
 function getDataFile(url, languageMap) {
+    const filename = url.replace(/.*\//, '');
     let contentType;
 
     return fetch(url)
@@ -693,20 +622,37 @@ function getDataFile(url, languageMap) {
                 url.endsWith('.geojson')
             ) {
                 contentType = 'application/geo+json';
+            } else if (
+                (contentType === '' || String(contentType) === 'null') &&
+                url.endsWith('.json')
+            ) {
+                contentType = 'application/json';
             }
 
-            return contentType === 'application/geo+json'
-                ? response.json()
-                : response.text();
+            return response.text();
         })
-        .then((responseData) => {
+        .then(async (responseData) => {
             let result;
             switch (contentType) {
                 case 'application/geo+json':
-                    result = geoJSONExternalInstance(responseData);
-                    break;
                 case 'text/csv':
-                    result = utils.csvToXml(responseData, languageMap);
+                    // converted in a Web Worker
+                    result = await externalData.convert(
+                        responseData,
+                        contentType,
+                        languageMap,
+                        filename
+                    );
+                    break;
+                case 'application/json':
+                    try {
+                        result = jsonExternalInstance(JSON.parse(responseData));
+                    } catch (error) {
+                        console.error(error);
+                        throw new Error(
+                            t('error.dataloadfailed', { filename })
+                        );
+                    }
                     break;
                 case 'text/xml':
                     result = parser.parseFromString(responseData, contentType);
@@ -734,9 +680,7 @@ function getDataFile(url, languageMap) {
         .catch((error) => {
             const errorMsg =
                 !error.message || /fetch/.test(error.message)
-                    ? t('error.dataloadfailed', {
-                          filename: url.replace(/.*\//, ''),
-                      })
+                    ? t('error.dataloadfailed', { filename })
                     : error.message;
             throw new Error(errorMsg);
         });
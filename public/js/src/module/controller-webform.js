@@ -17,6 +17,7 @@ import {
     getBrowserLanguage,
 } from './translator';
 import records from './records-queue';
+import recordLock from './record-lock';
 import encryptor from './encryptor';
 import formCache from './form-cache';
 import { getLastSavedRecord, populateLastSavedInstances } from './last-saved';
@@ -162,7 +163,7 @@ function _initializeRecords() {
         return Promise.resolve();
     }
 
-    return records.init();
+    return recordLock.init().then(() => records.init());
 }
 
 function _checkAutoSavedRecord() {
@@ -542,7 +543,9 @@ function _saveRecord(survey, draft, recordName, confirmed) {
             .catch(() => {});
     }
 
+    // Locked records and files cannot be read or stored, so the user is asked to unlock them first.
     return autoSavePromise
+        .then(() => recordLock.ensureUnlocked())
         .then(() => fileManager.getCurrentFiles())
         .then((files) => {
             // build the record object
@@ -638,7 +641,9 @@ function _autoSaveRecord() {
         return autoSavePromise;
     }
 
+    // If the user does not unlock the records, the record is auto-saved after its next change.
     autoSavePromise = autoSavePromise
+        .then(() => recordLock.ensureUnlocked())
         .then(() => fileManager.getCurrentFiles())
         .then((files) => {
             // build the variable portions of the record object
@@ -24,6 +24,10 @@ events.FormUpdated = function () {
     return new CustomEvent('formupdated', { bubbles: true });
 };
 
+events.ExternalDataProgress = function (detail) {
+    return new CustomEvent('externaldataprogress', { detail, bubbles: true });
+};
+
 events.FormReset = function () {
     return new CustomEvent('formreset', { bubbles: true });
 };
@@ -0,0 +1,35 @@
+/**
+ * Web Worker that converts CSV and GeoJSON external data files to XML strings, so that large
+ * files do not block the page. See external-data.js.
+ */
+
+import utils from './utils';
+import { geoJSONToXMLString } from './geojson';
+
+/**
+ * @typedef ConversionRequest
+ * @property {number} id
+ * @property {'text/csv' | 'application/geo+json'} contentType
+ * @property {string} text - file contents
+ * @property {object} [languageMap]
+ */
+
+// Assigning the handler also replaces the one that PapaParse sets up when it runs in a worker.
+self.onmessage = async (
+    /** @type {MessageEvent<ConversionRequest>} */ event
+) => {
+    const { id, contentType, text, languageMap } = event.data;
+
+    try {
+        const xml =
+            contentType === 'text/csv'
+                ? await utils.csvToXmlString(text, languageMap, (progress) => {
+                      self.postMessage({ id, progress });
+                  })
+                : geoJSONToXMLString(JSON.parse(text));
+
+        self.postMessage({ id, xml });
+    } catch (error) {
+        self.postMessage({ id, error: error.message || String(error) });
+    }
+};
@@ -0,0 +1,197 @@
+/**
+ * Converts CSV and GeoJSON external data files to secondary instances in a Web Worker, and caches
+ * the result by hash of the file, so unchanged files are not converted again.
+ */
+
+import settings from './settings';
+import store from './store';
+import events from './event';
+import utils from './utils';
+import { geoJSONToXMLString } from './geojson';
+
+/**
+ * @typedef {'text/csv' | 'application/geo+json'} ConvertedContentType
+ */
+
+const WORKER_URL = `${settings.basePath}${settings.offlinePath}/js/build/external-data-worker.js`;
+const WORKER_UNAVAILABLE = new Error('External data worker unavailable');
+const parser = new DOMParser();
+
+/** @type {Worker | null | undefined} */
+let worker;
+let requestCount = 0;
+
+/** @type {Map<number, {resolve: Function, reject: Function, onProgress: Function}>} */
+const pending = new Map();
+
+/**
+ * @param {string} text - file contents
+ * @param {ConvertedContentType} contentType
+ * @param {object} languageMap - language map object with language name properties and IANA subtag values
+ * @param {string} filename - name of the file, for progress events
+ * @return {Promise<XMLDocument>} a Promise that resolves with the secondary instance
+ */
+async function convert(text, contentType, languageMap, filename) {
+    const onProgress = (progress) => {
+        document.dispatchEvent(
+            events.ExternalDataProgress({ filename, progress })
+        );
+    };
+    const key = await _getCacheKey(text, contentType, languageMap);
+    let xml = key ? await _getCached(key) : undefined;
+
+    if (xml === undefined) {
+        onProgress(0);
+        xml = await _convertInWorker(
+            text,
+            contentType,
+            languageMap,
+            onProgress
+        ).catch((error) => {
+            if (error !== WORKER_UNAVAILABLE) {
+                throw error;
+            }
+
+            return _convert(text, contentType, languageMap, onProgress);
+        });
+
+        if (key) {
+            // no need to wait for this
+            store.externalData.set(key, xml).catch(console.error);
+        }
+    }
+    onProgress(1);
+
+    return parser.parseFromString(xml, 'text/xml');
+}
+
+/**
+ * Converts in the current thread, when the worker is not available.
+ *
+ * @param {string} text - file contents
+ * @param {ConvertedContentType} contentType
+ * @param {object} languageMap - language map object
+ * @param {(progress: number) => void} onProgress
+ * @return {Promise<string>} a Promise that resolves with the XML string
+ */
+async function _convert(text, contentType, languageMap, onProgress) {
+    return contentType === 'text/csv'
+        ? utils.csvToXmlString(text, languageMap, onProgress)
+        : geoJSONToXMLString(JSON.parse(text));
+}
+
+/**
+ * @param {string} text - file contents
+ * @param {ConvertedContentType} contentType
+ * @param {object} languageMap - language map object
+ * @param {(progress: number) => void} onProgress
+ * @return {Promise<string>} a Promise that resolves with the XML string, or rejects with WORKER_UNAVAILABLE
+ */
+function _convertInWorker(text, contentType, languageMap, onProgress) {
+    const conversionWorker = _getWorker();
+
+    if (!conversionWorker) {
+        return Promise.reject(WORKER_UNAVAILABLE);
+    }
+
+    return new Promise((resolve, reject) => {
+        requestCount += 1;
+        pending.set(requestCount, { resolve, reject, onProgress });
+        conversionWorker.postMessage({
+            id: requestCount,
+            contentType,
+            text,
+            languageMap,
+        });
+    });
+}
+
+/**
+ * @return {Worker | null} the worker, or `null` if it is not available
+ */
+function _getWorker() {
+    if (worker !== undefined) {
+        return worker;
+    }
+
+    try {
+        // Browsers that do not support module workers fail to load the script.
+        worker = new Worker(WORKER_URL, { type: 'module' });
+    } catch (error) {
+        console.error('Failed to start external data worker', error);
+        worker = null;
+
+        return worker;
+    }
+
+    worker.addEventListener('message', (event) => {
+        const { id, progress, xml, error } = event.data;
+        const request = pending.get(id);
+
+        if (!request) {
+            return;
+        }
+        if (progress !== undefined) {
+            request.onProgress(progress);
+        } else {
+            pending.delete(id);
+            if (error) {
+                request.reject(new Error(error));
+            } else {
+                request.resolve(xml);
+            }
+        }
+    });
+    worker.addEventListener('error', (event) => {
+        console.error('External data worker failed', event.message);
+        worker.terminate();
+        worker = null;
+        pending.forEach((request) => {
+            request.reject(WORKER_UNAVAILABLE);
+        });
+        pending.clear();
+    });
+
+    return worker;
+}
+
+/**
+ * @param {string} text - file contents
+ * @param {ConvertedContentType} contentType
+ * @param {object} languageMap - language map object
+ * @return {Promise<string | null>} a Promise that resolves with the cache key, or with `null` if
+ * converted data cannot be cached
+ */
+async function _getCacheKey(text, contentType, languageMap) {
+    // crypto.subtle is only available in secure contexts
+    if (!store.available || !window.crypto?.subtle) {
+        return null;
+    }
+
+    const digest = await crypto.subtle.digest(
+        'SHA-256',
+        new TextEncoder().encode(text)
+    );
+    const hash = [...new Uint8Array(digest)]
+        .map((byte) => byte.toString(16).padStart(2, '0'))
+        .join('');
+    // CSV headings are converted with the language map of the form
+    const options =
+        contentType === 'text/csv' ? JSON.stringify(languageMap ?? {}) : '';
+
+    return `${contentType}:${hash}:${options}`;
+}
+
+/**
+ * @param {string} key - cache key
+ * @return {Promise<string | undefined>} a Promise that resolves with the cached XML string, if any
+ */
+function _getCached(key) {
+    return store.externalData.get(key).catch((error) => {
+        console.error(error);
+
+        return undefined;
+    });
+}
+
+export default { convert };
@@ -8,6 +8,8 @@ import store from './store';
 import settings from './settings';
 import connection from './connection';
 import utils from './utils';
+import gui from './gui';
+import imagePolicy from './image-policy';
 import { t } from './translator';
 
 const URL_RE = /[a-zA-Z0-9+-.]+?:\/\//;
@@ -15,6 +17,20 @@ const URL_RE = /[a-zA-Z0-9+-.]+?:\/\//;
 /** @type {Record<string, string>} */
 let instanceAttachments;
 
+/**
+ * Processed images by attached file, so that images are processed only once.
+ *
+ * @type {WeakMap<Blob, Promise<import('./image-policy').ProcessedImage | null>>}
+ */
+const processedImages = new WeakMap();
+
+/**
+ * Attached files of which the user was told how they were processed.
+ *
+ * @type {WeakSet<Blob>}
+ */
+const notifiedImages = new WeakSet();
+
 /**
  * Initialize the file manager .
  *
@@ -109,11 +125,21 @@ function getFileUrl(subject) {
                     .catch(reject);
             }
         } else if (typeof subject === 'object') {
-            if (isTooLarge(subject)) {
-                reject(_getMaxSizeError());
-            } else {
-                resolve(URL.createObjectURL(subject));
-            }
+            _processImage(subject)
+                .then((processed) => {
+                    const file = processed ? processed.file : subject;
+
+                    if (isTooLarge(file)) {
+                        reject(_getMaxSizeError());
+                    } else {
+                        if (processed && !notifiedImages.has(subject)) {
+                            notifiedImages.add(subject);
+                            _showProcessedImage(processed);
+                        }
+                        resolve(URL.createObjectURL(file));
+                    }
+                })
+                .catch(reject);
         } else {
             reject(new Error('Unknown error occurred'));
         }
@@ -153,7 +179,7 @@ function getCurrentFiles() {
     ];
     const fileTasks = [];
 
-    const _processNameAndSize = function (input, file) {
+    const _processNameAndSize = async function (input, file) {
         if (file && file.name) {
             // Correct file names by adding a unique-ish postfix
             // First create a clone, because the name property is immutable
@@ -166,6 +192,12 @@ function getCurrentFiles() {
             // If file is resized, get Blob representation of data URI
             if (input.dataset.resized && input.dataset.resizedDataURI) {
                 file = utils.dataUriToBlobSync(input.dataset.resizedDataURI);
+            } else if (input.type === 'file') {
+                const processed = await _processImage(file);
+
+                if (processed) {
+                    file = processed.file;
+                }
             }
             file = new Blob([file], {
                 type: file.type,
@@ -180,9 +212,7 @@ function getCurrentFiles() {
         if (input.type === 'file') {
             // first get any files inside file input elements
             if (input.files[0]) {
-                fileTasks.push(
-                    Promise.resolve(_processNameAndSize(input, input.files[0]))
-                );
+                fileTasks.push(_processNameAndSize(input, input.files[0]));
             }
         } else if (input.value) {
             // then from canvases
@@ -227,6 +257,70 @@ function getCurrentFile(filename) {
     );
 }
 
+/**
+ * Processes an attached image according to the image policy of the form or the server.
+ *
+ * @param {Blob} file - attached file
+ * @return {Promise<import('./image-policy').ProcessedImage | null>} the processed image, or `null` if
+ * the file was not changed
+ */
+function _processImage(file) {
+    if (!processedImages.has(file)) {
+        processedImages.set(
+            file,
+            imagePolicy
+                .processImage(file, settings.imagePolicy)
+                .catch((error) => {
+                    console.error('Could not process image', error);
+
+                    return null;
+                })
+        );
+    }
+
+    return processedImages.get(file);
+}
+
+/**
+ * Lets the user know how an attached image was changed.
+ *
+ * @param {import('./image-policy').ProcessedImage} processed
+ */
+function _showProcessedImage({
+    file,
+    originalSize,
+    size,
+    resized,
+    compressed,
+    keptGps,
+}) {
+    const actions = [];
+
+    if (resized) {
+        actions.push(t('filepicker.imageresized', resized));
+    }
+    if (compressed) {
+        actions.push(t('filepicker.imagecompressed'));
+    }
+    actions.push(
+        t(
+            keptGps
+                ? 'filepicker.imagelocationkept'
+                : 'filepicker.imagemetadataremoved'
+        )
+    );
+
+    gui.feedback(
+        t('filepicker.imageprocessed', {
+            filename: file.name,
+            originalSize: utils.formatSize(originalSize),
+            size: utils.formatSize(size),
+            actions: actions.join(', '),
+        }),
+        10
+    );
+}
+
 /**
  * Obtains the instanceId of the current record.
  *
@@ -13,7 +13,7 @@ import {
     populateLastSavedInstances,
     removeLastSavedRecord,
 } from './last-saved';
-import { replaceMediaSources } from './media';
+import { getUnchangedMediaURLs, replaceMediaSources } from './media';
 
 /**
  * @typedef {import('../../../../app/models/record-model').EnketoRecord} EnketoRecord
@@ -68,11 +68,12 @@ function get({ enketoId }) {
 
 /**
  * @param {Survey} survey
+ * @param {Survey | null} [previousSurvey] - stored version of the survey, whose unchanged binary defaults are reused
  * @return {Promise<Survey>}
  */
-function prepareOfflineSurvey(survey) {
-    return Promise.resolve(_swapMediaSrc(survey)).then(
-        _addBinaryDefaultsAndUpdateModel
+function prepareOfflineSurvey(survey, previousSurvey) {
+    return Promise.resolve(_swapMediaSrc(survey)).then((swapped) =>
+        _addBinaryDefaultsAndUpdateModel(swapped, previousSurvey)
     );
 }
 
@@ -228,12 +229,14 @@ function _swapMediaSrc(survey) {
 
 /**
  * Loads all default binary files and adds them to the survey object. It removes the src
- * attributes from model nodes with default binary files.
+ * attributes from model nodes with default binary files. Files that have not changed since
+ * the previous version of the survey was stored are taken from the store instead of downloaded.
  *
  * @param { Survey } survey - survey object
+ * @param { Survey | null } [previousSurvey] - stored version of the survey
  * @return { Promise<Survey> }
  */
-function _addBinaryDefaultsAndUpdateModel(survey) {
+function _addBinaryDefaultsAndUpdateModel(survey, previousSurvey) {
     // The mechanism for default binary files is as follows:
     // 1. They are stored as binaryDefaults in the resources table with the key being comprised of the VALUE (i.e. jr:// url)
     // 2. Filemanager.getFileUrl will determine whether to load from (survey) resources of (record) files
@@ -246,12 +249,22 @@ function _addBinaryDefaultsAndUpdateModel(survey) {
         ...model.querySelectorAll('instance:first-child > * *[src]'),
     ];
     const tasks = [];
+    const unchangedURLs = getUnchangedMediaURLs(previousSurvey, survey);
     survey.binaryDefaults = [];
 
     binaryDefaultElements.forEach((el) => {
+        const src = el.getAttribute('src');
+
         tasks.push(
-            connection
-                .getMediaFile(el.getAttribute('src'))
+            (unchangedURLs.has(src)
+                ? store.survey.resource.get(survey.enketoId, el.textContent)
+                : Promise.resolve(null)
+            )
+                .then((stored) =>
+                    stored && stored.item
+                        ? stored
+                        : connection.getMediaFile(src)
+                )
                 .then((result) => {
                     // Overwrite the url to use the jr://images/img.png value. This makes the magic happen.
                     // It causes a jr:// value to be treated the same as a filename.ext value.
@@ -466,16 +479,30 @@ function _updateCache(survey) {
                     version
                 );
 
-                return connection
-                    .getFormParts(survey)
+                let previousSurvey;
+
+                // Only the files of which the manifest hash changed are downloaded again.
+                return get(survey)
+                    .then((stored) => {
+                        previousSurvey = stored;
+
+                        return connection.getFormParts(survey, previousSurvey);
+                    })
                     .then((formParts) => {
                         // media will be updated next time the form is loaded if resources is undefined
                         formParts.resources = undefined;
 
                         return formParts;
                     })
-                    .then(prepareOfflineSurvey)
+                    .then((formParts) =>
+                        prepareOfflineSurvey(formParts, previousSurvey)
+                    )
                     .then(updateSurveyCache)
+                    .then((result) =>
+                        _removeChangedResources(previousSurvey, result).then(
+                            () => result
+                        )
+                    )
                     .then((result) => {
                         // set the hash so that subsequent update checks won't redownload the form
                         hash = result.hash;
@@ -519,6 +546,25 @@ function _updateCache(survey) {
         });
 }
 
+/**
+ * Removes stored media of which the file has changed or has been removed from the form, so
+ * they will be downloaded again when the form is loaded. Unchanged media are kept.
+ *
+ * @param {Survey | null} previousSurvey - stored version of the survey before the update
+ * @param {Survey} survey - updated survey
+ * @return {Promise<void>}
+ */
+function _removeChangedResources(previousSurvey, survey) {
+    const unchangedURLs = getUnchangedMediaURLs(previousSurvey, survey);
+    const changed = (previousSurvey?.resources ?? []).filter(
+        (url) => !unchangedURLs.has(url)
+    );
+
+    return Promise.all(
+        changed.map((url) => store.survey.resource.remove(survey.enketoId, url))
+    ).then(() => {});
+}
+
 /**
  * Completely flush the form cache (not the data storage)
  *
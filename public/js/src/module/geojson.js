@@ -1,14 +1,27 @@
 // @ts-check
 
+import utils from './utils';
+
 const FEATURE = 'Feature';
 
 const POINT = 'Point';
 const LINE_STRING = 'LineString';
 const POLYGON = 'Polygon';
-
-const SUPPORTED_TYPES = new Set([POINT, LINE_STRING, POLYGON]);
+const MULTI_POINT = 'MultiPoint';
+const MULTI_LINE_STRING = 'MultiLineString';
+const MULTI_POLYGON = 'MultiPolygon';
+const GEOMETRY_COLLECTION = 'GeometryCollection';
+
+const SUPPORTED_TYPES = new Set([
+    POINT,
+    LINE_STRING,
+    POLYGON,
+    MULTI_POINT,
+    MULTI_LINE_STRING,
+    MULTI_POLYGON,
+]);
 const SUPPORTED_TYPES_MESSAGE =
-    'Only Points, LineStrings and Polygons are currently supported';
+    'Only Points, LineStrings, Polygons, their Multi* variants and GeometryCollections are currently supported';
 
 /**
  * @typedef {import('geojson')} GeoJSON
@@ -31,11 +44,31 @@ const SUPPORTED_TYPES_MESSAGE =
  */
 
 /**
- * @typedef {Point | LineString | Polygon} SupportedGeometry
+ * @typedef {Omit<GeoJSON.MultiPoint, 'coordinates'> & { coordinates: LongLatCoordinates[] }} MultiPoint
+ */
+
+/**
+ * @typedef {Omit<GeoJSON.MultiLineString, 'coordinates'> & { coordinates: LongLatCoordinates[][] }} MultiLineString
+ */
+
+/**
+ * @typedef {Omit<GeoJSON.MultiPolygon, 'coordinates'> & { coordinates: Array<[] | [LongLatCoordinates[]]> }} MultiPolygon
+ */
+
+/**
+ * @typedef {Point | LineString | Polygon} SingleGeometry
+ */
+
+/**
+ * @typedef {{ type: 'GeometryCollection', geometries: SupportedGeometry[] }} GeometryCollection
  */
 
 /**
- * @typedef {Pick<SupportedGeometry, 'type'> & { coordinates: unknown[] }} BaseSupportedGeometry
+ * @typedef {SingleGeometry | MultiPoint | MultiLineString | MultiPolygon | GeometryCollection} SupportedGeometry
+ */
+
+/**
+ * @typedef {{ type: Exclude<SupportedGeometry['type'], 'GeometryCollection'>, coordinates: unknown[] } | { type: 'GeometryCollection', geometries: unknown[] }} BaseSupportedGeometry
  */
 
 /**
@@ -49,7 +82,10 @@ const SUPPORTED_TYPES_MESSAGE =
  */
 
 /**
- * @typedef {[longitude: number, latitude: number]} LongLatCoordinates
+ * Positions may include an altitude and, as an extension of the GeoJSON specification, an accuracy.
+ * These are a rest element rather than optional elements, so that positions remain GeoJSON positions.
+ *
+ * @typedef {[longitude: number, latitude: number, ...altitudeAndAccuracy: number[]]} LongLatCoordinates
  */
 
 /**
@@ -59,12 +95,12 @@ const SUPPORTED_TYPES_MESSAGE =
 const validateLongLatCoordinates = (data) => {
     if (
         !Array.isArray(data) ||
-        data.length !== 2 ||
-        typeof data[0] !== 'number' ||
-        typeof data[1] !== 'number'
+        data.length < 2 ||
+        data.length > 4 ||
+        data.some((value) => typeof value !== 'number')
     ) {
         throw new TypeError(
-            `Only ${POINT}s with latitude and longitude are currently supported`
+            'Only positions with longitude, latitude and optionally altitude and accuracy are currently supported'
         );
     }
 };
@@ -73,19 +109,46 @@ const validateLongLatCoordinates = (data) => {
  * @param {LongLatCoordinates} coordinates
  */
 const coordinatesToString = (coordinates) => {
-    const [longitude, latitude] = coordinates;
+    const [longitude, latitude, altitude = 0, accuracy = 0] = coordinates;
 
-    return `${latitude} ${longitude} 0 0`;
+    return `${latitude} ${longitude} ${altitude} ${accuracy}`;
 };
 
 /**
- * @param {XMLDocument} instance
+ * Splits Multi* geometries and GeometryCollections into their parts.
+ *
  * @param {SupportedGeometry} geometry
- * @return {Element}
+ * @return {SingleGeometry[]}
  */
-const geometryElement = (instance, geometry) => {
-    const element = instance.createElement('geometry');
+const singleGeometries = (geometry) => {
+    switch (geometry.type) {
+        case MULTI_POINT:
+            return geometry.coordinates.map((coordinates) => ({
+                type: POINT,
+                coordinates,
+            }));
+        case MULTI_LINE_STRING:
+            return geometry.coordinates.map((coordinates) => ({
+                type: LINE_STRING,
+                coordinates,
+            }));
+        case MULTI_POLYGON:
+            return geometry.coordinates.map((coordinates) => ({
+                type: POLYGON,
+                coordinates,
+            }));
+        case GEOMETRY_COLLECTION:
+            return geometry.geometries.flatMap(singleGeometries);
+        default:
+            return [geometry];
+    }
+};
 
+/**
+ * @param {SingleGeometry} geometry
+ * @return {string}
+ */
+const geometryElement = (geometry) => {
     /** @type {LongLatCoordinates[]} */
     let points;
 
@@ -94,14 +157,22 @@ const geometryElement = (instance, geometry) => {
     } else if (geometry.type === LINE_STRING) {
         points = geometry.coordinates;
     } else {
-        points = geometry.coordinates[0];
+        points = geometry.coordinates[0] ?? [];
     }
 
-    element.textContent = points.map(coordinatesToString).join('; ');
-
-    return element;
+    return `<geometry>${points.map(coordinatesToString).join('; ')}</geometry>`;
 };
 
+/**
+ * A feature with a Multi* geometry or a GeometryCollection gets a geometry element for each part.
+ * Expressions that use the geometry as a single value get the first part, see tutorials/82-geojson.md.
+ *
+ * @param {SupportedGeometry} geometry
+ * @return {string}
+ */
+const geometryElements = (geometry) =>
+    singleGeometries(geometry).map(geometryElement).join('');
+
 /**
  * @typedef {Omit<Point, 'coordinates'> & { coordinates: LongLatCoordinates }} BaseLongLatPoint
  */
@@ -115,18 +186,43 @@ const geometryElement = (instance, geometry) => {
  * @returns {asserts data is BaseSupportedGeometry}
  */
 const validateGeometryType = (data) => {
+    if (data == null || typeof data !== 'object') {
+        throw new TypeError(SUPPORTED_TYPES_MESSAGE);
+    }
+
+    // @ts-expect-error
+    const { type, coordinates, geometries } = data;
+
     if (
-        data == null ||
-        typeof data !== 'object' ||
-        // @ts-expect-error
-        !SUPPORTED_TYPES.has(data.type) ||
-        // @ts-expect-error
-        !Array.isArray(data.coordinates)
+        type === GEOMETRY_COLLECTION
+            ? !Array.isArray(geometries)
+            : !SUPPORTED_TYPES.has(type) || !Array.isArray(coordinates)
     ) {
         throw new TypeError(SUPPORTED_TYPES_MESSAGE);
     }
 };
 
+/**
+ * @param {unknown} data
+ * @return {asserts data is unknown[]}
+ */
+const validateArray = (data) => {
+    if (!Array.isArray(data)) {
+        throw new TypeError(SUPPORTED_TYPES_MESSAGE);
+    }
+};
+
+/**
+ * Only the exterior ring of a polygon is used.
+ *
+ * @param {unknown[]} coordinates
+ */
+const validatePolygonCoordinates = (coordinates) => {
+    if (Array.isArray(coordinates[0])) {
+        coordinates[0].forEach(validateLongLatCoordinates);
+    }
+};
+
 /**
  * @param {unknown} data
  * @return {asserts data is SupportedGeometry}
@@ -134,12 +230,24 @@ const validateGeometryType = (data) => {
 const validateGeometry = (data) => {
     validateGeometryType(data);
 
-    if (data.type === POINT) {
+    if (data.type === GEOMETRY_COLLECTION) {
+        data.geometries.forEach(validateGeometry);
+    } else if (data.type === POINT) {
         validateLongLatCoordinates(data.coordinates);
-    } else if (data.type === LINE_STRING) {
+    } else if (data.type === LINE_STRING || data.type === MULTI_POINT) {
         data.coordinates.forEach(validateLongLatCoordinates);
-    } else if (Array.isArray(data.coordinates[0])) {
-        data.coordinates[0]?.forEach(validateLongLatCoordinates);
+    } else if (data.type === POLYGON) {
+        validatePolygonCoordinates(data.coordinates);
+    } else if (data.type === MULTI_LINE_STRING) {
+        data.coordinates.forEach((line) => {
+            validateArray(line);
+            line.forEach(validateLongLatCoordinates);
+        });
+    } else {
+        data.coordinates.forEach((polygon) => {
+            validateArray(polygon);
+            validatePolygonCoordinates(polygon);
+        });
     }
 };
 
@@ -149,7 +257,7 @@ const validateGeometry = (data) => {
 
 /**
  * @param {unknown} data
- * @return {asserts data is Feature}
+ * @return {asserts data is Feature<SupportedGeometry>}
  */
 const validateFeature = (data) => {
     if (data == null) {
@@ -186,45 +294,74 @@ const validateFeatureCollection = (data) => {
         throw new TypeError('GeoJSON file must be a FeatureCollection');
     }
 
-    features.forEach(validateFeature);
+    features.forEach((feature, index) => {
+        try {
+            validateFeature(feature);
+        } catch (error) {
+            throw new TypeError(
+                `Feature ${index}: ${
+                    error instanceof Error ? error.message : error
+                }`
+            );
+        }
+    });
 };
 
-const parser = new DOMParser();
+/**
+ * @param {string} name
+ * @param {unknown} value
+ * @return {string}
+ */
+const propertyElement = (name, value) => {
+    if (!utils.isValidXmlLocalName(name)) {
+        throw new TypeError(
+            `Property "${name}" cannot be turned into a valid XML element`
+        );
+    }
+
+    return `<${name}>${utils.escapeXml(String(value ?? ''))}</${name}>`;
+};
 
 /**
+ * Converts GeoJSON to the XML string of a secondary instance. This does not require a DOM, so it
+ * can be used in a Web Worker.
+ *
  * @param {unknown} data
+ * @return {string}
  */
-// eslint-disable-next-line import/prefer-default-export
-export const geoJSONExternalInstance = (data) => {
+export const geoJSONToXMLString = (data) => {
     validateFeatureCollection(data);
 
-    const instance = parser.parseFromString('<root/>', 'text/xml');
-    const root = instance.documentElement;
-
-    data.features.forEach(({ id: featureId, geometry, properties }) => {
-        const { id: propertiesId, ...restProperties } = properties ?? {};
-        const entries = Object.entries(restProperties);
-
-        const id = featureId ?? propertiesId;
-
-        if (id !== undefined) {
-            entries.push(['id', id]);
+    const items = data.features.map(
+        ({ id: featureId, geometry, properties }, index) => {
+            const { id: propertiesId, ...restProperties } = properties ?? {};
+            const entries = Object.entries(restProperties);
+
+            const id = featureId ?? propertiesId;
+
+            if (id !== undefined) {
+                entries.push(['id', id]);
+            }
+
+            try {
+                return `<item>${geometryElements(geometry)}${entries
+                    .map(([key, value]) => propertyElement(key, value))
+                    .join('')}</item>`;
+            } catch (error) {
+                throw new TypeError(
+                    `Feature ${index}: ${
+                        error instanceof Error ? error.message : error
+                    }`
+                );
+            }
         }
+    );
 
-        const item = instance.createElement('item');
-
-        item.append(geometryElement(instance, geometry));
-
-        entries.forEach(([key, value]) => {
-            const element = instance.createElement(key);
-
-            element.textContent = String(value ?? '');
-
-            item.append(element);
-        });
-
-        root.append(item);
-    });
-
-    return instance;
+    return `<root>${items.join('')}</root>`;
 };
+
+/**
+ * @param {unknown} data
+ */
+export const geoJSONExternalInstance = (data) =>
+    new DOMParser().parseFromString(geoJSONToXMLString(data), 'text/xml');
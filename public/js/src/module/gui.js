@@ -19,6 +19,7 @@ let pages;
 let homeScreenGuidance;
 let updateStatus;
 let formTheme;
+const loaderProgress = {};
 
 // Customize vex
 vex.registerPlugin(vexEnketoDialog);
@@ -40,6 +41,11 @@ function init() {
         console.debug = console.log;
     }
 
+    document.addEventListener(
+        events.ExternalDataProgress().type,
+        _updateLoaderProgress
+    );
+
     // override feature detection (for development purposes)
     if (settings.touch) {
         support.touch = true;
@@ -135,6 +141,41 @@ function setEventHandlers() {
     });
 }
 
+/**
+ * Shows the progress of the conversion of external data files in the loading screen.
+ *
+ * @param {CustomEvent} event - external data progress event
+ */
+function _updateLoaderProgress(event) {
+    const loader = document.querySelector('.main-loader');
+
+    if (!loader) {
+        return;
+    }
+
+    const { filename, progress } = event.detail;
+    let progressElement = loader.querySelector('.main-loader__progress');
+
+    if (!progressElement) {
+        progressElement = document.createElement('progress');
+        progressElement.classList.add('main-loader__progress');
+        progressElement.max = 1;
+        loader.append(progressElement);
+    }
+
+    loaderProgress[filename] = progress;
+
+    const values = Object.values(loaderProgress);
+
+    // all files together
+    progressElement.value =
+        values.reduce((sum, value) => sum + value, 0) / values.length;
+    progressElement.setAttribute(
+        'aria-label',
+        t('loading.externaldata', { filename })
+    );
+}
+
 function swapTheme(formParts) {
     const requestedTheme = formParts.theme;
     const $styleSheets = $('link[rel=stylesheet][href*=theme-]');
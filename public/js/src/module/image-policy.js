@@ -0,0 +1,312 @@
+/**
+ * Resizes and compresses attached images, and removes their metadata, according to the image
+ * policy of the form or the server. Images keep their format, so their file names remain valid.
+ */
+
+import utils from './utils';
+
+/**
+ * @typedef ImagePolicy
+ * @property {boolean} [enabled]
+ * @property {number} [maxDimension] - maximum width and height in pixels
+ * @property {number} [quality] - JPEG and WebP quality between 0 and 1
+ * @property {boolean} [keepGps] - whether the GPS metadata of JPEG images is kept
+ */
+
+/**
+ * @typedef ProcessedImage
+ * @property {Blob} file - the processed image, with the name of the original image
+ * @property {number} originalSize - size of the original image in bytes
+ * @property {number} size - size of the processed image in bytes
+ * @property {{width: number, height: number} | null} resized - new dimensions, if the image was resized
+ * @property {boolean} compressed - whether the image was compressed
+ * @property {boolean} keptGps - whether the GPS metadata was kept
+ */
+
+const LOSSY_TYPES = ['image/jpeg', 'image/webp'];
+const PROCESSED_TYPES = [...LOSSY_TYPES, 'image/png'];
+
+const EXIF_HEADER = 'Exif\0\0';
+const GPS_IFD_POINTER_TAG = 0x8825;
+// sizes in bytes of the TIFF field types, by type number
+const TIFF_TYPE_SIZES = [0, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8];
+
+/**
+ * Processes an image according to a policy. Resolves with `null` if the file is not an image
+ * that can be processed, or if it would neither be resized nor become smaller.
+ *
+ * @param {Blob & {name?: string}} file
+ * @param {ImagePolicy} [policy]
+ * @return {Promise<ProcessedImage | null>}
+ */
+async function processImage(file, policy) {
+    if (!policy || !policy.enabled || !PROCESSED_TYPES.includes(file.type)) {
+        return null;
+    }
+
+    const image = await _loadImage(file);
+    const { width, height } = _getDimensions(
+        image.naturalWidth,
+        image.naturalHeight,
+        policy.maxDimension
+    );
+    const resized =
+        width !== image.naturalWidth || height !== image.naturalHeight;
+    const compressed = LOSSY_TYPES.includes(file.type);
+
+    if (!resized && !compressed) {
+        return null;
+    }
+
+    const canvas = document.createElement('canvas');
+
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+
+    let blob = await new Promise((resolve) => {
+        canvas.toBlob(
+            resolve,
+            file.type,
+            compressed ? policy.quality : undefined
+        );
+    });
+
+    // Browsers fall back to PNG for types they cannot encode, e.g. WebP in Safari.
+    if (!blob || blob.type !== file.type) {
+        return null;
+    }
+
+    // Compressing an image that was already compressed more can make it larger.
+    if (!resized && blob.size >= file.size) {
+        return null;
+    }
+
+    let keptGps = false;
+
+    if (policy.keepGps && file.type === 'image/jpeg') {
+        const segment = getGpsSegment(await utils.blobToArrayBuffer(file));
+
+        if (segment) {
+            // insert the segment right after the start of image marker
+            blob = new Blob([blob.slice(0, 2), segment, blob.slice(2)], {
+                type: file.type,
+            });
+            keptGps = true;
+        }
+    }
+
+    blob.name = file.name;
+
+    return {
+        file: blob,
+        originalSize: file.size,
+        size: blob.size,
+        resized: resized ? { width, height } : null,
+        compressed,
+        keptGps,
+    };
+}
+
+/**
+ * @param {number} width
+ * @param {number} height
+ * @param {number} [maxDimension]
+ * @return {{width: number, height: number}} dimensions that fit within the maximum dimension
+ */
+function _getDimensions(width, height, maxDimension) {
+    const ratio = maxDimension ? maxDimension / Math.max(width, height) : 1;
+
+    if (ratio >= 1) {
+        return { width, height };
+    }
+
+    return {
+        width: Math.max(1, Math.round(width * ratio)),
+        height: Math.max(1, Math.round(height * ratio)),
+    };
+}
+
+/**
+ * Loads an image. Browsers apply its EXIF orientation when it is drawn, so the orientation
+ * does not need to be kept in the metadata.
+ *
+ * @param {Blob} file
+ * @return {Promise<HTMLImageElement>}
+ */
+function _loadImage(file) {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+
+    return new Promise((resolve, reject) => {
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('Could not load image'));
+        image.src = url;
+    }).finally(() => {
+        URL.revokeObjectURL(url);
+    });
+}
+
+/**
+ * Obtains the GPS metadata of a JPEG image as a minimal EXIF (APP1) segment, that contains
+ * nothing but the GPS information.
+ *
+ * @param {ArrayBuffer} buffer - JPEG image
+ * @return {Uint8Array | null} EXIF segment, or `null` if the image has no GPS metadata
+ */
+function getGpsSegment(buffer) {
+    const view = new DataView(buffer);
+    const tiffOffset = _getTiffOffset(view);
+
+    if (tiffOffset === null) {
+        return null;
+    }
+
+    try {
+        const littleEndian = view.getUint16(tiffOffset) === 0x4949;
+        const getUint16 = (offset) =>
+            view.getUint16(tiffOffset + offset, littleEndian);
+        const getUint32 = (offset) =>
+            view.getUint32(tiffOffset + offset, littleEndian);
+
+        const ifd0Offset = getUint32(4);
+        const ifd0Count = getUint16(ifd0Offset);
+        let gpsOffset = null;
+
+        for (let i = 0; i < ifd0Count; i++) {
+            const entry = ifd0Offset + 2 + i * 12;
+
+            if (getUint16(entry) === GPS_IFD_POINTER_TAG) {
+                gpsOffset = getUint32(entry + 8);
+            }
+        }
+
+        if (gpsOffset === null) {
+            return null;
+        }
+
+        const gpsCount = getUint16(gpsOffset);
+        // TIFF header, then IFD0 with just the GPS pointer, then the GPS IFD and its values
+        const newGpsOffset = 8 + 2 + 12 + 4;
+        const entries = [];
+        let valuesLength = 0;
+
+        for (let i = 0; i < gpsCount; i++) {
+            const entry = gpsOffset + 2 + i * 12;
+            const type = getUint16(entry + 2);
+            const length = (TIFF_TYPE_SIZES[type] || 1) * getUint32(entry + 4);
+            const bytes = new Uint8Array(
+                buffer,
+                tiffOffset + entry,
+                12
+            ).slice();
+
+            if (length > 4) {
+                const value = new Uint8Array(
+                    buffer,
+                    tiffOffset + getUint32(entry + 8),
+                    length
+                );
+
+                entries.push({ bytes, value, valueOffset: valuesLength });
+                // values start on a word boundary
+                valuesLength += length + (length % 2);
+            } else {
+                entries.push({ bytes, value: null, valueOffset: null });
+            }
+        }
+
+        const valuesOffset = newGpsOffset + 2 + gpsCount * 12 + 4;
+        const tiff = new Uint8Array(valuesOffset + valuesLength);
+        const tiffView = new DataView(tiff.buffer);
+
+        tiff.set(new Uint8Array(buffer, tiffOffset, 4));
+        tiffView.setUint32(4, 8, littleEndian);
+        tiffView.setUint16(8, 1, littleEndian);
+        tiffView.setUint16(10, GPS_IFD_POINTER_TAG, littleEndian);
+        tiffView.setUint16(12, 4, littleEndian);
+        tiffView.setUint32(14, 1, littleEndian);
+        tiffView.setUint32(18, newGpsOffset, littleEndian);
+        tiffView.setUint32(22, 0, littleEndian);
+        tiffView.setUint16(newGpsOffset, gpsCount, littleEndian);
+
+        entries.forEach(({ bytes, value, valueOffset }, i) => {
+            const entry = newGpsOffset + 2 + i * 12;
+
+            tiff.set(bytes, entry);
+
+            if (value) {
+                tiffView.setUint32(
+                    entry + 8,
+                    valuesOffset + valueOffset,
+                    littleEndian
+                );
+                tiff.set(value, valuesOffset + valueOffset);
+            }
+        });
+        tiffView.setUint32(newGpsOffset + 2 + gpsCount * 12, 0, littleEndian);
+
+        const segment = new Uint8Array(4 + EXIF_HEADER.length + tiff.length);
+        const segmentView = new DataView(segment.buffer);
+
+        segmentView.setUint16(0, 0xffe1);
+        segmentView.setUint16(2, segment.length - 2);
+        segment.set(
+            [...EXIF_HEADER].map((character) => character.charCodeAt(0)),
+            4
+        );
+        segment.set(tiff, 4 + EXIF_HEADER.length);
+
+        return segment;
+    } catch (error) {
+        // RangeError for corrupt metadata
+        console.error('Could not read GPS metadata', error);
+
+        return null;
+    }
+}
+
+/**
+ * @param {DataView} view - JPEG image
+ * @return {number | null} offset of the TIFF header in the EXIF segment, if the image has one
+ */
+function _getTiffOffset(view) {
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) {
+        return null;
+    }
+
+    let offset = 2;
+
+    while (offset + 4 <= view.byteLength) {
+        const marker = view.getUint16(offset);
+        const length = view.getUint16(offset + 2);
+
+        // start of scan, after which no more metadata segments follow
+        if (marker === 0xffda || marker < 0xff00) {
+            return null;
+        }
+
+        if (
+            marker === 0xffe1 &&
+            offset + 4 + EXIF_HEADER.length <= view.byteLength &&
+            String.fromCharCode(
+                ...new Uint8Array(
+                    view.buffer,
+                    view.byteOffset + offset + 4,
+                    EXIF_HEADER.length
+                )
+            ) === EXIF_HEADER
+        ) {
+            return offset + 4 + EXIF_HEADER.length;
+        }
+
+        offset += 2 + length;
+    }
+
+    return null;
+}
+
+export default {
+    processImage,
+    getGpsSegment,
+};
@@ -0,0 +1,98 @@
+// @ts-check
+
+/**
+ * @typedef {null | boolean | number | string | JSONArray | JSONObject} JSONValue
+ */
+
+/**
+ * @typedef {JSONValue[]} JSONArray
+ */
+
+/**
+ * @typedef {{ [key: string]: JSONValue }} JSONObject
+ */
+
+const parser = new DOMParser();
+
+/**
+ * @param {XMLDocument} instance
+ * @param {string} name
+ * @return {Element}
+ */
+const createElement = (instance, name) => {
+    try {
+        return instance.createElement(name);
+    } catch {
+        throw new TypeError(`Property "${name}" is not a valid element name`);
+    }
+};
+
+/**
+ * Appends a value to an element: the properties of objects become child elements, and other values
+ * become the text of the element.
+ *
+ * @param {XMLDocument} instance
+ * @param {Element} element
+ * @param {JSONValue} value
+ */
+const appendValue = (instance, element, value) => {
+    if (Array.isArray(value)) {
+        appendItems(instance, element, 'item', value);
+    } else if (value != null && typeof value === 'object') {
+        Object.entries(value).forEach(([key, child]) => {
+            if (Array.isArray(child)) {
+                appendItems(instance, element, key, child);
+            } else {
+                const childElement = createElement(instance, key);
+
+                appendValue(instance, childElement, child);
+                element.append(childElement);
+            }
+        });
+    } else {
+        element.textContent = String(value ?? '');
+    }
+};
+
+/**
+ * Appends an element for each value of an array, e.g. `{ "tags": ["a", "b"] }` becomes
+ * `<tags>a</tags><tags>b</tags>`.
+ *
+ * @param {XMLDocument} instance
+ * @param {Element} parent
+ * @param {string} name
+ * @param {JSONValue[]} values
+ */
+const appendItems = (instance, parent, name, values) => {
+    values.forEach((value) => {
+        const element = createElement(instance, name);
+
+        appendValue(instance, element, value);
+        parent.append(element);
+    });
+};
+
+/**
+ * Converts JSON data to a secondary instance. Each value of a top-level array becomes an item,
+ * and a top-level object becomes a single item.
+ *
+ * @param {unknown} data
+ */
+// eslint-disable-next-line import/prefer-default-export
+export const jsonExternalInstance = (data) => {
+    if (data == null || typeof data !== 'object') {
+        throw new TypeError('JSON file must contain an array or an object');
+    }
+
+    const instance = parser.parseFromString('<root/>', 'text/xml');
+    const root = instance.documentElement;
+
+    appendItems(
+        instance,
+        root,
+        'item',
+        /** @type {JSONValue[]} */ (Array.isArray(data) ? data : [data])
+    );
+
+    return instance;
+};
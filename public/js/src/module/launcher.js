@@ -0,0 +1,280 @@
+/**
+ * Lists the forms that are stored in the browser on the launcher page, from which they can be opened,
+ * have their queued records uploaded and be removed, also without an Internet connection.
+ */
+
+import store from './store';
+import gui from './gui';
+import settings from './settings';
+import applicationCache from './application-cache';
+import { t } from './translator';
+
+/**
+ * @typedef {import('./store').SurveySummary} SurveySummary
+ */
+
+/**
+ * @typedef LauncherForm
+ * @property {string} enketoId
+ * @property {string | null} title
+ * @property {number} [updated] - time at which the form was last stored
+ * @property {number} queued - number of queued records, excluding drafts
+ * @property {number} drafts - number of draft records
+ */
+
+/** @type {HTMLElement | null} */
+let list;
+
+/**
+ * @return {Promise<void>}
+ */
+function init() {
+    list = document.querySelector('.launcher__forms');
+
+    if (!list) {
+        return Promise.resolve();
+    }
+
+    list.addEventListener('click', _onFormButtonClick);
+
+    return update();
+}
+
+/**
+ * @return {Promise<void>}
+ */
+function update() {
+    return getForms()
+        .then(_renderForms)
+        .catch((error) => {
+            console.error('Could not list stored forms', error);
+            gui.alert(error.message);
+        });
+}
+
+/**
+ * Obtains the stored forms with their number of queued records, most recently stored first.
+ *
+ * @return {Promise<LauncherForm[]>}
+ */
+function getForms() {
+    return store.survey
+        .getSummaries()
+        .then((surveys) =>
+            Promise.all(
+                surveys.map((survey) =>
+                    store.record
+                        .getAll(survey.enketoId)
+                        .then((records) => _getLauncherForm(survey, records))
+                )
+            )
+        )
+        .then((forms) =>
+            forms.sort((a, b) => (b.updated || 0) - (a.updated || 0))
+        );
+}
+
+/**
+ * @param {SurveySummary} survey
+ * @param {Array<{instanceId: string, draft?: boolean}>} records
+ * @return {LauncherForm}
+ */
+function _getLauncherForm(survey, records) {
+    // see records-queue.getAutoSavedKey
+    const autoSavedKey = `__autoSave_${survey.enketoId}`;
+    const queued = records.filter(
+        (record) => record.instanceId !== autoSavedKey
+    );
+    const drafts = queued.filter((record) => record.draft).length;
+
+    return {
+        ...survey,
+        queued: queued.length - drafts,
+        drafts,
+    };
+}
+
+/**
+ * @param {LauncherForm[]} forms
+ */
+function _renderForms(forms) {
+    list.textContent = '';
+    list.append(
+        ...forms.map((form) => {
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            const details = document.createElement('p');
+            const buttons = document.createElement('div');
+
+            item.classList.add('launcher__forms__form');
+            item.dataset.id = form.enketoId;
+            link.classList.add('launcher__forms__form__title');
+            link.href = `${settings.basePath}/x/${form.enketoId}`;
+            link.textContent = form.title || form.enketoId;
+            details.classList.add('launcher__forms__form__details');
+            details.textContent = _getDetails(form);
+            buttons.classList.add('launcher__forms__form__buttons');
+            buttons.append(
+                _createButton(
+                    'upload',
+                    t('record-list.upload'),
+                    'btn-primary',
+                    form.queued === 0
+                ),
+                _createButton('remove', t('page.forms.remove'), 'btn-default')
+            );
+
+            item.append(link, details, buttons);
+
+            return item;
+        })
+    );
+
+    if (forms.length === 0) {
+        const none = document.createElement('li');
+
+        none.classList.add('launcher__forms--none');
+        none.textContent = t('storage.noforms');
+        list.append(none);
+    }
+}
+
+/**
+ * @param {LauncherForm} form
+ * @return {string}
+ */
+function _getDetails(form) {
+    const details = [
+        t('page.forms.queued', { count: form.queued }),
+        t('page.forms.drafts', { count: form.drafts }),
+    ];
+
+    if (form.updated) {
+        details.push(
+            t('page.forms.updated', {
+                date: new Date(form.updated).toLocaleString(),
+            })
+        );
+    }
+
+    return details.join(' · ');
+}
+
+/**
+ * @param {'upload' | 'remove'} action
+ * @param {string} label
+ * @param {string} className
+ * @param {boolean} [disabled]
+ * @return {HTMLButtonElement}
+ */
+function _createButton(action, label, className, disabled = false) {
+    const button = document.createElement('button');
+
+    button.type = 'button';
+    button.className = `launcher__forms__form__button btn ${className} ${action}`;
+    button.dataset.action = action;
+    button.disabled = disabled;
+    button.textContent = label;
+
+    return button;
+}
+
+/**
+ * @param {MouseEvent} event
+ */
+function _onFormButtonClick(event) {
+    const button = event.target.closest('[data-action]');
+
+    if (!button) {
+        return;
+    }
+
+    const item = button.closest('.launcher__forms__form');
+    const enketoId = item.dataset.id;
+    const title = item.querySelector(
+        '.launcher__forms__form__title'
+    ).textContent;
+    const action =
+        button.dataset.action === 'upload'
+            ? uploadQueue(enketoId)
+            : _confirmRemoveSurvey(enketoId, title);
+
+    button.disabled = true;
+    action
+        .then(update)
+        .catch((error) => {
+            console.error(error);
+            gui.alert(error.message);
+        })
+        .finally(() => {
+            button.disabled = false;
+        });
+}
+
+/**
+ * Lets the service worker upload the queued records of a form. If this fails, the service
+ * worker uploads them later in the background, if the browser supports this.
+ *
+ * @param {string} enketoId
+ * @return {Promise<void>}
+ */
+function uploadQueue(enketoId) {
+    applicationCache.requestNotificationPermission();
+
+    return applicationCache
+        .uploadQueue(enketoId)
+        .then(({ submitted, failed, retry }) => {
+            if (submitted.length > 0) {
+                gui.feedback(
+                    t('alert.queuesubmissionsuccess.msg', {
+                        count: submitted.length,
+                        recordNames: submitted.join(', '),
+                    }),
+                    7
+                );
+            }
+            if (failed > 0) {
+                if (retry) {
+                    applicationCache.registerBackgroundUpload();
+                }
+                gui.alert(
+                    t(
+                        retry
+                            ? 'page.forms.uploadretry'
+                            : 'page.forms.uploadfailed',
+                        { count: failed }
+                    ),
+                    null,
+                    retry ? 'info' : 'error'
+                );
+            }
+        });
+}
+
+/**
+ * @param {string} enketoId
+ * @param {string} title
+ * @return {Promise<void>}
+ */
+function _confirmRemoveSurvey(enketoId, title) {
+    return gui
+        .confirm(
+            {
+                msg: t('confirm.removeform.msg', { title }),
+                heading: t('confirm.removeform.heading'),
+            },
+            {
+                posButton: t('confirm.removeform.posButton'),
+            }
+        )
+        .then((confirmed) =>
+            confirmed ? store.survey.remove(enketoId) : undefined
+        );
+}
+
+export default {
+    init,
+    update,
+    getForms,
+    uploadQueue,
+};
@@ -55,6 +55,36 @@ export const replaceMediaSources = (rootElement, media = {}, options = {}) => {
     }
 };
 
+/**
+ * @typedef {import('../../../../app/models/survey-model').SurveyObject} Survey
+ */
+
+/**
+ * Determines which media URLs of a form refer to files that have not changed since a previous
+ * version of the form was stored, by comparing the hashes of the form's manifest. Files without
+ * a hash are always considered to have changed.
+ *
+ * @param {Pick<Survey, 'media' | 'mediaHashes'> | null | undefined} previous
+ * @param {Pick<Survey, 'media' | 'mediaHashes'>} current
+ * @return {Set<string>}
+ */
+export const getUnchangedMediaURLs = (previous, current) => {
+    const previousMedia = previous?.media ?? {};
+    const previousHashes = previous?.mediaHashes ?? {};
+    const currentHashes = current.mediaHashes ?? {};
+
+    return new Set(
+        Object.entries(current.media ?? {})
+            .filter(
+                ([fileName, url]) =>
+                    currentHashes[fileName] != null &&
+                    currentHashes[fileName] === previousHashes[fileName] &&
+                    url === previousMedia[fileName]
+            )
+            .map(([, url]) => url)
+    );
+};
+
 /**
  * This is a hack/workaround, and should be replaced when possible.
  *
@@ -1,7 +1,14 @@
 /**
- * The version, resources variables above are dynamically prepended by the offline-controller.
+ * The version, basePath, offlinePath, uploadChunkSize, resources variables above are dynamically prepended by the offline-controller.
+ * This script is bundled separately from the web page's scripts, see scripts/build.js.
  */
 
+import {
+    getSubmissionHeaders,
+    prepareBatches,
+    uploadInChunks,
+} from './record-upload';
+
 const CACHES = [`enketo-common_${version}`];
 
 self.addEventListener('install', (event) => {
@@ -118,3 +125,457 @@ self.addEventListener('fetch', (event) => {
         })
     );
 });
+
+const BACKGROUND_UPLOAD_TAG = 'enketo-upload-queue';
+const DATABASE_NAME = 'enketo';
+// Same as the default in settings.js
+const DEFAULT_MAX_SIZE = 5 * 1000 * 1000;
+// Translated notification messages, stored by application-cache.js
+const NOTIFICATION_MESSAGES_PROPERTY = 'backgroundUploadMessages';
+// See pages-controller.js
+const LAUNCHER_PATH = `${basePath}${offlinePath}/forms`;
+const FILE_ELEMENT = /(<[^\s/>]+[^>]*?)\s+type="file"([^>]*>)([^<]*)/g;
+
+// The web page registers these tasks when it could not upload queued records, so that they
+// are uploaded when the connection is back, even if the web page has been closed by then.
+self.addEventListener('sync', (event) => {
+    if (event.tag === BACKGROUND_UPLOAD_TAG) {
+        event.waitUntil(uploadQueueInBackground());
+    }
+});
+
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === BACKGROUND_UPLOAD_TAG) {
+        event.waitUntil(uploadQueueInBackground());
+    }
+});
+
+// The launcher page lets the service worker upload queued records, because it does not load forms.
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'uploadQueue') {
+        event.waitUntil(
+            uploadQueue({ enketoId: event.data.enketoId })
+                .catch((error) => ({ error: error.message }))
+                .then((result) => {
+                    event.ports[0].postMessage(result);
+                })
+        );
+    }
+});
+
+/**
+ * Uploads the queued records of all forms, unless an open form is taking care of this.
+ * Rejects if records could not be uploaded because of connection or server problems, so that
+ * the browser tries again later.
+ *
+ * @return {Promise<void>}
+ */
+async function uploadQueueInBackground() {
+    const windows = await self.clients.matchAll({
+        type: 'window',
+        includeUncontrolled: true,
+    });
+
+    if (
+        windows.some(
+            (client) =>
+                client.visibilityState === 'visible' &&
+                new URL(client.url).pathname !== LAUNCHER_PATH
+        )
+    ) {
+        console.log('Leaving the upload of queued records to the web page');
+
+        return;
+    }
+
+    const { submitted, failed, retry } = await uploadQueue();
+
+    if (submitted.length > 0) {
+        await notifySubmitted(submitted);
+    }
+    if (retry) {
+        throw new Error('Not all queued records could be uploaded');
+    }
+    if (failed === 0 && self.registration.periodicSync) {
+        await self.registration.periodicSync.unregister(BACKGROUND_UPLOAD_TAG);
+    }
+}
+
+/**
+ * @typedef UploadQueueResult
+ * @property {string[]} submitted - names of the uploaded records
+ * @property {number} failed - number of records that could not be uploaded
+ * @property {boolean} retry - whether uploading the failed records can be retried later
+ */
+
+/**
+ * Uploads final records.
+ *
+ * @param {{enketoId?: string}} [options] - only uploads the records of the form with this Enketo ID
+ * @return {Promise<UploadQueueResult>}
+ */
+async function uploadQueue({ enketoId } = {}) {
+    const result = { submitted: [], failed: 0, retry: false };
+    const db = await openDatabase();
+
+    if (!db) {
+        return result;
+    }
+
+    try {
+        const records = (await readFromDatabase(db, 'records', 'getAll'))
+            .filter(
+                (record) =>
+                    !record.draft &&
+                    (!enketoId || record.enketoId === enketoId) &&
+                    // Encrypted records (see record-encryption.js) are left to the web page,
+                    // which can decrypt them once the user has unlocked them.
+                    typeof record.xml === 'string'
+            )
+            .sort((a, b) => a.updated - b.updated);
+
+        // Upload records sequentially, like the web page does
+        await records.reduce(
+            (prevPromise, record) =>
+                prevPromise
+                    .then(() => uploadRecord(db, record))
+                    .then(() => removeRecord(db, record))
+                    .then(() => {
+                        result.submitted.push(record.name);
+                    })
+                    .catch((error) => {
+                        console.error(
+                            'Failed to upload queued record',
+                            record.instanceId,
+                            error
+                        );
+                        result.failed += 1;
+                        // Other errors, such as authentication errors, require the user to open the form.
+                        if (
+                            error.status == null ||
+                            error.status === 408 ||
+                            error.status >= 500
+                        ) {
+                            result.retry = true;
+                        }
+                    }),
+            Promise.resolve()
+        );
+    } finally {
+        db.close();
+    }
+
+    return result;
+}
+
+/**
+ * Opens the database of the web page (see store.js), without upgrading or creating it.
+ *
+ * @return {Promise<IDBDatabase | null>} a Promise that resolves with the database, or with `null` if it does not exist
+ */
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DATABASE_NAME);
+        let created = false;
+
+        request.onupgradeneeded = () => {
+            created = true;
+            request.transaction.abort();
+        };
+        request.onsuccess = () => {
+            resolve(request.result);
+        };
+        request.onerror = () => {
+            if (created) {
+                resolve(null);
+            } else {
+                reject(request.error);
+            }
+        };
+    });
+}
+
+/**
+ * @param {IDBDatabase} db
+ * @param {string} storeName
+ * @param {'get' | 'getAll'} method
+ * @param {string} [key]
+ * @return {Promise<any>}
+ */
+function readFromDatabase(db, storeName, method, key) {
+    return new Promise((resolve, reject) => {
+        const request = db
+            .transaction(storeName)
+            .objectStore(storeName)
+            [method](key);
+
+        request.onsuccess = () => {
+            resolve(request.result);
+        };
+        request.onerror = () => {
+            reject(request.error);
+        };
+    });
+}
+
+/**
+ * Uploads a record in batches, like connection.js does in the web page.
+ *
+ * @param {IDBDatabase} db
+ * @param {object} record - stored record
+ * @return {Promise<void>}
+ */
+async function uploadRecord(db, record) {
+    const [survey, data, files] = await Promise.all([
+        readFromDatabase(db, 'surveys', 'get', record.enketoId),
+        readFromDatabase(db, 'data', 'get', record.enketoId),
+        Promise.all(
+            (record.files || []).map((name) =>
+                getRecordFile(db, record.instanceId, name)
+            )
+        ),
+    ]);
+    const parameter = data && data.submissionParameter;
+    const query =
+        parameter && parameter.value
+            ? `?${encodeURIComponent(parameter.name)}=${encodeURIComponent(
+                  parameter.value
+              )}`
+            : '';
+    const url = `${basePath}/submission/${record.enketoId}${query}`;
+    const { xml, fileNames } = removeFileTypes(record.xml);
+    const batches = prepareBatches(
+        {
+            ...record,
+            files: files
+                .filter((file) => file)
+                .map(
+                    ({ name, item }) =>
+                        new File([item], name, { type: item.type })
+                ),
+        },
+        xml,
+        fileNames,
+        {
+            maxSize: (survey && survey.maxSize) || DEFAULT_MAX_SIZE,
+            uploadChunkSize,
+        }
+    );
+
+    await batches.reduce(
+        (prevPromise, batch) =>
+            prevPromise.then(() =>
+                uploadBatch(db, record.enketoId, url, batch)
+            ),
+        Promise.resolve()
+    );
+}
+
+/**
+ * @param {IDBDatabase} db
+ * @param {string} instanceId
+ * @param {string} name - file name
+ * @return {Promise<{name: string, item: Blob} | undefined>}
+ */
+async function getRecordFile(db, instanceId, name) {
+    let item = await readFromDatabase(
+        db,
+        'files',
+        'get',
+        `${instanceId}:${name}`
+    );
+
+    // Browsers that cannot store blobs, store data URIs instead
+    if (typeof item === 'string') {
+        item = await fetch(item).then((response) => response.blob());
+    }
+
+    return item instanceof Blob ? { name, item } : undefined;
+}
+
+/**
+ * Removes the type attributes of file elements from a record. Service workers cannot parse XML,
+ * so this is done on the text, unlike in connection._prepareFormDataArray.
+ *
+ * @param {string} recordXML
+ * @return {{xml: string, fileNames: string[]}} the XML without type attributes and the names of the files
+ */
+function removeFileTypes(recordXML) {
+    const fileNames = [];
+    const xml = recordXML.replace(FILE_ELEMENT, (match, start, end, text) => {
+        fileNames.push(unescapeXML(text.trim()));
+
+        return `${start}${end}${text}`;
+    });
+
+    return { xml, fileNames };
+}
+
+/**
+ * @param {string} text
+ * @return {string}
+ */
+function unescapeXML(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Submits a batch of a record, after uploading its chunked file if it has one.
+ *
+ * @param {IDBDatabase} db
+ * @param {string} enketoId
+ * @param {string} url - submission URL
+ * @param {import('./record-upload').BatchPrepped} batch
+ * @return {Promise<void>}
+ */
+async function uploadBatch(db, enketoId, url, batch) {
+    const uploadId = batch.chunkedFile
+        ? await uploadInChunks(batch.instanceId, batch.chunkedFile, {
+              url: `${basePath}/submission/uploads/${enketoId}`,
+              chunkSize: uploadChunkSize,
+              fetch,
+              getUpload: (instanceId, name) =>
+                  db.objectStoreNames.contains('uploads')
+                      ? readFromDatabase(
+                            db,
+                            'uploads',
+                            'get',
+                            `${instanceId}:${name}`
+                        )
+                      : Promise.resolve(undefined),
+              storeUpload: (upload) => storeUpload(db, upload),
+          })
+        : null;
+    const response = await fetch(url, {
+        method: 'POST',
+        cache: 'no-cache',
+        credentials: 'same-origin',
+        headers: getSubmissionHeaders(batch, { offline: true, uploadId }),
+        body: batch.formData,
+    });
+
+    if (response.status !== 201 && response.status !== 202) {
+        const error = new Error(
+            `Submission failed with status ${response.status}`
+        );
+        error.status = response.status;
+
+        throw error;
+    }
+}
+
+/**
+ * Stores the progress of a chunked upload, like store.upload.update does in the web page.
+ *
+ * @param {IDBDatabase} db
+ * @param {import('./store').UploadProgress} upload
+ * @return {Promise<import('./store').UploadProgress>}
+ */
+function storeUpload(db, upload) {
+    if (!db.objectStoreNames.contains('uploads')) {
+        return Promise.resolve(upload);
+    }
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction('uploads', 'readwrite');
+
+        transaction.objectStore('uploads').put({
+            ...upload,
+            key: `${upload.instanceId}:${upload.name}`,
+        });
+        transaction.oncomplete = () => {
+            resolve(upload);
+        };
+        transaction.onabort = () => {
+            reject(transaction.error);
+        };
+    });
+}
+
+/**
+ * Removes an uploaded record, its files and the progress of their chunked uploads, and adds it to the submitted records of its form,
+ * like records-queue.js does in the web page.
+ *
+ * @param {IDBDatabase} db
+ * @param {object} record - stored record
+ * @return {Promise<void>}
+ */
+function removeRecord(db, record) {
+    return new Promise((resolve, reject) => {
+        // Databases of older versions of the web page have no progress of chunked uploads
+        const hasUploads = db.objectStoreNames.contains('uploads');
+        const transaction = db.transaction(
+            ['records', 'files', 'properties'].concat(
+                hasUploads ? ['uploads'] : []
+            ),
+            'readwrite'
+        );
+        const properties = transaction.objectStore('properties');
+        const statsRequest = properties.get(`${record.enketoId}:stats`);
+
+        transaction.objectStore('records').delete(record.instanceId);
+        (record.files || []).forEach((name) => {
+            transaction
+                .objectStore('files')
+                .delete(`${record.instanceId}:${name}`);
+
+            if (hasUploads) {
+                transaction
+                    .objectStore('uploads')
+                    .delete(`${record.instanceId}:${name}`);
+            }
+        });
+        statsRequest.onsuccess = () => {
+            const stats = statsRequest.result || {
+                name: `${record.enketoId}:stats`,
+            };
+
+            stats.submitted = (stats.submitted || []).concat(record.instanceId);
+            properties.put(stats);
+        };
+        transaction.oncomplete = () => {
+            resolve();
+        };
+        transaction.onabort = () => {
+            reject(transaction.error);
+        };
+    });
+}
+
+/**
+ * @param {string[]} recordNames
+ * @return {Promise<void>}
+ */
+async function notifySubmitted(recordNames) {
+    const db = await openDatabase();
+
+    if (!db) {
+        return;
+    }
+
+    const messages = await readFromDatabase(
+        db,
+        'properties',
+        'get',
+        NOTIFICATION_MESSAGES_PROPERTY
+    ).finally(() => {
+        db.close();
+    });
+
+    if (messages && Notification.permission === 'granted') {
+        const message =
+            recordNames.length === 1 ? messages.msg : messages.msgPlural;
+
+        await self.registration.showNotification(messages.heading, {
+            body: message
+                .replace(/__recordNames__/g, recordNames.join(', '))
+                .replace(/__count__/g, recordNames.length),
+            tag: BACKGROUND_UPLOAD_TAG,
+        });
+    }
+}
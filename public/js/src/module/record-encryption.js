@@ -0,0 +1,303 @@
+/**
+ * Encrypts stored records and their files at rest, with a key that is derived from a passphrase
+ * of the user, or with a non-extractable key that never leaves the browser. This is separate from
+ * encryptor.js, which encrypts records for encrypted forms when they are submitted.
+ *
+ * The key is only kept in memory while records are unlocked.
+ */
+
+import utils from './utils';
+import { t } from './translator';
+
+const ALGORITHM = 'AES-GCM';
+const IV_LENGTH = 12;
+const SALT_LENGTH = 16;
+const ITERATIONS = 310000;
+// encrypted with the key, to check whether a passphrase is correct
+const CHECK_VALUE = 'enketo';
+
+export const ENCRYPTION_PROPERTY = 'recordEncryption';
+
+/**
+ * @typedef {'passphrase' | 'device'} EncryptionMethod
+ */
+
+/**
+ * @typedef EncryptedValue
+ * @property {Uint8Array} iv - initialization vector
+ * @property {ArrayBuffer} data - encrypted data
+ * @property {string} [type] - MIME type of an encrypted file
+ */
+
+/**
+ * Stored in the properties store. Contains nothing that can decrypt records without the passphrase,
+ * or outside of the browser that created the device key.
+ *
+ * @typedef EncryptionDetails
+ * @property {typeof ENCRYPTION_PROPERTY} name
+ * @property {EncryptionMethod} method
+ * @property {Uint8Array} [salt] - salt for deriving the key from the passphrase
+ * @property {number} [iterations] - PBKDF2 iterations for deriving the key from the passphrase
+ * @property {CryptoKey} [key] - non-extractable device key
+ * @property {EncryptedValue} check - encrypted check value
+ */
+
+/** @type {EncryptionDetails | null} */
+let details = null;
+
+/** @type {CryptoKey | null} */
+let key = null;
+
+/**
+ * @return {boolean} whether the browser supports encrypting records at rest
+ */
+function isSupported() {
+    return typeof crypto !== 'undefined' && crypto.subtle != null;
+}
+
+/**
+ * Sets the stored encryption details. Records are locked until they are unlocked with
+ * {@link unlock}.
+ *
+ * @param {EncryptionDetails | null | undefined} encryptionDetails
+ */
+function setDetails(encryptionDetails) {
+    details = encryptionDetails || null;
+    key = null;
+}
+
+/**
+ * @return {boolean} whether stored records are encrypted
+ */
+function isEnabled() {
+    return details != null;
+}
+
+/**
+ * @return {boolean} whether stored records are encrypted and cannot be read or written
+ */
+function isLocked() {
+    return details != null && key == null;
+}
+
+/**
+ * @return {EncryptionMethod | null}
+ */
+function getMethod() {
+    return details ? details.method : null;
+}
+
+/**
+ * Creates new encryption details and unlocks records with the new key.
+ *
+ * @param {EncryptionMethod} method
+ * @param {string} [passphrase] - required for the passphrase method
+ * @return {Promise<EncryptionDetails>}
+ */
+async function create(method, passphrase) {
+    /** @type {EncryptionDetails} */
+    const created = { name: ENCRYPTION_PROPERTY, method };
+    let newKey;
+
+    if (method === 'passphrase') {
+        if (!passphrase) {
+            throw new Error('No passphrase provided');
+        }
+
+        created.salt = crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+        created.iterations = ITERATIONS;
+        newKey = await _deriveKey(passphrase, created.salt, ITERATIONS);
+    } else {
+        newKey = await crypto.subtle.generateKey(
+            { name: ALGORITHM, length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+        created.key = newKey;
+    }
+
+    created.check = await _encrypt(
+        newKey,
+        new TextEncoder().encode(CHECK_VALUE)
+    );
+    details = created;
+    key = newKey;
+
+    return created;
+}
+
+/**
+ * Unlocks stored records.
+ *
+ * @param {string} [passphrase] - required for the passphrase method
+ * @return {Promise<void>} a Promise that rejects with a `PassphraseError` if the passphrase is wrong
+ */
+async function unlock(passphrase) {
+    if (!details) {
+        throw new Error('Records are not encrypted');
+    }
+
+    const candidate =
+        details.method === 'passphrase'
+            ? await _deriveKey(
+                  passphrase || '',
+                  details.salt,
+                  details.iterations
+              )
+            : details.key;
+    let check;
+
+    try {
+        check = new TextDecoder().decode(
+            await _decrypt(candidate, details.check)
+        );
+    } catch (error) {
+        // AES-GCM fails to decrypt with a wrong key
+    }
+
+    if (check !== CHECK_VALUE) {
+        const error = new Error(t('recordencryption.incorrect'));
+        error.name = 'PassphraseError';
+        throw error;
+    }
+
+    key = candidate;
+}
+
+/**
+ * Forgets the key, so that stored records cannot be read or written until they are unlocked again.
+ */
+function lock() {
+    key = null;
+}
+
+/**
+ * @param {unknown} value
+ * @return {boolean} whether the value is encrypted
+ */
+function isEncrypted(value) {
+    return (
+        value != null &&
+        typeof value === 'object' &&
+        value.iv instanceof Uint8Array &&
+        value.data instanceof ArrayBuffer
+    );
+}
+
+/**
+ * Encrypts text or a file.
+ *
+ * @param {string | Blob} value
+ * @return {Promise<EncryptedValue>}
+ */
+async function encrypt(value) {
+    const currentKey = _getKey();
+
+    if (value instanceof Blob) {
+        const encrypted = await _encrypt(
+            currentKey,
+            await utils.blobToArrayBuffer(value)
+        );
+
+        return { ...encrypted, type: value.type };
+    }
+
+    return _encrypt(currentKey, new TextEncoder().encode(value));
+}
+
+/**
+ * @param {EncryptedValue} value - encrypted text
+ * @return {Promise<string>}
+ */
+async function decryptText(value) {
+    return new TextDecoder().decode(await _decrypt(_getKey(), value));
+}
+
+/**
+ * @param {EncryptedValue} value - encrypted file
+ * @return {Promise<Blob>}
+ */
+async function decryptBlob(value) {
+    return new Blob([await _decrypt(_getKey(), value)], {
+        type: value.type || '',
+    });
+}
+
+/**
+ * @return {CryptoKey}
+ */
+function _getKey() {
+    if (!key) {
+        const error = new Error(t('recordencryption.locked'));
+        error.name = 'LockedError';
+        throw error;
+    }
+
+    return key;
+}
+
+/**
+ * @param {string} passphrase
+ * @param {Uint8Array} salt
+ * @param {number} iterations
+ * @return {Promise<CryptoKey>} non-extractable key
+ */
+async function _deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(passphrase),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: ALGORITHM, length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * @param {CryptoKey} cryptoKey
+ * @param {BufferSource} data
+ * @return {Promise<EncryptedValue>}
+ */
+async function _encrypt(cryptoKey, data) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+
+    return {
+        iv,
+        data: await crypto.subtle.encrypt(
+            { name: ALGORITHM, iv },
+            cryptoKey,
+            data
+        ),
+    };
+}
+
+/**
+ * @param {CryptoKey} cryptoKey
+ * @param {EncryptedValue} value
+ * @return {Promise<ArrayBuffer>}
+ */
+function _decrypt(cryptoKey, { iv, data }) {
+    return crypto.subtle.decrypt({ name: ALGORITHM, iv }, cryptoKey, data);
+}
+
+export default {
+    isSupported,
+    setDetails,
+    isEnabled,
+    isLocked,
+    getMethod,
+    create,
+    unlock,
+    lock,
+    isEncrypted,
+    encrypt,
+    decryptText,
+    decryptBlob,
+};
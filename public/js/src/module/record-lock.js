@@ -0,0 +1,218 @@
+/**
+ * Asks the user for the passphrase of encrypted records when an offline-capable form is launched,
+ * and locks the records again after a period of inactivity. Records that are still locked because
+ * the user cancelled the dialog are unlocked when they are saved or uploaded.
+ */
+
+import store from './store';
+import gui from './gui';
+import settings from './settings';
+import recordEncryption from './record-encryption';
+import { t } from './translator';
+
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+
+let idleTimeout;
+let lockDelay;
+
+/** @type {Promise<boolean> | null} */
+let unlocking = null;
+
+/**
+ * Encrypts stored records if this is enabled and they are not encrypted yet, or unlocks them.
+ *
+ * @return {Promise<void>}
+ */
+function init() {
+    const config = settings.recordEncryption || {};
+
+    if (
+        !store.available ||
+        (!config.enabled && !store.recordEncryption.enabled)
+    ) {
+        return Promise.resolve();
+    }
+    if (!recordEncryption.isSupported()) {
+        console.error('Stored records cannot be encrypted in this browser');
+
+        return Promise.resolve();
+    }
+
+    let ready;
+
+    if (!store.recordEncryption.enabled) {
+        ready =
+            config.method === 'device'
+                ? store.recordEncryption.enable('device')
+                : _enableWithPassphrase();
+    } else if (store.recordEncryption.locked) {
+        ready = ensureUnlocked();
+    } else {
+        ready = Promise.resolve();
+    }
+
+    return ready.then(() => {
+        if (
+            store.recordEncryption.method === 'passphrase' &&
+            config.lockAfter > 0
+        ) {
+            _watchActivity(config.lockAfter * 1000);
+        }
+    });
+}
+
+/**
+ * Asks for the passphrase until the records are unlocked or the user cancels.
+ *
+ * @param {string} [errorMsg]
+ * @return {Promise<boolean>} whether the records were unlocked
+ */
+function unlock(errorMsg) {
+    return gui
+        .prompt(
+            {
+                msg: t('recordencryption.unlock.msg'),
+                heading: t('recordencryption.unlock.heading'),
+                errorMsg,
+            },
+            {
+                posButton: t('recordencryption.unlock.posButton'),
+            },
+            _getPassphraseInputs(false)
+        )
+        .then((values) => {
+            if (!values) {
+                return false;
+            }
+
+            return store.recordEncryption
+                .unlock(values.passphrase)
+                .then(() => true)
+                .catch((error) => {
+                    if (error.name === 'PassphraseError') {
+                        return unlock(error.message);
+                    }
+                    throw error;
+                });
+        });
+}
+
+/**
+ * Locks the records and asks for the passphrase to unlock them again.
+ *
+ * @return {Promise<boolean>} whether the records were unlocked
+ */
+function lock() {
+    clearTimeout(idleTimeout);
+    store.recordEncryption.lock();
+
+    return ensureUnlocked();
+}
+
+/**
+ * Asks for the passphrase if records are locked, e.g. because the user cancelled the dialog before.
+ * Records have to be unlocked before they can be saved or uploaded.
+ *
+ * @return {Promise<boolean>} whether the records are unlocked
+ */
+function ensureUnlocked() {
+    if (!store.recordEncryption.locked) {
+        return Promise.resolve(true);
+    }
+    // Only one dialog is shown if e.g. an auto-save and an upload both need the records.
+    if (!unlocking) {
+        unlocking = unlock().finally(() => {
+            unlocking = null;
+
+            if (lockDelay) {
+                _resetIdleTimeout();
+            }
+        });
+    }
+
+    return unlocking;
+}
+
+/**
+ * @param {string} [errorMsg]
+ * @return {Promise<void>}
+ */
+function _enableWithPassphrase(errorMsg) {
+    return gui
+        .prompt(
+            {
+                msg: t('recordencryption.create.msg'),
+                heading: t('recordencryption.create.heading'),
+                errorMsg,
+            },
+            {
+                posButton: t('recordencryption.create.posButton'),
+            },
+            _getPassphraseInputs(true)
+        )
+        .then((values) => {
+            // The user can choose to encrypt the records the next time the form is launched.
+            if (!values) {
+                return undefined;
+            }
+            if (values.passphrase !== values['repeat-passphrase']) {
+                return _enableWithPassphrase(t('recordencryption.mismatch'));
+            }
+
+            return store.recordEncryption.enable(
+                'passphrase',
+                values.passphrase
+            );
+        });
+}
+
+/**
+ * @param {boolean} repeat - whether the passphrase has to be entered twice
+ * @return {string} HTML of the prompt inputs
+ */
+function _getPassphraseInputs(repeat) {
+    const input = (name, label) =>
+        `<label><span>${label}</span><input name="${name}" type="password" autocomplete="off" required /></label>`;
+
+    return (
+        input('passphrase', t('recordencryption.passphrase')) +
+        (repeat
+            ? input('repeat-passphrase', t('recordencryption.repeatpassphrase'))
+            : '')
+    );
+}
+
+/**
+ * @param {number} delay - inactivity in milliseconds after which records are locked
+ */
+function _watchActivity(delay) {
+    if (lockDelay) {
+        return;
+    }
+
+    lockDelay = delay;
+    ACTIVITY_EVENTS.forEach((type) => {
+        document.addEventListener(type, _resetIdleTimeout, {
+            capture: true,
+            passive: true,
+        });
+    });
+    _resetIdleTimeout();
+}
+
+function _resetIdleTimeout() {
+    // Records that are locked stay locked until they are unlocked through the dialog.
+    if (store.recordEncryption.locked) {
+        return;
+    }
+
+    clearTimeout(idleTimeout);
+    idleTimeout = setTimeout(lock, lockDelay);
+}
+
+export default {
+    init,
+    unlock,
+    lock,
+    ensureUnlocked,
+};
@@ -0,0 +1,412 @@
+/**
+ * Prepares the batches in which a record is submitted, and uploads large record files in chunks.
+ * Used by connection.js in the web page and by offline-app-worker-partial.js in the service worker,
+ * so this module cannot use the DOM or the web page's settings and store.
+ */
+
+const TUS_VERSION = '1.0.0';
+// Number of times in a row a chunk is sent again when the server asks to try again later
+const MAX_CHUNK_RETRIES = 5;
+
+/**
+ * @typedef BatchPrepped
+ * @property { string } instanceId
+ * @property { string } deprecatedId
+ * @property { string } [created] - when the record was created in the store
+ * @property { FormData } formData
+ * @property { string[] } failedFiles
+ * @property { File } [chunkedFile] - file that is uploaded in chunks before the batch is submitted
+ */
+
+/**
+ * @typedef {import('./store').UploadProgress} UploadProgress
+ */
+
+/**
+ * @typedef UploadBatchResult
+ * @property { number } status
+ * @property { Array<string | undefined> } failedFiles
+ * @property { string } [message]
+ */
+
+/**
+ * @typedef PrepareBatchesOptions
+ * @property { number } maxSize - maximum submission size
+ * @property { number } [uploadChunkSize] - size above which files are uploaded in chunks, or 0 to never upload in chunks
+ * @property { Record<string, string> } [fields] - additional form fields to add to each batch
+ */
+
+/**
+ * @typedef ChunkedUploadOptions
+ * @property { string } url - URL at which uploads of the form's record files are created
+ * @property { number } chunkSize - number of bytes to send per request
+ * @property { (url: string, init: RequestInit) => Promise<Response> } fetch - function that sends requests
+ * @property { (instanceId: string, name: string) => Promise<UploadProgress | undefined> } getUpload - function that obtains stored upload progress
+ * @property { (upload: UploadProgress) => Promise<UploadProgress> } storeUpload - function that stores upload progress
+ */
+
+/**
+ * Builds up a record array including media files, divided into batches
+ *
+ * @param {{ instanceId: string, deprecatedId?: string, created?: string, files?: File[] }} record - record object
+ * @param { string } xml - record XML, without the type attributes of file elements
+ * @param { string[] } fileNames - names of the files referred to by the record XML
+ * @param { PrepareBatchesOptions } options
+ * @return { BatchPrepped[] }
+ */
+function prepareBatches(
+    record,
+    xml,
+    fileNames,
+    { maxSize, uploadChunkSize = 0, fields = {} }
+) {
+    const xmlSubmissionBlob = new Blob([xml], {
+        type: 'text/xml',
+    });
+    const availableFiles = record.files || [];
+    const sizes = [];
+
+    /** @type {string[]} */
+    const failedFiles = [];
+
+    /** @type {File[]} */
+    const submissionFiles = [];
+
+    /** @type {File[]} */
+    const chunkedFiles = [];
+
+    let batches = [[]];
+
+    fileNames.forEach((fileName) => {
+        // check if file is actually available
+        const file = availableFiles.find((f) => f.name === fileName);
+
+        // add the file if it is available
+        if (file && uploadChunkSize && file.size > uploadChunkSize) {
+            // large files are uploaded in chunks, and then each submitted in a separate batch
+            chunkedFiles.push(file);
+        } else if (file) {
+            submissionFiles.push(file);
+            sizes.push(file.size);
+        } else {
+            failedFiles.push(fileName);
+            console.error(`Error occured when trying to retrieve ${fileName}`);
+        }
+    });
+
+    if (submissionFiles.length > 0) {
+        batches = divideIntoBatches(sizes, maxSize);
+    } else if (chunkedFiles.length > 0) {
+        batches = [];
+    }
+
+    console.log(
+        `splitting record into ${batches.length} batches to reduce submission size `,
+        batches
+    );
+
+    /**
+     * @return { BatchPrepped } batch with XML data
+     */
+    const createBatch = () => {
+        const fd = new FormData();
+
+        fd.append(
+            'xml_submission_file',
+            xmlSubmissionBlob,
+            'xml_submission_file'
+        );
+        Object.entries(fields).forEach(([name, value]) => {
+            fd.append(name, value);
+        });
+
+        return {
+            instanceId: record.instanceId,
+            deprecatedId: record.deprecatedId,
+            created: record.created,
+            formData: fd,
+            failedFiles,
+        };
+    };
+
+    return batches
+        .map((batch) => {
+            const batchPrepped = createBatch();
+
+            // add any media files to the batch
+            batch.forEach((fileIndex) => {
+                // Not clear what name is appropriate. Since file.name is unique and works, this is used.
+                batchPrepped.formData.append(
+                    submissionFiles[fileIndex].name,
+                    submissionFiles[fileIndex],
+                    submissionFiles[fileIndex].name
+                );
+            });
+
+            return batchPrepped;
+        })
+        .concat(
+            chunkedFiles.map((file) => ({
+                ...createBatch(),
+                chunkedFile: file,
+            }))
+        );
+}
+
+/**
+ * splits an array of file sizes into batches (for submission) based on a limit
+ *
+ * @param  {Array.<number>} fileSizes -   array of file sizes
+ * @param  {number}     limit -   limit in byte size of one chunk (can be exceeded for a single item)
+ * @return {Array.<Array.<number>>} array of arrays with index, each secondary array of indices represents a batch
+ */
+
+function divideIntoBatches(fileSizes, limit) {
+    let i;
+    let j;
+    let batch;
+    let batchSize;
+    const sizes = [];
+    const batches = [];
+
+    for (i = 0; i < fileSizes.length; i++) {
+        sizes.push({
+            index: i,
+            size: fileSizes[i],
+        });
+    }
+
+    while (sizes.length > 0) {
+        batch = [sizes[0].index];
+        batchSize = sizes[0].size;
+        if (sizes[0].size < limit) {
+            for (i = 1; i < sizes.length; i++) {
+                if (batchSize + sizes[i].size < limit) {
+                    batch.push(sizes[i].index);
+                    batchSize += sizes[i].size;
+                }
+            }
+        }
+        batches.push(batch);
+        for (i = 0; i < sizes.length; i++) {
+            for (j = 0; j < batch.length; j++) {
+                if (sizes[i].index === batch[j]) {
+                    sizes.splice(i, 1);
+                }
+            }
+        }
+    }
+
+    return batches;
+}
+
+/**
+ * Obtains the headers with which a batch is submitted.
+ *
+ * @param { BatchPrepped } batch
+ * @param {{ offline?: boolean, uploadId?: string | null }} [options] - whether the batch is submitted from the queue of an offline-capable form, and the ID of the upload of its chunked file
+ * @return { Record<string, string> }
+ */
+function getSubmissionHeaders(
+    batch,
+    { offline = false, uploadId = null } = {}
+) {
+    const headers = {
+        'X-OpenRosa-Version': '1.0',
+        'X-OpenRosa-Instance-Id': batch.instanceId,
+    };
+
+    if (batch.deprecatedId) {
+        headers['X-OpenRosa-Deprecated-Id'] = batch.deprecatedId;
+    }
+
+    // Records of offline-capable forms stay in the browser's queue until they are submitted,
+    // so the server should not queue them.
+    if (offline) {
+        headers['X-Enketo-Offline'] = 'true';
+
+        // Records that were created before the survey closed can still be submitted.
+        if (batch.created) {
+            headers['X-Enketo-Record-Created'] = new Date(
+                batch.created
+            ).toISOString();
+        }
+    }
+    if (uploadId) {
+        headers['X-Enketo-Upload-Ids'] = uploadId;
+    }
+
+    return headers;
+}
+
+/**
+ * Uploads a record file in chunks, resuming a previous upload of the same file if the server still has it.
+ *
+ * @param { string } instanceId - instance ID of the record
+ * @param { File } file - record file
+ * @param { ChunkedUploadOptions } options
+ * @return { Promise<string> } a Promise that resolves with the ID of the completed upload
+ */
+async function uploadInChunks(instanceId, file, options) {
+    const upload = await _getUpload(instanceId, file, options);
+
+    /**
+     * @param { number } offset - number of bytes the server has received
+     * @param { number } retries - number of times the current chunk was retried
+     * @return { Promise<void> }
+     */
+    const uploadFrom = async (offset, retries) => {
+        if (offset >= file.size) {
+            return;
+        }
+
+        const response = await options.fetch(upload.url, {
+            method: 'PATCH',
+            headers: {
+                'Tus-Resumable': TUS_VERSION,
+                'Content-Type': 'application/offset+octet-stream',
+                'Upload-Offset': String(offset),
+            },
+            body: file.slice(offset, offset + options.chunkSize),
+        });
+
+        if (response.status === 409) {
+            // The server received a different number of bytes, e.g. because a response got lost.
+            const serverOffset = await _getUploadOffset(upload.url, options);
+
+            if (serverOffset == null) {
+                throw _getUploadError(response);
+            }
+
+            return uploadFrom(serverOffset, retries);
+        }
+        if (
+            (response.status === 423 || response.status === 429) &&
+            retries < MAX_CHUNK_RETRIES
+        ) {
+            // Another request is still appending to the upload, or too many requests were made.
+            await new Promise((resolve) => {
+                setTimeout(resolve, _getRetryDelay(response));
+            });
+
+            return uploadFrom(offset, retries + 1);
+        }
+        if (response.status === 204) {
+            const nextOffset = Number(response.headers.get('Upload-Offset'));
+
+            await options.storeUpload({ ...upload, offset: nextOffset });
+
+            return uploadFrom(nextOffset, 0);
+        }
+
+        throw _getUploadError(response);
+    };
+
+    await uploadFrom(upload.offset, 0);
+
+    return upload.url.split('/').pop();
+}
+
+/**
+ * Obtains the stored upload of a record file if the server still has it, or creates a new upload.
+ *
+ * @param { string } instanceId - instance ID of the record
+ * @param { File } file - record file
+ * @param { ChunkedUploadOptions } options
+ * @return { Promise<UploadProgress> }
+ */
+async function _getUpload(instanceId, file, options) {
+    const stored = await options.getUpload(instanceId, file.name);
+
+    if (stored && stored.size === file.size) {
+        const offset = await _getUploadOffset(stored.url, options);
+
+        if (offset != null) {
+            return { ...stored, offset };
+        }
+    }
+
+    const metadata = { instanceId, filename: file.name, filetype: file.type };
+    const response = await options.fetch(options.url, {
+        method: 'POST',
+        headers: {
+            'Tus-Resumable': TUS_VERSION,
+            'Upload-Length': String(file.size),
+            'Upload-Metadata': Object.entries(metadata)
+                .map(([key, value]) => `${key} ${_encodeBase64(value)}`)
+                .join(','),
+        },
+    });
+
+    if (response.status !== 201) {
+        throw _getUploadError(response);
+    }
+
+    return options.storeUpload({
+        instanceId,
+        name: file.name,
+        size: file.size,
+        url: response.headers.get('Location'),
+        offset: 0,
+    });
+}
+
+/**
+ * @param { string } url - upload URL
+ * @param { ChunkedUploadOptions } options
+ * @return { Promise<number | null> } a Promise that resolves with the number of bytes the server received, or with `null` if the upload does not exist (anymore)
+ */
+function _getUploadOffset(url, options) {
+    return options
+        .fetch(url, {
+            method: 'HEAD',
+            cache: 'no-cache',
+            headers: { 'Tus-Resumable': TUS_VERSION },
+        })
+        .then((response) =>
+            response.ok ? Number(response.headers.get('Upload-Offset')) : null
+        );
+}
+
+/**
+ * @param { Response } response
+ * @return { number } milliseconds to wait according to the response's Retry-After header, if any
+ */
+function _getRetryDelay(response) {
+    const retryAfter = response.headers.get('Retry-After');
+    const seconds = Number(retryAfter);
+
+    if (retryAfter && Number.isFinite(seconds)) {
+        return Math.max(seconds, 0) * 1000;
+    }
+
+    const date = Date.parse(retryAfter);
+
+    return Number.isNaN(date) ? 1000 : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * @param { Response } response
+ * @return { UploadBatchResult }
+ */
+function _getUploadError(response) {
+    return {
+        status: response.status,
+        failedFiles: [],
+    };
+}
+
+/**
+ * @param { string } value
+ * @return { string } base64-encoded UTF-8 value
+ */
+function _encodeBase64(value = '') {
+    return btoa(String.fromCharCode(...new TextEncoder().encode(value)));
+}
+
+export {
+    prepareBatches,
+    divideIntoBatches,
+    getSubmissionHeaders,
+    uploadInChunks,
+};
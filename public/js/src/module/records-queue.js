@@ -13,6 +13,8 @@ import { t } from './translator';
 import formCache from './form-cache';
 import { setLastSavedRecord } from './last-saved';
 import { backoff, cancelBackoff } from './exponential-backoff';
+import applicationCache from './application-cache';
+import recordLock from './record-lock';
 
 let $exportButton;
 let $uploadButton;
@@ -122,6 +124,11 @@ function getAutoSavedKey() {
  * Obtains auto-saved record.
  */
 function getAutoSavedRecord() {
+    // A locked auto-saved record is kept, so that it can be loaded after records are unlocked.
+    if (store.recordEncryption.locked) {
+        return Promise.resolve();
+    }
+
     return get(getAutoSavedKey());
 }
 
@@ -217,6 +224,24 @@ const uploadQueue = async (
         return false;
     }
 
+    if (isUserTriggered) {
+        // While the user action is still being handled, in case the upload has to be done later
+        applicationCache.requestNotificationPermission();
+    }
+
+    // Locked records cannot be read. The user is asked to unlock them when they upload them.
+    if (
+        store.recordEncryption.locked &&
+        (!isUserTriggered || !(await recordLock.ensureUnlocked()))
+    ) {
+        if (isUserTriggered) {
+            $uploadButton.btnBusyState(false);
+            gui.alert(t('recordencryption.locked'), null, 'warning');
+        }
+
+        return false;
+    }
+
     if (isUserTriggered) {
         cancelBackoff();
     }
@@ -231,6 +256,8 @@ const uploadQueue = async (
     if (!appearsOnline) {
         backoff(uploadQueue);
         backoffReason = 'offline';
+        // In case the web page is closed before the connection is back
+        applicationCache.registerBackgroundUpload();
 
         $uploadButton.btnBusyState(false);
 
@@ -339,6 +366,7 @@ const uploadQueue = async (
         uploadOngoing = false;
         backoffReason = 'failure';
         backoff(uploadQueue);
+        applicationCache.registerBackgroundUpload();
 
         if (isUserTriggered) {
             gui.alert(
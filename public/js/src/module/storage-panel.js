@@ -0,0 +1,344 @@
+/**
+ * Shows the browser storage used by offline-capable forms in the side slider, warns when the
+ * storage quota is almost exhausted, and lets users free up storage.
+ */
+
+import store from './store';
+import gui from './gui';
+import events from './event';
+import settings from './settings';
+import utils from './utils';
+import { t } from './translator';
+import { removeLastSavedRecord } from './last-saved';
+
+/**
+ * @typedef {import('./store').SurveyUsage} SurveyUsage
+ */
+
+// share of the quota from which users are warned that storage is almost full
+const WARNING_RATIO = 0.9;
+
+/** @type {HTMLElement | null} */
+let panel;
+
+let warned = false;
+
+/**
+ * @return {Promise<void>}
+ */
+function init() {
+    panel = document.querySelector('.storage');
+
+    if (!panel || !store.available) {
+        return Promise.resolve();
+    }
+
+    panel
+        .querySelector('.storage__persist')
+        .addEventListener('click', _requestPersistence);
+    panel
+        .querySelector('.storage__forms')
+        .addEventListener('click', _onFormButtonClick);
+    document
+        .querySelectorAll(
+            '.side-slider__toggle, .offline-enabled__queue-length'
+        )
+        .forEach((element) => {
+            element.addEventListener('click', () => {
+                update();
+            });
+        });
+    // After a record has been saved
+    document.addEventListener(events.FormReset().type, () => {
+        update();
+    });
+
+    return update();
+}
+
+/**
+ * Updates the storage panel and warns the user once when storage is almost full.
+ *
+ * @return {Promise<void>}
+ */
+function update() {
+    return Promise.all([
+        store.usage.estimate(),
+        store.usage.persisted(),
+        store.usage.getSurveys(),
+    ])
+        .then(([estimate, persisted, surveys]) => {
+            _renderEstimate(estimate);
+            _renderPersistence(persisted);
+            _renderSurveys(surveys);
+
+            if (_isAlmostFull(estimate) && !warned) {
+                warned = true;
+                gui.feedback(
+                    t('storage.almostfull', {
+                        percentage: _getPercentage(estimate),
+                    }),
+                    20
+                );
+            }
+        })
+        .catch((error) => {
+            console.error('Could not update storage panel', error);
+        });
+}
+
+/**
+ * @param {StorageEstimate | null} estimate
+ * @return {boolean}
+ */
+function _isAlmostFull(estimate) {
+    return (
+        estimate != null &&
+        estimate.quota > 0 &&
+        estimate.usage / estimate.quota >= WARNING_RATIO
+    );
+}
+
+/**
+ * @param {StorageEstimate} estimate
+ * @return {number}
+ */
+function _getPercentage(estimate) {
+    return Math.round((estimate.usage / estimate.quota) * 100);
+}
+
+/**
+ * @param {StorageEstimate | null} estimate
+ */
+function _renderEstimate(estimate) {
+    const summary = panel.querySelector('.storage__summary');
+    const meter = panel.querySelector('.storage__meter');
+    const warning = panel.querySelector('.storage__warning');
+
+    if (estimate == null || !estimate.quota) {
+        summary.textContent = t('storage.unknown');
+        meter.classList.add('hide');
+        warning.classList.add('hide');
+
+        return;
+    }
+
+    summary.textContent = t('storage.usage', {
+        used: utils.formatSize(estimate.usage),
+        quota: utils.formatSize(estimate.quota),
+    });
+    meter.value = estimate.usage / estimate.quota;
+    meter.classList.remove('hide');
+
+    warning.textContent = t('storage.almostfull', {
+        percentage: _getPercentage(estimate),
+    });
+    warning.classList.toggle('hide', !_isAlmostFull(estimate));
+}
+
+/**
+ * @param {boolean} persisted
+ */
+function _renderPersistence(persisted) {
+    const button = panel.querySelector('.storage__persist');
+    const message = panel.querySelector('.storage__persisted');
+
+    button.classList.toggle('hide', persisted);
+    message.classList.toggle('hide', !persisted);
+}
+
+/**
+ * @param {SurveyUsage[]} surveys
+ */
+function _renderSurveys(surveys) {
+    const list = panel.querySelector('.storage__forms');
+
+    list.textContent = '';
+    list.append(
+        ...surveys.map((survey) => {
+            const item = document.createElement('li');
+            const title = document.createElement('span');
+            const details = document.createElement('ul');
+
+            item.classList.add('storage__forms__form');
+            item.dataset.id = survey.enketoId;
+            title.classList.add('storage__forms__form__title');
+            title.textContent = survey.title || survey.enketoId;
+            details.classList.add('storage__forms__form__details');
+
+            if (survey.cached) {
+                details.append(
+                    _createDetail(
+                        t('storage.form', {
+                            size: utils.formatSize(survey.form),
+                        }),
+                        survey.enketoId !== settings.enketoId &&
+                            _createButton(
+                                'remove-form',
+                                t('storage.removeform')
+                            )
+                    )
+                );
+            }
+            if (survey.recordCount > 0) {
+                details.append(
+                    _createDetail(
+                        t('storage.records', {
+                            count: survey.recordCount,
+                            size: utils.formatSize(survey.records),
+                        })
+                    )
+                );
+            }
+            if (survey.kept > 0) {
+                details.append(
+                    _createDetail(
+                        t('storage.kept', {
+                            size: utils.formatSize(survey.kept),
+                        }),
+                        _createButton('remove-kept', t('storage.removekept'))
+                    )
+                );
+            }
+
+            item.append(title, details);
+
+            return item;
+        })
+    );
+
+    if (surveys.length === 0) {
+        const none = document.createElement('li');
+
+        none.classList.add('storage__forms--none');
+        none.textContent = t('storage.noforms');
+        list.append(none);
+    }
+}
+
+/**
+ * @param {string} text
+ * @param {HTMLButtonElement | false} [button]
+ * @return {HTMLLIElement}
+ */
+function _createDetail(text, button) {
+    const detail = document.createElement('li');
+
+    detail.textContent = text;
+
+    if (button) {
+        detail.append(button);
+    }
+
+    return detail;
+}
+
+/**
+ * @param {'remove-form' | 'remove-kept'} action
+ * @param {string} label
+ * @return {HTMLButtonElement}
+ */
+function _createButton(action, label) {
+    const button = document.createElement('button');
+
+    button.type = 'button';
+    button.className = `storage__forms__form__button btn btn-default ${action}`;
+    button.dataset.action = action;
+    button.textContent = label;
+
+    return button;
+}
+
+/**
+ * @param {MouseEvent} event
+ */
+function _onFormButtonClick(event) {
+    const button = event.target.closest('[data-action]');
+
+    if (!button) {
+        return;
+    }
+
+    const { action } = button.dataset;
+    const item = button.closest('.storage__forms__form');
+    const enketoId = item.dataset.id;
+    const title = item.querySelector(
+        '.storage__forms__form__title'
+    ).textContent;
+    const confirmKey =
+        action === 'remove-form' ? 'confirm.removeform' : 'confirm.removekept';
+
+    gui.confirm(
+        {
+            msg: t(`${confirmKey}.msg`, { title }),
+            heading: t(`${confirmKey}.heading`),
+        },
+        {
+            posButton: t(`${confirmKey}.posButton`),
+        }
+    )
+        .then((confirmed) => {
+            if (!confirmed) {
+                return Promise.resolve();
+            }
+
+            const remove =
+                action === 'remove-form' ? removeSurvey : removeKeptData;
+
+            return remove(enketoId).then(update);
+        })
+        .catch((error) => {
+            console.error(error);
+            gui.alert(error.message);
+        });
+}
+
+/**
+ * Removes a stored form and its media. Its queued records are kept.
+ *
+ * @param {string} enketoId
+ * @return {Promise<void>}
+ */
+function removeSurvey(enketoId) {
+    return store.survey.remove(enketoId);
+}
+
+/**
+ * Removes the data of a form that is kept after its records were uploaded.
+ *
+ * @param {string} enketoId
+ * @return {Promise<void>}
+ */
+function removeKeptData(enketoId) {
+    return Promise.all([
+        removeLastSavedRecord(enketoId),
+        store.dynamicData.remove(enketoId),
+    ]).then(() => {});
+}
+
+/**
+ * Requests persistent storage, which the browser will not clear when it runs low on storage.
+ *
+ * @return {Promise<void>}
+ */
+function _requestPersistence() {
+    return store.usage
+        .persist()
+        .then((persisted) => {
+            if (!persisted) {
+                gui.alert(t('storage.persistdenied'), null, 'warning');
+            }
+
+            return update();
+        })
+        .catch((error) => {
+            console.error(error);
+        });
+}
+
+export default {
+    init,
+    update,
+    removeSurvey,
+    removeKeptData,
+};
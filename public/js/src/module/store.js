@@ -7,6 +7,7 @@ import utils from './utils';
 import sniffer from './sniffer';
 import { t } from './translator';
 import encryptor from './encryptor';
+import recordEncryption, { ENCRYPTION_PROPERTY } from './record-encryption';
 
 const parser = new DOMParser();
 
@@ -31,10 +32,13 @@ let blobEncoding;
 let available = false;
 
 const databaseName = 'enketo';
-const version = 4;
+const version = 6;
 
 const REMOVE_RECORD_NAME_UNIQUENESS_VERSION = 4;
 
+// maximum number of converted external data files to keep
+const MAX_EXTERNAL_DATA_ENTRIES = 20;
+
 /**
  * @typedef StoreInitOptions
  * @property {boolean} [failSilently]
@@ -45,56 +49,7 @@ const REMOVE_RECORD_NAME_UNIQUENESS_VERSION = 4;
  */
 function init({ failSilently } = {}) {
     return _checkSupport()
-        .then(() => {
-            // https://github.com/enketo/enketo-express/issues/416
-            // When upgrading from version 3 to 4, ensure that the unique `name` index on
-            // `records` is replaced with an index on the combination `['enketoId', 'name']`.
-            // For any other version upgrades, defer to `db.js`.
-
-            if (version !== REMOVE_RECORD_NAME_UNIQUENESS_VERSION) {
-                return Promise.resolve();
-            }
-
-            return new Promise((resolve, reject) => {
-                const request = indexedDB.open(databaseName, version);
-
-                request.addEventListener('blocked', reject);
-                request.addEventListener('success', resolve);
-                request.addEventListener('error', reject);
-
-                request.addEventListener('upgradeneeded', (event) => {
-                    const { transaction } = request;
-                    try {
-                        if (
-                            event.oldVersion !==
-                                REMOVE_RECORD_NAME_UNIQUENESS_VERSION - 1 ||
-                            event.newVersion !==
-                                REMOVE_RECORD_NAME_UNIQUENESS_VERSION
-                        ) {
-                            // If the *previous* verison was not 3 (e.g. for a new DB),
-                            // these changes will *not* produce the same schema as db.js.
-                            // In those cases, we abort this upgrade and defer to db.js.
-                            // This does leave open the much less likely possibility that
-                            // an upgrade from versions 1 or 2 will leave the `name` index.
-                            transaction.abort();
-
-                            return resolve(event);
-                        }
-
-                        const store = transaction.objectStore('records');
-
-                        // This will produce a schema equivalent to the db.js changes specified
-                        // for version 4.
-                        store.createIndex('recordName', ['enketoId', 'name'], {
-                            unique: true,
-                        });
-                        store.deleteIndex('name');
-                    } catch (error) {
-                        reject(error);
-                    }
-                });
-            });
-        })
+        .then(_upgradeRecordNameIndex)
         .then(() =>
             db.open({
                 server: databaseName,
@@ -180,6 +135,30 @@ function init({ failSilently } = {}) {
                             },
                         },
                     },
+                    // External data files converted to XML, by hash of the file, shared by all surveys
+                    externalData: {
+                        key: {
+                            keyPath: 'key',
+                            autoIncrement: false,
+                        },
+                        indexes: {
+                            lastUsed: {
+                                unique: false,
+                            },
+                        },
+                    },
+                    // Progress of chunked uploads of record files, so they can be resumed after a reload
+                    uploads: {
+                        key: {
+                            keyPath: 'key',
+                            autoIncrement: false,
+                        },
+                        indexes: {
+                            instanceId: {
+                                unique: false,
+                            },
+                        },
+                    },
                     // Dynamic data, passed by via querystring is stored in a separate table,
                     // because its update mechanism is separate from the survey + resources.
                     // Otherwise the all-or-nothing form+resources update would remove this data.
@@ -202,6 +181,7 @@ function init({ failSilently } = {}) {
         })
         .then(_isWriteable)
         .then(_setBlobStorageEncoding)
+        .then(_loadRecordEncryption)
         .then(() => {
             available = true;
         })
@@ -322,6 +302,13 @@ const propertyStore = {
     },
 };
 
+/**
+ * @typedef SurveySummary
+ * @property {string} enketoId
+ * @property {string | null} title
+ * @property {number} [updated] - time at which the survey was last stored, surveys stored by older versions do not have this
+ */
+
 const surveyStore = {
     /**
      * Obtains a single survey's form HTML and XML model, theme, external instances from storage
@@ -335,6 +322,24 @@ const surveyStore = {
             .then(_firstItemOnly)
             .then(_deserializeSurvey);
     },
+    /**
+     * Obtains a summary of all stored surveys, without loading their resources
+     *
+     * @return { Promise<SurveySummary[]> }
+     */
+    getSummaries() {
+        return server.surveys
+            .query()
+            .all()
+            .execute()
+            .then((surveys) =>
+                surveys.map(({ enketoId, form, updated }) => ({
+                    enketoId,
+                    title: utils.getTitleFromFormStr(form),
+                    updated,
+                }))
+            );
+    },
     /**
      * Stores a single survey's form HTML and XML model, theme, external instances
      *
@@ -346,6 +351,8 @@ const surveyStore = {
             throw new Error('Survey not complete');
         }
 
+        survey.updated = Date.now();
+
         return server.surveys
             .add(_serializeSurvey(survey))
             .then(_firstItemOnly)
@@ -388,6 +395,8 @@ const surveyStore = {
             .concat(survey.binaryDefaults || [])
             .map((resource) => resource.url);
 
+        survey.updated = Date.now();
+
         return server.surveys
             .get(survey.enketoId)
             .then((result) => {
@@ -468,7 +477,9 @@ const surveyStore = {
         return surveyStore
             .get(id)
             .then((survey) => {
-                resources = survey.resources || [];
+                resources = (survey.resources || []).concat(
+                    _getResourceKeys(survey.binaryDefaults)
+                );
                 resources.forEach((resource) => {
                     tasks.push(surveyStore.resource.remove(id, resource));
                 });
@@ -550,7 +561,325 @@ const dataStore = {
      * @return { Promise }    [description]
      */
     remove(id) {
-        return dataStore.remove(id);
+        return server.data.remove(id);
+    },
+};
+
+const externalDataStore = {
+    /**
+     * Obtains converted external data and marks it as recently used.
+     *
+     * @param { string } key - hash of the external data file and conversion options
+     * @return { Promise<string | undefined> } a Promise that resolves with the XML string, if it was stored
+     */
+    get(key) {
+        return server.externalData
+            .get(key)
+            .then(_firstItemOnly)
+            .then((item) => {
+                if (!item) {
+                    return undefined;
+                }
+
+                return server.externalData
+                    .update({ ...item, lastUsed: Date.now() })
+                    .then(() => item.xml);
+            });
+    },
+    /**
+     * Stores converted external data, and removes the least recently used items beyond the
+     * maximum number of items.
+     *
+     * @param { string } key - hash of the external data file and conversion options
+     * @param { string } xml - XML string
+     * @return { Promise }  a Promise that resolves when the data was stored
+     */
+    set(key, xml) {
+        return server.externalData
+            .update({ key, xml, lastUsed: Date.now() })
+            .then(() => server.externalData.count())
+            .then((count) =>
+                count > MAX_EXTERNAL_DATA_ENTRIES
+                    ? server.externalData
+                          .query('lastUsed')
+                          .all()
+                          .limit(count - MAX_EXTERNAL_DATA_ENTRIES)
+                          .execute()
+                    : []
+            )
+            .then((obsolete) =>
+                Promise.all(
+                    obsolete.map((item) => server.externalData.remove(item.key))
+                )
+            );
+    },
+    /**
+     * Removes all converted external data
+     *
+     * @return { Promise } [description]
+     */
+    removeAll() {
+        return _flushTable('externalData');
+    },
+};
+
+/**
+ * @typedef UploadProgress
+ * @property {string} instanceId
+ * @property {string} name - file name of the record file
+ * @property {number} size - size of the record file in bytes
+ * @property {string} url - URL of the upload on the server
+ * @property {number} offset - number of bytes uploaded so far
+ */
+
+const uploadStore = {
+    /**
+     * Obtains the progress of a chunked upload of a record file.
+     *
+     * @param { string } instanceId - instance ID of the record
+     * @param { string } name - file name
+     * @return { Promise<UploadProgress | undefined> } a Promise that resolves with the upload progress, if it was stored
+     */
+    get(instanceId, name) {
+        return server.uploads.get(`${instanceId}:${name}`).then(_firstItemOnly);
+    },
+    /**
+     * Stores the progress of a chunked upload of a record file.
+     *
+     * @param { UploadProgress } upload - upload progress
+     * @return { Promise<UploadProgress> } a Promise that resolves with the upload progress
+     */
+    update(upload) {
+        return server.uploads
+            .update({
+                ...upload,
+                key: `${upload.instanceId}:${upload.name}`,
+            })
+            .then(() => upload);
+    },
+    /**
+     * Removes the progress of a chunked upload of a record file.
+     *
+     * @param { string } instanceId - instance ID of the record
+     * @param { string } name - file name
+     * @return { Promise } a Promise that resolves when the upload progress was removed
+     */
+    remove(instanceId, name) {
+        return server.uploads.remove(`${instanceId}:${name}`);
+    },
+    /**
+     * Removes the progress of all chunked uploads of a record.
+     *
+     * @param { string } instanceId - instance ID of the record
+     * @return { Promise } a Promise that resolves when the upload progress was removed
+     */
+    removeAll(instanceId) {
+        return server.uploads
+            .query('instanceId')
+            .only(instanceId)
+            .execute()
+            .then((uploads) =>
+                Promise.all(
+                    uploads.map((upload) => server.uploads.remove(upload.key))
+                )
+            );
+    },
+};
+
+/**
+ * @typedef SurveyUsage
+ * @property {string} enketoId
+ * @property {string | null} title - title of the form, or `null` if the form is not stored
+ * @property {boolean} cached - whether the form is stored
+ * @property {number} form - bytes used by the form, its media and its external data
+ * @property {number} records - bytes used by queued records and their files
+ * @property {number} recordCount - number of queued records
+ * @property {number} kept - bytes used by data that is kept after records were uploaded: the last-saved record and dynamic data
+ */
+
+const usageStore = {
+    /**
+     * Obtains the browser's estimate of the storage used by the application and of its quota.
+     *
+     * @return { Promise<StorageEstimate | null> } a Promise that resolves with the estimate, or with `null` if the browser cannot provide one
+     */
+    estimate() {
+        if (!navigator.storage || !navigator.storage.estimate) {
+            return Promise.resolve(null);
+        }
+
+        return navigator.storage.estimate().catch((error) => {
+            console.error('Could not estimate storage', error);
+
+            return null;
+        });
+    },
+    /**
+     * @return { Promise<boolean> } a Promise that resolves with whether storage will only be cleared by the user
+     */
+    persisted() {
+        if (!navigator.storage || !navigator.storage.persisted) {
+            return Promise.resolve(false);
+        }
+
+        return navigator.storage.persisted();
+    },
+    /**
+     * Requests the browser not to clear storage when it runs low on storage.
+     *
+     * @return { Promise<boolean> } a Promise that resolves with whether storage is persistent
+     */
+    persist() {
+        if (!navigator.storage || !navigator.storage.persist) {
+            return Promise.resolve(false);
+        }
+
+        return navigator.storage.persist();
+    },
+    /**
+     * Obtains the approximate storage used for each form, largest first. Sizes are counted in bytes
+     * of blobs and strings, so they are lower than the actual usage of the database.
+     *
+     * @return { Promise<SurveyUsage[]> } a Promise that resolves with the usage of each form
+     */
+    getSurveys() {
+        /** @type {Map<string, SurveyUsage>} */
+        const usage = new Map();
+        const tasks = [];
+        const getUsage = (enketoId) => {
+            if (!usage.has(enketoId)) {
+                usage.set(enketoId, {
+                    enketoId,
+                    title: null,
+                    cached: false,
+                    form: 0,
+                    records: 0,
+                    recordCount: 0,
+                    kept: 0,
+                });
+            }
+
+            return usage.get(enketoId);
+        };
+
+        return Promise.all([
+            server.surveys.query().all().execute(),
+            server.records.query().all().execute(),
+            server.lastSavedRecords.query().all().execute(),
+            server.data.query().all().execute(),
+        ])
+            .then(([surveys, records, lastSavedRecords, data]) => {
+                surveys.forEach((survey) => {
+                    const item = getUsage(survey.enketoId);
+
+                    item.cached = true;
+                    item.title = utils.getTitleFromFormStr(survey.form);
+                    item.form += _getSize(survey);
+                    (survey.resources || [])
+                        .concat(_getResourceKeys(survey.binaryDefaults))
+                        .forEach((url) => {
+                            tasks.push(
+                                server.resources
+                                    .get(`${survey.enketoId}:${url}`)
+                                    .then((resource) => {
+                                        item.form += _getSize(resource);
+                                    })
+                            );
+                        });
+                });
+                records.forEach((record) => {
+                    const item = getUsage(record.enketoId);
+
+                    item.recordCount += 1;
+                    item.records += _getSize(record);
+                    (record.files || []).forEach((name) => {
+                        tasks.push(
+                            server.files
+                                .get(`${record.instanceId}:${name}`)
+                                .then((file) => {
+                                    item.records += _getSize(file);
+                                })
+                        );
+                    });
+                });
+                lastSavedRecords.forEach((record) => {
+                    getUsage(record._enketoId).kept += _getSize(record);
+                });
+                data.forEach((item) => {
+                    getUsage(item.enketoId).kept += _getSize(item);
+                });
+
+                return Promise.all(tasks);
+            })
+            .then(() =>
+                [...usage.values()].sort(
+                    (a, b) =>
+                        b.form +
+                        b.records +
+                        b.kept -
+                        (a.form + a.records + a.kept)
+                )
+            );
+    },
+};
+
+const recordEncryptionStore = {
+    /**
+     * Starts encrypting stored records and their files, and encrypts the records that are
+     * already stored, including the last saved records.
+     *
+     * @param {import('./record-encryption').EncryptionMethod} method
+     * @param {string} [passphrase] - required for the passphrase method
+     * @return {Promise<void>}
+     */
+    enable(method, passphrase) {
+        if (recordEncryption.isEnabled()) {
+            return Promise.reject(new Error('Records are already encrypted'));
+        }
+
+        return recordEncryption
+            .create(method, passphrase)
+            .then(propertyStore.update)
+            .then(() => server.records.query().all().execute())
+            .then((records) =>
+                // sequentially to be kind to indexedDB
+                records.reduce(
+                    (prevPromise, record) =>
+                        prevPromise.then(() => _encryptStoredRecord(record)),
+                    Promise.resolve()
+                )
+            )
+            .then(() => server.lastSavedRecords.query().all().execute())
+            .then((lastSavedRecords) =>
+                lastSavedRecords.reduce(
+                    (prevPromise, record) =>
+                        prevPromise.then(() =>
+                            recordEncryption.isEncrypted(record.xml)
+                                ? undefined
+                                : lastSavedRecordStore.update(record)
+                        ),
+                    Promise.resolve()
+                )
+            );
+    },
+    /**
+     * @param {string} [passphrase] - required for the passphrase method
+     * @return {Promise<void>}
+     */
+    unlock(passphrase) {
+        return recordEncryption.unlock(passphrase);
+    },
+    lock() {
+        recordEncryption.lock();
+    },
+    get enabled() {
+        return recordEncryption.isEnabled();
+    },
+    get locked() {
+        return recordEncryption.isLocked();
+    },
+    get method() {
+        return recordEncryption.getMethod();
     },
 };
 
@@ -567,6 +896,7 @@ const recordStore = {
         return server.records
             .get(instanceId)
             .then(_firstItemOnly)
+            .then(_decryptRecord)
             .then((record) => {
                 if (!record) {
                     return record;
@@ -636,17 +966,19 @@ const recordStore = {
         // build array of file keys
         fileKeys = record.files.map((file) => file.name);
 
-        return server.records
-            .add({
-                instanceId: record.instanceId,
-                enketoId: record.enketoId,
-                name: record.name,
-                xml: record.xml,
-                files: fileKeys,
-                created: new Date().getTime(),
-                updated: new Date().getTime(),
-                draft: record.draft,
-            })
+        return _encryptXml(record.xml)
+            .then((xml) =>
+                server.records.add({
+                    instanceId: record.instanceId,
+                    enketoId: record.enketoId,
+                    name: record.name,
+                    xml,
+                    files: fileKeys,
+                    created: new Date().getTime(),
+                    updated: new Date().getTime(),
+                    draft: record.draft,
+                })
+            )
             .then(_firstItemOnly)
             .then(propertyStore.incrementRecordCount)
             .then(() =>
@@ -697,9 +1029,11 @@ const recordStore = {
         // build array of file keys
         fileKeys = record.files.map((file) => file.name);
 
-        return server.records
-            .get(record.instanceId)
-            .then((result) => {
+        return Promise.all([
+            server.records.get(record.instanceId),
+            _encryptXml(record.xml),
+        ])
+            .then(([result, xml]) => {
                 // determine obsolete files to be removed
                 if (result && result.files) {
                     obsoleteFiles = result.files.filter(
@@ -712,7 +1046,7 @@ const recordStore = {
                     instanceId: record.instanceId,
                     enketoId: record.enketoId,
                     name: record.name,
-                    xml: record.xml,
+                    xml,
                     files: fileKeys,
                     created:
                         result && result.created
@@ -780,6 +1114,7 @@ const recordStore = {
                     tasks.push(recordStore.file.remove(instanceId, fileKey));
                 });
                 tasks.push(server.records.remove(instanceId));
+                tasks.push(uploadStore.removeAll(instanceId));
 
                 return Promise.all(tasks);
             });
@@ -790,7 +1125,9 @@ const recordStore = {
      * @return { Promise } [description]
      */
     removeAll() {
-        return _flushTable('records').then(() => _flushTable('files'));
+        return _flushTable('records')
+            .then(() => _flushTable('files'))
+            .then(() => _flushTable('uploads'));
     },
     file: {
         /**
@@ -827,6 +1164,57 @@ const recordStore = {
     },
 };
 
+/**
+ * The last saved record of each form, for forms that use the last-saved virtual instance. These
+ * are encrypted like the records themselves, including their files.
+ */
+const lastSavedRecordStore = {
+    /**
+     * @param { string } enketoId - Enketo ID of the form
+     * @return { Promise<EnketoRecord | undefined> } the last saved record, without it if it is locked
+     */
+    get(enketoId) {
+        return server.lastSavedRecords.get(enketoId).then((record) => {
+            // A form can be loaded with its default values while records are locked.
+            if (
+                record &&
+                recordEncryption.isEncrypted(record.xml) &&
+                recordEncryption.isLocked()
+            ) {
+                return undefined;
+            }
+
+            return _decryptLastSavedRecord(record);
+        });
+    },
+    /**
+     * @param { EnketoRecord } record - last saved record
+     * @return { Promise<EnketoRecord[]> } the updated record
+     */
+    update(record) {
+        if (!recordEncryption.isEnabled()) {
+            return server.lastSavedRecords.update(record);
+        }
+
+        return _encryptLastSavedRecord(record)
+            .then((encrypted) => server.lastSavedRecords.update(encrypted))
+            .then(() => [record]);
+    },
+    /**
+     * @param { string } enketoId - Enketo ID of the form
+     * @return { Promise }
+     */
+    remove(enketoId) {
+        return server.lastSavedRecords.remove(enketoId);
+    },
+    /**
+     * @return { Promise }
+     */
+    clear() {
+        return server.lastSavedRecords.clear();
+    },
+};
+
 /**
  * Db.js get and update functions return arrays. This function extracts the first item of the array
  * and passes it along.
@@ -843,6 +1231,226 @@ function _firstItemOnly(results) {
     return Promise.resolve(results);
 }
 
+/**
+ * When upgrading from version 3 to 4, ensures that the unique `name` index on `records` is
+ * replaced with an index on the combination `['enketoId', 'name']`. For any other version
+ * upgrades, defers to `db.js`.
+ *
+ * @see https://github.com/enketo/enketo-express/issues/416
+ *
+ * @return {Promise<void>}
+ */
+function _upgradeRecordNameIndex() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(
+            databaseName,
+            REMOVE_RECORD_NAME_UNIQUENESS_VERSION
+        );
+
+        request.addEventListener('blocked', reject);
+        request.addEventListener('success', () => {
+            // db.js needs to be able to upgrade to later versions
+            request.result.close();
+            resolve();
+        });
+        request.addEventListener('error', (event) => {
+            // The database was already upgraded to a later version.
+            if (request.error && request.error.name === 'VersionError') {
+                event.preventDefault();
+                resolve();
+            } else {
+                reject(event);
+            }
+        });
+
+        request.addEventListener('upgradeneeded', (event) => {
+            const { transaction } = request;
+            try {
+                if (
+                    event.oldVersion !==
+                        REMOVE_RECORD_NAME_UNIQUENESS_VERSION - 1 ||
+                    event.newVersion !== REMOVE_RECORD_NAME_UNIQUENESS_VERSION
+                ) {
+                    // If the *previous* verison was not 3 (e.g. for a new DB),
+                    // these changes will *not* produce the same schema as db.js.
+                    // In those cases, we abort this upgrade and defer to db.js.
+                    // This does leave open the much less likely possibility that
+                    // an upgrade from versions 1 or 2 will leave the `name` index.
+                    transaction.abort();
+
+                    return resolve(event);
+                }
+
+                const store = transaction.objectStore('records');
+
+                // This will produce a schema equivalent to the db.js changes specified
+                // for version 4.
+                store.createIndex('recordName', ['enketoId', 'name'], {
+                    unique: true,
+                });
+                store.deleteIndex('name');
+            } catch (error) {
+                reject(error);
+            }
+        });
+    });
+}
+
+/**
+ * Loads the details of the encryption of stored records. Records that are encrypted with a device
+ * key are unlocked right away.
+ *
+ * @return {Promise<void>}
+ */
+function _loadRecordEncryption() {
+    return propertyStore.get(ENCRYPTION_PROPERTY).then((details) => {
+        recordEncryption.setDetails(details);
+
+        return details && details.method === 'device'
+            ? recordEncryption.unlock()
+            : undefined;
+    });
+}
+
+/**
+ * @param {string} xml - record XML
+ * @return {Promise<string | import('./record-encryption').EncryptedValue>} the XML, encrypted if
+ * stored records are encrypted
+ */
+function _encryptXml(xml) {
+    if (!recordEncryption.isEnabled()) {
+        return Promise.resolve(xml);
+    }
+
+    return recordEncryption.encrypt(xml);
+}
+
+/**
+ * @param {EnketoRecord | undefined} record - stored record
+ * @return {Promise<EnketoRecord | undefined>} the record with decrypted XML
+ */
+function _decryptRecord(record) {
+    if (!record || !recordEncryption.isEncrypted(record.xml)) {
+        return Promise.resolve(record);
+    }
+
+    return recordEncryption.decryptText(record.xml).then((xml) => ({
+        ...record,
+        xml,
+    }));
+}
+
+/**
+ * @param { EnketoRecord } record - last saved record
+ * @return { Promise<EnketoRecord> } the record with encrypted XML and files
+ */
+function _encryptLastSavedRecord(record) {
+    return Promise.all([
+        recordEncryption.encrypt(record.xml),
+        Promise.all(
+            (record.files || []).map((file) =>
+                file.item instanceof Blob
+                    ? recordEncryption
+                          .encrypt(file.item)
+                          .then((item) => ({ ...file, item }))
+                    : file
+            )
+        ),
+    ]).then(([xml, files]) => ({ ...record, xml, files }));
+}
+
+/**
+ * @param { EnketoRecord | undefined } record - stored last saved record
+ * @return { Promise<EnketoRecord | undefined> } the record with decrypted XML and files
+ */
+function _decryptLastSavedRecord(record) {
+    return _decryptRecord(record).then((decrypted) => {
+        if (!decrypted || !decrypted.files) {
+            return decrypted;
+        }
+
+        return Promise.all(
+            decrypted.files.map((file) =>
+                recordEncryption.isEncrypted(file.item)
+                    ? recordEncryption
+                          .decryptBlob(file.item)
+                          .then((item) => ({ ...file, item }))
+                    : file
+            )
+        ).then((files) => ({ ...decrypted, files }));
+    });
+}
+
+/**
+ * Encrypts a record that was stored before records were encrypted, keeping its timestamps.
+ * Files are encrypted first, because records with encrypted XML are skipped.
+ *
+ * @param {EnketoRecord} record - stored record
+ * @return {Promise<void>}
+ */
+function _encryptStoredRecord(record) {
+    if (recordEncryption.isEncrypted(record.xml)) {
+        return Promise.resolve();
+    }
+
+    return (record.files || [])
+        .reduce(
+            (prevPromise, fileKey) =>
+                prevPromise
+                    .then(() =>
+                        recordStore.file.get(record.instanceId, fileKey)
+                    )
+                    .then((file) =>
+                        file
+                            ? recordStore.file.update(record.instanceId, file)
+                            : undefined
+                    ),
+            Promise.resolve()
+        )
+        .then(() => recordEncryption.encrypt(record.xml))
+        .then((xml) => server.records.update({ ...record, xml }))
+        .then(() => {});
+}
+
+/**
+ * Stored surveys list the keys of their binary defaults, but a newly stored survey still contains
+ * the resources themselves.
+ *
+ * @param {Array<string | {url: string}>} [binaryDefaults]
+ * @return {string[]} the resource keys
+ */
+function _getResourceKeys(binaryDefaults = []) {
+    return binaryDefaults.map((resource) =>
+        typeof resource === 'string' ? resource : resource.url
+    );
+}
+
+/**
+ * Approximates the size of a stored value by adding up the sizes of its blobs and strings.
+ *
+ * @param {unknown} value
+ * @return {number} size in bytes
+ */
+function _getSize(value) {
+    if (value instanceof Blob) {
+        return value.size;
+    }
+    if (typeof value === 'string') {
+        return new Blob([value]).size;
+    }
+    if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+        return value.byteLength;
+    }
+    if (value != null && typeof value === 'object') {
+        return Object.values(value).reduce(
+            (size, item) => size + _getSize(item),
+            0
+        );
+    }
+
+    return 0;
+}
+
 /**
  * Serializes a survey for storage in IndexedDB:
  *
@@ -924,6 +1532,14 @@ function _getFile(table, id, key) {
                     if (item instanceof Blob) {
                         file.item = item;
                         resolve(file);
+                    } else if (recordEncryption.isEncrypted(item)) {
+                        recordEncryption
+                            .decryptBlob(item)
+                            .then((item) => {
+                                file.item = item;
+                                resolve(file);
+                            })
+                            .catch(reject);
                     } else if (typeof item === 'string') {
                         utils.dataUriToBlob(item).then((item) => {
                             file.item = item;
@@ -962,6 +1578,26 @@ function _updateFile(table, id, file) {
             propValue = file[prop];
             file.key = `${id}:${file[prop]}`;
             delete file[prop];
+
+            // record files are encrypted like the records themselves
+            if (table === 'files' && recordEncryption.isEnabled()) {
+                const { item } = file;
+
+                return recordEncryption
+                    .encrypt(item)
+                    .then((encrypted) => {
+                        file.item = encrypted;
+
+                        return server[table].update(file);
+                    })
+                    .then(() => {
+                        file.item = item;
+                        file[prop] = propValue;
+                        delete file.key;
+
+                        return file;
+                    });
+            }
             /*
              * IE doesn't like complex objects with Blob properties so we store
              * the blob as the value.
@@ -1124,10 +1760,12 @@ export default {
     property: propertyStore,
     survey: surveyStore,
     dynamicData: dataStore,
+    externalData: externalDataStore,
     record: recordStore,
+    recordEncryption: recordEncryptionStore,
+    upload: uploadStore,
+    usage: usageStore,
     flush,
     dump,
-    get lastSavedRecords() {
-        return server.lastSavedRecords;
-    },
+    lastSavedRecords: lastSavedRecordStore,
 };
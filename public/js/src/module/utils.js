@@ -2,6 +2,8 @@ import Papa from 'papaparse';
 import { dataUriToBlobSync } from 'enketo-core/src/js/utils';
 
 const dataUriCache = {};
+// number of characters of a CSV file to parse at a time
+const CSV_CHUNK_SIZE = 1024 * 1024;
 
 // var hasArrayBufferView = new Blob( [ new Uint8Array( 100 ) ] ).size == 100;
 
@@ -147,53 +149,151 @@ function csvToArray(csv) {
 }
 
 function arrayToXml(rows, langMap) {
-    // var xmlStr;
-    let headers = rows.shift();
-    // var langAttrs = [];
-    const langs = [];
+    const { headers, langs } = parseCsvHeaders(rows.shift(), langMap);
 
-    langMap = typeof langMap !== 'object' ? {} : langMap;
+    // create an XML Document
+    const parser = new DOMParser();
+    const xmlDoc = parser.parseFromString('<root></root>', 'text/xml');
+    rows.forEach((row) => {
+        const item = xmlDoc.createElement('item');
+        xmlDoc.firstChild.appendChild(item);
+        row.forEach((value, index) => {
+            const node = xmlDoc.createElement(headers[index]);
+            if (langs[index]) {
+                node.setAttribute('lang', langs[index]);
+            }
+            // encoding of XML entities is done automatically
+            node.textContent = value.trim();
+            item.appendChild(node);
+        });
+    });
 
-    // Trim the headings
-    headers = headers.map((header) => header.trim());
+    return xmlDoc;
+}
 
-    // Extract and strip languages from headers
-    headers = headers.map((header, index) => {
-        const parts = header.split('::');
+/**
+ * Extracts the element names and languages from CSV column headings.
+ *
+ * @param {Array<string>} row - first row of a CSV file
+ * @param {object} [langMap] - language map object with language name properties and IANA subtag values
+ * @return {{headers: Array<string>, langs: Array<string>}} element names and languages of the columns
+ */
+function parseCsvHeaders(row, langMap) {
+    const langs = [];
+
+    langMap = typeof langMap !== 'object' || langMap === null ? {} : langMap;
+
+    // Trim the headings and extract and strip languages from headers
+    const headers = row.map((header, index) => {
+        const parts = header.trim().split('::');
         let lang;
         if (parts && parts.length === 2) {
             lang = langMap[parts[1]] || parts[1];
-            // langAttrs[ index ] = ' lang="' + lang + '"';
             langs[index] = lang;
 
             return parts[0];
         }
         langs[index] = '';
 
-        return header;
+        return header.trim();
     });
 
     // Check if headers are valid XML node names
     headers.every(throwInvalidCSVHeaderToXMLLocalName);
 
-    // create an XML Document
-    const parser = new DOMParser();
-    const xmlDoc = parser.parseFromString('<root></root>', 'text/xml');
-    rows.forEach((row) => {
-        const item = xmlDoc.createElement('item');
-        xmlDoc.firstChild.appendChild(item);
+    return { headers, langs };
+}
+
+/**
+ * @param {string} str - text
+ * @return {string} text with XML entities encoded, for use in element content and attribute values
+ */
+function escapeXml(str) {
+    return str.replace(
+        /[&<>"]/g,
+        (char) =>
+            ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char])
+    );
+}
+
+/**
+ * Converts a CSV file to an XML string in chunks, so that the progress can be reported. Unlike
+ * {@link csvToXml}, this does not require a DOM, so it can be used in a Web Worker.
+ *
+ * @param {string} csv - CSV file contents
+ * @param {object} [langMap] - language map object with language name properties and IANA subtag values
+ * @param {(progress: number) => void} [onProgress] - called with the fraction that was converted after each chunk
+ * @return {Promise<string>} a Promise that resolves with the XML string
+ */
+function csvToXmlString(csv, langMap, onProgress = () => {}) {
+    const parts = ['<root>'];
+    const errors = [];
+    let headers;
+    let langs;
+    let singleColumn = true;
+
+    const addRow = (row) => {
+        // whitespace-only lines
+        if (row.length === 1 && row[0].trim() === '') {
+            return;
+        }
+        if (!headers) {
+            ({ headers, langs } = parseCsvHeaders(row, langMap));
+
+            return;
+        }
+
+        singleColumn = singleColumn && row.length === 1;
+        parts.push('<item>');
         row.forEach((value, index) => {
-            const node = xmlDoc.createElement(headers[index]);
-            if (langs[index]) {
-                node.setAttribute('lang', langs[index]);
-            }
-            // encoding of XML entities is done automatically
-            node.textContent = value.trim();
-            item.appendChild(node);
+            const lang = langs[index]
+                ? ` lang="${escapeXml(langs[index])}"`
+                : '';
+
+            parts.push(
+                `<${headers[index]}${lang}>${escapeXml(value.trim())}</${
+                    headers[index]
+                }>`
+            );
         });
-    });
+        parts.push('</item>');
+    };
 
-    return xmlDoc;
+    return new Promise((resolve, reject) => {
+        Papa.parse(csv, {
+            skipEmptyLines: true,
+            chunkSize: CSV_CHUNK_SIZE,
+            chunk(results, parser) {
+                try {
+                    errors.push(...results.errors);
+                    results.data.forEach(addRow);
+                    onProgress(Math.min(results.meta.cursor / csv.length, 1));
+                } catch (error) {
+                    parser.abort();
+                    reject(error);
+                }
+            },
+            complete() {
+                // As in csvToArray, single-column files have no detectable delimiter.
+                const [error] = errors.filter(
+                    ({ code }) =>
+                        code !== 'UndetectableDelimiter' || !singleColumn
+                );
+
+                if (error) {
+                    reject(
+                        error instanceof Error
+                            ? error
+                            : new Error(error.message ?? String(error))
+                    );
+                } else {
+                    parts.push('</root>');
+                    resolve(parts.join(''));
+                }
+            },
+            error: reject,
+        });
+    });
 }
 
 function csvToXml(csv, langMap) {
@@ -317,10 +417,16 @@ const XML_LOCAL_NAME_PATTERN = (() => {
  * throws otherwise. Namespaced CSV headers are not permitted because CSVs do
  * not have a way to convey namespace declarations.
  */
+/**
+ * @param {string} name
+ * @return {boolean} whether `name` is a valid XML local name
+ */
+const isValidXmlLocalName = (name) => XML_LOCAL_NAME_PATTERN.test(name);
+
 const throwInvalidCSVHeaderToXMLLocalName = (name) => {
     // Note: this is more restrictive than XML spec.
     // We cannot accept namespaces prefixes because there is no way of knowing the namespace uri in CSV.
-    if (XML_LOCAL_NAME_PATTERN.test(name)) {
+    if (isValidXmlLocalName(name)) {
         return true;
     }
 
@@ -341,6 +447,23 @@ function getEnketoId(path) {
     return id === 'preview' || id === 'i' ? null : id;
 }
 
+/**
+ * @param {number} bytes
+ * @return {string} human-readable size
+ */
+function formatSize(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let size = bytes;
+    let index = 0;
+
+    while (size >= 1024 && index < units.length - 1) {
+        size /= 1024;
+        index += 1;
+    }
+
+    return `${index === 0 ? size : size.toFixed(1)} ${units[index]}`;
+}
+
 export default {
     blobToDataUri,
     blobToArrayBuffer,
@@ -349,8 +472,12 @@ export default {
     getThemeFromFormStr,
     getTitleFromFormStr,
     csvToXml,
+    csvToXmlString,
+    escapeXml,
+    isValidXmlLocalName,
     arrayToXml,
     csvToArray,
     getQueryString,
     getEnketoId,
+    formatSize,
 };
@@ -1,6 +1,21 @@
 /* eslint-env node */
 
+const path = require('path');
 const esbuild = require('esbuild');
 const config = require('../config/build.js');
 
 esbuild.build(config);
+
+// The service worker script is not a module, and is completed by the offline-controller.
+esbuild.build({
+    ...config,
+    entryPoints: [
+        path.resolve(
+            process.cwd(),
+            'public/js/src/module/offline-app-worker-partial.js'
+        ),
+    ],
+    format: 'iife',
+    sourcemap: false,
+    splitting: false,
+});
@@ -118,6 +118,179 @@ describe('Connection', () => {
                 })
                 .then(done, done);
         });
+
+        describe('with large files', () => {
+            const uploadURL = `/submission/uploads/${enketoId}/upload1`;
+
+            /** @type {(url: string, init: RequestInit) => Promise<Response>} */
+            let respond;
+
+            beforeEach(() => {
+                if (
+                    !Object.prototype.hasOwnProperty.call(
+                        settings,
+                        'uploadChunkSize'
+                    )
+                ) {
+                    settings.uploadChunkSize = undefined;
+                }
+
+                sandbox.stub(settings, 'uploadChunkSize').get(() => 4);
+
+                record.xml =
+                    '<model><something>a</something><video type="file">video.mp4</video></model>';
+                record.files = [
+                    new File(['0123456789'], 'video.mp4', {
+                        type: 'video/mp4',
+                    }),
+                ];
+
+                respond = (url, init) => {
+                    requests.push({ url, init });
+
+                    if (init.method === 'HEAD') {
+                        return Promise.resolve(
+                            new Response(null, {
+                                status: 200,
+                                headers: { 'Upload-Offset': '8' },
+                            })
+                        );
+                    }
+                    if (init.method === 'PATCH') {
+                        const offset =
+                            Number(init.headers['Upload-Offset']) +
+                            init.body.size;
+
+                        return Promise.resolve(
+                            new Response(null, {
+                                status: 204,
+                                headers: { 'Upload-Offset': String(offset) },
+                            })
+                        );
+                    }
+                    if (url.includes('/submission/uploads/')) {
+                        return Promise.resolve(
+                            new Response(null, {
+                                status: 201,
+                                headers: { Location: uploadURL },
+                            })
+                        );
+                    }
+
+                    return Promise.resolve(
+                        new Response('<OpenRosaResponse/>', { status: 201 })
+                    );
+                };
+                window.fetch.callsFake(respond);
+            });
+
+            it('uploads files larger than the chunk size in chunks before submitting the record', async () => {
+                const result = await connection.uploadQueuedRecord(record);
+
+                expect(result.status).to.equal(201);
+                expect(
+                    requests.map(({ init }) => [
+                        init.method,
+                        init.headers['Upload-Offset'],
+                    ])
+                ).to.deep.equal([
+                    ['POST', undefined],
+                    ['PATCH', '0'],
+                    ['PATCH', '4'],
+                    ['PATCH', '8'],
+                    ['POST', undefined],
+                ]);
+
+                const submission = requests[4].init;
+
+                expect(submission.headers['X-Enketo-Upload-Ids']).to.equal(
+                    'upload1'
+                );
+                expect(submission.body.has('video.mp4')).to.equal(false);
+                expect(
+                    await store.upload.get(instanceId, 'video.mp4')
+                ).to.equal(undefined);
+            });
+
+            it('resumes stored uploads', async () => {
+                await store.upload.update({
+                    instanceId,
+                    name: 'video.mp4',
+                    size: 10,
+                    url: uploadURL,
+                    offset: 4,
+                });
+
+                await connection.uploadQueuedRecord(record);
+
+                expect(
+                    requests.map(({ init }) => [
+                        init.method,
+                        init.headers['Upload-Offset'],
+                    ])
+                ).to.deep.equal([
+                    ['HEAD', undefined],
+                    ['PATCH', '8'],
+                    ['POST', undefined],
+                ]);
+            });
+
+            it('sends a chunk again after the time the server asks to wait', async () => {
+                let rejected = false;
+
+                window.fetch.callsFake((url, init) => {
+                    if (init.method === 'PATCH' && !rejected) {
+                        rejected = true;
+                        requests.push({ url, init });
+
+                        return Promise.resolve(
+                            new Response(null, {
+                                status: 429,
+                                headers: { 'Retry-After': '0' },
+                            })
+                        );
+                    }
+
+                    return respond(url, init);
+                });
+
+                const result = await connection.uploadQueuedRecord(record);
+
+                expect(result.status).to.equal(201);
+                expect(
+                    requests.map(({ init }) => [
+                        init.method,
+                        init.headers['Upload-Offset'],
+                    ])
+                ).to.deep.equal([
+                    ['POST', undefined],
+                    ['PATCH', '0'],
+                    ['PATCH', '0'],
+                    ['PATCH', '4'],
+                    ['PATCH', '8'],
+                    ['POST', undefined],
+                ]);
+            });
+
+            it('stores the progress of uploads that fail', async () => {
+                window.fetch
+                    .onCall(2)
+                    .rejects(new TypeError('Failed to fetch'));
+
+                let error;
+
+                try {
+                    await connection.uploadQueuedRecord(record);
+                } catch (e) {
+                    error = e;
+                }
+
+                expect(error).to.be.an.instanceOf(TypeError);
+                expect(
+                    await store.upload.get(instanceId, 'video.mp4')
+                ).to.include({ url: uploadURL, offset: 4 });
+            });
+        });
     });
 
     describe('Surveys / getFormParts', () => {
@@ -179,6 +352,12 @@ describe('Connection', () => {
         /** @type {boolean} */
         let resolveExternalInstance;
 
+        /** @type {Record<string, string> | undefined} */
+        let media;
+
+        /** @type {Record<string, string> | undefined} */
+        let mediaHashes;
+
         beforeEach(async () => {
             if (!Object.prototype.hasOwnProperty.call(settings, 'basePath')) {
                 settings.basePath = undefined;
@@ -191,6 +370,8 @@ describe('Connection', () => {
             expectedURL = `${basePath}/transform/xform/${enketoId}`;
 
             resolveExternalInstance = true;
+            media = undefined;
+            mediaHashes = undefined;
 
             const nativeFetch = window.fetch;
 
@@ -259,6 +440,8 @@ describe('Connection', () => {
                             form,
                             hash,
                             languageMap: {},
+                            media,
+                            mediaHashes,
                             model,
                             theme,
                         });
@@ -407,6 +590,60 @@ describe('Connection', () => {
             expect(caught instanceof Error).to.equal(true);
         });
 
+        describe('updates of stored forms', () => {
+            const previousXML = new DOMParser().parseFromString(
+                '<previous/>',
+                'text/xml'
+            );
+
+            beforeEach(() => {
+                media = { 'external.xml': externalInstanceURL };
+                mediaHashes = { 'external.xml': 'md5:1' };
+            });
+
+            it('reuses external data of files that have not changed', async () => {
+                resolveExternalInstance = false;
+
+                const { externalData } = await connection.getFormParts(
+                    { enketoId },
+                    {
+                        media,
+                        mediaHashes: { 'external.xml': 'md5:1' },
+                        externalData: [
+                            {
+                                id: externalInstanceId,
+                                src: externalInstanceURL,
+                                xml: previousXML,
+                            },
+                        ],
+                    }
+                );
+
+                expect(externalData[1].xml).to.equal(previousXML);
+            });
+
+            it('downloads external data of files that have changed', async () => {
+                const { externalData } = await connection.getFormParts(
+                    { enketoId },
+                    {
+                        media,
+                        mediaHashes: { 'external.xml': 'md5:0' },
+                        externalData: [
+                            {
+                                id: externalInstanceId,
+                                src: externalInstanceURL,
+                                xml: previousXML,
+                            },
+                        ],
+                    }
+                );
+
+                expect(
+                    new XMLSerializer().serializeToString(externalData[1].xml)
+                ).to.equal(externalInstanceXML);
+            });
+        });
+
         it('loads in preview mode when external data is missing', async () => {
             resolveExternalInstance = false;
 
@@ -0,0 +1,135 @@
+import externalData from '../../public/js/src/module/external-data';
+import events from '../../public/js/src/module/event';
+import store from '../../public/js/src/module/store';
+
+describe('External data conversion', () => {
+    /** @type {import('sinon').SinonSandbox} */
+    let sandbox;
+
+    const serialize = (instance) =>
+        new XMLSerializer().serializeToString(instance);
+
+    beforeEach(() => {
+        sandbox = sinon.createSandbox();
+        sandbox.stub(window, 'Worker').throws(new Error('Not supported'));
+        sandbox.stub(console, 'error');
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+    });
+
+    it('converts CSV in the main thread when the worker is not available', async () => {
+        sandbox.stub(store, 'available').value(false);
+
+        const result = await externalData.convert(
+            'a,b\n1,2',
+            'text/csv',
+            {},
+            'data.csv'
+        );
+
+        expect(serialize(result)).to.equal(
+            '<root><item><a>1</a><b>2</b></item></root>'
+        );
+    });
+
+    it('converts GeoJSON in the main thread when the worker is not available', async () => {
+        sandbox.stub(store, 'available').value(false);
+
+        const result = await externalData.convert(
+            JSON.stringify({
+                type: 'FeatureCollection',
+                features: [
+                    {
+                        type: 'Feature',
+                        geometry: { type: 'Point', coordinates: [1, 2] },
+                        properties: { name: 'a' },
+                    },
+                ],
+            }),
+            'application/geo+json',
+            {},
+            'data.geojson'
+        );
+
+        expect(result.querySelector('item > geometry').textContent).to.equal(
+            '2 1 0 0'
+        );
+        expect(result.querySelector('item > name').textContent).to.equal('a');
+    });
+
+    it('dispatches progress events', async () => {
+        sandbox.stub(store, 'available').value(false);
+
+        const progress = [];
+        const listener = (event) => {
+            progress.push(event.detail);
+        };
+
+        document.addEventListener(events.ExternalDataProgress().type, listener);
+
+        try {
+            await externalData.convert('a\n1', 'text/csv', {}, 'data.csv');
+        } finally {
+            document.removeEventListener(
+                events.ExternalDataProgress().type,
+                listener
+            );
+        }
+
+        expect(progress[0]).to.deep.equal({
+            filename: 'data.csv',
+            progress: 0,
+        });
+        expect(progress[progress.length - 1]).to.deep.equal({
+            filename: 'data.csv',
+            progress: 1,
+        });
+    });
+
+    it('uses cached XML of unchanged files', async () => {
+        if (!window.crypto?.subtle) {
+            return;
+        }
+
+        sandbox.stub(store, 'available').value(true);
+
+        const get = sandbox
+            .stub(store.externalData, 'get')
+            .resolves('<root><item><a>cached</a></item></root>');
+        const set = sandbox.stub(store.externalData, 'set').resolves();
+
+        const result = await externalData.convert(
+            'a\n1',
+            'text/csv',
+            {},
+            'data.csv'
+        );
+
+        expect(serialize(result)).to.equal(
+            '<root><item><a>cached</a></item></root>'
+        );
+        expect(get).to.have.been.calledOnce;
+        expect(get.firstCall.args[0]).to.match(/^text\/csv:[0-9a-f]{64}:\{\}$/);
+        expect(set).not.to.have.been.called;
+    });
+
+    it('caches converted XML', async () => {
+        if (!window.crypto?.subtle) {
+            return;
+        }
+
+        sandbox.stub(store, 'available').value(true);
+        sandbox.stub(store.externalData, 'get').resolves(undefined);
+
+        const set = sandbox.stub(store.externalData, 'set').resolves();
+
+        await externalData.convert('a\n1', 'text/csv', {}, 'data.csv');
+
+        expect(set).to.have.been.calledOnce;
+        expect(set.firstCall.args[1]).to.equal(
+            '<root><item><a>1</a></item></root>'
+        );
+    });
+});
@@ -63,6 +63,27 @@ describe('GeoJSON external secondary instances', () => {
                 );
             });
         });
+
+        it('names the index of an invalid feature', () => {
+            const data = {
+                type: 'FeatureCollection',
+                features: [
+                    {
+                        type: 'Feature',
+                        geometry: { type: 'Point', coordinates: [102, 0.5] },
+                    },
+                    {
+                        type: 'Feature',
+                        geometry: { type: 'MultiPoint', coordinates: [[102]] },
+                    },
+                ],
+            };
+
+            expect(geoJSONExternalInstance.bind(null, data)).to.throw(
+                TypeError,
+                /^Feature 1: /
+            );
+        });
     });
 
     describe('conversion to secondary instance XML DOM', () => {
@@ -170,6 +191,62 @@ describe('GeoJSON external secondary instances', () => {
             ).to.equal(null);
         });
 
+        it('adds a geometry for each part of Multi* geometries and GeometryCollections', async () => {
+            const result = await loadGeoJSONExternalInstance(
+                'feature-collection-multi-altitude.geojson'
+            );
+            const geometries = [...result.documentElement.children].map(
+                (item) =>
+                    [...item.querySelectorAll('geometry')].map(
+                        (geometry) => geometry.textContent
+                    )
+            );
+
+            expect(geometries).to.deep.equal([
+                [
+                    '63 5 120 0; 83 10 130.5 0; 63 5 120 0',
+                    '64 6 10 3; 84 11 20 4; 64 6 10 3',
+                ],
+                ['0.5 102 12 0', '0.5 104 0 0; 0.5 105 0 0'],
+            ]);
+        });
+
+        it('lets expressions use the first part as the geometry of an item, and select other parts by position', async () => {
+            const result = await loadGeoJSONExternalInstance(
+                'feature-collection-multi-altitude.geojson'
+            );
+            /**
+             * @param {string} expression
+             */
+            const evaluate = (expression) =>
+                result.evaluate(
+                    expression,
+                    result,
+                    null,
+                    XPathResult.STRING_TYPE,
+                    null
+                ).stringValue;
+
+            expect(evaluate('/root/item[1]/geometry')).to.equal(
+                '63 5 120 0; 83 10 130.5 0; 63 5 120 0'
+            );
+            expect(evaluate('/root/item[1]/geometry[2]')).to.equal(
+                '64 6 10 3; 84 11 20 4; 64 6 10 3'
+            );
+            expect(evaluate('count(/root/item[2]/geometry)')).to.equal('2');
+        });
+
+        it('uses a numeric top level id', async () => {
+            const result = await loadGeoJSONExternalInstance(
+                'feature-collection-multi-altitude.geojson'
+            );
+
+            expect(
+                result.documentElement.children[1].querySelector('id')
+                    .textContent
+            ).to.equal('2');
+        });
+
         it('adds features with no properties', async () => {
             const result = await loadGeoJSONExternalInstance(
                 'feature-collection-no-properties.geojson'
@@ -254,6 +331,7 @@ describe('GeoJSON external secondary instances', () => {
                             get() {},
                         },
                         json: async () => data,
+                        text: async () => JSON.stringify(data),
                     };
                 }
 
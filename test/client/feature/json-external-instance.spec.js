@@ -0,0 +1,65 @@
+import { jsonExternalInstance } from '../../../public/js/src/module/json';
+
+describe('JSON external secondary instances', () => {
+    /**
+     * @param {XMLDocument} instance
+     */
+    const serialize = (instance) =>
+        new XMLSerializer().serializeToString(instance);
+
+    it('adds an item for each value of a top level array', () => {
+        const result = jsonExternalInstance([
+            { name: 'a', label: 'A', population: 12 },
+            { name: 'b', label: null, capital: true },
+        ]);
+
+        expect(serialize(result)).to.equal(
+            '<root>' +
+                '<item><name>a</name><label>A</label><population>12</population></item>' +
+                '<item><name>b</name><label/><capital>true</capital></item>' +
+                '</root>'
+        );
+    });
+
+    it('adds a single item for a top level object', () => {
+        const result = jsonExternalInstance({ name: 'a' });
+
+        expect(serialize(result)).to.equal(
+            '<root><item><name>a</name></item></root>'
+        );
+    });
+
+    it('maps nested objects to child elements and arrays to repeated elements', () => {
+        const result = jsonExternalInstance([
+            {
+                name: 'a',
+                region: { name: 'north', code: 1 },
+                tags: ['x', 'y'],
+                points: [{ lat: 1 }, { lat: 2 }],
+                matrix: [[1, 2]],
+            },
+        ]);
+
+        expect(serialize(result)).to.equal(
+            '<root><item>' +
+                '<name>a</name>' +
+                '<region><name>north</name><code>1</code></region>' +
+                '<tags>x</tags><tags>y</tags>' +
+                '<points><lat>1</lat></points><points><lat>2</lat></points>' +
+                '<matrix><item>1</item><item>2</item></matrix>' +
+                '</item></root>'
+        );
+    });
+
+    [null, 'text', 12].forEach((data) => {
+        it(`fails to convert ${JSON.stringify(data)}`, () => {
+            expect(jsonExternalInstance.bind(null, data)).to.throw(TypeError);
+        });
+    });
+
+    it('fails to convert a property name that is not a valid element name', () => {
+        expect(
+            jsonExternalInstance.bind(null, [{ 'first name': 'a' }])
+        ).to.throw(TypeError, /first name/);
+    });
+});
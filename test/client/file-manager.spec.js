@@ -1,6 +1,8 @@
 import fileManager from '../../public/js/src/module/file-manager';
 import settings from '../../public/js/src/module/settings';
 import store from '../../public/js/src/module/store';
+import gui from '../../public/js/src/module/gui';
+import { t } from '../../public/js/src/module/translator';
 
 describe('File manager', () => {
     /** @type {import('sinon').SinonSandbox} */
@@ -315,4 +317,67 @@ describe('File manager', () => {
             });
         });
     });
+
+    describe('image policy', () => {
+        /** @type {Blob} */
+        let image;
+
+        /** @type {number} */
+        let maxSize;
+
+        /** @type {sinon.SinonStub} */
+        let feedbackStub;
+
+        beforeEach(async () => {
+            if (
+                !Object.prototype.hasOwnProperty.call(settings, 'imagePolicy')
+            ) {
+                settings.imagePolicy = undefined;
+            }
+
+            sandbox.stub(settings, 'imagePolicy').get(() => ({
+                enabled: true,
+                maxDimension: 100,
+                quality: 0.5,
+            }));
+            maxSize = Number.MAX_SAFE_INTEGER;
+            sandbox.stub(settings, 'maxSize').get(() => maxSize);
+            feedbackStub = sandbox.stub(gui, 'feedback');
+
+            const canvas = document.createElement('canvas');
+
+            canvas.width = 400;
+            canvas.height = 300;
+            canvas.getContext('2d').fillRect(0, 0, 400, 300);
+            image = await new Promise((resolve) => {
+                canvas.toBlob(resolve, 'image/jpeg', 1);
+            });
+            image.name = 'photo.jpg';
+        });
+
+        it('shows how an attached image was changed', async () => {
+            await fileManager.getFileUrl(image);
+
+            expect(feedbackStub).to.have.been.calledOnce;
+            expect(feedbackStub.firstCall.args[0]).to.contain('photo.jpg');
+            expect(feedbackStub.firstCall.args[0]).to.contain(
+                t('filepicker.imageresized', { width: 100, height: 75 })
+            );
+        });
+
+        it('shows how an attached image was changed only once', async () => {
+            await fileManager.getFileUrl(image);
+            await fileManager.getFileUrl(image);
+
+            expect(feedbackStub).to.have.been.calledOnce;
+        });
+
+        it('checks the size of the processed image', async () => {
+            maxSize = image.size - 1;
+
+            const url = await fileManager.getFileUrl(image);
+
+            expect(url).to.match(/^blob:/);
+        });
+    });
 });
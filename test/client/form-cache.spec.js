@@ -1,6 +1,7 @@
 import formCache from '../../public/js/src/module/form-cache';
 import connection from '../../public/js/src/module/connection';
 import store from '../../public/js/src/module/store';
+import events from '../../public/js/src/module/event';
 import { getLastSavedRecord } from '../../public/js/src/module/last-saved';
 
 /**
@@ -276,6 +277,145 @@ describe('Client Form Cache', () => {
                 .then(done, done);
         });
 
+        describe('differential updates', () => {
+            const enketoId = '70';
+            const modelWithDefaults = `<model><instance><data id="modelB"><a src="jr://images/a.png">jr://images/a.png</a><b src="jr://images/b.png">jr://images/b.png</b><meta><instanceID/></meta></data></instance></model>`;
+
+            /**
+             * @param {string} hash
+             * @param {string} fileName
+             */
+            const mediaURL = (hash, fileName) =>
+                `/-/media/get/0/${enketoId}/${hash}/${fileName}`;
+
+            /**
+             * Triggers the update check and resolves once the updated form has been stored.
+             *
+             * @param {Partial<GetFormPartsStubResult>} updates
+             */
+            const updateSurvey = (updates) => {
+                sandbox
+                    .stub(connection, 'getFormPartsHash')
+                    .callsFake(() => Promise.resolve(updates.hash));
+
+                getFormPartsStubResult = {
+                    ...getFormPartsStubResult,
+                    ...updates,
+                };
+
+                const updated = new Promise((resolve) => {
+                    document.addEventListener(
+                        events.FormUpdated().type,
+                        resolve,
+                        { once: true }
+                    );
+                });
+
+                timers.tick(formCache.CACHE_UPDATE_INITIAL_DELAY);
+
+                return updated;
+            };
+
+            beforeEach((done) => {
+                survey.enketoId = enketoId;
+                getFormPartsStubResult = {
+                    ...getFormPartsStubResult,
+                    form: `<form class="or"><img src="jr://images/c.png"/><img src="jr://images/d.png"/></form>`,
+                    model: modelWithDefaults,
+                    media: {
+                        'a.png': mediaURL('a1', 'a.png'),
+                        'b.png': mediaURL('b1', 'b.png'),
+                        'c.png': mediaURL('c1', 'c.png'),
+                        'd.png': mediaURL('d1', 'd.png'),
+                    },
+                    mediaHashes: {
+                        'a.png': 'md5:a1',
+                        'b.png': 'md5:b1',
+                        'c.png': 'md5:c1',
+                        'd.png': 'md5:d1',
+                    },
+                };
+
+                formCache
+                    .init(survey)
+                    .then((result) => {
+                        const currentForm = document.querySelector('form.or');
+                        const form = document
+                            .createRange()
+                            .createContextualFragment(result.form);
+
+                        currentForm.parentNode.replaceChild(form, currentForm);
+
+                        return formCache.updateMedia(result);
+                    })
+                    .then(() => {
+                        getFileSpy.resetHistory();
+                    })
+                    .then(done, done);
+            });
+
+            it('only downloads binary defaults of which the hash changed', (done) => {
+                updateSurvey({
+                    hash: '2',
+                    media: {
+                        ...getFormPartsStubResult.media,
+                        'b.png': mediaURL('b2', 'b.png'),
+                    },
+                    mediaHashes: {
+                        ...getFormPartsStubResult.mediaHashes,
+                        'b.png': 'md5:b2',
+                    },
+                })
+                    .then(() => {
+                        expect(getFileSpy).to.have.been.calledOnce;
+                        expect(getFileSpy).to.have.been.calledWith(
+                            mediaURL('b2', 'b.png')
+                        );
+
+                        return store.survey.resource.get(
+                            enketoId,
+                            'jr://images/a.png'
+                        );
+                    })
+                    .then((resource) => {
+                        expect(resource.item).to.be.an.instanceOf(Blob);
+                    })
+                    .then(done, done);
+            });
+
+            it('keeps unchanged media and removes changed media from the store', (done) => {
+                updateSurvey({
+                    hash: '2',
+                    media: {
+                        ...getFormPartsStubResult.media,
+                        'd.png': mediaURL('d2', 'd.png'),
+                    },
+                    mediaHashes: {
+                        ...getFormPartsStubResult.mediaHashes,
+                        'd.png': 'md5:d2',
+                    },
+                })
+                    .then(() =>
+                        Promise.all([
+                            store.survey.resource.get(
+                                enketoId,
+                                mediaURL('c1', 'c.png')
+                            ),
+                            store.survey.resource.get(
+                                enketoId,
+                                mediaURL('d1', 'd.png')
+                            ),
+                        ])
+                    )
+                    .then(([unchanged, changed]) => {
+                        expect(getFileSpy).not.to.have.been.called;
+                        expect(unchanged.item).to.be.an.instanceOf(Blob);
+                        expect(changed).to.equal(undefined);
+                    })
+                    .then(done, done);
+            });
+        });
+
         describe('form media (only) cache updates', () => {
             let resultSurvey;
 
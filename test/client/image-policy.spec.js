@@ -0,0 +1,203 @@
+import imagePolicy from '../../public/js/src/module/image-policy';
+import utils from '../../public/js/src/module/utils';
+
+/**
+ * Creates an image with random pixels, so that its size depends on the quality.
+ *
+ * @param {number} width
+ * @param {number} height
+ * @param {string} type
+ * @param {number} [quality]
+ * @return {Promise<Blob>}
+ */
+const createImage = (width, height, type, quality) => {
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+
+    canvas.width = width;
+    canvas.height = height;
+
+    const imageData = context.createImageData(width, height);
+
+    imageData.data.forEach((value, index) => {
+        imageData.data[index] =
+            index % 4 === 3 ? 255 : Math.floor(Math.random() * 256);
+    });
+    context.putImageData(imageData, 0, 0);
+
+    return new Promise((resolve) => {
+        canvas.toBlob(
+            (blob) => {
+                blob.name = `image.${type.split('/')[1]}`;
+                resolve(blob);
+            },
+            type,
+            quality
+        );
+    });
+};
+
+/**
+ * @param {Blob} blob
+ * @return {Promise<{width: number, height: number}>}
+ */
+const getDimensions = (blob) => {
+    const image = new Image();
+
+    return new Promise((resolve) => {
+        image.onload = () =>
+            resolve({ width: image.naturalWidth, height: image.naturalHeight });
+        image.src = URL.createObjectURL(blob);
+    });
+};
+
+/**
+ * Creates a big-endian EXIF segment with a camera make and a GPS latitude.
+ *
+ * @return {Uint8Array}
+ */
+const createExifSegment = () => {
+    const toBytes = (text) =>
+        [...text].map((character) => character.charCodeAt(0));
+    const tiff = new Uint8Array(62);
+    const view = new DataView(tiff.buffer);
+
+    tiff.set(toBytes('MM'));
+    view.setUint16(2, 42);
+    view.setUint32(4, 8);
+    // IFD0 with the camera make and the GPS IFD pointer
+    view.setUint16(8, 2);
+    view.setUint16(10, 0x010f);
+    view.setUint16(12, 2);
+    view.setUint32(14, 6);
+    view.setUint32(18, 56);
+    view.setUint16(22, 0x8825);
+    view.setUint16(24, 4);
+    view.setUint32(26, 1);
+    view.setUint32(30, 38);
+    // GPS IFD with the latitude reference
+    view.setUint16(38, 1);
+    view.setUint16(40, 0x0001);
+    view.setUint16(42, 2);
+    view.setUint32(44, 2);
+    tiff.set(toBytes('N\0'), 48);
+    tiff.set(toBytes('Canon\0'), 56);
+
+    const segment = new Uint8Array(10 + tiff.length);
+    const segmentView = new DataView(segment.buffer);
+
+    segmentView.setUint16(0, 0xffe1);
+    segmentView.setUint16(2, segment.length - 2);
+    segment.set(toBytes('Exif\0\0'), 4);
+    segment.set(tiff, 10);
+
+    return segment;
+};
+
+describe('Image policy', () => {
+    const policy = { enabled: true, maxDimension: 100, quality: 0.5 };
+
+    it('does not process images without an enabled policy', async () => {
+        const image = await createImage(300, 200, 'image/jpeg');
+
+        expect(await imagePolicy.processImage(image)).to.equal(null);
+        expect(
+            await imagePolicy.processImage(image, {
+                ...policy,
+                enabled: false,
+            })
+        ).to.equal(null);
+    });
+
+    it('does not process other files', async () => {
+        const file = new Blob(['text'], { type: 'text/plain' });
+
+        expect(await imagePolicy.processImage(file, policy)).to.equal(null);
+    });
+
+    it('resizes images that are larger than the maximum dimension', async () => {
+        const image = await createImage(300, 200, 'image/jpeg');
+        const processed = await imagePolicy.processImage(image, policy);
+
+        expect(processed.resized).to.deep.equal({ width: 100, height: 67 });
+        expect(processed.compressed).to.equal(true);
+        expect(processed.originalSize).to.equal(image.size);
+        expect(processed.size).to.equal(processed.file.size);
+        expect(processed.file.type).to.equal('image/jpeg');
+        expect(processed.file.name).to.equal('image.jpeg');
+        expect(await getDimensions(processed.file)).to.deep.equal({
+            width: 100,
+            height: 67,
+        });
+    });
+
+    it('only compresses images that are not larger than the maximum dimension', async () => {
+        const image = await createImage(80, 60, 'image/jpeg', 1);
+        const processed = await imagePolicy.processImage(image, policy);
+
+        expect(processed.resized).to.equal(null);
+        expect(processed.compressed).to.equal(true);
+    });
+
+    it('keeps images that would not become smaller', async () => {
+        const image = await createImage(80, 60, 'image/jpeg', 0.1);
+
+        expect(
+            await imagePolicy.processImage(image, { ...policy, quality: 1 })
+        ).to.equal(null);
+    });
+
+    it('only processes PNG images that are too large', async () => {
+        const small = await createImage(80, 60, 'image/png');
+        const large = await createImage(200, 300, 'image/png');
+
+        expect(await imagePolicy.processImage(small, policy)).to.equal(null);
+
+        const processed = await imagePolicy.processImage(large, policy);
+
+        expect(processed.resized).to.deep.equal({ width: 67, height: 100 });
+        expect(processed.compressed).to.equal(false);
+        expect(processed.file.type).to.equal('image/png');
+    });
+
+    describe('metadata', () => {
+        /** @type {Blob} */
+        let image;
+
+        beforeEach(async () => {
+            const jpeg = await createImage(300, 200, 'image/jpeg');
+
+            image = new Blob(
+                [jpeg.slice(0, 2), createExifSegment(), jpeg.slice(2)],
+                { type: 'image/jpeg' }
+            );
+            image.name = 'photo.jpg';
+        });
+
+        it('removes metadata', async () => {
+            const processed = await imagePolicy.processImage(image, policy);
+            const buffer = await utils.blobToArrayBuffer(processed.file);
+
+            expect(processed.keptGps).to.equal(false);
+            expect(imagePolicy.getGpsSegment(buffer)).to.equal(null);
+            expect(await processed.file.text()).not.to.contain('Canon');
+        });
+
+        it('keeps the GPS metadata if requested', async () => {
+            const processed = await imagePolicy.processImage(image, {
+                ...policy,
+                keepGps: true,
+            });
+            const original = imagePolicy.getGpsSegment(
+                await utils.blobToArrayBuffer(image)
+            );
+            const kept = imagePolicy.getGpsSegment(
+                await utils.blobToArrayBuffer(processed.file)
+            );
+
+            expect(processed.keptGps).to.equal(true);
+            expect([...kept]).to.deep.equal([...original]);
+            expect(await processed.file.text()).not.to.contain('Canon');
+        });
+    });
+});
@@ -0,0 +1,133 @@
+import launcher from '../../public/js/src/module/launcher';
+import applicationCache from '../../public/js/src/module/application-cache';
+import store from '../../public/js/src/module/store';
+import gui from '../../public/js/src/module/gui';
+import { t } from '../../public/js/src/module/translator';
+
+describe('Launcher', () => {
+    /** @type {import('sinon').SinonSandbox} */
+    let sandbox;
+
+    /** @type {HTMLElement} */
+    let list;
+
+    beforeEach(async () => {
+        sandbox = sinon.createSandbox();
+
+        list = document.createElement('ul');
+        list.className = 'launcher__forms';
+        document.body.append(list);
+
+        await store.init();
+
+        sandbox.stub(store.survey, 'getSummaries').resolves([
+            { enketoId: 'a', title: 'Form A', updated: 1000 },
+            { enketoId: 'b', title: null },
+            { enketoId: 'c', title: 'Form C', updated: 2000 },
+        ]);
+        sandbox
+            .stub(store.record, 'getAll')
+            .callsFake(async (enketoId) =>
+                enketoId === 'a'
+                    ? [
+                          { instanceId: '1' },
+                          { instanceId: '2' },
+                          { instanceId: '3', draft: true },
+                          { instanceId: '__autoSave_a', draft: true },
+                      ]
+                    : []
+            );
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+        list.remove();
+    });
+
+    it('lists stored forms with their queued records, most recently stored first', async () => {
+        const forms = await launcher.getForms();
+
+        expect(forms.map(({ enketoId }) => enketoId)).to.deep.equal([
+            'c',
+            'a',
+            'b',
+        ]);
+        expect(forms[1]).to.deep.equal({
+            enketoId: 'a',
+            title: 'Form A',
+            updated: 1000,
+            queued: 2,
+            drafts: 1,
+        });
+    });
+
+    it('renders links to the forms and disables uploads without queued records', async () => {
+        await launcher.init();
+
+        const items = list.querySelectorAll('.launcher__forms__form');
+
+        expect(items.length).to.equal(3);
+        expect(items[1].querySelector('a').getAttribute('href')).to.match(
+            /\/x\/a$/
+        );
+        expect(items[1].querySelector('a').textContent).to.equal('Form A');
+        expect(items[1].querySelector('.upload').disabled).to.equal(false);
+        expect(items[2].querySelector('a').textContent).to.equal('b');
+        expect(items[2].querySelector('.upload').disabled).to.equal(true);
+    });
+
+    describe('uploading', () => {
+        /** @type {sinon.SinonStub} */
+        let feedbackStub;
+
+        /** @type {sinon.SinonStub} */
+        let alertStub;
+
+        /** @type {sinon.SinonStub} */
+        let registerBackgroundUploadStub;
+
+        beforeEach(() => {
+            feedbackStub = sandbox.stub(gui, 'feedback');
+            alertStub = sandbox.stub(gui, 'alert');
+            registerBackgroundUploadStub = sandbox
+                .stub(applicationCache, 'registerBackgroundUpload')
+                .resolves(true);
+            sandbox
+                .stub(applicationCache, 'requestNotificationPermission')
+                .resolves();
+        });
+
+        it('reports uploaded records', async () => {
+            sandbox
+                .stub(applicationCache, 'uploadQueue')
+                .resolves({ submitted: ['r1', 'r2'], failed: 0, retry: false });
+
+            await launcher.uploadQueue('a');
+
+            expect(applicationCache.uploadQueue).to.have.been.calledWith('a');
+            expect(applicationCache.requestNotificationPermission).to.have.been
+                .calledOnce;
+            expect(feedbackStub).to.have.been.calledWith(
+                t('alert.queuesubmissionsuccess.msg', {
+                    count: 2,
+                    recordNames: 'r1, r2',
+                }),
+                7
+            );
+            expect(alertStub).not.to.have.been.called;
+        });
+
+        it('uploads records in the background later if uploading fails', async () => {
+            sandbox
+                .stub(applicationCache, 'uploadQueue')
+                .resolves({ submitted: [], failed: 2, retry: true });
+
+            await launcher.uploadQueue('a');
+
+            expect(registerBackgroundUploadStub).to.have.been.calledOnce;
+            expect(alertStub).to.have.been.calledWith(
+                t('page.forms.uploadretry', { count: 2 })
+            );
+        });
+    });
+});
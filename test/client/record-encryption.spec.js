@@ -0,0 +1,114 @@
+import recordEncryption from '../../public/js/src/module/record-encryption';
+
+describe('Record encryption', () => {
+    const passphrase = 'correct horse battery staple';
+
+    afterEach(() => {
+        recordEncryption.setDetails(null);
+    });
+
+    it('is not enabled without encryption details', () => {
+        expect(recordEncryption.isEnabled()).to.equal(false);
+        expect(recordEncryption.isLocked()).to.equal(false);
+        expect(recordEncryption.getMethod()).to.equal(null);
+    });
+
+    it('creates details that can be stored without the passphrase', async () => {
+        const details = await recordEncryption.create('passphrase', passphrase);
+
+        expect(details.method).to.equal('passphrase');
+        expect(details.salt).to.be.an.instanceof(Uint8Array);
+        expect(details.iterations).to.be.a('number');
+        expect(details.key).to.equal(undefined);
+        expect(recordEncryption.isEncrypted(details.check)).to.equal(true);
+        expect(JSON.stringify(details)).not.to.contain(passphrase);
+        expect(recordEncryption.isLocked()).to.equal(false);
+    });
+
+    it('unlocks with the passphrase that matches the check value', async () => {
+        const details = await recordEncryption.create('passphrase', passphrase);
+
+        recordEncryption.setDetails(details);
+
+        expect(recordEncryption.isLocked()).to.equal(true);
+
+        await recordEncryption.unlock(passphrase);
+
+        expect(recordEncryption.isLocked()).to.equal(false);
+    });
+
+    it('does not unlock with a wrong passphrase', async () => {
+        const details = await recordEncryption.create('passphrase', passphrase);
+
+        recordEncryption.setDetails(details);
+
+        /** @type {Error} */
+        let caught;
+
+        try {
+            await recordEncryption.unlock('wrong passphrase');
+        } catch (error) {
+            caught = error;
+        }
+
+        expect(caught.name).to.equal('PassphraseError');
+        expect(recordEncryption.isLocked()).to.equal(true);
+    });
+
+    it('unlocks with a device key', async () => {
+        const details = await recordEncryption.create('device');
+
+        expect(details.key).to.be.an.instanceof(CryptoKey);
+
+        recordEncryption.setDetails(details);
+        await recordEncryption.unlock();
+
+        expect(recordEncryption.isLocked()).to.equal(false);
+    });
+
+    it('encrypts and decrypts text', async () => {
+        await recordEncryption.create('passphrase', passphrase);
+
+        const xml = '<data><a>é</a></data>';
+        const encrypted = await recordEncryption.encrypt(xml);
+
+        expect(recordEncryption.isEncrypted(encrypted)).to.equal(true);
+        expect(await recordEncryption.decryptText(encrypted)).to.equal(xml);
+    });
+
+    it('encrypts and decrypts files with their type', async () => {
+        await recordEncryption.create('passphrase', passphrase);
+
+        const file = new Blob(['<html>something</html>'], {
+            type: 'text/html',
+        });
+        const encrypted = await recordEncryption.encrypt(file);
+
+        expect(recordEncryption.isEncrypted(encrypted)).to.equal(true);
+        expect(encrypted.type).to.equal('text/html');
+
+        const decrypted = await recordEncryption.decryptBlob(encrypted);
+
+        expect(decrypted).to.be.an.instanceof(Blob);
+        expect(decrypted.type).to.equal('text/html');
+        expect(await decrypted.text()).to.equal('<html>something</html>');
+    });
+
+    it('cannot encrypt or decrypt while locked', async () => {
+        await recordEncryption.create('passphrase', passphrase);
+
+        const encrypted = await recordEncryption.encrypt('<data/>');
+
+        recordEncryption.lock();
+
+        /** @type {Error[]} */
+        const errors = await Promise.all([
+            recordEncryption.encrypt('<data/>').catch((error) => error),
+            recordEncryption.decryptText(encrypted).catch((error) => error),
+        ]);
+
+        errors.forEach((error) => {
+            expect(error.name).to.equal('LockedError');
+        });
+    });
+});
@@ -0,0 +1,89 @@
+import {
+    divideIntoBatches,
+    getSubmissionHeaders,
+    prepareBatches,
+} from '../../public/js/src/module/record-upload';
+
+describe('Record upload', () => {
+    const xml = '<data><a>a.jpg</a><b>b.jpg</b><c>c.jpg</c></data>';
+    const record = {
+        instanceId: 'uuid:abc',
+        deprecatedId: '',
+        created: '2023-01-01T00:00:00.000Z',
+        files: [
+            new File(['aaaa'], 'a.jpg', { type: 'image/jpeg' }),
+            new File(['bbbbbbbb'], 'b.jpg', { type: 'image/jpeg' }),
+        ],
+    };
+
+    describe('dividing files into batches', () => {
+        it('adds as many files to a batch as fit within the limit', () => {
+            expect(divideIntoBatches([3, 4, 5, 2], 10)).to.deep.equal([
+                [0, 1, 3],
+                [2],
+            ]);
+        });
+
+        it('puts files that exceed the limit in their own batch', () => {
+            expect(divideIntoBatches([12, 4], 10)).to.deep.equal([[0], [1]]);
+        });
+    });
+
+    describe('preparing batches', () => {
+        it('adds the record and the available files to each batch', () => {
+            const batches = prepareBatches(
+                record,
+                xml,
+                ['a.jpg', 'b.jpg', 'c.jpg'],
+                { maxSize: 10, fields: { csrf: 'token' } }
+            );
+
+            expect(batches.length).to.equal(2);
+            expect(batches[0].formData.getAll('a.jpg').length).to.equal(1);
+            expect(batches[1].formData.getAll('b.jpg').length).to.equal(1);
+            batches.forEach((batch) => {
+                expect(batch.instanceId).to.equal('uuid:abc');
+                expect(batch.created).to.equal(record.created);
+                expect(batch.failedFiles).to.deep.equal(['c.jpg']);
+                expect(batch.formData.get('csrf')).to.equal('token');
+                expect(
+                    batch.formData.get('xml_submission_file')
+                ).to.be.an.instanceof(Blob);
+            });
+        });
+
+        it('submits files that are larger than the chunk size in separate batches', () => {
+            const batches = prepareBatches(record, xml, ['a.jpg', 'b.jpg'], {
+                maxSize: 100,
+                uploadChunkSize: 5,
+            });
+
+            expect(batches.length).to.equal(2);
+            expect(batches[0].formData.getAll('a.jpg').length).to.equal(1);
+            expect(batches[0].chunkedFile).to.equal(undefined);
+            expect(batches[1].formData.getAll('b.jpg').length).to.equal(0);
+            expect(batches[1].chunkedFile).to.equal(record.files[1]);
+        });
+    });
+
+    describe('submission headers', () => {
+        it('identifies the record', () => {
+            expect(getSubmissionHeaders(record)).to.deep.equal({
+                'X-OpenRosa-Version': '1.0',
+                'X-OpenRosa-Instance-Id': 'uuid:abc',
+            });
+        });
+
+        it('marks records of offline-capable forms and refers to the upload of the chunked file', () => {
+            expect(
+                getSubmissionHeaders(record, { offline: true, uploadId: 'x1' })
+            ).to.deep.equal({
+                'X-OpenRosa-Version': '1.0',
+                'X-OpenRosa-Instance-Id': 'uuid:abc',
+                'X-Enketo-Offline': 'true',
+                'X-Enketo-Record-Created': record.created,
+                'X-Enketo-Upload-Ids': 'x1',
+            });
+        });
+    });
+});
@@ -7,9 +7,11 @@
  * @see {StoreSpec}
  */
 
+import applicationCache from '../../public/js/src/module/application-cache';
 import connection from '../../public/js/src/module/connection';
 import gui from '../../public/js/src/module/gui';
 import records from '../../public/js/src/module/records-queue';
+import recordLock from '../../public/js/src/module/record-lock';
 import settings from '../../public/js/src/module/settings';
 import store from '../../public/js/src/module/store';
 import { t } from '../../public/js/src/module/translator';
@@ -308,9 +310,23 @@ describe('Records queue', () => {
         /** @type {sinon.SinonStub} */
         let connectionUploadQueuedRecordStub;
 
+        /** @type {sinon.SinonStub} */
+        let registerBackgroundUploadStub;
+
+        /** @type {sinon.SinonStub} */
+        let requestNotificationPermissionStub;
+
         beforeEach(async () => {
             isOnline = true;
 
+            registerBackgroundUploadStub = sandbox
+                .stub(applicationCache, 'registerBackgroundUpload')
+                .resolves(true);
+
+            requestNotificationPermissionStub = sandbox
+                .stub(applicationCache, 'requestNotificationPermission')
+                .resolves();
+
             connectionGetOnlineStatusStub = sandbox
                 .stub(connection, 'getOnlineStatus')
                 .callsFake(() => Promise.resolve(isOnline));
@@ -344,6 +360,97 @@ describe('Records queue', () => {
             expect(result).to.equal(false);
         });
 
+        it('lets the service worker upload the queue when offline', async () => {
+            isOnline = false;
+
+            await records.uploadQueue();
+
+            expect(registerBackgroundUploadStub).to.have.been.calledOnce;
+        });
+
+        it('lets the service worker upload the queue when uploading fails', async () => {
+            connectionUploadQueuedRecordStub.callsFake(async () => {
+                throw new TypeError('Failed to fetch');
+            });
+
+            await records.uploadQueue();
+
+            expect(registerBackgroundUploadStub).to.have.been.calledOnce;
+        });
+
+        it('asks for permission to notify about background uploads when the user uploads', async () => {
+            await records.uploadQueue({ isUserTriggered: true });
+
+            expect(requestNotificationPermissionStub).to.have.been.calledOnce;
+        });
+
+        it('does not ask for permission to notify about background uploads otherwise', async () => {
+            isOnline = false;
+
+            await records.uploadQueue();
+
+            expect(requestNotificationPermissionStub).not.to.have.been.called;
+        });
+
+        describe('while records are locked', () => {
+            /** @type {boolean} */
+            let locked;
+
+            /** @type {sinon.SinonStub} */
+            let ensureUnlockedStub;
+
+            beforeEach(() => {
+                locked = true;
+                sandbox
+                    .stub(store.recordEncryption, 'locked')
+                    .get(() => locked);
+                ensureUnlockedStub = sandbox
+                    .stub(recordLock, 'ensureUnlocked')
+                    .callsFake(async () => {
+                        locked = false;
+
+                        return true;
+                    });
+            });
+
+            it('asks to unlock the records when the user uploads', async () => {
+                await records.uploadQueue({ isUserTriggered: true });
+
+                expect(ensureUnlockedStub).to.have.been.calledOnce;
+                expect(connectionUploadQueuedRecordStub).to.have.been.called;
+            });
+
+            it('does not upload the records if the user does not unlock them', async () => {
+                ensureUnlockedStub.resolves(false);
+
+                const result = await records.uploadQueue({
+                    isUserTriggered: true,
+                });
+
+                expect(connectionUploadQueuedRecordStub).not.to.have.been
+                    .called;
+                expect(guiAlertStub).to.have.been.calledWith(
+                    t('recordencryption.locked')
+                );
+                expect(result).to.equal(false);
+            });
+
+            it('does not ask to unlock the records otherwise', async () => {
+                const result = await records.uploadQueue();
+
+                expect(ensureUnlockedStub).not.to.have.been.called;
+                expect(connectionUploadQueuedRecordStub).not.to.have.been
+                    .called;
+                expect(result).to.equal(false);
+            });
+        });
+
+        it('does not let the service worker upload the queue when uploading succeeds', async () => {
+            await records.uploadQueue();
+
+            expect(registerBackgroundUploadStub).not.to.have.been.called;
+        });
+
         it('uploads queued submissions', async () => {
             await records.uploadQueue();
 
@@ -0,0 +1,106 @@
+import storagePanel from '../../public/js/src/module/storage-panel';
+import store from '../../public/js/src/module/store';
+import gui from '../../public/js/src/module/gui';
+
+describe('Storage panel', () => {
+    describe('panel', () => {
+        /** @type {import('sinon').SinonSandbox} */
+        let sandbox;
+
+        /** @type {HTMLElement} */
+        let panel;
+
+        beforeEach(async () => {
+            sandbox = sinon.createSandbox();
+
+            panel = document.createElement('section');
+            panel.className = 'storage';
+            panel.innerHTML = `
+                <p class="storage__summary"></p>
+                <progress class="storage__meter hide" max="1" value="0"></progress>
+                <p class="storage__warning hide"></p>
+                <ul class="storage__forms"></ul>
+                <p class="storage__persisted hide"></p>
+                <button class="storage__persist" type="button"></button>
+            `;
+            document.body.append(panel);
+
+            await store.init();
+
+            sandbox.stub(store.usage, 'persisted').resolves(false);
+            sandbox.stub(store.usage, 'getSurveys').resolves([
+                {
+                    enketoId: 'a',
+                    title: 'Form A',
+                    cached: true,
+                    form: 2048,
+                    records: 1024,
+                    recordCount: 2,
+                    kept: 0,
+                },
+                {
+                    enketoId: 'b',
+                    title: null,
+                    cached: false,
+                    form: 0,
+                    records: 0,
+                    recordCount: 0,
+                    kept: 100,
+                },
+            ]);
+        });
+
+        afterEach(() => {
+            sandbox.restore();
+            panel.remove();
+        });
+
+        it('lists the storage used by each form', async () => {
+            sandbox
+                .stub(store.usage, 'estimate')
+                .resolves({ usage: 10, quota: 100 });
+
+            await storagePanel.init();
+
+            const forms = panel.querySelectorAll('.storage__forms__form');
+
+            expect(forms.length).to.equal(2);
+            expect(forms[0].dataset.id).to.equal('a');
+            expect(
+                forms[0].querySelector('.storage__forms__form__title')
+                    .textContent
+            ).to.equal('Form A');
+            expect(forms[0].querySelector('.remove-form')).not.to.equal(null);
+            expect(forms[0].querySelector('.remove-kept')).to.equal(null);
+            expect(
+                forms[1].querySelector('.storage__forms__form__title')
+                    .textContent
+            ).to.equal('b');
+            expect(forms[1].querySelector('.remove-form')).to.equal(null);
+            expect(forms[1].querySelector('.remove-kept')).not.to.equal(null);
+            expect(
+                panel
+                    .querySelector('.storage__warning')
+                    .classList.contains('hide')
+            ).to.equal(true);
+        });
+
+        it('warns when storage is almost full', async () => {
+            sandbox
+                .stub(store.usage, 'estimate')
+                .resolves({ usage: 95, quota: 100 });
+
+            const feedback = sandbox.stub(gui, 'feedback');
+
+            await storagePanel.init();
+
+            expect(
+                panel
+                    .querySelector('.storage__warning')
+                    .classList.contains('hide')
+            ).to.equal(false);
+            expect(panel.querySelector('.storage__meter').value).to.equal(0.95);
+            expect(feedback).to.have.been.calledOnce;
+        });
+    });
+});
@@ -8,6 +8,7 @@
 
 import db from 'db.js';
 import store from '../../public/js/src/module/store';
+import recordEncryption from '../../public/js/src/module/record-encryption';
 
 /**
  * @typedef {import('./feature/survey-encryption.spec.js')} SurveyEncryptionSpec
@@ -287,6 +288,23 @@ describe('Client Storage', () => {
                 })
                 .then(done, done);
         });
+
+        it('returns summaries of all stored surveys', () => {
+            const before = Date.now();
+
+            surveyA.form =
+                '<form class="or"><h3 dir="auto" id="form-title">Survey A</h3></form>';
+
+            return store.survey
+                .set(surveyA)
+                .then(() => store.survey.getSummaries())
+                .then((summaries) => {
+                    expect(summaries.length).to.equal(1);
+                    expect(summaries[0].enketoId).to.equal(surveyA.enketoId);
+                    expect(summaries[0].title).to.equal('Survey A');
+                    expect(summaries[0].updated).to.be.at.least(before);
+                });
+        });
     });
 
     describe('updating surveys', () => {
@@ -412,6 +430,102 @@ describe('Client Storage', () => {
                 })
                 .catch(done);
         });
+
+        it('removes binary defaults', () => {
+            const binaryDefault = {
+                url: 'jr://images/default.png',
+                item: new Blob(['default'], { type: 'image/png' }),
+            };
+
+            surveyA.binaryDefaults = [binaryDefault];
+
+            return store.survey
+                .set(surveyA)
+                .then(() => store.survey.remove(surveyA.enketoId))
+                .then(() =>
+                    store.survey.resource.get(
+                        surveyA.enketoId,
+                        binaryDefault.url
+                    )
+                )
+                .then((result) => {
+                    expect(result).to.equal(undefined);
+                });
+        });
+    });
+
+    describe('storage usage', () => {
+        afterEach(() =>
+            Promise.all([
+                store.survey.removeAll(),
+                store.record.removeAll(),
+                store.dynamicData.remove(surveyA.enketoId),
+            ])
+        );
+
+        it('returns an empty list if nothing is stored', () =>
+            store.usage.getSurveys().then((surveys) => {
+                expect(surveys).to.deep.equal([]);
+            }));
+
+        it('adds up the sizes of forms, their resources, records and record files', () => {
+            surveyA.form =
+                '<form class="or"><h3 dir="auto" id="form-title">Survey A</h3></form>';
+            recordA.files = [fileA];
+
+            return store.survey
+                .set(surveyA)
+                .then(() => {
+                    surveyA.resources = [resourceA];
+
+                    return store.survey.update(surveyA);
+                })
+                .then(() => store.record.set(recordA))
+                .then(() => store.record.set(recordB))
+                .then(() => store.usage.getSurveys())
+                .then(([usage]) => {
+                    expect(usage.enketoId).to.equal(surveyA.enketoId);
+                    expect(usage.title).to.equal('Survey A');
+                    expect(usage.cached).to.equal(true);
+                    expect(usage.form).to.be.above(
+                        surveyA.form.length + resourceA.item.size
+                    );
+                    expect(usage.recordCount).to.equal(2);
+                    expect(usage.records).to.be.above(
+                        recordA.xml.length * 2 + fileA.item.size
+                    );
+                    expect(usage.kept).to.equal(0);
+                });
+        });
+
+        it('includes records and data of forms that are not stored', () =>
+            store.record
+                .set(recordA)
+                .then(() =>
+                    store.dynamicData.update({
+                        enketoId: recordA.enketoId,
+                        submissionParameter: { name: 'a', value: 'b' },
+                    })
+                )
+                .then(() => store.usage.getSurveys())
+                .then(([usage]) => {
+                    expect(usage.cached).to.equal(false);
+                    expect(usage.title).to.equal(null);
+                    expect(usage.recordCount).to.equal(1);
+                    expect(usage.kept).to.be.above(0);
+                }));
+
+        it('removes dynamic data', () =>
+            store.dynamicData
+                .update({
+                    enketoId: surveyA.enketoId,
+                    submissionParameter: { name: 'a', value: 'b' },
+                })
+                .then(() => store.dynamicData.remove(surveyA.enketoId))
+                .then(() => store.dynamicData.get(surveyA.enketoId))
+                .then((data) => {
+                    expect(data).to.equal(undefined);
+                }));
     });
 
     describe('storing (record) files', () => {
@@ -893,6 +1007,131 @@ describe('Client Storage', () => {
         });
     });
 
+    describe('encrypting records', () => {
+        const passphrase = 'correct horse battery staple';
+
+        beforeEach(async () => {
+            recordA.files = [fileA];
+            await store.record.set(recordA);
+        });
+
+        afterEach(async () => {
+            await store.record.removeAll();
+            await store.property.removeAll();
+            await store.lastSavedRecords.clear();
+            recordEncryption.setDetails(null);
+        });
+
+        it('encrypts stored records and their files', async () => {
+            await store.recordEncryption.enable('passphrase', passphrase);
+            await store.record.set(recordB);
+
+            const records = await store.record.getAll(recordA.enketoId);
+
+            expect(records.length).to.equal(2);
+            records.forEach((record) => {
+                expect(recordEncryption.isEncrypted(record.xml)).to.equal(true);
+            });
+            expect(records[0].name).to.equal(recordA.name);
+
+            const record = await store.record.get(recordA.instanceId);
+
+            expect(record.xml).to.equal(recordA.xml);
+            expect(record.files[0].name).to.equal(fileA.name);
+            expect(record.files[0].item.type).to.equal(fileA.item.type);
+            expect(await record.files[0].item.text()).to.equal(
+                await fileA.item.text()
+            );
+        });
+
+        it('encrypts last saved records and their files', async () => {
+            const lastSavedRecord = {
+                ...recordA,
+                _enketoId: recordA.enketoId,
+            };
+
+            await store.lastSavedRecords.update(lastSavedRecord);
+            await store.recordEncryption.enable('passphrase', passphrase);
+            store.recordEncryption.lock();
+
+            expect(await store.lastSavedRecords.get(recordA.enketoId)).to.equal(
+                undefined
+            );
+
+            await store.recordEncryption.unlock(passphrase);
+
+            const record = await store.lastSavedRecords.get(recordA.enketoId);
+
+            expect(record.xml).to.equal(recordA.xml);
+            expect(record.files[0].name).to.equal(fileA.name);
+            expect(await record.files[0].item.text()).to.equal(
+                await fileA.item.text()
+            );
+        });
+
+        it('cannot read or write locked records', async () => {
+            await store.recordEncryption.enable('passphrase', passphrase);
+            store.recordEncryption.lock();
+
+            expect(store.recordEncryption.locked).to.equal(true);
+
+            /** @type {Error[]} */
+            const errors = await Promise.all([
+                store.record.get(recordA.instanceId).catch((error) => error),
+                store.record.set(recordB).catch((error) => error),
+                store.record.file
+                    .get(recordA.instanceId, fileA.name)
+                    .catch((error) => error),
+            ]);
+
+            errors.forEach((error) => {
+                expect(error.name).to.equal('LockedError');
+            });
+        });
+
+        it('unlocks records with the correct passphrase only', async () => {
+            await store.recordEncryption.enable('passphrase', passphrase);
+            store.recordEncryption.lock();
+
+            /** @type {Error} */
+            let caught;
+
+            try {
+                await store.recordEncryption.unlock('wrong passphrase');
+            } catch (error) {
+                caught = error;
+            }
+
+            expect(caught.name).to.equal('PassphraseError');
+            expect(store.recordEncryption.locked).to.equal(true);
+
+            await store.recordEncryption.unlock(passphrase);
+
+            const record = await store.record.get(recordA.instanceId);
+
+            expect(record.xml).to.equal(recordA.xml);
+        });
+
+        it('locks records encrypted with a passphrase when the store is initialized', async () => {
+            await store.recordEncryption.enable('passphrase', passphrase);
+            await store.init();
+
+            expect(store.recordEncryption.enabled).to.equal(true);
+            expect(store.recordEncryption.locked).to.equal(true);
+        });
+
+        it('unlocks records encrypted with a device key when the store is initialized', async () => {
+            await store.recordEncryption.enable('device');
+            await store.init();
+
+            expect(store.recordEncryption.locked).to.equal(false);
+
+            const record = await store.record.get(recordA.instanceId);
+
+            expect(record.xml).to.equal(recordA.xml);
+        });
+    });
+
     describe('initialization failures', () => {
         /** @type {import('sinon').SinonSandbox} */
         let sandbox;
@@ -186,6 +186,79 @@ describe('Client Utilities', () => {
         });
     });
 
+    describe('streaming CSV to XML string conversion', () => {
+        [
+            'a,b,c,d\n1,2,3,4\n5,6,7,8',
+            'a;b;c;d\n1;2;3;"4;2"\n5;6;7;8',
+            ' a     ;b;c;d\n    1    ;2;3;4\n5;6;7;8',
+            ' a;b;c\n\na & b;2;3\n\n5;6;7\n',
+            ' a;b\r\n1;2\r\n5;6\r\n',
+            'a,b,c,d::english,d::french\n1,2,3,4,5',
+            'a\n1\n"2,3"',
+        ].forEach((csv) => {
+            it(`returns the same XML as csvToXml for ${JSON.stringify(
+                csv
+            )}`, async () => {
+                const xml = await utils.csvToXmlString(csv);
+
+                expect(xml).to.equal(
+                    new XMLSerializer().serializeToString(utils.csvToXml(csv))
+                );
+            });
+        });
+
+        it('adds converted lang attributes', async () => {
+            const csv = 'a,d::english,d::french\n1,4,5';
+            const xml = await utils.csvToXmlString(csv, {
+                english: 'en',
+                french: 'fr',
+            });
+
+            expect(xml).to.equal(
+                '<root><item><a>1</a><d lang="en">4</d><d lang="fr">5</d></item></root>'
+            );
+        });
+
+        it('rejects for invalid column headings', async () => {
+            let error;
+
+            try {
+                await utils.csvToXmlString('a,b,c,3\n1,2,3,4');
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error.message).to.match(
+                /"3" cannot be turned into a valid XML element/
+            );
+        });
+
+        it('rejects for invalid CSV with commas on non-header lines', async () => {
+            let error;
+
+            try {
+                await utils.csvToXmlString('a\n1,2');
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error.message).to.match(
+                /Unable to auto-detect delimiting character/
+            );
+        });
+
+        it('reports progress', async () => {
+            const progress = [];
+
+            await utils.csvToXmlString('a,b\n1,2\n3,4', {}, (value) => {
+                progress.push(value);
+            });
+
+            expect(progress.length).to.be.greaterThan(0);
+            expect(progress[progress.length - 1]).to.equal(1);
+        });
+    });
+
     describe('blob <-> dataURI conversion', () => {
         const aBlob1 = new Blob(['<a id="a"><b id="b">hey!</b></a>'], {
             type: 'text/xml',
@@ -491,4 +564,18 @@ describe('Client Utilities', () => {
             });
         });
     });
+
+    describe('size formatting', () => {
+        [
+            [0, '0 B'],
+            [1023, '1023 B'],
+            [1024, '1.0 KB'],
+            [5.5 * 1024 * 1024, '5.5 MB'],
+            [2 * 1024 * 1024 * 1024, '2.0 GB'],
+        ].forEach(([bytes, expected]) => {
+            it(`formats ${bytes} bytes as ${expected}`, () => {
+                expect(utils.formatSize(bytes)).to.equal(expected);
+            });
+        });
+    });
 });
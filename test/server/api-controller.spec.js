@@ -6,6 +6,9 @@ process.env.NODE_ENV = 'test';
  * at http://apidocs.enketo.org.
  */
 const request = require('supertest');
+const sinon = require('sinon');
+const JSZip = require('jszip');
+const { expect } = require('chai');
 const config = require('../../app/models/config-model').server;
 
 config['base path'] = '';
@@ -13,6 +16,11 @@ const app = require('../../config/express');
 const surveyModel = require('../../app/models/survey-model');
 const instanceModel = require('../../app/models/instance-model');
 const cacheModel = require('../../app/models/cache-model');
+const submissionModel = require('../../app/models/submission-model');
+const statsModel = require('../../app/models/stats-model');
+const queueModel = require('../../app/models/submission-queue-model');
+const apiKeyModel = require('../../app/models/api-key-model');
+const pdf = require('../../app/lib/pdf');
 
 let v1Survey;
 let v1Instance;
@@ -1426,6 +1434,1113 @@ describe('api', () => {
             .forEach(testResponse);
     });
 
+    describe('v2 bulk survey registration', () => {
+        const endpoint = '/api/v2/surveys/bulk';
+
+        it('responds with 400 if the surveys parameter is missing or empty', async () => {
+            await request(app)
+                .post(endpoint)
+                .set(validAuth)
+                .send({ server_url: validServer })
+                .expect(400);
+
+            await request(app)
+                .post(endpoint)
+                .set(validAuth)
+                .send({ server_url: validServer, surveys: [] })
+                .expect(400);
+        });
+
+        it('responds with 401 for an invalid API key', async () => {
+            await request(app)
+                .post(endpoint)
+                .set(invalidAuth)
+                .send({
+                    server_url: validServer,
+                    surveys: [{ form_id: validFormId }],
+                })
+                .expect(401);
+        });
+
+        it('returns webform URLs for existing and new surveys', async () => {
+            const { body } = await request(app)
+                .post(endpoint)
+                .set(validAuth)
+                .send({
+                    server_url: validServer,
+                    surveys: [
+                        { form_id: validFormId },
+                        { form_id: 'another', theme: 'grid' },
+                    ],
+                })
+                .expect(200);
+
+            expect(body.surveys).to.have.length(2);
+            expect(body.surveys[0].code).to.equal(200);
+            expect(body.surveys[0].form_id).to.equal(validFormId);
+            expect(body.surveys[0].server_url).to.equal(validServer);
+            expect(body.surveys[1].code).to.equal(201);
+            expect(body.surveys[1].form_id).to.equal('another');
+            expect(body.surveys[1].url).to.match(/\/[A-z0-9]{4,31}$/);
+            expect(body.surveys[1].offline_url).to.match(
+                /\/x\/[A-z0-9]{4,31}$/
+            );
+            expect(body.surveys[1].enketo_id).to.match(/^[A-z0-9]{4,31}$/);
+        });
+
+        it('returns the same Enketo ID for duplicate items in the same batch', async () => {
+            const { body } = await request(app)
+                .post(endpoint)
+                .set(validAuth)
+                .send({
+                    server_url: validServer,
+                    surveys: [{ form_id: 'dupe' }, { form_id: 'dupe' }],
+                })
+                .expect(200);
+
+            expect(body.surveys[0].code).to.equal(201);
+            expect(body.surveys[1].code).to.equal(200);
+            expect(body.surveys[1].enketo_id).to.equal(
+                body.surveys[0].enketo_id
+            );
+        });
+
+        it('reports errors per survey', async () => {
+            const { body } = await request(app)
+                .post(endpoint)
+                .set(validAuth)
+                .send({
+                    server_url: validServer,
+                    surveys: [
+                        { theme: 'grid' },
+                        { form_id: validFormId, server_url: invalidServer },
+                        { form_id: validFormId },
+                    ],
+                })
+                .expect(200);
+
+            expect(body.surveys[0].code).to.equal(400);
+            expect(body.surveys[0].message).to.be.a('string');
+            expect(body.surveys[1].code).to.equal(403);
+            expect(body.surveys[2].code).to.equal(200);
+        });
+
+        describe('with a limited quota', () => {
+            let linkedServer;
+            let originalLinkedServer;
+            let originalAccountLib;
+
+            beforeEach(() => {
+                linkedServer = app.get('linked form and data server');
+                originalLinkedServer = { ...linkedServer };
+                originalAccountLib = app.get('account lib');
+
+                linkedServer['server url'] = 'example.org/enketo';
+                linkedServer['api key'] = validApiKey;
+                linkedServer.quota = 2;
+                app.set('account lib', '../path/to/something');
+            });
+
+            afterEach(() => {
+                Object.keys(linkedServer).forEach((key) => {
+                    delete linkedServer[key];
+                });
+                Object.assign(linkedServer, originalLinkedServer);
+                app.set('account lib', originalAccountLib);
+            });
+
+            it('counts the quota for the whole batch', async () => {
+                const { body } = await request(app)
+                    .post(endpoint)
+                    .set(validAuth)
+                    .send({
+                        server_url: 'https://example.org/enketo',
+                        surveys: [
+                            { form_id: 'a' },
+                            { form_id: 'b' },
+                            { form_id: 'a' },
+                            { form_id: 'c' },
+                        ],
+                    })
+                    .expect(200);
+
+                expect(body.surveys.map(({ code }) => code)).to.deep.equal([
+                    201, 201, 200, 403,
+                ]);
+                expect(body.surveys[3].message).to.equal(
+                    'Forbidden. No quota left'
+                );
+            });
+        });
+    });
+
+    describe('v2 submission ledger', () => {
+        const endpoint = '/api/v2/survey/submissions';
+
+        beforeEach(async () => {
+            config['submission ledger'].enabled = true;
+
+            const id = await surveyModel.getId({
+                openRosaServer: validServer,
+                openRosaId: validFormId,
+            });
+
+            await submissionModel.addLedgerEntry(id, {
+                instanceId: 'uuid:a',
+                status: 201,
+                size: 123,
+            });
+        });
+
+        afterEach(() => {
+            config['submission ledger'].enabled = false;
+        });
+
+        it('returns the submissions of a survey', async () => {
+            const { body } = await request(app)
+                .get(endpoint)
+                .set(validAuth)
+                .query({ server_url: validServer, form_id: validFormId })
+                .expect(200);
+
+            expect(body.submissions).to.have.length(1);
+            expect(body.submissions[0]).to.include({
+                instance_id: 'uuid:a',
+                deprecated_id: null,
+                status: 201,
+                size: 123,
+            });
+        });
+
+        it('filters submissions by date', async () => {
+            const { body } = await request(app)
+                .get(endpoint)
+                .set(validAuth)
+                .query({
+                    server_url: validServer,
+                    form_id: validFormId,
+                    since: new Date(Date.now() + 60000).toISOString(),
+                })
+                .expect(200);
+
+            expect(body.submissions).to.deep.equal([]);
+        });
+
+        it('responds with 400 for an invalid date', async () => {
+            await request(app)
+                .get(endpoint)
+                .set(validAuth)
+                .query({
+                    server_url: validServer,
+                    form_id: validFormId,
+                    until: 'yesterday',
+                })
+                .expect(400);
+        });
+
+        it('responds with 404 for an unknown survey', async () => {
+            await request(app)
+                .get(endpoint)
+                .set(validAuth)
+                .query({ server_url: validServer, form_id: 'nonexistent' })
+                .expect(404);
+        });
+    });
+
+    describe('v2 webhooks', () => {
+        const endpoint = '/api/v2/webhooks';
+
+        it('adds, lists and removes webhook subscriptions', async () => {
+            const { body: added } = await request(app)
+                .post(endpoint)
+                .set(validAuth)
+                .send({
+                    server_url: validServer,
+                    url: 'https://example.com/hook',
+                })
+                .expect(201);
+
+            expect(added.id).to.be.a('string');
+            expect(added.secret).to.be.a('string');
+            expect(added.url).to.equal('https://example.com/hook');
+
+            const { body: listed } = await request(app)
+                .get(endpoint)
+                .set(validAuth)
+                .query({ server_url: validServer })
+                .expect(200);
+
+            expect(listed.webhooks).to.deep.equal([
+                {
+                    id: added.id,
+                    url: added.url,
+                    created: added.created,
+                },
+            ]);
+
+            await request(app)
+                .delete(endpoint)
+                .set(validAuth)
+                .send({ server_url: validServer, id: added.id })
+                .expect(204);
+
+            await request(app)
+                .delete(endpoint)
+                .set(validAuth)
+                .send({ server_url: validServer, id: added.id })
+                .expect(404);
+        });
+
+        it('responds with 400 for an invalid webhook URL', async () => {
+            await request(app)
+                .post(endpoint)
+                .set(validAuth)
+                .send({ server_url: validServer, url: 'not a url' })
+                .expect(400);
+        });
+
+        it('responds with 401 for an invalid API key', async () => {
+            await request(app)
+                .get(endpoint)
+                .set(invalidAuth)
+                .query({ server_url: validServer })
+                .expect(401);
+        });
+
+        it('lists and empties failed deliveries', async () => {
+            const { body } = await request(app)
+                .get(`${endpoint}/failed`)
+                .set(validAuth)
+                .query({ server_url: validServer })
+                .expect(200);
+
+            expect(body.failed).to.deep.equal([]);
+
+            await request(app)
+                .delete(`${endpoint}/failed`)
+                .set(validAuth)
+                .send({ server_url: validServer })
+                .expect(204);
+        });
+    });
+
+    describe('v2 batch PDF export', () => {
+        const endpoint = '/api/v2/instances/view/pdf';
+        /** @type {sinon.SinonSandbox} */
+        let sandbox;
+        let pdfStub;
+
+        /**
+         * @param { object } res - supertest response
+         * @param { Function } callback - callback
+         */
+        const binaryParser = (res, callback) => {
+            const chunks = [];
+
+            res.on('data', (chunk) => chunks.push(chunk));
+            res.on('end', () => callback(null, Buffer.concat(chunks)));
+        };
+
+        beforeEach(() => {
+            sandbox = sinon.createSandbox();
+            pdfStub = sandbox.stub(pdf, 'get').callsFake(async (url) => {
+                if (url.includes('instance_id=broken')) {
+                    const error = new Error('Timeout');
+                    error.status = 408;
+                    throw error;
+                }
+
+                return Buffer.from(`PDF of ${url}`);
+            });
+        });
+
+        afterEach(() => {
+            sandbox.restore();
+        });
+
+        it('responds with a ZIP file with a PDF for each instance and a report', async () => {
+            const { body, headers } = await request(app)
+                .post(endpoint)
+                .set(validAuth)
+                .send({
+                    server_url: validServer,
+                    form_id: validFormId,
+                    instances: [
+                        { instance: '<data/>', instance_id: 'a' },
+                        { instance: '<data/>', instance_id: 'broken' },
+                        { instance_id: 'c' },
+                    ],
+                })
+                .buffer(true)
+                .parse(binaryParser)
+                .expect(200);
+
+            expect(headers['content-type']).to.equal('application/zip');
+
+            const zip = await JSZip.loadAsync(body);
+            const report = JSON.parse(
+                await zip.file('report.json').async('string')
+            );
+
+            expect(Object.keys(zip.files)).to.have.members([
+                `${validFormId}-a.pdf`,
+                'report.json',
+            ]);
+            expect(
+                await zip.file(`${validFormId}-a.pdf`).async('string')
+            ).to.match(
+                /^PDF of .+\/view\/[a-fA-F0-9]+\?instance_id=a&print=true$/
+            );
+            expect(report).to.deep.equal([
+                { instance_id: 'a', code: 200, file: `${validFormId}-a.pdf` },
+                { instance_id: 'broken', code: 408, message: 'Timeout' },
+                {
+                    instance_id: 'c',
+                    code: 400,
+                    message:
+                        'Bad request. Survey information not complete or invalid',
+                },
+            ]);
+            expect(pdfStub.callCount).to.equal(2);
+        });
+
+        it('responds with an error if no instance could be rendered', async () => {
+            const { body } = await request(app)
+                .post(endpoint)
+                .set(validAuth)
+                .send({
+                    server_url: validServer,
+                    form_id: validFormId,
+                    instances: [{ instance: '<data/>', instance_id: 'broken' }],
+                })
+                .expect(408);
+
+            expect(body.instances).to.deep.equal([
+                { instance_id: 'broken', code: 408, message: 'Timeout' },
+            ]);
+        });
+
+        it('responds with 400 if the instances parameter is missing', async () => {
+            await request(app)
+                .post(endpoint)
+                .set(validAuth)
+                .send({ server_url: validServer, form_id: validFormId })
+                .expect(400);
+        });
+
+        it('responds with 400 if there are more instances than the maximum', async () => {
+            sandbox.stub(config.headless, 'max batch size').value(2);
+
+            await request(app)
+                .post(endpoint)
+                .set(validAuth)
+                .send({
+                    server_url: validServer,
+                    form_id: validFormId,
+                    instances: ['a', 'b', 'c'].map((id) => ({
+                        instance: '<data/>',
+                        instance_id: id,
+                    })),
+                })
+                .expect(400);
+
+            expect(pdfStub.called).to.equal(false);
+        });
+
+        it('gives the PDF files unique names that are safe to extract', async () => {
+            const { body } = await request(app)
+                .post(endpoint)
+                .set(validAuth)
+                .send({
+                    server_url: validServer,
+                    form_id: validFormId,
+                    instances: ['uuid:a', 'uuid/a', '../a'].map((id) => ({
+                        instance: '<data/>',
+                        instance_id: id,
+                    })),
+                })
+                .buffer(true)
+                .parse(binaryParser)
+                .expect(200);
+
+            const zip = await JSZip.loadAsync(body);
+            const report = JSON.parse(
+                await zip.file('report.json').async('string')
+            );
+
+            expect(report.map(({ file }) => file)).to.deep.equal([
+                `${validFormId}-uuid_a.pdf`,
+                `${validFormId}-uuid_a-2.pdf`,
+                `${validFormId}-.._a.pdf`,
+            ]);
+            expect(Object.keys(zip.files)).to.have.members([
+                ...report.map(({ file }) => file),
+                'report.json',
+            ]);
+        });
+
+        it('passes header, footer, watermark and per-side margins to the PDF renderer', async () => {
+            await request(app)
+                .post(endpoint)
+                .set(validAuth)
+                .send({
+                    server_url: validServer,
+                    form_id: validFormId,
+                    margin: '1in',
+                    margin_top: '2cm',
+                    header_template: '{{form_id}} {{instance_id}}',
+                    footer_template: 'Page {{page}} of {{pages}}',
+                    watermark: 'DRAFT',
+                    instances: [{ instance: '<data/>', instance_id: 'a' }],
+                })
+                .expect(200);
+
+            expect(pdfStub.firstCall.args[1]).to.include({
+                margin: '1in',
+                marginTop: '2cm',
+                headerTemplate: '{{form_id}} {{instance_id}}',
+                footerTemplate: 'Page {{page}} of {{pages}}',
+                watermark: 'DRAFT',
+                formId: validFormId,
+                instanceId: 'a',
+            });
+        });
+
+        [
+            { margin_left: '10px' },
+            { watermark: 'x'.repeat(51) },
+            { footer_template: 'x'.repeat(2001) },
+        ].forEach((params) => {
+            it(`responds with 400 for invalid ${
+                Object.keys(params)[0]
+            }`, async () => {
+                const { body } = await request(app)
+                    .post(endpoint)
+                    .set(validAuth)
+                    .send({
+                        server_url: validServer,
+                        form_id: validFormId,
+                        instances: [{ instance: '<data/>', instance_id: 'a' }],
+                        ...params,
+                    })
+                    .expect(400);
+
+                expect(body.message).to.match(/parameter is not valid/);
+            });
+        });
+
+        it('responds with 400 for an invalid margin', async () => {
+            await request(app)
+                .post(endpoint)
+                .set(validAuth)
+                .send({
+                    server_url: validServer,
+                    form_id: validFormId,
+                    margin: '10px',
+                    instances: [{ instance: '<data/>', instance_id: 'a' }],
+                })
+                .expect(400);
+        });
+    });
+
+    describe('v2 API keys', () => {
+        const endpoint = '/api/v2/keys';
+
+        /**
+         * @param { string } key - API key
+         * @return {{Authorization: string}} authorization header
+         */
+        const authFor = (key) => ({
+            Authorization: `Basic ${Buffer.from(`${key}:`).toString('base64')}`,
+        });
+
+        /**
+         * @param { Array<string> } scopes - API key scopes
+         * @return { Promise<object> } a Promise that resolves with the created API key
+         */
+        const createKey = async (scopes) => {
+            const { body } = await request(app)
+                .post(endpoint)
+                .set(validAuth)
+                .send({ server_url: validServer, name: 'CI', scopes })
+                .expect(201);
+
+            return body;
+        };
+
+        it('creates and lists API keys, without exposing the keys', async () => {
+            const created = await createKey(['survey:read']);
+
+            expect(created.key).to.be.a('string');
+
+            const { body } = await request(app)
+                .get(endpoint)
+                .set(validAuth)
+                .query({ server_url: validServer })
+                .expect(200);
+
+            expect(body.keys).to.deep.equal([
+                {
+                    id: created.id,
+                    name: 'CI',
+                    scopes: ['survey:read'],
+                    expires: null,
+                    created: created.created,
+                    last_used: null,
+                },
+            ]);
+        });
+
+        it('only allows requests within the scopes of a key', async () => {
+            const { key } = await createKey(['survey:read']);
+
+            await request(app)
+                .get('/api/v2/surveys/number')
+                .set(authFor(key))
+                .query({ server_url: validServer })
+                .expect(200);
+
+            await request(app)
+                .post('/api/v2/survey')
+                .set(authFor(key))
+                .send({ server_url: validServer, form_id: validFormId })
+                .expect(403);
+
+            await request(app)
+                .delete('/api/v2/survey/cache')
+                .set(authFor(key))
+                .send({ server_url: validServer, form_id: validFormId })
+                .expect(403);
+        });
+
+        it('requires the scope to create surveys or instances for PDFs', async () => {
+            const { key } = await createKey(['pdf']);
+
+            await request(app)
+                .post('/api/v2/survey/view/pdf')
+                .set(authFor(key))
+                .send({ server_url: validServer, form_id: validFormId })
+                .expect(403);
+
+            await request(app)
+                .post('/api/v2/instance/view/pdf')
+                .set(authFor(key))
+                .send({
+                    server_url: validServer,
+                    form_id: validFormId,
+                    instance: '<data/>',
+                    instance_id: 'a',
+                })
+                .expect(403);
+
+            await request(app)
+                .post('/api/v2/instances/view/pdf')
+                .set(authFor(key))
+                .send({
+                    server_url: validServer,
+                    form_id: validFormId,
+                    instances: [{ instance: '<data/>', instance_id: 'a' }],
+                })
+                .expect(403);
+        });
+
+        it('does not allow named keys to manage keys or webhooks', async () => {
+            const { key } = await createKey([...apiKeyModel.SCOPES]);
+
+            await request(app)
+                .get(endpoint)
+                .set(authFor(key))
+                .query({ server_url: validServer })
+                .expect(403);
+
+            await request(app)
+                .get('/api/v2/webhooks')
+                .set(authFor(key))
+                .query({ server_url: validServer })
+                .expect(403);
+        });
+
+        it('rotates and revokes keys', async () => {
+            const { id, key } = await createKey(['survey:read']);
+
+            const { body: rotated } = await request(app)
+                .post(`${endpoint}/rotate`)
+                .set(validAuth)
+                .send({ server_url: validServer, id })
+                .expect(200);
+
+            expect(rotated.id).to.equal(id);
+
+            await request(app)
+                .get('/api/v2/surveys/number')
+                .set(authFor(key))
+                .query({ server_url: validServer })
+                .expect(401);
+
+            await request(app)
+                .get('/api/v2/surveys/number')
+                .set(authFor(rotated.key))
+                .query({ server_url: validServer })
+                .expect(200);
+
+            await request(app)
+                .delete(endpoint)
+                .set(validAuth)
+                .send({ server_url: validServer, id })
+                .expect(204);
+
+            await request(app)
+                .get('/api/v2/surveys/number')
+                .set(authFor(rotated.key))
+                .query({ server_url: validServer })
+                .expect(401);
+
+            await request(app)
+                .delete(endpoint)
+                .set(validAuth)
+                .send({ server_url: validServer, id })
+                .expect(404);
+        });
+
+        it('responds with 400 for invalid scopes', async () => {
+            await request(app)
+                .post(endpoint)
+                .set(validAuth)
+                .send({ server_url: validServer, name: 'CI', scopes: ['all'] })
+                .expect(400);
+        });
+    });
+
+    describe('v2 submission queue', () => {
+        const endpoint = '/api/v2/submissions/queue';
+
+        it('lists the queued submissions of the account', async () => {
+            const id = await surveyModel.set({
+                openRosaServer: validServer,
+                openRosaId: validFormId,
+            });
+
+            await queueModel.add(
+                { linkedServer: validServer },
+                { enketoId: id, instanceId: 'uuid:a' },
+                Buffer.from('body')
+            );
+
+            const { body } = await request(app)
+                .get(endpoint)
+                .set(validAuth)
+                .query({ server_url: validServer, form_id: validFormId })
+                .expect(200);
+
+            expect(body.submissions.length).to.equal(1);
+            expect(body.submissions[0]).to.include({
+                enketo_id: id,
+                instance_id: 'uuid:a',
+                status: 'queued',
+                attempts: 0,
+            });
+        });
+
+        it('responds with 404 for an unknown survey', async () => {
+            await request(app)
+                .get(endpoint)
+                .set(validAuth)
+                .query({ server_url: validServer, form_id: 'unknown' })
+                .expect(404);
+        });
+    });
+
+    describe('v2 survey open and close dates', () => {
+        const endpoint = '/api/v2/survey';
+        const formId = 'scheduled';
+
+        it('stores the open and close dates', async () => {
+            await request(app)
+                .post(endpoint)
+                .set(validAuth)
+                .send({
+                    server_url: validServer,
+                    form_id: formId,
+                    open_at: '2020-01-01T00:00:00Z',
+                    close_at: '2030-01-01T00:00:00Z',
+                })
+                .expect((resp) => {
+                    expect([200, 201]).to.include(resp.status);
+                });
+
+            const id = await surveyModel.getId({
+                openRosaServer: validServer,
+                openRosaId: formId,
+            });
+            const survey = await surveyModel.get(id);
+
+            expect(survey.openAt).to.equal('2020-01-01T00:00:00.000Z');
+            expect(survey.closeAt).to.equal('2030-01-01T00:00:00.000Z');
+        });
+
+        it('returns the URLs of a closed survey', async () => {
+            await request(app)
+                .post(endpoint)
+                .set(validAuth)
+                .send({
+                    server_url: validServer,
+                    form_id: formId,
+                    close_at: '2020-01-01T00:00:00Z',
+                })
+                .expect((resp) => {
+                    expect([200, 201]).to.include(resp.status);
+                    expect(resp.body.url).to.be.a('string');
+                });
+        });
+
+        [
+            { open_at: 'tomorrow' },
+            { close_at: 'tomorrow' },
+            {
+                open_at: '2030-01-01T00:00:00Z',
+                close_at: '2020-01-01T00:00:00Z',
+            },
+        ].forEach((params) => {
+            it(`responds with 400 for ${JSON.stringify(params)}`, async () => {
+                await request(app)
+                    .post(endpoint)
+                    .set(validAuth)
+                    .send({
+                        server_url: validServer,
+                        form_id: formId,
+                        ...params,
+                    })
+                    .expect(400);
+            });
+        });
+    });
+
+    describe('v2 maximum number of submissions', () => {
+        const formId = 'limited';
+
+        afterEach(() =>
+            surveyModel.update({
+                openRosaServer: validServer,
+                openRosaId: formId,
+                maxSubmissions: '',
+            })
+        );
+
+        it('stores the maximum and reports the remaining submissions', async () => {
+            await request(app)
+                .post('/api/v2/survey')
+                .set(validAuth)
+                .send({
+                    server_url: validServer,
+                    form_id: formId,
+                    max_submissions: 3,
+                })
+                .expect((resp) => {
+                    expect([200, 201]).to.include(resp.status);
+                });
+
+            const id = await surveyModel.getId({
+                openRosaServer: validServer,
+                openRosaId: formId,
+            });
+
+            await surveyModel.incrementSubmissions(id);
+
+            const { body } = await request(app)
+                .get('/api/v2/surveys/list')
+                .set(validAuth)
+                .query({ server_url: validServer })
+                .expect(200);
+            const form = body.forms.find((item) => item.form_id === formId);
+
+            expect(form).to.include({
+                max_submissions: 3,
+                remaining_submissions: 2,
+            });
+        });
+
+        ['0', '-1', '1.5', 'many'].forEach((value) => {
+            it(`responds with 400 for ${value}`, async () => {
+                await request(app)
+                    .post('/api/v2/survey')
+                    .set(validAuth)
+                    .send({
+                        server_url: validServer,
+                        form_id: formId,
+                        max_submissions: value,
+                    })
+                    .expect(400);
+            });
+        });
+    });
+
+    describe('v2 image policy', () => {
+        const formId = 'photos';
+
+        afterEach(() =>
+            surveyModel.update({
+                openRosaServer: validServer,
+                openRosaId: formId,
+                imageMaxDimension: '',
+                imageQuality: '',
+                imageKeepGps: '',
+            })
+        );
+
+        it('stores the image policy of the survey', async () => {
+            await request(app)
+                .post('/api/v2/survey')
+                .set(validAuth)
+                .send({
+                    server_url: validServer,
+                    form_id: formId,
+                    image_max_dimension: 1600,
+                    image_quality: 0.7,
+                    image_keep_gps: true,
+                })
+                .expect((resp) => {
+                    expect([200, 201]).to.include(resp.status);
+                });
+
+            const id = await surveyModel.getId({
+                openRosaServer: validServer,
+                openRosaId: formId,
+            });
+            const survey = await surveyModel.get(id);
+
+            expect(surveyModel.getImagePolicy(survey)).to.deep.equal({
+                maxDimension: 1600,
+                quality: 0.7,
+                keepGps: true,
+            });
+        });
+
+        [
+            { image_max_dimension: '-1' },
+            { image_max_dimension: 'large' },
+            { image_quality: '0' },
+            { image_quality: '80' },
+            { image_keep_gps: 'yes' },
+        ].forEach((params) => {
+            it(`responds with 400 for ${JSON.stringify(params)}`, async () => {
+                await request(app)
+                    .post('/api/v2/survey')
+                    .set(validAuth)
+                    .send({
+                        server_url: validServer,
+                        form_id: formId,
+                        ...params,
+                    })
+                    .expect(400);
+            });
+        });
+    });
+
+    describe('v2 survey activation', () => {
+        const survey = { server_url: validServer, form_id: validFormId };
+
+        const deactivate = () =>
+            request(app)
+                .delete('/api/v2/survey')
+                .set(validAuth)
+                .send(survey)
+                .expect(204);
+
+        it('lists inactive surveys with their deactivation date', async () => {
+            await deactivate();
+
+            const { body } = await request(app)
+                .get('/api/v2/surveys/list')
+                .set(validAuth)
+                .query({ server_url: validServer, status: 'inactive' })
+                .expect(200);
+
+            expect(body.forms.length).to.equal(1);
+            expect(body.forms[0].form_id).to.equal(validFormId);
+            expect(body.forms[0].active).to.equal(false);
+            expect(body.forms[0].deactivated_at).to.be.a('string');
+
+            await request(app)
+                .get('/api/v2/surveys/number')
+                .set(validAuth)
+                .query({ server_url: validServer, status: 'all' })
+                .expect(200, { code: 200, number: 1 });
+        });
+
+        it('reactivates a deactivated survey', async () => {
+            await deactivate();
+            await request(app)
+                .post('/api/v2/survey/activate')
+                .set(validAuth)
+                .send(survey)
+                .expect(204);
+
+            const { body } = await request(app)
+                .get('/api/v2/surveys/list')
+                .set(validAuth)
+                .query({ server_url: validServer })
+                .expect(200);
+
+            expect(body.forms.length).to.equal(1);
+            expect(body.forms[0].active).to.equal(true);
+            expect(body.forms[0].deactivated_at).to.equal(null);
+        });
+
+        it('responds with 404 for an unknown survey', async () => {
+            await request(app)
+                .post('/api/v2/survey/activate')
+                .set(validAuth)
+                .send({ ...survey, form_id: 'unknown' })
+                .expect(404);
+        });
+
+        it('responds with 400 for an invalid status', async () => {
+            await request(app)
+                .get('/api/v2/surveys/list')
+                .set(validAuth)
+                .query({ server_url: validServer, status: 'deleted' })
+                .expect(400);
+        });
+    });
+
+    describe('v2 survey list pagination', () => {
+        beforeEach(() =>
+            ['a', 'b', 'c'].reduce(
+                (promise, formId) =>
+                    promise.then(() =>
+                        request(app)
+                            .post('/api/v2/survey')
+                            .set(validAuth)
+                            .send({ server_url: validServer, form_id: formId })
+                    ),
+                Promise.resolve()
+            )
+        );
+
+        it('responds with pages of surveys and a link to the next page', async () => {
+            const first = await request(app)
+                .get('/api/v2/surveys/list')
+                .set(validAuth)
+                .query({ server_url: validServer, limit: 2 })
+                .expect(200);
+
+            expect(first.body.forms.map((form) => form.form_id)).to.deep.equal([
+                'a',
+                'b',
+            ]);
+            expect(first.body.next).to.match(
+                /^http:\/\/.+\/api\/v2\/surveys\/list\?.*cursor=/
+            );
+
+            const next = new URL(first.body.next);
+            const second = await request(app)
+                .get(`${next.pathname}${next.search}`)
+                .set(validAuth)
+                .expect(200);
+
+            expect(second.body.forms.map((form) => form.form_id)).to.deep.equal(
+                ['c']
+            );
+            expect(second.body.next).to.equal(null);
+        });
+
+        it('sorts and filters surveys', async () => {
+            const { body } = await request(app)
+                .get('/api/v2/surveys/list')
+                .set(validAuth)
+                .query({
+                    server_url: validServer,
+                    sort: 'submissions',
+                    order: 'desc',
+                    form_id_prefix: 'b',
+                })
+                .expect(200);
+
+            expect(body.forms.map((form) => form.form_id)).to.deep.equal(['b']);
+        });
+
+        [
+            { limit: '0' },
+            { sort: 'name' },
+            { order: 'up' },
+            { accessed_before: 'yesterday' },
+            { cursor: 'nonsense' },
+        ].forEach((query) => {
+            it(`responds with 400 for ${JSON.stringify(query)}`, async () => {
+                await request(app)
+                    .get('/api/v2/surveys/list')
+                    .set(validAuth)
+                    .query({ server_url: validServer, ...query })
+                    .expect(400);
+            });
+        });
+    });
+
+    describe('v2 survey stats', () => {
+        const survey = { server_url: validServer, form_id: validFormId };
+
+        it('responds with the daily counts of a survey', async () => {
+            await request(app)
+                .post('/api/v2/survey')
+                .set(validAuth)
+                .send(survey)
+                .expect(201);
+
+            const id = await surveyModel.getId({
+                openRosaServer: validServer,
+                openRosaId: validFormId,
+            });
+
+            statsModel.increment(id, 'opens');
+            // wait for the counter to be stored
+            await new Promise((resolve) => setTimeout(resolve, 50));
+
+            const { body } = await request(app)
+                .get('/api/v2/survey/stats')
+                .set(validAuth)
+                .query(survey)
+                .expect(200);
+            const today = new Date().toISOString().slice(0, 10);
+
+            expect(body).to.include({
+                form_id: validFormId,
+                submission_count: 0,
+                until: today,
+                opens: 1,
+                submissions: 0,
+                edits: 0,
+            });
+            expect(body.launch_date).to.be.a('string');
+            expect(body.days.length).to.equal(30);
+            expect(body.days[29]).to.deep.equal({
+                date: today,
+                opens: 1,
+                submissions: 0,
+                edits: 0,
+            });
+        });
+
+        it('responds with 404 for an unknown survey', async () => {
+            await request(app)
+                .get('/api/v2/survey/stats')
+                .set(validAuth)
+                .query({ ...survey, form_id: 'unknown' })
+                .expect(404);
+        });
+
+        it('responds with 400 for a period that is too long', async () => {
+            await request(app)
+                .post('/api/v2/survey')
+                .set(validAuth)
+                .send(survey);
+            await request(app)
+                .get('/api/v2/survey/stats')
+                .set(validAuth)
+                .query({ ...survey, since: '2000-01-01', until: '2010-01-01' })
+                .expect(400);
+        });
+    });
+
     describe('re-activating forms', () => {
         function test(version) {
             it('works if the quota allows it but returns 403 if quota is insufficient', () => {
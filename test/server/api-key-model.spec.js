@@ -0,0 +1,144 @@
+// safer to ensure this here (in addition to grunt:env:test)
+process.env.NODE_ENV = 'test';
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const sinon = require('sinon');
+const apiKeyModel = require('../../app/models/api-key-model');
+
+chai.use(chaiAsPromised);
+
+const { expect } = chai;
+
+describe('API Key Model', () => {
+    const account = {
+        linkedServer: 'https://testserver.com/bob',
+        key: 'abc',
+    };
+    const otherAccount = {
+        linkedServer: 'https://testserver.com/alice',
+        key: 'def',
+    };
+    const props = {
+        name: 'CI',
+        scopes: ['survey:read', 'pdf'],
+    };
+
+    /** @type {sinon.SinonSandbox} */
+    let sandbox;
+
+    beforeEach(() => {
+        sandbox = sinon.createSandbox();
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+    });
+
+    describe('create()', () => {
+        it('returns the key and its properties', async () => {
+            const { apiKey, key } = await apiKeyModel.create(account, props);
+
+            expect(key).to.match(/^[A-z0-9]{32}$/);
+            expect(apiKey).to.include({
+                name: 'CI',
+                expires: null,
+                lastUsed: null,
+            });
+            expect(apiKey.scopes).to.deep.equal(['survey:read', 'pdf']);
+            expect(apiKey.id).to.match(/^[A-z0-9]{8}$/);
+        });
+
+        [
+            { ...props, name: '' },
+            { ...props, scopes: [] },
+            { ...props, scopes: ['everything'] },
+            { ...props, expires: 'tomorrow' },
+            { ...props, expires: '2000-01-01' },
+        ].forEach((invalid) => {
+            it(`is rejected with 400 for ${JSON.stringify(invalid)}`, () =>
+                expect(apiKeyModel.create(account, invalid))
+                    .to.eventually.be.rejectedWith(Error)
+                    .and.to.have.property('status', 400));
+        });
+
+        it('does not store the key itself', async () => {
+            const { key } = await apiKeyModel.create(account, props);
+            const list = await apiKeyModel.list(account);
+
+            expect(JSON.stringify(list)).not.to.contain(key);
+        });
+    });
+
+    describe('verify()', () => {
+        it('returns the API key for a valid key of the same account', async () => {
+            const { apiKey, key } = await apiKeyModel.create(account, props);
+
+            expect((await apiKeyModel.verify(account, key)).id).to.equal(
+                apiKey.id
+            );
+            expect(await apiKeyModel.verify(otherAccount, key)).to.equal(null);
+            expect(await apiKeyModel.verify(account, 'wrong')).to.equal(null);
+            expect(await apiKeyModel.verify(account, undefined)).to.equal(null);
+        });
+
+        it('records when a key was last used', async () => {
+            const { key } = await apiKeyModel.create(account, props);
+
+            await apiKeyModel.verify(account, key);
+            const [apiKey] = await apiKeyModel.list(account);
+
+            expect(apiKey.lastUsed).to.be.a('string');
+        });
+
+        it('returns null for an expired key', async () => {
+            const expires = new Date(Date.now() + 1000).toISOString();
+            const { key } = await apiKeyModel.create(account, {
+                ...props,
+                expires,
+            });
+
+            sandbox.stub(Date, 'now').returns(Date.parse(expires) + 1);
+
+            expect(await apiKeyModel.verify(account, key)).to.equal(null);
+        });
+    });
+
+    describe('rotate()', () => {
+        it('replaces the key and keeps the properties', async () => {
+            const { apiKey, key } = await apiKeyModel.create(account, props);
+            const rotated = await apiKeyModel.rotate(account, apiKey.id);
+
+            expect(rotated.key).not.to.equal(key);
+            expect(rotated.apiKey).to.deep.equal(apiKey);
+            expect(await apiKeyModel.verify(account, key)).to.equal(null);
+            expect(
+                (await apiKeyModel.verify(account, rotated.key)).id
+            ).to.equal(apiKey.id);
+        });
+
+        it('returns null for an unknown ID', async () => {
+            expect(await apiKeyModel.rotate(account, 'nope')).to.equal(null);
+        });
+    });
+
+    describe('revoke()', () => {
+        it('removes the key', async () => {
+            const { apiKey, key } = await apiKeyModel.create(account, props);
+
+            expect(await apiKeyModel.revoke(otherAccount, apiKey.id)).to.equal(
+                null
+            );
+            expect(await apiKeyModel.revoke(account, apiKey.id)).to.equal(
+                apiKey.id
+            );
+            expect(await apiKeyModel.verify(account, key)).to.equal(null);
+            expect(await apiKeyModel.list(account)).to.deep.equal([]);
+        });
+
+        it('is rejected with 400 without ID', () =>
+            expect(apiKeyModel.revoke(account))
+                .to.eventually.be.rejectedWith(Error)
+                .and.to.have.property('status', 400));
+    });
+});
@@ -0,0 +1,176 @@
+// safer to ensure this here (in addition to grunt:env:test)
+process.env.NODE_ENV = 'test';
+
+const { EventEmitter } = require('events');
+const chai = require('chai');
+const { createPool } = require('../../app/lib/browser-pool');
+
+const { expect } = chai;
+
+describe('Browser pool', () => {
+    /** @type {Array<object>} */
+    let browsers;
+    let pool;
+
+    const launch = async () => {
+        const browser = new EventEmitter();
+
+        browser.connected = true;
+        browser.closed = false;
+        browser.pages = 0;
+        browser.newPage = async () => {
+            browser.pages += 1;
+
+            return { close: async () => {} };
+        };
+        browser.close = async () => {
+            browser.closed = true;
+            browser.connected = false;
+        };
+        browser.isConnected = () => browser.connected;
+        browser.version = async () => 'HeadlessChrome';
+        browsers.push(browser);
+
+        return browser;
+    };
+
+    const create = (options) =>
+        createPool({
+            launch,
+            size: 2,
+            maxQueue: 1,
+            queueTimeout: 50,
+            healthCheckInterval: 0,
+            ...options,
+        });
+
+    beforeEach(() => {
+        browsers = [];
+    });
+
+    afterEach(() => pool.close());
+
+    it('launches browsers on demand, up to the pool size', async () => {
+        pool = create();
+
+        const first = await pool.acquire();
+        const second = await pool.acquire();
+
+        expect(first.browser).not.to.equal(second.browser);
+        expect(browsers.length).to.equal(2);
+        expect(pool.getMetrics()).to.include({
+            size: 2,
+            browsers: 2,
+            busy: 2,
+            queued: 0,
+        });
+    });
+
+    it('reuses a released browser and its page', async () => {
+        pool = create();
+
+        const first = await pool.acquire();
+        await pool.release(first);
+        const second = await pool.acquire();
+
+        expect(second).to.equal(first);
+        expect(browsers.length).to.equal(1);
+        expect(browsers[0].pages).to.equal(1);
+    });
+
+    it('opens a new page after a failed render', async () => {
+        pool = create();
+
+        const slot = await pool.acquire();
+        const { page } = slot;
+        await pool.release(slot, true);
+
+        expect(slot.page).not.to.equal(page);
+        expect(browsers[0].pages).to.equal(2);
+    });
+
+    it('queues requests while all browsers are busy', async () => {
+        pool = create({ size: 1 });
+
+        const first = await pool.acquire();
+        const waiting = pool.acquire();
+
+        expect(pool.getMetrics().queued).to.equal(1);
+
+        await pool.release(first);
+
+        expect(await waiting).to.equal(first);
+    });
+
+    it('refuses requests with 503 when the queue is full', async () => {
+        pool = create({ size: 1 });
+
+        await pool.acquire();
+        const waiting = pool.acquire();
+
+        try {
+            await pool.acquire();
+            throw new Error('should have been refused');
+        } catch (error) {
+            expect(error.status).to.equal(503);
+        }
+
+        try {
+            await waiting;
+            throw new Error('should have timed out');
+        } catch (error) {
+            expect(error.status).to.equal(503);
+        }
+
+        expect(pool.getMetrics().rejected).to.equal(2);
+    });
+
+    it('replaces a browser after the maximum number of renders', async () => {
+        pool = create({ maxUses: 1 });
+
+        const first = await pool.acquire();
+        await pool.release(first);
+        const second = await pool.acquire();
+
+        expect(browsers[0].closed).to.equal(true);
+        expect(second.browser).to.equal(browsers[1]);
+        expect(pool.getMetrics().replaced).to.equal(1);
+    });
+
+    it('closes a browser that failed to open a page', async () => {
+        pool = create({
+            launch: async () => {
+                const browser = await launch();
+
+                browser.newPage = async () => {
+                    throw new Error('Target closed');
+                };
+
+                return browser;
+            },
+        });
+
+        let caught;
+
+        try {
+            await pool.acquire();
+        } catch (error) {
+            caught = error;
+        }
+
+        expect(caught.message).to.equal('Target closed');
+        expect(browsers[0].closed).to.equal(true);
+        expect(pool.getMetrics()).to.include({ browsers: 0 });
+    });
+
+    it('replaces idle browsers that crashed during a health check', async () => {
+        pool = create();
+
+        const slot = await pool.acquire();
+        await pool.release(slot);
+        browsers[0].connected = false;
+        await pool.checkHealth();
+
+        expect(pool.getMetrics()).to.include({ browsers: 0, replaced: 1 });
+    });
+});
@@ -373,4 +373,30 @@ describe('Media library', () => {
             expect(getManifestStub.getCalls().length).to.equal(1);
         });
     });
+
+    describe('media hashes', () => {
+        it('maps the hashes of manifest items by escaped file name', () => {
+            expect(mediaLib.getMediaHashes(defaultManifest)).to.deep.equal({
+                'an%20image.jpg': 'b37732',
+                'a%20song.mp3': 'b4db33f',
+            });
+        });
+
+        it('omits manifest items without a hash', () => {
+            expect(
+                mediaLib.getMediaHashes([
+                    ...defaultManifest,
+                    {
+                        downloadUrl: 'https://example.com/unhashed.png',
+                        hash: '',
+                        filename: 'unhashed.png',
+                    },
+                ])
+            ).to.not.have.property('unhashed.png');
+        });
+
+        it('returns an empty mapping without a manifest', () => {
+            expect(mediaLib.getMediaHashes()).to.deep.equal({});
+        });
+    });
 });
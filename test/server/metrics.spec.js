@@ -0,0 +1,164 @@
+// safer to ensure this here (in addition to grunt:env:test)
+process.env.NODE_ENV = 'test';
+
+const chai = require('chai');
+const request = require('supertest');
+const sinon = require('sinon');
+const app = require('../../config/express');
+const metrics = require('../../app/lib/metrics');
+const config = require('../../app/models/config-model').server;
+
+const { expect } = chai;
+
+describe('Metrics', () => {
+    describe('library', () => {
+        it('formats counters with labels', async () => {
+            const counter = metrics.counter(
+                'test_counter_total',
+                'A test counter.',
+                ['result']
+            );
+
+            counter.inc({ result: 'hit' });
+            counter.inc({ result: 'hit' }, 2);
+            counter.inc({ result: 'say "miss"' });
+
+            const text = await metrics.collect();
+
+            expect(text).to.contain('# TYPE test_counter_total counter');
+            expect(text).to.contain('test_counter_total{result="hit"} 3');
+            expect(text).to.contain(
+                'test_counter_total{result="say \\"miss\\""} 1'
+            );
+        });
+
+        it('formats histograms with cumulative buckets', async () => {
+            const histogram = metrics.histogram(
+                'test_duration_seconds',
+                'A test histogram.',
+                [],
+                [1, 5]
+            );
+
+            histogram.observe({}, 0.5);
+            histogram.observe({}, 2);
+            histogram.observe({}, 10);
+
+            const text = await metrics.collect();
+
+            expect(text).to.contain('# TYPE test_duration_seconds histogram');
+            expect(text).to.contain('test_duration_seconds_bucket{le="1"} 1');
+            expect(text).to.contain('test_duration_seconds_bucket{le="5"} 2');
+            expect(text).to.contain(
+                'test_duration_seconds_bucket{le="+Inf"} 3'
+            );
+            expect(text).to.contain('test_duration_seconds_sum 12.5');
+            expect(text).to.contain('test_duration_seconds_count 3');
+        });
+
+        it('formats gauges with the values at the time of collection', async () => {
+            let busy = 1;
+
+            metrics.gauge(
+                'test_browsers',
+                'A test gauge.',
+                ['state'],
+                (set) => {
+                    set({ state: 'busy' }, busy);
+                    set({ state: 'idle' }, 3 - busy);
+                }
+            );
+
+            busy = 2;
+
+            const text = await metrics.collect();
+
+            expect(text).to.contain('# TYPE test_browsers gauge');
+            expect(text).to.contain('test_browsers{state="busy"} 2');
+            expect(text).to.contain('test_browsers{state="idle"} 1');
+        });
+
+        it('refuses to create a metric twice', () => {
+            metrics.counter('test_once_total', 'Once.');
+
+            expect(() => metrics.counter('test_once_total', 'Twice.')).to.throw(
+                Error
+            );
+        });
+
+        it('adds up the metrics of several processes', () => {
+            const snapshot = {
+                a_total: {
+                    type: 'counter',
+                    help: 'A',
+                    labelNames: ['x'],
+                    values: { '["1"]': 2 },
+                },
+                b_seconds: {
+                    type: 'histogram',
+                    help: 'B',
+                    labelNames: [],
+                    buckets: [1],
+                    values: { '[]': { counts: [1, 0], sum: 0.5, count: 1 } },
+                },
+            };
+            const merged = metrics.merge([snapshot, snapshot]);
+
+            expect(merged.a_total.values).to.deep.equal({ '["1"]': 4 });
+            expect(merged.b_seconds.values).to.deep.equal({
+                '[]': { counts: [2, 0], sum: 1, count: 2 },
+            });
+            expect(snapshot.a_total.values).to.deep.equal({ '["1"]': 2 });
+        });
+    });
+
+    describe('endpoint', () => {
+        /** @type {import('sinon').SinonSandbox} */
+        let sandbox;
+
+        beforeEach(() => {
+            sandbox = sinon.createSandbox();
+            sandbox.stub(config.metrics, 'enabled').value(true);
+            sandbox.stub(config.metrics, 'token').value('secret');
+        });
+
+        afterEach(() => {
+            sandbox.restore();
+        });
+
+        it('responds with 404 when disabled', () => {
+            config.metrics.enabled = false;
+
+            return request(app)
+                .get('/metrics')
+                .set('Authorization', 'Bearer secret')
+                .expect(404);
+        });
+
+        it('responds with 404 when no token is configured', () => {
+            config.metrics.token = '';
+
+            return request(app).get('/metrics').expect(404);
+        });
+
+        it('responds with 401 without a valid token', () =>
+            request(app)
+                .get('/metrics')
+                .set('Authorization', 'Bearer wrong')
+                .expect(401));
+
+        it('responds with the metrics', async () => {
+            await request(app).get('/api/v2/version');
+
+            const response = await request(app)
+                .get('/metrics')
+                .set('Authorization', 'Bearer secret')
+                .expect(200)
+                .expect('Content-Type', /text\/plain/);
+
+            expect(response.text).to.contain(
+                'enketo_api_requests_total{route="/api/v2/version",method="GET",status="200"}'
+            );
+        });
+    });
+});
@@ -0,0 +1,116 @@
+// safer to ensure this here (in addition to grunt:env:test)
+process.env.NODE_ENV = 'test';
+
+const chai = require('chai');
+const request = require('supertest');
+const sinon = require('sinon');
+const app = require('../../config/express');
+const { cacheClient } = require('../../app/lib/db');
+const config = require('../../app/models/config-model').server;
+
+const { expect } = chai;
+
+describe('Rate limiting', () => {
+    /** @type {import('sinon').SinonSandbox} */
+    let sandbox;
+
+    const validApiKey = 'abc';
+    const validServer = 'https://testserver.com/bob';
+
+    beforeEach((done) => {
+        sandbox = sinon.createSandbox();
+        sandbox.stub(config, 'rate limit').value({
+            enabled: true,
+            window: 60,
+            limits: {
+                api: 2,
+                transform: 0,
+                submission: 1,
+                media: 0,
+            },
+            'api key limits': {
+                def: { api: 0 },
+                ghi: { api: 1 },
+            },
+            'ip limits': {},
+        });
+
+        cacheClient.keys('rl:*', (error, keys) => {
+            if (error || keys.length === 0) {
+                done(error);
+
+                return;
+            }
+            cacheClient.del(keys, done);
+        });
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+    });
+
+    const apiRequest = (key = validApiKey) =>
+        request(app)
+            .get('/api/v2/survey')
+            .auth(key, '')
+            .query({ server_url: validServer, form_id: 'something' });
+
+    it('adds RateLimit headers to responses', async () => {
+        const response = await apiRequest();
+
+        expect(response.headers['ratelimit-limit']).to.equal('2');
+        expect(response.headers['ratelimit-remaining']).to.equal('1');
+        expect(Number(response.headers['ratelimit-reset'])).to.be.within(1, 60);
+    });
+
+    it('responds with 429 and Retry-After when the limit is exceeded', async () => {
+        await apiRequest();
+        await apiRequest();
+        const response = await apiRequest().expect(429);
+
+        expect(response.body.code).to.equal(429);
+        expect(response.headers['ratelimit-remaining']).to.equal('0');
+        expect(Number(response.headers['retry-after'])).to.be.within(1, 60);
+    });
+
+    it('does not count API keys without their own limits separately', async () => {
+        await apiRequest();
+        await apiRequest();
+
+        await apiRequest('xyz').expect(429);
+    });
+
+    it('counts API keys with their own limits separately', async () => {
+        await apiRequest('ghi');
+        const response = await apiRequest('ghi').expect(429);
+
+        expect(response.headers['ratelimit-limit']).to.equal('1');
+    });
+
+    it('applies the limit of the IP address to API keys with their own limits', async () => {
+        await apiRequest('def');
+        await apiRequest('def');
+
+        await apiRequest('def').expect(429);
+    });
+
+    it('limits route groups separately', async () => {
+        await request(app).get('/submission/nope');
+        await request(app).get('/submission/nope').expect(429);
+
+        const response = await apiRequest();
+
+        expect(response.status).not.to.equal(429);
+    });
+
+    it('does not limit anything when disabled', async () => {
+        config['rate limit'].enabled = false;
+
+        await apiRequest();
+        await apiRequest();
+        const response = await apiRequest();
+
+        expect(response.status).not.to.equal(429);
+        expect(response.headers).not.to.have.property('ratelimit-limit');
+    });
+});
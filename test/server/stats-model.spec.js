@@ -0,0 +1,95 @@
+// safer to ensure this here (in addition to grunt:env:test)
+process.env.NODE_ENV = 'test';
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const sinon = require('sinon');
+const { mainClient } = require('../../app/lib/db');
+const stats = require('../../app/models/stats-model');
+
+const { expect } = chai;
+
+chai.use(chaiAsPromised);
+
+describe('Stats Model', () => {
+    const id = 'abcd';
+    // wait for fire-and-forget increments to be stored
+    const _wait = () => new Promise((resolve) => setTimeout(resolve, 50));
+
+    /** @type {import('sinon').SinonFakeTimers} */
+    let clock;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers({
+            now: new Date('2021-03-02T12:00:00Z'),
+            toFake: ['Date'],
+        });
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    it('counts events per day', async () => {
+        stats.increment(id, 'opens');
+        stats.increment(id, 'opens');
+        stats.increment(id, 'submissions');
+        clock.setSystemTime(new Date('2021-03-03T01:00:00Z'));
+        stats.increment(id, 'edits');
+        await _wait();
+
+        const result = await stats.get(
+            id,
+            new Date('2021-03-01T00:00:00Z'),
+            new Date('2021-03-03T23:00:00Z')
+        );
+
+        expect(result).to.deep.equal({
+            opens: 2,
+            submissions: 1,
+            edits: 1,
+            days: [
+                { date: '2021-03-01', opens: 0, submissions: 0, edits: 0 },
+                { date: '2021-03-02', opens: 2, submissions: 1, edits: 0 },
+                { date: '2021-03-03', opens: 0, submissions: 0, edits: 1 },
+            ],
+        });
+    });
+
+    it('removes counters that are older than the maximum number of days', async () => {
+        clock.setSystemTime(new Date('2020-02-01T12:00:00Z'));
+        stats.increment(id, 'submissions');
+        clock.setSystemTime(new Date('2021-03-02T12:00:00Z'));
+        stats.increment(id, 'submissions');
+        await _wait();
+
+        const fields = await new Promise((resolve, reject) => {
+            mainClient.hkeys(`st:${id}`, (error, keys) =>
+                error ? reject(error) : resolve(keys)
+            );
+        });
+
+        expect(fields).to.deep.equal(['submissions:2021-03-02']);
+    });
+
+    it('ignores unknown events', async () => {
+        stats.increment(id, 'deletions');
+        await _wait();
+
+        const result = await stats.get(id, new Date(), new Date());
+
+        expect(result.days).to.deep.equal([
+            { date: '2021-03-02', opens: 0, submissions: 0, edits: 0 },
+        ]);
+    });
+
+    [
+        ['2021-03-02', '2021-03-01'],
+        ['2020-01-01', '2021-03-01'],
+    ].forEach(([since, until]) => {
+        it(`rejects the period from ${since} until ${until}`, () =>
+            expect(stats.get(id, new Date(since), new Date(until)))
+                .to.eventually.be.rejected.and.have.property('status')
+                .that.equals(400));
+    });
+});
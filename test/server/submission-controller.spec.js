@@ -6,13 +6,21 @@
 // safer to ensure this here (in addition to grunt:env:test)
 process.env.NODE_ENV = 'test';
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const chai = require('chai');
+const nock = require('nock');
 const request = require('supertest');
 const sinon = require('sinon');
 const app = require('../../config/express');
 const mediaLib = require('../../app/lib/media');
 const surveyModel = require('../../app/models/survey-model');
 const instanceModel = require('../../app/models/instance-model');
+const queueModel = require('../../app/models/submission-queue-model');
+const submissionModel = require('../../app/models/submission-model');
+const uploadModel = require('../../app/models/upload-model');
+const config = require('../../app/models/config-model').server;
 
 const { expect } = chai;
 
@@ -52,6 +60,21 @@ describe('Submissions', () => {
         sandbox.restore();
     });
 
+    /**
+     * Submissions are recorded after the response was sent.
+     *
+     * @param { string } instanceId - instance ID of record
+     * @return { Promise } a Promise that resolves once the submission was recorded
+     */
+    const waitUntilRecorded = (instanceId) =>
+        submissionModel.isRecorded(enketoId, instanceId).then((recorded) =>
+            recorded
+                ? undefined
+                : new Promise((resolve) => {
+                      setTimeout(resolve, 10);
+                  }).then(() => waitUntilRecorded(instanceId))
+        );
+
     describe('for active/existing Enketo IDs', () => {
         [
             // invalid methods
@@ -107,6 +130,226 @@ describe('Submissions', () => {
         });
     });
 
+    describe('for surveys that have closed', () => {
+        beforeEach(() =>
+            surveyModel.update({
+                openRosaServer: validServer,
+                openRosaId: validFormId,
+                closeAt: new Date(Date.now() - 60000).toISOString(),
+            })
+        );
+
+        afterEach(() => {
+            nock.cleanAll();
+
+            return surveyModel.update({
+                openRosaServer: validServer,
+                openRosaId: validFormId,
+                closeAt: '',
+            });
+        });
+
+        it('refuses new submissions with 403', async () => {
+            await request(app)
+                .post(`/submission/${enketoId}`)
+                .set('X-OpenRosa-Instance-Id', 'uuid:closed')
+                .field('xml_submission_file', '<data></data>')
+                .expect(403);
+        });
+
+        it('accepts edits', async () => {
+            nock('https://testserver.com')
+                .head('/bob/submission')
+                .reply(204)
+                .post('/bob/submission')
+                .reply(201, '<OpenRosaResponse/>');
+
+            await request(app)
+                .post(`/submission/${enketoId}`)
+                .set('X-OpenRosa-Instance-Id', 'uuid:a')
+                .set('X-OpenRosa-Deprecated-Id', 'uuid:b')
+                .field('xml_submission_file', '<data></data>')
+                .expect(201);
+        });
+
+        it('accepts offline records that were created before the survey closed', async () => {
+            nock('https://testserver.com')
+                .head('/bob/submission')
+                .reply(204)
+                .post('/bob/submission')
+                .reply(201, '<OpenRosaResponse/>');
+
+            await request(app)
+                .post(`/submission/${enketoId}`)
+                .set('X-OpenRosa-Instance-Id', 'uuid:a')
+                .set('X-Enketo-Offline', 'true')
+                .set(
+                    'X-Enketo-Record-Created',
+                    new Date(Date.now() - 120000).toISOString()
+                )
+                .field('xml_submission_file', '<data></data>')
+                .expect(201);
+        });
+
+        [
+            ['after the survey closed', new Date().toISOString()],
+            ['at an unknown time', undefined],
+        ].forEach(([description, created]) => {
+            it(`refuses offline records that were created ${description}`, async () => {
+                const submission = request(app)
+                    .post(`/submission/${enketoId}`)
+                    .set('X-OpenRosa-Instance-Id', 'uuid:closed-offline')
+                    .set('X-Enketo-Offline', 'true');
+
+                if (created) {
+                    submission.set('X-Enketo-Record-Created', created);
+                }
+
+                await submission
+                    .field('xml_submission_file', '<data></data>')
+                    .expect(403);
+            });
+        });
+
+        it('accepts the later batches of a record that was accepted before the survey closed', async () => {
+            nock('https://testserver.com')
+                .head('/bob/submission')
+                .reply(204)
+                .post('/bob/submission')
+                .reply(201, '<OpenRosaResponse/>');
+
+            // the first batch was accepted while the survey was open
+            await submissionModel.isNew(enketoId, 'uuid:h');
+            await request(app)
+                .post(`/submission/${enketoId}`)
+                .set('X-OpenRosa-Instance-Id', 'uuid:h')
+                .field('xml_submission_file', '<data></data>')
+                .attach('b.jpg', Buffer.from('b'), 'b.jpg')
+                .expect(201);
+        });
+
+        it('provides records to edit', async () => {
+            sandbox
+                .stub(mediaLib, 'getHostURLOptions')
+                .callsFake(() => ({ deviceId: 'fake' }));
+
+            await instanceModel.set({
+                openRosaServer: validServer,
+                openRosaId: validFormId,
+                instanceId: 'e',
+                returnUrl: 'example.com',
+                instance: '<data></data>',
+            });
+
+            await request(app)
+                .get(`/submission/${enketoId}?instanceId=e`)
+                .expect(200);
+        });
+    });
+
+    describe('for surveys that are full', () => {
+        beforeEach(() =>
+            surveyModel.update({
+                openRosaServer: validServer,
+                openRosaId: validFormId,
+                maxSubmissions: 1,
+            })
+        );
+
+        afterEach(() => {
+            nock.cleanAll();
+
+            return surveyModel.update({
+                openRosaServer: validServer,
+                openRosaId: validFormId,
+                maxSubmissions: '',
+            });
+        });
+
+        it('refuses new submissions with 403 once the maximum is reached', async () => {
+            await surveyModel.incrementSubmissions(enketoId);
+            await request(app)
+                .post(`/submission/${enketoId}`)
+                .set('X-OpenRosa-Instance-Id', 'uuid:full')
+                .set('X-Enketo-Offline', 'true')
+                .field('xml_submission_file', '<data></data>')
+                .expect(403);
+        });
+
+        it('accepts all batches of the record that reached the maximum', async () => {
+            const { submissions } = await surveyModel.get(enketoId, true);
+
+            await surveyModel.update({
+                openRosaServer: validServer,
+                openRosaId: validFormId,
+                maxSubmissions: (Number(submissions) || 0) + 1,
+            });
+            nock('https://testserver.com')
+                .head('/bob/submission')
+                .times(2)
+                .reply(204)
+                .post('/bob/submission')
+                .times(2)
+                .reply(201, '<OpenRosaResponse/>');
+
+            await request(app)
+                .post(`/submission/${enketoId}`)
+                .set('X-OpenRosa-Instance-Id', 'uuid:f')
+                .field('xml_submission_file', '<data></data>')
+                .attach('a.jpg', Buffer.from('a'), 'a.jpg')
+                .expect(201);
+            await waitUntilRecorded('uuid:f');
+            await request(app)
+                .post(`/submission/${enketoId}`)
+                .set('X-OpenRosa-Instance-Id', 'uuid:f')
+                .field('xml_submission_file', '<data></data>')
+                .attach('b.jpg', Buffer.from('b'), 'b.jpg')
+                .expect(201);
+            await request(app)
+                .post(`/submission/${enketoId}`)
+                .set('X-OpenRosa-Instance-Id', 'uuid:g')
+                .field('xml_submission_file', '<data></data>')
+                .expect(403);
+        });
+
+        it('accepts edits once the maximum is reached', async () => {
+            nock('https://testserver.com')
+                .head('/bob/submission')
+                .reply(204)
+                .post('/bob/submission')
+                .reply(201, '<OpenRosaResponse/>');
+
+            await surveyModel.incrementSubmissions(enketoId);
+            await request(app)
+                .post(`/submission/${enketoId}`)
+                .set('X-OpenRosa-Instance-Id', 'uuid:a')
+                .set('X-OpenRosa-Deprecated-Id', 'uuid:b')
+                .field('xml_submission_file', '<data></data>')
+                .expect(201);
+        });
+
+        it('provides records to edit once the maximum is reached', async () => {
+            sandbox
+                .stub(mediaLib, 'getHostURLOptions')
+                .callsFake(() => ({ deviceId: 'fake' }));
+
+            await instanceModel.set({
+                openRosaServer: validServer,
+                openRosaId: validFormId,
+                instanceId: 'd',
+                returnUrl: 'example.com',
+                instance: '<data></data>',
+            });
+            await surveyModel.incrementSubmissions(enketoId);
+
+            const { body } = await request(app)
+                .get(`/submission/${enketoId}?instanceId=d`)
+                .expect(200);
+
+            expect(body.instance).to.equal('<data></data>');
+        });
+    });
+
     describe('submission content types', () => {
         it('responds with 400 if content type is not specified', async () => {
             await request(app)
@@ -214,4 +457,277 @@ describe('Submissions', () => {
             });
         });
     });
+
+    describe('with the submission queue enabled', () => {
+        const account = { linkedServer: validServer };
+
+        beforeEach(() => {
+            sandbox.stub(config['submission queue'], 'enabled').value(true);
+        });
+
+        afterEach(() => {
+            nock.cleanAll();
+        });
+
+        it('forwards the submission and its response if the server is up', async () => {
+            nock('https://testserver.com')
+                .head('/bob/submission')
+                .reply(204)
+                .post('/bob/submission')
+                .reply(201, '<OpenRosaResponse/>', {
+                    'Content-Type': 'text/xml',
+                });
+
+            const response = await request(app)
+                .post(`/submission/${enketoId}`)
+                .set('X-OpenRosa-Instance-Id', 'uuid:a')
+                .field('xml_submission_file', '<data></data>')
+                .expect(201);
+
+            expect(response.text).to.equal('<OpenRosaResponse/>');
+            expect(await queueModel.list(account)).to.deep.equal([]);
+        });
+
+        it('queues the submission and responds with 202 if the server is down', async () => {
+            nock('https://testserver.com')
+                .head('/bob/submission')
+                .reply(503)
+                .post('/bob/submission')
+                .reply(503);
+
+            await request(app)
+                .post(`/submission/${enketoId}`)
+                .set('X-OpenRosa-Instance-Id', 'uuid:a')
+                .field('xml_submission_file', '<data></data>')
+                .expect(202);
+
+            const queued = await queueModel.list(account);
+
+            expect(queued.length).to.equal(1);
+            expect(queued[0].enketoId).to.equal(enketoId);
+            expect(queued[0].instanceId).to.equal('uuid:a');
+        });
+
+        it('passes on submissions that are larger than the maximum size without queueing them', async () => {
+            sandbox.stub(config['submission queue'], 'max size').value(100);
+            nock('https://testserver.com')
+                .head('/bob/submission')
+                .times(2)
+                .reply(204)
+                .post('/bob/submission')
+                .reply(201, '<OpenRosaResponse/>')
+                .post('/bob/submission')
+                .reply(503);
+
+            await request(app)
+                .post(`/submission/${enketoId}`)
+                .set('X-OpenRosa-Instance-Id', 'uuid:a')
+                .field('xml_submission_file', `<data>${'a'.repeat(200)}</data>`)
+                .expect(201);
+            await request(app)
+                .post(`/submission/${enketoId}`)
+                .set('X-OpenRosa-Instance-Id', 'uuid:a')
+                .field('xml_submission_file', `<data>${'a'.repeat(200)}</data>`)
+                .expect(503);
+
+            expect(await queueModel.list(account)).to.deep.equal([]);
+        });
+
+        it('does not queue submissions of offline-capable forms', async () => {
+            nock('https://testserver.com')
+                .head('/bob/submission')
+                .reply(503)
+                .post('/bob/submission')
+                .reply(503);
+
+            await request(app)
+                .post(`/submission/${enketoId}`)
+                .set('X-OpenRosa-Instance-Id', 'uuid:a')
+                .set('X-Enketo-Offline', 'true')
+                .field('xml_submission_file', '<data></data>')
+                .expect(503);
+
+            expect(await queueModel.list(account)).to.deep.equal([]);
+        });
+    });
+
+    describe('with chunked uploads disabled', () => {
+        it('responds with 404 to new uploads', async () => {
+            await request(app)
+                .post(`/submission/uploads/${enketoId}`)
+                .set('Upload-Length', '11')
+                .expect(404);
+        });
+    });
+
+    describe('with chunked uploads enabled', () => {
+        const encode = (value) => Buffer.from(value).toString('base64');
+        const metadata = [
+            `instanceId ${encode('uuid:a')}`,
+            `filename ${encode('a.txt')}`,
+            `filetype ${encode('text/plain')}`,
+        ].join(',');
+
+        const createUpload = () =>
+            request(app)
+                .post(`/submission/uploads/${enketoId}`)
+                .set('Upload-Length', '11')
+                .set('Upload-Metadata', metadata)
+                .expect(201);
+
+        const appendChunk = (location, offset, chunk) =>
+            request(app)
+                .patch(location)
+                .set('Content-Type', 'application/offset+octet-stream')
+                .set('Upload-Offset', String(offset))
+                .send(Buffer.from(chunk));
+
+        beforeEach(() => {
+            sandbox.stub(config['chunked uploads'], 'enabled').value(true);
+            sandbox
+                .stub(config['chunked uploads'], 'directory')
+                .value(path.join(os.tmpdir(), 'enketo-uploads-test'));
+        });
+
+        afterEach(() => {
+            nock.cleanAll();
+        });
+
+        it('creates an upload', async () => {
+            const response = await createUpload();
+            const location = response.headers.location;
+
+            expect(location).to.match(
+                new RegExp(`^/submission/uploads/${enketoId}/[A-Za-z0-9]{32}$`)
+            );
+            expect(response.headers['upload-offset']).to.equal('0');
+            expect(response.headers['tus-resumable']).to.equal('1.0.0');
+
+            const head = await request(app).head(location).expect(200);
+
+            expect(head.headers['upload-offset']).to.equal('0');
+            expect(head.headers['upload-length']).to.equal('11');
+        });
+
+        it('appends chunks at the current offset', async () => {
+            const { location } = (await createUpload()).headers;
+
+            const first = await appendChunk(location, 0, 'hello ').expect(204);
+
+            expect(first.headers['upload-offset']).to.equal('6');
+
+            await appendChunk(location, 0, 'hello ').expect(409);
+
+            const second = await appendChunk(location, 6, 'world').expect(204);
+
+            expect(second.headers['upload-offset']).to.equal('11');
+        });
+
+        it('refuses chunks while another chunk is being appended', async () => {
+            const { location } = (await createUpload()).headers;
+            const lock = path.join(
+                config['chunked uploads'].directory,
+                `${location.split('/').pop()}.lock`
+            );
+
+            await fs.promises.writeFile(lock, '');
+            await appendChunk(location, 0, 'hello ').expect(423);
+            await fs.promises.unlink(lock);
+
+            const response = await appendChunk(location, 0, 'hello ').expect(
+                204
+            );
+
+            expect(response.headers['upload-offset']).to.equal('6');
+        });
+
+        it('replaces a lock that was left behind by a stopped process', async () => {
+            const { location } = (await createUpload()).headers;
+            const lock = path.join(
+                config['chunked uploads'].directory,
+                `${location.split('/').pop()}.lock`
+            );
+            const modified = new Date(Date.now() - 120000);
+
+            await fs.promises.writeFile(lock, '');
+            await fs.promises.utimes(lock, modified, modified);
+
+            const response = await appendChunk(location, 0, 'hello ').expect(
+                204
+            );
+
+            expect(response.headers['upload-offset']).to.equal('6');
+            expect(fs.existsSync(lock)).to.equal(false);
+        });
+
+        it('refuses chunks that exceed the upload length', async () => {
+            const { location } = (await createUpload()).headers;
+
+            await appendChunk(location, 0, 'hello world!').expect(413);
+        });
+
+        it('responds with 404 for uploads of another form', async () => {
+            const { location } = (await createUpload()).headers;
+            const otherId = await surveyModel.set({
+                openRosaServer: validServer,
+                openRosaId: 'other',
+            });
+
+            await request(app)
+                .head(location.replace(enketoId, otherId))
+                .expect(404);
+        });
+
+        it('adds completed uploads to the submission and removes them once submitted', async () => {
+            const { location } = (await createUpload()).headers;
+            const uploadId = location.split('/').pop();
+
+            await appendChunk(location, 0, 'hello world').expect(204);
+
+            nock('https://testserver.com')
+                .head('/bob/submission')
+                .reply(204)
+                .post(
+                    '/bob/submission',
+                    (body) =>
+                        body.includes('<data></data>') &&
+                        body.includes('filename="a.txt"') &&
+                        body.includes('hello world')
+                )
+                .reply(201, '<OpenRosaResponse/>');
+
+            await request(app)
+                .post(`/submission/${enketoId}`)
+                .set('X-OpenRosa-Instance-Id', 'uuid:a')
+                .set('X-Enketo-Upload-Ids', uploadId)
+                .field('xml_submission_file', '<data></data>')
+                .expect(201);
+
+            expect(nock.isDone()).to.equal(true);
+
+            // uploads are removed without waiting for it
+            await new Promise((resolve) => setTimeout(resolve, 50));
+
+            let error;
+
+            try {
+                await uploadModel.get(uploadId);
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error.status).to.equal(404);
+        });
+
+        it('refuses submissions with incomplete uploads', async () => {
+            const { location } = (await createUpload()).headers;
+
+            await request(app)
+                .post(`/submission/${enketoId}`)
+                .set('X-OpenRosa-Instance-Id', 'uuid:a')
+                .set('X-Enketo-Upload-Ids', location.split('/').pop())
+                .field('xml_submission_file', '<data></data>')
+                .expect(400);
+        });
+    });
 });
@@ -5,7 +5,9 @@ const chai = require('chai');
 
 const { expect } = chai;
 const chaiAsPromised = require('chai-as-promised');
+const sinon = require('sinon');
 const submission = require('../../app/models/submission-model');
+const config = require('../../app/models/config-model').server;
 
 chai.use(chaiAsPromised);
 
@@ -68,4 +70,128 @@ describe('Survey Model', () => {
                 .that.equals(400);
         });
     });
+
+    describe('isRecorded() check', () => {
+        const id = 'AAAA';
+        const instanceId = 'uuid:CCCC';
+
+        it('returns false for not-previously logged submissions without logging them', () => {
+            const test = submission
+                .isRecorded(id, instanceId)
+                .then((recorded) =>
+                    submission
+                        .isRecorded(id, instanceId)
+                        .then((again) => [recorded, again])
+                );
+            return expect(test).to.eventually.deep.equal([false, false]);
+        });
+
+        it('returns true for previously logged submissions', () => {
+            const test = submission
+                .isNew(id, instanceId)
+                .then(() => submission.isRecorded(id, instanceId));
+            return expect(test).to.eventually.equal(true);
+        });
+    });
+
+    describe('submission ledger', () => {
+        const id = 'AAAA';
+
+        /** @type {sinon.SinonSandbox} */
+        let sandbox;
+
+        /** @type {sinon.SinonStub} */
+        let enabledStub;
+
+        beforeEach(() => {
+            sandbox = sinon.createSandbox();
+            enabledStub = sandbox
+                .stub(config['submission ledger'], 'enabled')
+                .value(true);
+        });
+
+        afterEach(() => {
+            sandbox.restore();
+        });
+
+        it('records submission attempts in chronological order', async () => {
+            await submission.addLedgerEntry(id, {
+                instanceId: 'uuid:a',
+                status: 201,
+                size: 1000,
+            });
+            await submission.addLedgerEntry(id, {
+                instanceId: 'uuid:b',
+                deprecatedId: 'uuid:a',
+                status: 500,
+                size: null,
+            });
+
+            const entries = await submission.getLedgerEntries(id);
+
+            expect(entries).to.have.length(2);
+            expect(entries[0]).to.include({
+                instanceId: 'uuid:a',
+                deprecatedId: null,
+                status: 201,
+                size: 1000,
+            });
+            expect(entries[1]).to.include({
+                instanceId: 'uuid:b',
+                deprecatedId: 'uuid:a',
+                status: 500,
+                size: null,
+            });
+            expect(new Date(entries[0].timestamp).getTime()).not.to.be.NaN;
+        });
+
+        it('filters entries by date', async () => {
+            await submission.addLedgerEntry(id, {
+                instanceId: 'uuid:a',
+                status: 201,
+            });
+
+            const future = new Date(Date.now() + 60000);
+            const past = new Date(Date.now() - 60000);
+
+            expect(await submission.getLedgerEntries(id, future)).to.deep.equal(
+                []
+            );
+            expect(
+                await submission.getLedgerEntries(id, undefined, past)
+            ).to.deep.equal([]);
+            expect(
+                await submission.getLedgerEntries(id, past, future)
+            ).to.have.length(1);
+        });
+
+        it('does not record anything if the ledger is disabled', async () => {
+            enabledStub.value(false);
+
+            await submission.addLedgerEntry(id, {
+                instanceId: 'uuid:a',
+                status: 201,
+            });
+
+            expect(await submission.getLedgerEntries(id)).to.deep.equal([]);
+        });
+
+        it('removes entries older than the retention period', async () => {
+            sandbox
+                .stub(config['submission ledger'], 'retention days')
+                .value(0);
+
+            await submission.addLedgerEntry(id, {
+                instanceId: 'uuid:a',
+                status: 201,
+            });
+
+            expect(await submission.getLedgerEntries(id)).to.deep.equal([]);
+        });
+
+        it('is rejected if id is undefined', () =>
+            expect(submission.getLedgerEntries(undefined))
+                .to.eventually.be.rejected.and.have.property('status')
+                .that.equals(400));
+    });
 });
@@ -0,0 +1,196 @@
+// safer to ensure this here (in addition to grunt:env:test)
+process.env.NODE_ENV = 'test';
+
+const nock = require('nock');
+const chai = require('chai');
+const sinon = require('sinon');
+const submissionQueue = require('../../app/lib/submission-queue');
+const queueModel = require('../../app/models/submission-queue-model');
+const surveyModel = require('../../app/models/survey-model');
+const config = require('../../app/models/config-model').server;
+
+const { expect } = chai;
+
+describe('Submission queue', () => {
+    /** @type {sinon.SinonSandbox} */
+    let sandbox;
+
+    /** @type {string} */
+    let enketoId;
+
+    const validServer = 'https://testserver.com/bob';
+    const account = {
+        linkedServer: validServer,
+    };
+    const body = Buffer.from('--boundary\r\nxml\r\n--boundary--');
+
+    /**
+     * @param { object } [props] - submission properties to override
+     * @return { Promise } a Promise that resolves with the queued submission
+     */
+    const addSubmission = (props = {}) =>
+        queueModel.add(
+            account,
+            {
+                enketoId,
+                instanceId: 'uuid:a',
+                headers: {
+                    'content-type': 'multipart/form-data; boundary=boundary',
+                    cookie: 'session=abc',
+                },
+                credentials: { user: 'bob', pass: 'p4ss' },
+                ...props,
+            },
+            body
+        );
+
+    beforeEach(async () => {
+        sandbox = sinon.createSandbox();
+        sandbox.stub(config['submission queue'], 'retry interval').value(0);
+        sandbox.stub(config['submission queue'], 'max attempts').value(2);
+
+        enketoId = await surveyModel.set({
+            openRosaServer: validServer,
+            openRosaId: 'something',
+        });
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+        nock.cleanAll();
+    });
+
+    describe('model', () => {
+        it('stores a submission without exposing credentials or cookies', async () => {
+            const job = await addSubmission();
+            const { job: stored, body: storedBody } = await queueModel.get(
+                job.id
+            );
+
+            expect(stored.status).to.equal('queued');
+            expect(stored.attempts).to.equal(0);
+            expect(stored.headers).to.deep.equal({
+                'content-type': 'multipart/form-data; boundary=boundary',
+            });
+            expect(JSON.stringify(stored)).not.to.contain('p4ss');
+            expect(JSON.stringify(stored)).not.to.contain('session=abc');
+            expect(storedBody.equals(body)).to.equal(true);
+            expect(queueModel.getSecrets(stored)).to.deep.equal({
+                credentials: { user: 'bob', pass: 'p4ss' },
+                cookie: 'session=abc',
+            });
+        });
+
+        it('rejects a submission without instance ID', () =>
+            addSubmission({ instanceId: undefined }).then(
+                () => Promise.reject(new Error('Unexpectedly resolved')),
+                (error) => {
+                    expect(error.status).to.equal(400);
+                }
+            ));
+
+        it('lists the submissions of an account, optionally for one survey', async () => {
+            await addSubmission();
+            await addSubmission({ enketoId: 'other', instanceId: 'uuid:b' });
+
+            const all = await queueModel.list(account);
+            const one = await queueModel.list(account, enketoId);
+            const none = await queueModel.list({
+                linkedServer: 'https://example.com',
+            });
+
+            expect(all.map((job) => job.instanceId)).to.have.members([
+                'uuid:a',
+                'uuid:b',
+            ]);
+            expect(one.map((job) => job.instanceId)).to.deep.equal(['uuid:a']);
+            expect(none).to.deep.equal([]);
+        });
+
+        it('only lets one process claim a due submission', async () => {
+            const job = await addSubmission();
+            const [first, second] = await Promise.all([
+                queueModel.claimDue(60000),
+                queueModel.claimDue(60000),
+            ]);
+
+            expect([...first, ...second]).to.deep.equal([job.id]);
+            expect(await queueModel.claimDue(60000)).to.deep.equal([]);
+        });
+
+        it('reschedules a failed attempt, until the maximum number of attempts is reached', async () => {
+            const job = await addSubmission();
+            const once = await queueModel.fail(job, 'down');
+            const twice = await queueModel.fail(once, 'still down');
+
+            expect(once.status).to.equal('queued');
+            expect(once.attempts).to.equal(1);
+            expect(once.nextAttempt).to.be.a('string');
+            expect(twice.status).to.equal('failed');
+            expect(twice.nextAttempt).to.equal(null);
+            expect(twice.lastError).to.equal('still down');
+            expect(await queueModel.claimDue(60000)).to.deep.equal([]);
+        });
+    });
+
+    describe('processDue()', () => {
+        it('replays a queued submission and removes it once delivered', async () => {
+            const job = await addSubmission();
+            const onDelivered = sandbox.spy();
+            let receivedHeaders;
+
+            const scope = nock('https://testserver.com')
+                .head('/bob/submission')
+                .reply(204)
+                .post('/bob/submission')
+                .reply(function reply() {
+                    receivedHeaders = this.req.headers;
+
+                    return [201];
+                });
+
+            await submissionQueue.processDue(onDelivered);
+
+            expect(scope.isDone()).to.equal(true);
+            expect(receivedHeaders['content-type']).to.equal(
+                'multipart/form-data; boundary=boundary'
+            );
+            expect(receivedHeaders.cookie).to.equal('session=abc');
+            expect(await queueModel.get(job.id)).to.equal(null);
+            expect(await queueModel.list(account)).to.deep.equal([]);
+            expect(onDelivered.calledOnce).to.equal(true);
+            expect(onDelivered.firstCall.args[1]).to.equal('uuid:a');
+        });
+
+        it('retries a submission if the server is still down', async () => {
+            const job = await addSubmission();
+
+            nock('https://testserver.com')
+                .head('/bob/submission')
+                .reply(204)
+                .post('/bob/submission')
+                .reply(503);
+
+            const [updated] = await submissionQueue.processDue(() => {});
+
+            expect(updated.id).to.equal(job.id);
+            expect(updated.status).to.equal('queued');
+            expect(updated.lastError).to.contain('503');
+        });
+
+        it('does not retry a submission that was rejected', async () => {
+            await addSubmission();
+
+            nock('https://testserver.com')
+                .head('/bob/submission')
+                .reply(204)
+                .post('/bob/submission')
+                .reply(400);
+
+            const [updated] = await submissionQueue.processDue(() => {});
+
+            expect(updated.status).to.equal('failed');
+            expect(updated.attempts).to.equal(1);
+        });
+    });
+});
@@ -125,6 +125,182 @@ describe('Survey Model', () => {
         });
     });
 
+    describe('get: when a survey has open and close dates', () => {
+        const past = new Date(Date.now() - 60000).toISOString();
+        const future = new Date(Date.now() + 60000).toISOString();
+        let survey;
+
+        beforeEach(() => {
+            survey = {
+                openRosaId: 'scheduled',
+                openRosaServer: 'https://ona.io/enketo',
+            };
+        });
+
+        it('returns the survey object within the open and close dates', () => {
+            survey.openAt = past;
+            survey.closeAt = future;
+
+            return expect(model.set(survey).then(model.get))
+                .to.eventually.have.property('closeAt')
+                .and.to.equal(future);
+        });
+
+        it('returns a 403 error before the open date', () => {
+            survey.openAt = future;
+
+            return model
+                .set(survey)
+                .then(model.get)
+                .then(
+                    () => {
+                        throw new Error('should have been rejected');
+                    },
+                    (error) => {
+                        expect(error.status).to.equal(403);
+                        expect(error.translationKey).to.equal(
+                            'error.surveynotopen'
+                        );
+                    }
+                );
+        });
+
+        it('returns a 403 error after the close date', () => {
+            survey.closeAt = past;
+
+            return model
+                .set(survey)
+                .then(model.get)
+                .then(
+                    () => {
+                        throw new Error('should have been rejected');
+                    },
+                    (error) => {
+                        expect(error.status).to.equal(403);
+                        expect(error.translationKey).to.equal(
+                            'error.surveyclosed'
+                        );
+                    }
+                );
+        });
+
+        it('returns the survey object after the close date if the schedule is ignored', () => {
+            survey.closeAt = past;
+
+            return expect(model.set(survey).then((id) => model.get(id, true)))
+                .to.eventually.have.property('openRosaId')
+                .and.to.equal(survey.openRosaId);
+        });
+
+        it('leaves the dates unchanged when they are not updated, and removes empty dates', () => {
+            survey.openAt = past;
+            survey.closeAt = past;
+
+            return model
+                .set(survey)
+                .then(() =>
+                    model.update({
+                        openRosaId: survey.openRosaId,
+                        openRosaServer: survey.openRosaServer,
+                        closeAt: '',
+                    })
+                )
+                .then(model.get)
+                .then((stored) => {
+                    expect(stored.openAt).to.equal(past);
+                    expect(stored.closeAt).to.equal('');
+                });
+        });
+    });
+
+    describe('get: when a survey has a maximum number of submissions', () => {
+        const survey = {
+            openRosaId: 'limited',
+            openRosaServer: 'https://ona.io/enketo',
+            maxSubmissions: 1,
+        };
+
+        afterEach(() => model.update({ ...survey, maxSubmissions: '' }));
+
+        it('returns a 403 error once the maximum is reached', () =>
+            model
+                .set(survey)
+                .then(model.incrementSubmissions)
+                .then(model.get)
+                .then(
+                    () => {
+                        throw new Error('should have been rejected');
+                    },
+                    (error) => {
+                        expect(error.status).to.equal(403);
+                        expect(error.translationKey).to.equal(
+                            'error.surveyfull'
+                        );
+                    }
+                ));
+
+        it('returns the survey object once the maximum is reached if availability is ignored', () =>
+            expect(
+                model
+                    .set(survey)
+                    .then(model.incrementSubmissions)
+                    .then((id) => model.get(id, true))
+            )
+                .to.eventually.have.property('maxSubmissions')
+                .and.to.equal('1'));
+
+        it('returns no capacity error below the maximum', () => {
+            expect(
+                model.getCapacityError({
+                    submissions: '1',
+                    maxSubmissions: '2',
+                })
+            ).to.equal(null);
+            expect(
+                model.getCapacityError({ submissions: '5', maxSubmissions: '' })
+            ).to.equal(null);
+        });
+    });
+
+    describe('getImagePolicy', () => {
+        const survey = {
+            openRosaId: 'photos',
+            openRosaServer: 'https://ona.io/enketo',
+        };
+
+        afterEach(() =>
+            model.update({
+                ...survey,
+                imageMaxDimension: '',
+                imageQuality: '',
+                imageKeepGps: '',
+            })
+        );
+
+        it('returns the stored image policy of a survey', () =>
+            model
+                .set({
+                    ...survey,
+                    imageMaxDimension: '1024',
+                    imageKeepGps: 'false',
+                })
+                .then(model.get)
+                .then((stored) => {
+                    expect(model.getImagePolicy(stored)).to.deep.equal({
+                        maxDimension: 1024,
+                        keepGps: false,
+                    });
+                }));
+
+        it('returns null if the survey has no image policy', () =>
+            model
+                .set(survey)
+                .then(model.get)
+                .then((stored) => {
+                    expect(model.getImagePolicy(stored)).to.equal(null);
+                }));
+    });
+
     describe('update: when updating an existing survey', () => {
         let survey;
 
@@ -382,6 +558,26 @@ describe('Survey Model', () => {
                 .then(() => model.getNumber(server));
             return expect(getNumber).to.eventually.equal(2);
         });
+
+        it('obtains the number of inactive or all surveys', () => {
+            const getNumbers = model
+                .set(survey1)
+                .then(() => model.set(survey2))
+                .then(() =>
+                    model.update({
+                        openRosaServer: server,
+                        openRosaId: survey1.openRosaId,
+                        active: false,
+                    })
+                )
+                .then(() =>
+                    Promise.all([
+                        model.getNumber(server, 'inactive'),
+                        model.getNumber(server, 'all'),
+                    ])
+                );
+            return expect(getNumbers).to.eventually.deep.equal([1, 2]);
+        });
     });
 
     describe('getList', () => {
@@ -459,6 +655,144 @@ describe('Survey Model', () => {
 
             return expect(getList).to.eventually.deep.equal(['b', 'c']);
         });
+
+        it('obtains the list of inactive surveys only, with their deactivation date', () => {
+            const getList = model
+                .set(survey1)
+                .then(() => model.set(survey2))
+                .then(() =>
+                    model.update({
+                        openRosaServer: server,
+                        openRosaId: survey1.openRosaId,
+                        active: false,
+                    })
+                )
+                .then(() => model.getList(server, 'inactive'));
+
+            return getList.then((list) => {
+                expect(list.map((item) => item.openRosaId)).to.deep.equal([
+                    'a',
+                ]);
+                expect(list[0].active).to.equal(false);
+                expect(list[0].deactivatedAt).to.be.a('string');
+            });
+        });
+
+        it('obtains the list of all surveys', () => {
+            const getList = model
+                .set(survey1)
+                .then(_wait1ms)
+                .then(() => model.set(survey2))
+                .then(() =>
+                    model.update({
+                        openRosaServer: server,
+                        openRosaId: survey1.openRosaId,
+                        active: false,
+                    })
+                )
+                .then(() => model.getList(server, 'all'))
+                .then((list) =>
+                    list.map((item) => [item.openRosaId, item.active])
+                );
+
+            return expect(getList).to.eventually.deep.equal([
+                ['a', false],
+                ['b', true],
+            ]);
+        });
+
+        it('clears the deactivation date when a survey is activated again', () =>
+            model
+                .set(survey1)
+                .then(() =>
+                    model.update({
+                        openRosaServer: server,
+                        openRosaId: survey1.openRosaId,
+                        active: false,
+                    })
+                )
+                .then(() => model.set(survey1))
+                .then(() => model.getList(server))
+                .then((list) => {
+                    const item = list.find(
+                        (survey) => survey.openRosaId === 'a'
+                    );
+
+                    expect(item.active).to.equal(true);
+                    expect(item.deactivatedAt).to.equal(null);
+                }));
+    });
+
+    describe('getPage', () => {
+        const server = 'https://kobotoolbox.org/enketo';
+        const setSurveys = () =>
+            model
+                .set({ openRosaId: 'a', openRosaServer: server })
+                .then(_wait1ms)
+                .then(() =>
+                    model.set({
+                        openRosaId: 'b',
+                        openRosaServer: server,
+                        theme: 'grid',
+                    })
+                )
+                .then(_wait1ms)
+                .then(() =>
+                    model.set({ openRosaId: 'other', openRosaServer: server })
+                );
+        const ids = (page) => page.surveys.map((item) => item.openRosaId);
+
+        it('obtains pages of surveys in launch date order', () =>
+            setSurveys()
+                .then(() => model.getPage(server, { limit: 2 }))
+                .then((page) => {
+                    expect(ids(page)).to.deep.equal(['a', 'b']);
+                    expect(page.next).to.be.a('string');
+
+                    return model.getPage(server, {
+                        limit: 2,
+                        cursor: page.next,
+                    });
+                })
+                .then((page) => {
+                    expect(ids(page)).to.deep.equal(['other']);
+                    expect(page.next).to.equal(null);
+                }));
+
+        it('sorts surveys in descending order', () =>
+            setSurveys()
+                .then(() => model.getPage(server, { order: 'desc' }))
+                .then((page) => {
+                    expect(ids(page)).to.deep.equal(['other', 'b', 'a']);
+                }));
+
+        it('filters surveys by form ID prefix and theme', () =>
+            setSurveys()
+                .then(() =>
+                    Promise.all([
+                        model.getPage(server, { formIdPrefix: 'o' }),
+                        model.getPage(server, { theme: 'grid' }),
+                    ])
+                )
+                .then(([byPrefix, byTheme]) => {
+                    expect(ids(byPrefix)).to.deep.equal(['other']);
+                    expect(ids(byTheme)).to.deep.equal(['b']);
+                }));
+
+        it('rejects a cursor that was created for another sort order', () => {
+            const getPage = setSurveys()
+                .then(() => model.getPage(server, { limit: 1 }))
+                .then((page) =>
+                    model.getPage(server, {
+                        order: 'desc',
+                        cursor: page.next,
+                    })
+                );
+
+            return expect(
+                getPage
+            ).to.eventually.be.rejected.and.to.have.property('status', 400);
+        });
     });
 
     describe('creates enketoIds', () => {
@@ -2,9 +2,11 @@ const { expect } = require('chai');
 const request = require('supertest');
 const sinon = require('sinon');
 const communicator = require('../../app/lib/communicator');
+const { TranslatedError } = require('../../app/lib/custom-error');
 const mediaLib = require('../../app/lib/media');
 const accountModel = require('../../app/models/account-model');
 const config = require('../../app/models/config-model').server;
+const statsModel = require('../../app/models/stats-model');
 const surveyModel = require('../../app/models/survey-model');
 const userModel = require('../../app/models/user-model');
 
@@ -319,6 +321,55 @@ describe('Transformation Controller', () => {
                 transformRequestBody = undefined;
             });
 
+            describe('for surveys that are full', () => {
+                beforeEach(() => {
+                    surveyModel.get.callsFake((id, ignoreAvailability) => {
+                        if (ignoreAvailability) {
+                            return Promise.resolve({ ...survey, enketoId });
+                        }
+
+                        const error = new TranslatedError('error.surveyfull');
+
+                        error.status = 403;
+
+                        return Promise.reject(error);
+                    });
+                });
+
+                it('responds with 403 for new records', async () => {
+                    const actual = await getTransformResult(403);
+
+                    expect(actual.message).to.equal(
+                        app.i18next.t('error.surveyfull')
+                    );
+                });
+
+                it('responds with the form to edit a record', async () => {
+                    transformRequestBody = { instance_id: 'uuid:a' };
+
+                    const incrementStub = sandbox.stub(statsModel, 'increment');
+                    const { form } = await getTransformResult();
+
+                    expect(form).to.be.a('string');
+                    expect(surveyModel.get).to.have.been.calledWith(
+                        enketoId,
+                        true
+                    );
+                    expect(incrementStub).not.to.have.been.called;
+                });
+            });
+
+            it('counts loads of webforms for new records', async () => {
+                const incrementStub = sandbox.stub(statsModel, 'increment');
+
+                await getTransformResult();
+
+                expect(incrementStub).to.have.been.calledOnceWith(
+                    enketoId,
+                    'opens'
+                );
+            });
+
             // Note: this test previously failed with `getManifest`
             // being redundantly called twice
             it('gets the manifest', async () => {
@@ -332,6 +383,15 @@ describe('Transformation Controller', () => {
 
                 expect(getMediaMapStub.getCalls().length).to.equal(1);
             });
+
+            it('responds with the hashes of media files', async () => {
+                const { mediaHashes } = await getTransformResult();
+
+                expect(mediaHashes['first%20image.jpg']).to.equal('irrelevant');
+                expect(Object.keys(mediaHashes).length).to.equal(
+                    manifest.length
+                );
+            });
         });
     });
 });
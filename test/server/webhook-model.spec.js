@@ -0,0 +1,112 @@
+// safer to ensure this here (in addition to grunt:env:test)
+process.env.NODE_ENV = 'test';
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const webhookModel = require('../../app/models/webhook-model');
+
+chai.use(chaiAsPromised);
+
+const { expect } = chai;
+
+describe('Webhook Model', () => {
+    const account = {
+        linkedServer: 'https://testserver.com/bob',
+        key: 'abc',
+    };
+    const otherAccount = {
+        linkedServer: 'https://testserver.com/alice',
+        key: 'def',
+    };
+
+    describe('add()', () => {
+        it('returns a subscription with an ID and secret', async () => {
+            const subscription = await webhookModel.add(
+                account,
+                'https://example.com/hook?token=1'
+            );
+
+            expect(subscription.id).to.match(/^[A-z0-9]{8}$/);
+            expect(subscription.secret).to.match(/^[A-z0-9]{32}$/);
+            expect(subscription.url).to.equal(
+                'https://example.com/hook?token=1'
+            );
+            expect(subscription.created).to.be.a('string');
+        });
+
+        ['', 'example.com/hook', 'ftp://example.com/hook', undefined].forEach(
+            (url) => {
+                it(`is rejected with 400 for invalid URL "${url}"`, () =>
+                    expect(webhookModel.add(account, url))
+                        .to.eventually.be.rejected.and.have.property('status')
+                        .that.equals(400));
+            }
+        );
+    });
+
+    describe('list()', () => {
+        it('returns an empty list if there are no subscriptions', () =>
+            expect(webhookModel.list(account)).to.eventually.deep.equal([]));
+
+        it('only returns the subscriptions of the account', async () => {
+            const a = await webhookModel.add(account, 'https://example.com/a');
+            await webhookModel.add(otherAccount, 'https://example.com/b');
+
+            const list = await webhookModel.list(account);
+
+            expect(list).to.deep.equal([a]);
+        });
+    });
+
+    describe('remove()', () => {
+        it('removes a subscription', async () => {
+            const { id } = await webhookModel.add(
+                account,
+                'https://example.com/a'
+            );
+
+            expect(await webhookModel.remove(account, id)).to.equal(id);
+            expect(await webhookModel.list(account)).to.deep.equal([]);
+        });
+
+        it('resolves with null for a subscription of another account', async () => {
+            const { id } = await webhookModel.add(
+                otherAccount,
+                'https://example.com/a'
+            );
+
+            expect(await webhookModel.remove(account, id)).to.equal(null);
+        });
+
+        it('is rejected with 400 if the ID is missing', () =>
+            expect(webhookModel.remove(account))
+                .to.eventually.be.rejected.and.have.property('status')
+                .that.equals(400));
+    });
+
+    describe('dead letters', () => {
+        it('are stored and returned with the most recent first', async () => {
+            await webhookModel.addDeadLetter(account, { subscriptionId: 'a' });
+            await webhookModel.addDeadLetter(account, { subscriptionId: 'b' });
+
+            const deadLetters = await webhookModel.getDeadLetters(account);
+
+            expect(deadLetters).to.deep.equal([
+                { subscriptionId: 'b' },
+                { subscriptionId: 'a' },
+            ]);
+            expect(
+                await webhookModel.getDeadLetters(otherAccount)
+            ).to.deep.equal([]);
+        });
+
+        it('can be removed', async () => {
+            await webhookModel.addDeadLetter(account, { subscriptionId: 'a' });
+            await webhookModel.flushDeadLetters(account);
+
+            expect(await webhookModel.getDeadLetters(account)).to.deep.equal(
+                []
+            );
+        });
+    });
+});
@@ -0,0 +1,153 @@
+// safer to ensure this here (in addition to grunt:env:test)
+process.env.NODE_ENV = 'test';
+
+const crypto = require('crypto');
+const nock = require('nock');
+const chai = require('chai');
+const sinon = require('sinon');
+const webhooks = require('../../app/lib/webhooks');
+const webhookModel = require('../../app/models/webhook-model');
+const config = require('../../app/models/config-model').server;
+
+const { expect } = chai;
+
+describe('Webhooks Library', () => {
+    /** @type {sinon.SinonSandbox} */
+    let sandbox;
+
+    const survey = {
+        openRosaServer: 'https://testserver.com/bob',
+        openRosaId: 'something',
+        enketoId: 'abcd1234',
+    };
+    // this is the account returned by the account model for this test server
+    const account = {
+        linkedServer: survey.openRosaServer,
+    };
+
+    beforeEach(() => {
+        sandbox = sinon.createSandbox();
+        sandbox.stub(config.webhooks, 'max attempts').value(1);
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+        nock.cleanAll();
+    });
+
+    describe('sign()', () => {
+        it('returns the HMAC-SHA256 of the body', () => {
+            const expected = crypto
+                .createHmac('sha256', 'secret')
+                .update('{"a":1}')
+                .digest('hex');
+
+            expect(webhooks.sign('{"a":1}', 'secret')).to.equal(
+                `sha256=${expected}`
+            );
+        });
+    });
+
+    describe('notifySubmission()', () => {
+        it('sends a signed event to each subscribed URL', async () => {
+            const subscription = await webhookModel.add(
+                account,
+                'https://example.com/hook'
+            );
+            let receivedBody;
+            let receivedSignature;
+
+            const scope = nock('https://example.com')
+                .post('/hook')
+                .reply(function reply(uri, body) {
+                    receivedBody = body;
+                    receivedSignature = this.req.headers['x-enketo-signature'];
+
+                    return [200];
+                });
+
+            await webhooks.notifySubmission(survey, 'uuid:a', 'uuid:b');
+
+            expect(scope.isDone()).to.equal(true);
+            expect(receivedBody).to.include({
+                event: 'submission',
+                enketoId: survey.enketoId,
+                instanceId: 'uuid:a',
+                deprecatedId: 'uuid:b',
+            });
+            expect(receivedBody.timestamp).to.be.a('string');
+            expect(receivedSignature).to.equal(
+                webhooks.sign(JSON.stringify(receivedBody), subscription.secret)
+            );
+        });
+
+        it('does not send anything if there are no subscriptions', async () => {
+            const scope = nock('https://example.com').post('/hook').reply(200);
+
+            await webhooks.notifySubmission(survey, 'uuid:a');
+
+            expect(scope.isDone()).to.equal(false);
+        });
+
+        it('adds the event to the dead-letter list when delivery fails', async () => {
+            const subscription = await webhookModel.add(
+                account,
+                'https://example.com/hook'
+            );
+
+            nock('https://example.com').post('/hook').reply(500);
+
+            await webhooks.notifySubmission(survey, 'uuid:a');
+
+            const [deadLetter] = await webhookModel.getDeadLetters(account);
+
+            expect(deadLetter.subscriptionId).to.equal(subscription.id);
+            expect(deadLetter.attempts).to.equal(1);
+            expect(deadLetter.event.instanceId).to.equal('uuid:a');
+            expect(deadLetter.error).to.include('500');
+        });
+    });
+
+    describe('processDue()', () => {
+        beforeEach(() => {
+            sandbox.stub(config.webhooks, 'max attempts').value(2);
+            sandbox.stub(config.webhooks, 'retry interval').value(0);
+        });
+
+        it('delivers failed events again from the database', async () => {
+            await webhookModel.add(account, 'https://example.com/retry');
+
+            nock('https://example.com').post('/retry').reply(500);
+            await webhooks.notifySubmission(survey, 'uuid:retry');
+
+            let receivedBody;
+            const scope = nock('https://example.com')
+                .post('/retry')
+                .reply((uri, body) => {
+                    receivedBody = body;
+
+                    return [200];
+                });
+
+            await webhooks.processDue();
+
+            expect(scope.isDone()).to.equal(true);
+            expect(receivedBody.instanceId).to.equal('uuid:retry');
+            expect(await webhookModel.claimDueRetries(0)).to.deep.equal([]);
+        });
+
+        it('adds the event to the dead-letter list after the last attempt', async () => {
+            await webhookModel.add(account, 'https://example.com/retry');
+
+            nock('https://example.com').post('/retry').twice().reply(503);
+            await webhooks.notifySubmission(survey, 'uuid:retry-failed');
+            await webhooks.processDue();
+
+            const [deadLetter] = await webhookModel.getDeadLetters(account);
+
+            expect(deadLetter.attempts).to.equal(2);
+            expect(deadLetter.event.instanceId).to.equal('uuid:retry-failed');
+            expect(await webhookModel.claimDueRetries(0)).to.deep.equal([]);
+        });
+    });
+});